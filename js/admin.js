@@ -7,7 +7,11 @@
 
 // Show a nice overlay for uncaught errors
 window.addEventListener('error', (ev) => handleAppError(ev.message, ev.filename, ev.lineno));
-window.addEventListener('unhandledrejection', (ev) => handleAppError(ev.reason?.message || JSON.stringify(ev.reason || 'Unknown error')));
+window.addEventListener('unhandledrejection', (ev) => {
+    // Failed reads/writes aren't crashes — show what went wrong instead of the fatal overlay
+    if (ev.reason?.name === 'DataError') return showDataError('Request failed', ev.reason);
+    handleAppError(ev.reason?.message || JSON.stringify(ev.reason || 'Unknown error'));
+});
 
 function handleAppError(message, filename = '', lineno = '') {
     try {
@@ -35,10 +39,14 @@ const DATA_MODELS = {
     enrollments: [],
     classYearCounters: [],
     facultyClassAssignments: [],
+    staffInvitations: [],
     appConfig: { activeAcademicYearId: null },
     announcements: [],
     homework: [],
-    homeworkSubmissions: []
+    homeworkSubmissions: [],
+    absenceCases: [],
+    attendanceCorrections: [],
+    summaryCounts: null   // { students, attended }, see loadAdminSummaryCounts()
 };
 window.DATA_MODELS = DATA_MODELS; // Expose for debugging
 
@@ -61,6 +69,12 @@ let studentClassFilter = null;
 // Students table sort state
 let studentSort = { key: 'register', dir: 'asc' };
 
+// Students table paging. The plain roster is read a page at a time from
+// enrollments (cursor + exact count); search / at-risk views page in memory.
+const STUDENTS_PAGE_SIZE = 25;
+const STUDENT_SORT_FIELDS = { register: 'registerNo', name: 'fullName', class: 'classId' };
+let studentsPage = { index: 0, anchor: null, firstDoc: null, lastDoc: null, requestId: 0, visibleIds: new Set() };
+
 // B7: Attendance date filter state
 let ATTENDANCE_DATE_FILTER = { from: null, to: null };
 
@@ -85,8 +99,11 @@ document.addEventListener('DOMContentLoaded', function () {
                 // User is signed in, check their role from SERVER
                 const userData = await verifyRoleFromServer(user.uid, 'admin');
 
-                // --- USER IS VALID ADMIN ---
-                console.log(`Welcome, ADMIN ${user.email}!`);
+                // Admins must use an authenticator app; enrolment runs on first visit
+                await ensureSecondFactor({ required: hasPermission(MFA_REQUIRED_PERMISSION) });
+
+                // --- USER MAY OPEN THE ADMIN PORTAL (admin or a view-all role) ---
+                console.log(`Welcome, ${user.email}! Role: ${userData.role}`);
                 currentUserData = userData; // Store user data globally
                 initializeApp(user, userData);
 
@@ -111,16 +128,17 @@ document.addEventListener('DOMContentLoaded', function () {
 async function initializeApp(user, userData) {
     // Populate profile menu
     document.getElementById('user-info-email').textContent = user.email;
-    document.getElementById('user-info-role').textContent = 'Administrator';
+    const roleLabel = hasPermission('manage_all') ? 'Administrator' : (userData.roleName || userData.role);
+    document.getElementById('user-info-role').textContent = roleLabel;
 
     // Populate sidebar user info
     const sidebarEmail = document.getElementById('sidebar-user-email');
     const sidebarRole = document.getElementById('sidebar-user-role');
     if (sidebarEmail) sidebarEmail.textContent = user.email;
-    if (sidebarRole) sidebarRole.textContent = 'Administrator';
+    if (sidebarRole) sidebarRole.textContent = roleLabel;
 
-    // Apply UI restrictions (which for admin, just means showing admin-only things)
-    applyRoleRestrictions(userData.role);
+    // Apply UI restrictions (admins see everything; view-only roles lose edit/delete actions)
+    applyRoleRestrictions();
 
     // PHASE 1: Initialize appConfig/global singleton before any other setup
     showSpinner('Initializing app configuration...');
@@ -142,6 +160,9 @@ async function initializeApp(user, userData) {
     // Setup all event listeners
     setupEventListeners();
 
+    // Idle / max-age sign-out and cross-tab logout (common.js)
+    startSessionMonitor({ roleKey: userData.role, uid: user.uid, signOut: logout });
+
     // Start fetching realtime data (the admin version)
     startRealtimeListeners();
 
@@ -168,9 +189,15 @@ async function initializeApp(user, userData) {
         }
 
         // Render analytics
-        renderAdminAnalytics();
+        withAdminYearRows(renderAdminAnalytics);
         renderClassesTable();
+        renderRolePermissionsTable();
+        populateRoleSelect();
         renderUserRolesTable();
+        renderStaffInvitePanel();
+        renderSessionPolicyForm();
+        renderCheckInSettingsForm();
+        renderAttendanceLockForm();
         renderAcademicYearControls();
         renderAdminEarlyAngelPortal();
         populateCertClassDropdown();
@@ -198,7 +225,7 @@ async function initializeApp(user, userData) {
         }
     } catch (err) {
         console.error("Failed during admin data load:", err);
-        showError("An error occurred loading admin tools: " + err.message);
+        showDataError("An error occurred loading admin tools", err);
     }
 
     // Show the app content and hide the spinner
@@ -211,22 +238,41 @@ async function initializeApp(user, userData) {
 // -----------------
 
 /**
- * Applies UI restrictions based on user role.
- * @param {string} role - The user's role (e.g., "admin").
+ * Applies UI restrictions from the role's permissions. Admins see everything;
+ * a role with only view_all/edit_all (e.g. a coordinator) loses the buttons
+ * its database policies would reject anyway.
  */
-function applyRoleRestrictions(role) {
-    // Show admin-only elements
+function applyRoleRestrictions() {
+    const isAdmin = hasPermission('manage_all');
+    const canEdit = isAdmin || hasPermission('edit_all');
+
     document.querySelectorAll('[data-admin-only="true"]').forEach(el => {
-        el.style.display = 'block';
+        el.style.display = isAdmin ? 'block' : 'none';
     });
 
-    // Show the admin nav link
+    // Admin Tools (roles, years, backups) stays admin-only
     const adminNav = document.getElementById('nav-admin-panel');
-    if (adminNav) adminNav.style.display = 'block';
+    if (adminNav) adminNav.style.display = isAdmin ? 'block' : 'none';
+
+    const hiddenSelectors = [];
+    if (!isAdmin) {
+        hiddenSelectors.push('.delete-student', '.delete-session', '.delete-assessment', '.delete-announcement-btn',
+            '.transfer-student-btn', '.guardian-links-btn', '.view-as-student-btn', '.view-as-faculty-btn',
+            '#import-students-btn');
+    }
+    if (!canEdit) {
+        hiddenSelectors.push('[data-modal]', '.edit-student', '.edit-announcement-btn');
+    }
 
-    // No need to add extra CSS to hide buttons, admin sees all
-    const styles = document.getElementById('dynamic-hidden-actions');
-    if (styles) styles.innerHTML = '';
+    let styles = document.getElementById('dynamic-hidden-actions');
+    if (!styles && hiddenSelectors.length) {
+        styles = document.createElement('style');
+        styles.id = 'dynamic-hidden-actions';
+        document.head.appendChild(styles);
+    }
+    if (styles) {
+        styles.innerHTML = hiddenSelectors.length ? `${hiddenSelectors.join(',\n')} { display: none !important; }` : '';
+    }
 }
 
 /**
@@ -259,6 +305,7 @@ function setupEventListeners() {
     document.getElementById('logout-btn').addEventListener('click', logout); // From common.js
     document.getElementById('sidebar-logout-btn')?.addEventListener('click', logout);
     document.getElementById('edit-profile-btn')?.addEventListener('click', openAdminProfileEditor);
+    document.getElementById('two-factor-btn')?.addEventListener('click', openTwoFactorSettings); // From common.js
     document.getElementById('save-admin-profile-btn')?.addEventListener('click', saveAdminProfileEdits);
     document.getElementById('cancel-admin-profile-edit-btn')?.addEventListener('click', closeAdminProfileEditor);
     document.getElementById('close-admin-profile-modal-btn')?.addEventListener('click', closeAdminProfileEditor);
@@ -309,6 +356,11 @@ function setupEventListeners() {
     // Save buttons
     document.getElementById('save-student-btn')?.addEventListener('click', saveStudent);
     document.getElementById('save-session-btn')?.addEventListener('click', saveSession);
+    document.getElementById('preview-term-calendar-btn')?.addEventListener('click', previewTermCalendar);
+    document.getElementById('create-term-calendar-btn')?.addEventListener('click', handleCreateTermCalendar);
+    document.getElementById('term-calendar-form')?.addEventListener('input', () => {
+        document.getElementById('create-term-calendar-btn').disabled = true; // preview again first
+    });
     document.getElementById('save-assessment-btn')?.addEventListener('click', saveAssessment);
     document.getElementById('save-scores-btn')?.addEventListener('click', saveScores);
 
@@ -319,8 +371,8 @@ function setupEventListeners() {
     // Student Search (using debounce from common.js)
     const studentSearch = document.getElementById('student-search');
     if (studentSearch) {
-        studentSearch.addEventListener('input', debounce(renderStudentsTable, 300));
-        studentSearch.nextElementSibling?.addEventListener('click', renderStudentsTable);
+        studentSearch.addEventListener('input', debounce(() => { resetStudentsPage(); renderStudentsTable(); }, 300));
+        studentSearch.nextElementSibling?.addEventListener('click', () => { resetStudentsPage(); renderStudentsTable(); });
     }
 
     // Students table column sorting
@@ -333,6 +385,7 @@ function setupEventListeners() {
                 studentSort.key = key;
                 studentSort.dir = 'asc';
             }
+            resetStudentsPage();
             renderStudentsTable();
         });
     });
@@ -456,7 +509,7 @@ function setupEventListeners() {
             closeAdminProfileEditor();
             showSuccess('Profile updated', 'Your admin profile was saved successfully.');
         } catch (err) {
-            showError('Failed to save admin profile: ' + err.message);
+            showDataError('Failed to save admin profile', err);
         } finally {
             hideSpinner();
         }
@@ -464,6 +517,7 @@ function setupEventListeners() {
     // A2: At-risk filter toggle
     document.getElementById('show-at-risk-btn')?.addEventListener('click', () => {
         showAtRiskOnly = !showAtRiskOnly;
+        resetStudentsPage();
         renderStudentsTable();
     });
 
@@ -476,6 +530,24 @@ function setupEventListeners() {
         document.getElementById('transfer-modal').style.display = 'none';
     });
 
+    // Parent access (guardian links) modal wiring
+    document.getElementById('add-guardian-btn')?.addEventListener('click', addGuardianLink);
+    ['cancel-guardian-btn', 'close-guardian-modal-btn'].forEach(id => {
+        document.getElementById(id)?.addEventListener('click', () => {
+            document.getElementById('guardian-modal').style.display = 'none';
+        });
+    });
+
+    // Locked logins (student login throttling)
+    document.getElementById('refresh-login-locks-btn')?.addEventListener('click', renderLoginLocksTable);
+
+    // Sign-in sessions (idle timeout and maximum session age)
+    document.getElementById('session-policy-form')?.addEventListener('submit', handleSessionPolicySubmit);
+
+    // Badge check-in (Present / Late cutoff for faculty scanners)
+    document.getElementById('check-in-settings-form')?.addEventListener('submit', handleCheckInSettingsSubmit);
+    document.getElementById('attendance-lock-form')?.addEventListener('submit', handleAttendanceLockSubmit);
+
     // A7: Refresh class performance table
     document.getElementById('refresh-class-perf-btn')?.addEventListener('click', renderClassPerformanceTable);
 
@@ -550,9 +622,11 @@ function setupEventListeners() {
     // --- ADMIN TOOL LISTENERS ---
     document.getElementById('class-form')?.addEventListener('submit', saveClass);
     document.getElementById('user-role-form')?.addEventListener('submit', saveUserRole);
-    document.getElementById('user-role-select')?.addEventListener('change', (e) => {
-        document.getElementById('faculty-class-group').style.display = (e.target.value === 'faculty') ? 'block' : 'none';
+    ROLE_SELECTS.forEach(([selectId, classGroupId]) => {
+        document.getElementById(selectId)?.addEventListener('change', (e) => toggleRoleClassGroup(e.target, classGroupId));
     });
+    document.getElementById('staff-invite-form')?.addEventListener('submit', handleStaffInviteSubmit);
+    document.getElementById('role-definition-form')?.addEventListener('submit', saveRoleDefinition);
     document.getElementById('run-migration-btn')?.addEventListener('click', runBackfillMigration);
     document.getElementById('run-cleanup-btn')?.addEventListener('click', runFieldCleanup);
     document.getElementById('run-session-cleanup-btn')?.addEventListener('click', runSessionCleanup);
@@ -614,11 +688,23 @@ function handleNavTabClick(e) {
         }
     });
 
-    // Refresh content on tab switch
+    // Refresh content on tab switch. Students pages from the server, Admin Tools
+    // reloads everything itself; the other tabs work from the year's rows,
+    // re-read once they are a few minutes old.
+    if (targetTab === 'students') return;
+    if (targetTab === 'admin-panel') return refreshTabContent(targetTab);
+    loadAdminYearRows({ maxAgeMs: ADMIN_YEAR_ROWS_MAX_AGE_MS })
+        .then(() => refreshTabContent(targetTab), err => showDataError('Could not load this year\'s records', err));
+}
+
+function refreshTabContent(targetTab) {
     if (targetTab === 'attendance') {
         renderSessionsTable();
         renderAttendanceForm(document.getElementById('session-date')?.value || '');
     }
+    if (targetTab === 'assessments') {
+        renderAssessmentsTable();
+    }
     if (targetTab === 'reports') {
         updateReportDropdown();
     }
@@ -632,10 +718,18 @@ function handleNavTabClick(e) {
     if (targetTab === 'admin-panel') {
         // Refresh admin data
         loadAllDataForAdmin().then(async () => {
+            await loadAdminYearRows();
             await ensureAcademicYearSetup();
             renderAdminAnalytics();
             renderClassesTable();
+            renderRolePermissionsTable();
+            populateRoleSelect();
             renderUserRolesTable();
+            renderStaffInvitePanel();
+            renderLoginLocksTable();
+            renderSessionPolicyForm();
+            renderCheckInSettingsForm();
+            renderAttendanceLockForm();
             renderAcademicYearControls();
             renderAdminEarlyAngelPortal();
             populateYearPromotionDropdowns();
@@ -659,6 +753,8 @@ function handleModalOpenClick(e) {
         document.getElementById('session-form')?.reset();
         document.getElementById('noclass-reason-group').style.display = 'none';
         document.getElementById('session-date-input').valueAsDate = new Date();
+    } else if (modalId === 'term-calendar-modal') {
+        resetTermCalendarModal();
     } else if (modalId === 'student-modal') {
         document.getElementById('student-modal-title').textContent = 'Add Student';
         document.getElementById('student-form')?.reset();
@@ -705,31 +801,160 @@ function stopRealtimeListeners() {
     _announcementsListenerActive = false;
     _adminHomeworkListenerActive = false;
     _adminActivityLogListenerActive = false;
+    activityPage.index = 0;
+    unwatchOnScreenRows();
+    _adminYearRows = null;
+}
+
+// -----------------
+// Students, attendance and scores are never streamed in full. Live listeners
+// watch only what is on screen — the students page, the attendance form's
+// session and the scores modal's assessment — and views that need the whole
+// active year (dashboard detail, reports, analytics, filtered student lists)
+// read it once through loadAdminYearRows(), refreshed when their tab is opened.
+// -----------------
+
+const ADMIN_YEAR_ROWS_MAX_AGE_MS = 5 * 60 * 1000;
+let _adminYearRows = null;   // { promise, loadedAt } — loadedAt is null until the read finishes
+
+/**
+ * Reads every student profile and the active year's attendance and scores
+ * into DATA_MODELS. A read younger than maxAgeMs is reused.
+ * @param {{maxAgeMs?: number}} [options]
+ * @returns {Promise<void>}
+ */
+function loadAdminYearRows({ maxAgeMs = Infinity } = {}) {
+    const current = _adminYearRows;
+    if (current && (current.loadedAt === null || Date.now() - current.loadedAt < maxAgeMs)) {
+        return current.promise;
+    }
+    const { getDocs, collection, query, where } = window;
+    const yearId = getActiveAcademicYearId();
+    const inYear = name => yearId
+        ? query(collection(window.db, name), where('academicYearId', '==', yearId))
+        : collection(window.db, name);
+    const entry = { promise: null, loadedAt: null };
+    entry.promise = Promise.all([
+        getDocs(collection(window.db, 'students')),
+        getDocs(inYear('attendance')),
+        getDocs(inYear('scores')),
+    ]).then(([students, attendance, scores]) => {
+        DATA_MODELS.students = students.docs.map(d => d.data()).sort((a, b) =>
+            String(a.studentId).localeCompare(String(b.studentId), undefined, { numeric: true }));
+        DATA_MODELS.attendance = attendance.docs.map(d => d.data()).filter(isCurrentAcademicYear);
+        DATA_MODELS.scores = scores.docs.map(d => d.data()).filter(isCurrentAcademicYear);
+        entry.loadedAt = Date.now();
+        console.log('[admin] Loaded active-year rows:', DATA_MODELS.students.length, 'students,',
+            DATA_MODELS.attendance.length, 'attendance,', DATA_MODELS.scores.length, 'scores');
+    }).catch(err => {
+        if (_adminYearRows === entry) _adminYearRows = null;
+        throw err;
+    });
+    _adminYearRows = entry;
+    return entry.promise;
+}
+
+// Runs render now when the year's rows are loaded, else once they are
+function withAdminYearRows(render) {
+    if (_adminYearRows?.loadedAt) return render();
+    loadAdminYearRows().then(render, err => console.warn('Failed to load the active year\'s records:', err));
+}
+
+// What is on screen, kept live: { key, unsubscribe } per kind
+const _onScreenWatches = { studentsPage: null, sessionAttendance: null, assessmentScores: null };
+
+function unwatchOnScreenRows() {
+    Object.keys(_onScreenWatches).forEach(kind => {
+        _onScreenWatches[kind]?.unsubscribe();
+        _onScreenWatches[kind] = null;
+    });
+}
+
+// (Re)starts a live query for one on-screen view unless it already watches key.
+// onChange(snapshot) is skipped for the first snapshot when skipFirst is set.
+function watchOnScreen(kind, key, makeQuery, onChange, { skipFirst = false } = {}) {
+    if (_onScreenWatches[kind]?.key === key) return;
+    _onScreenWatches[kind]?.unsubscribe();
+    _onScreenWatches[kind] = null;
+    if (!key) return;
+    let first = true;
+    const unsubscribe = window.onSnapshot(makeQuery(), snapshot => {
+        const skip = first && skipFirst;
+        first = false;
+        if (!skip) onChange(snapshot);
+    }, err => console.error(`[realtime] ${kind} listener error`, err));
+    _onScreenWatches[kind] = { key, unsubscribe };
+}
+
+// The profiles on the students page: an edit re-reads the page (batched)
+function watchStudentsPage(studentIds) {
+    const { query, collection, where } = window;
+    watchOnScreen('studentsPage', studentIds.join('|'),
+        () => query(collection(window.db, 'students'), where('studentId', 'in', studentIds)),
+        scheduleStudentsTableRefresh,
+        { skipFirst: true });   // the page was just rendered from these rows
+}
+
+// The attendance form's session
+function watchSessionAttendance(sessionId) {
+    const { query, collection, where } = window;
+    const rows = [];
+    watchOnScreen('sessionAttendance', sessionId,
+        () => query(collection(window.db, 'attendance'), where('sessionId', '==', sessionId)),
+        snapshot => {
+            const changed = applySnapshotChanges(rows, snapshot, d => d.data(), isCurrentAcademicYear);
+            DATA_MODELS.attendance = [...DATA_MODELS.attendance.filter(a => a.sessionId !== sessionId), ...rows];
+            if (document.getElementById('session-date')?.value !== sessionId) return;
+            if (changed.reset) renderAttendanceForm(sessionId);
+            else patchAttendanceStatusInputs(sessionId, [...changed.added, ...changed.modified]);
+        });
+}
+
+// The scores modal's assessment
+function watchAssessmentScores(assessmentId) {
+    const { query, collection, where } = window;
+    const rows = [];
+    watchOnScreen('assessmentScores', assessmentId,
+        () => query(collection(window.db, 'scores'), where('assessmentId', '==', assessmentId)),
+        snapshot => {
+            const changed = applySnapshotChanges(rows, snapshot, d => d.data(), isCurrentAcademicYear);
+            DATA_MODELS.scores = [...DATA_MODELS.scores.filter(sc => sc.assessmentId !== assessmentId), ...rows];
+            renderAssessmentsTable();
+            if (window._currentScoresAssessmentId !== assessmentId
+                || document.getElementById('scores-modal')?.style.display !== 'flex') return;
+            if (changed.reset) openScoresModal(assessmentId);
+            else patchScoreInputs(assessmentId, [...changed.added, ...changed.modified]);
+        });
 }
 
-// Debounced renderDashboard — batches rapid multi-listener fires into one render
+// Debounced renderDashboard — batches rapid multi-listener fires into one render.
+// recount: roster or attendance changed, so the server counts are stale too.
 let _renderDashboardTimer = null;
-function _debouncedRenderDashboard() {
+let _dashboardNeedsRecount = false;
+function _debouncedRenderDashboard({ recount = false } = {}) {
+    _dashboardNeedsRecount = _dashboardNeedsRecount || recount;
     if (_renderDashboardTimer) clearTimeout(_renderDashboardTimer);
-    _renderDashboardTimer = setTimeout(() => renderDashboard(), 250);
+    _renderDashboardTimer = setTimeout(async () => {
+        if (_dashboardNeedsRecount) {
+            _dashboardNeedsRecount = false;
+            await loadAdminSummaryCounts().catch(err => console.warn('Failed to count dashboard figures:', err));
+        }
+        renderDashboard();
+    }, 250);
 }
 
-let _adminActivityLogListenerActive = false;
-function startActivityLogListener() {
-    if (_adminActivityLogListenerActive) return;
-    if (!window.db || !window.onSnapshot) return;
-    _adminActivityLogListenerActive = true;
-    const { onSnapshot, collection, query, orderBy, limit } = window;
-    const q = query(collection(window.db, 'activityLogs'), orderBy('createdAt', 'desc'), limit(10));
-    const unsub = onSnapshot(q, snap => {
-        const activityContainer = document.getElementById('recent-activity');
-        if (!activityContainer) return;
-        if (snap.empty) {
-            activityContainer.innerHTML = '<p>No recent activity.</p>';
-            return;
-        }
+// Recent Activity card: page 0 is live (onSnapshot); older pages are fetched on demand.
+const ACTIVITY_PAGE_SIZE = 10;
+let activityPage = { index: 0, firstDoc: null, lastDoc: null, total: 0 };
+
+function renderActivityLogPage(docs) {
+    const activityContainer = document.getElementById('recent-activity');
+    if (!activityContainer) return;
+    if (docs.length === 0) {
+        activityContainer.innerHTML = '<p>No recent activity.</p>';
+    } else {
         let html = '<ul class="activity-log-list">';
-        snap.forEach(docSnap => {
+        docs.forEach(docSnap => {
             const log = docSnap.data();
             let text = `<b>${escapeHtml(log.action)}</b> by ${escapeHtml(log.userEmail || 'system')}`;
             if (log.details?.name) text += ` (Name: ${escapeHtml(log.details.name)})`;
@@ -740,6 +965,55 @@ function startActivityLogListener() {
         });
         html += '</ul>';
         activityContainer.innerHTML = html;
+    }
+
+    activityPage.firstDoc = docs[0] || null;
+    activityPage.lastDoc = docs[docs.length - 1] || null;
+    const start = activityPage.index * ACTIVITY_PAGE_SIZE;
+    renderTablePager('recent-activity-pager', {
+        from: start + 1,
+        to: start + docs.length,
+        total: activityPage.total,
+        hasPrev: activityPage.index > 0,
+        hasNext: start + docs.length < activityPage.total,
+    }, goToActivityLogPage);
+}
+
+async function goToActivityLogPage(direction) {
+    const { collection, query, orderBy, limit, limitToLast, startAfter, endBefore, getDocs, getCountFromServer } = window;
+    const logsRef = collection(window.db, 'activityLogs');
+    const cursor = direction === 'next'
+        ? [startAfter(activityPage.lastDoc), limit(ACTIVITY_PAGE_SIZE)]
+        : [endBefore(activityPage.firstDoc), limitToLast(ACTIVITY_PAGE_SIZE)];
+    try {
+        const [snap, countSnap] = await Promise.all([
+            getDocs(query(logsRef, orderBy('createdAt', 'desc'), ...cursor)),
+            getCountFromServer(logsRef),
+        ]);
+        activityPage.index = Math.max(0, activityPage.index + (direction === 'next' ? 1 : -1));
+        activityPage.total = countSnap.data().count;
+        renderActivityLogPage(snap.docs);
+    } catch (err) {
+        console.warn('Failed to load activity page:', err);
+    }
+}
+
+let _adminActivityLogListenerActive = false;
+function startActivityLogListener() {
+    if (_adminActivityLogListenerActive) return;
+    if (!window.db || !window.onSnapshot) return;
+    _adminActivityLogListenerActive = true;
+    const { onSnapshot, collection, query, orderBy, limit, getCountFromServer } = window;
+    const logsRef = collection(window.db, 'activityLogs');
+    const q = query(logsRef, orderBy('createdAt', 'desc'), limit(ACTIVITY_PAGE_SIZE));
+    const unsub = onSnapshot(q, async snap => {
+        try {
+            activityPage.total = (await getCountFromServer(logsRef)).data().count;
+        } catch (err) {
+            activityPage.total = Math.max(activityPage.total, snap.docs.length);
+        }
+        // Don't yank the admin back to page 1 while they're reading older entries
+        if (activityPage.index === 0) renderActivityLogPage(snap.docs);
     }, err => {
         _adminActivityLogListenerActive = false;
         console.warn('[realtime] activityLog listener error:', err);
@@ -758,7 +1032,7 @@ function startRealtimeListeners() {
     const { db, onSnapshot, collection, query, where } = window;
 
     stopRealtimeListeners();
-    console.log('[realtime] Starting listeners for ADMIN (all data)');
+    console.log('[realtime] Starting listeners for ADMIN');
 
     // Year-scoped query: fetch ONLY the active academic year's rows from the server.
     // This both enforces "stick to the active year" and avoids the PostgREST 1000-row
@@ -768,34 +1042,19 @@ function startRealtimeListeners() {
         ? query(collection(db, name), where('academicYearId', '==', activeYearId))
         : collection(db, name);
 
-    // STUDENTS Listener (global)
-    const studentsQuery = collection(db, 'students');
-    const unsubStudents = onSnapshot(studentsQuery, snapshot => {
-        DATA_MODELS.students = [];
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            DATA_MODELS.students.push(data);
-        });
-        DATA_MODELS.students.sort((a, b) =>
-            String(a.studentId).localeCompare(String(b.studentId), undefined, { numeric: true })
-        );
-        renderStudentsTable();
-        updateReportDropdown();
-        _debouncedRenderDashboard();
-        console.log('[realtime] students sync', DATA_MODELS.students.length);
-    }, err => console.error('[realtime] students listener error', err));
-    window.realtimeUnsubscribers.push(unsubStudents);
+    // Students, attendance and scores: see watchStudentsPage / watchSessionAttendance /
+    // watchAssessmentScores (what is on screen) and loadAdminYearRows (the whole year)
 
     // SESSIONS Listener (active year only)
     const sessionsQuery = yearScopedQuery('sessions');
     const unsubSessions = onSnapshot(sessionsQuery, snapshot => {
-        DATA_MODELS.sessions = [];
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            if (isCurrentAcademicYear(data)) DATA_MODELS.sessions.push(data);
-        });
+        const changed = applySnapshotChanges(DATA_MODELS.sessions, snapshot, d => d.data(), isCurrentAcademicYear);
         renderSessionsTable();
-        renderAttendanceForm(document.getElementById('session-date')?.value || '');
+        // Only rebuild the attendance form when the session it shows was touched
+        const currentSession = document.getElementById('session-date')?.value || '';
+        const touched = [...changed.added, ...changed.modified].some(s => s.id === currentSession)
+            || changed.removed.includes(currentSession);
+        if (changed.reset || touched) renderAttendanceForm(currentSession);
         _debouncedRenderDashboard();
         console.log('[realtime] sessions sync', DATA_MODELS.sessions.length);
     }, err => console.error('[realtime] sessions listener error', err));
@@ -804,47 +1063,27 @@ function startRealtimeListeners() {
     // ASSESSMENTS Listener (active year only)
     const assessmentsQuery = yearScopedQuery('assessments');
     const unsubAssessments = onSnapshot(assessmentsQuery, (snapshot) => {
-        DATA_MODELS.assessments = [];
-        snapshot.forEach((doc) => {
-            const data = { id: doc.id, ...doc.data() };
-            if (isCurrentAcademicYear(data)) DATA_MODELS.assessments.push(data);
-        });
+        applySnapshotChanges(DATA_MODELS.assessments, snapshot, undefined, isCurrentAcademicYear);
         renderAssessmentsTable();
         console.log('[realtime] Synced assessments:', DATA_MODELS.assessments.length);
     }, err => console.error('[realtime] Assessments listener error:', err));
     window.realtimeUnsubscribers.push(unsubAssessments);
 
-    // ATTENDANCE Listener (active year only)
-    const attendanceQuery = yearScopedQuery('attendance');
-    const unsubAttendance = onSnapshot(attendanceQuery, snapshot => {
-        DATA_MODELS.attendance = [];
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            if (isCurrentAcademicYear(data)) DATA_MODELS.attendance.push(data);
-        });
-        const currentSession = document.getElementById('session-date')?.value;
-        if (currentSession) renderAttendanceForm(currentSession);
-        _debouncedRenderDashboard();
-        console.log('[realtime] attendance sync', DATA_MODELS.attendance.length);
-    }, err => console.error('[realtime] attendance listener error', err));
-    window.realtimeUnsubscribers.push(unsubAttendance);
-
-    // SCORES Listener (active year only)
-    const scoresQuery = yearScopedQuery('scores');
-    const unsubScores = onSnapshot(scoresQuery, snapshot => {
-        DATA_MODELS.scores = [];
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            if (isCurrentAcademicYear(data)) DATA_MODELS.scores.push(data);
-        });
-        renderAssessmentsTable();
-        if (window._currentScoresAssessmentId && document.getElementById('scores-modal').style.display === 'flex') {
-            openScoresModal(window._currentScoresAssessmentId);
-        }
+    // ABSENCE CASES Listener (active year only)
+    const unsubAbsenceCases = onSnapshot(yearScopedQuery('absenceCases'), snapshot => {
+        applySnapshotChanges(DATA_MODELS.absenceCases, snapshot, d => d.data(), isCurrentAcademicYear);
         _debouncedRenderDashboard();
-        console.log('[realtime] scores sync', DATA_MODELS.scores.length);
-    }, err => console.error('[realtime] scores listener error', err));
-    window.realtimeUnsubscribers.push(unsubScores);
+        console.log('[realtime] absenceCases sync', DATA_MODELS.absenceCases.length);
+    }, err => console.error('[realtime] absenceCases listener error', err));
+    window.realtimeUnsubscribers.push(unsubAbsenceCases);
+
+    // ATTENDANCE CORRECTIONS Listener (active year only)
+    const unsubCorrections = onSnapshot(yearScopedQuery('attendanceCorrections'), snapshot => {
+        applySnapshotChanges(DATA_MODELS.attendanceCorrections, snapshot, d => d.data(), isCurrentAcademicYear);
+        renderAttendanceCorrectionsTable();
+        console.log('[realtime] attendanceCorrections sync', DATA_MODELS.attendanceCorrections.length);
+    }, err => console.error('[realtime] attendanceCorrections listener error', err));
+    window.realtimeUnsubscribers.push(unsubCorrections);
 
     // EARLY ANGEL ENTRIES Listener (active year only)
     const earlyAngelEntriesQuery = yearScopedQuery('earlyAngelEntries');
@@ -892,12 +1131,9 @@ function startRealtimeListeners() {
     // ENROLLMENTS Listener (active year only)
     const enrollmentsQuery = yearScopedQuery('enrollments');
     const unsubEnrollments = onSnapshot(enrollmentsQuery, snapshot => {
-        DATA_MODELS.enrollments = [];
-        snapshot.forEach(doc => {
-            const data = { id: doc.id, ...doc.data() };
-            if (isCurrentAcademicYear(data)) DATA_MODELS.enrollments.push(data);
-        });
-        _debouncedRenderDashboard();
+        const changed = applySnapshotChanges(DATA_MODELS.enrollments, snapshot, undefined, isCurrentAcademicYear);
+        refreshStudentsTableFor(changed);
+        _debouncedRenderDashboard({ recount: true });
         console.log('[realtime] enrollments sync', DATA_MODELS.enrollments.length);
     }, err => console.error('[realtime] enrollments listener error', err));
     window.realtimeUnsubscribers.push(unsubEnrollments);
@@ -936,8 +1172,10 @@ function startRealtimeListeners() {
             ? { id: 'global', ...docSnap.data() }
             : { id: 'global', activeAcademicYearId: null };
         setActiveAcademicYearContext(DATA_MODELS.appConfig.activeAcademicYearId || null);
+        APP_CONTEXT.attendanceLockDays = DATA_MODELS.appConfig.attendanceLockDays ?? null;
         if (typeof loadAcademicYearContext === 'function') loadAcademicYearContext(false);
         renderAcademicYearControls();
+        renderAttendanceLockForm();
         _debouncedRenderDashboard();
         console.log('[realtime] appConfig sync', DATA_MODELS.appConfig.activeAcademicYearId);
     }, err => console.error('[realtime] appConfig listener error', err));
@@ -963,28 +1201,24 @@ function renderDashboard() {
     const migrationEl = document.getElementById('admin-migration-status');
     if (migrationEl) migrationEl.textContent = activeYear?.migrationEnabled ? 'On' : 'Off';
 
-    const totalStudentsEl = document.getElementById('total-students');
-    if (totalStudentsEl) totalStudentsEl.textContent = currentRoster.length;
-
     const availableSessions = DATA_MODELS.sessions.filter(s => s.status === 'Available' && isCurrentAcademicYear(s));
     const classesHeldEl = document.getElementById('classes-held');
     if (classesHeldEl) classesHeldEl.textContent = availableSessions.length;
 
     const activeYearAttendance = DATA_MODELS.attendance.filter(a => isCurrentAcademicYear(a));
 
-    if (currentRoster.length > 0 && availableSessions.length > 0) {
-        let totalAttendance = 0;
-        currentRoster.forEach(student => {
-            const presentCount = activeYearAttendance.filter(a => (a.studentId === student.studentId) && (a.status === 'Present' || a.status === 'Late')).length;
-            totalAttendance += Math.round((presentCount / availableSessions.length) * 100);
-        });
-        const avgAttendance = currentRoster.length > 0 ? Math.round(totalAttendance / currentRoster.length) : 0;
-        const avgAttendanceEl = document.getElementById('avg-attendance');
-        if (avgAttendanceEl) avgAttendanceEl.textContent = `${avgAttendance}%`;
-    } else {
-        const avgAttendanceEl = document.getElementById('avg-attendance');
-        if (avgAttendanceEl) avgAttendanceEl.textContent = '0%';
-    }
+    // Headline figures from the server counts; the loaded rows until they arrive
+    const counts = DATA_MODELS.summaryCounts || {
+        students: currentRoster.length,
+        attended: activeYearAttendance.filter(a => a.status === 'Present' || a.status === 'Late').length,
+    };
+    const totalStudentsEl = document.getElementById('total-students');
+    if (totalStudentsEl) totalStudentsEl.textContent = counts.students;
+
+    const possible = counts.students * availableSessions.length;
+    const avgAttendance = possible > 0 ? Math.min(100, Math.round((counts.attended / possible) * 100)) : 0;
+    const avgAttendanceEl = document.getElementById('avg-attendance');
+    if (avgAttendanceEl) avgAttendanceEl.textContent = `${avgAttendance}%`;
 
     const today = new Date();
     today.setHours(0, 0, 0, 0); // Start of today
@@ -1002,6 +1236,13 @@ function renderDashboard() {
     const myClassEl = document.getElementById('my-class-label');
     if (myClassEl) myClassEl.textContent = ADMIN_MY_CLASS_ID || '—';
 
+    // The panels below work per student, so they need the year's rows: read
+    // them if the dashboard is showing, else leave it to the tab switch
+    if (!_adminYearRows?.loadedAt) {
+        if (document.getElementById('dashboard')?.classList.contains('active')) withAdminYearRows(renderDashboard);
+        return;
+    }
+
     // A2: Below-75 count (availableSessions already defined above)
     const below75El = document.getElementById('below-75-count');
     if (below75El) {
@@ -1015,6 +1256,29 @@ function renderDashboard() {
     // A7: Class performance table
     renderClassPerformanceTable();
 
+    renderFollowUpQueue();
+}
+
+/**
+ * Every class's follow-up queue (see buildFollowUpQueue in common.js).
+ */
+function renderFollowUpQueue() {
+    const queue = buildFollowUpQueue({
+        students: getCurrentAcademicYearRoster(DATA_MODELS.students, DATA_MODELS.enrollments || []),
+        sessions: DATA_MODELS.sessions.filter(s => isCurrentAcademicYear(s)),
+        attendance: DATA_MODELS.attendance.filter(a => isCurrentAcademicYear(a)),
+        cases: DATA_MODELS.absenceCases.filter(c => isCurrentAcademicYear(c)),
+    });
+    renderFollowUpQueueTable(document.getElementById('follow-up-tbody'), queue, {
+        showClass: true,
+        onSaved: saved => {
+            const index = DATA_MODELS.absenceCases.findIndex(c => c.id === saved.id);
+            if (index >= 0) DATA_MODELS.absenceCases[index] = saved;
+            else DATA_MODELS.absenceCases.push(saved);
+            renderFollowUpQueue();
+        },
+    });
+    return queue;
 }
 
 function toggleAdminEarlyAngelPanel(show) {
@@ -1249,7 +1513,7 @@ async function saveAdminEarlyAngelEntry(e) {
         if (classSelect) classSelect.value = classId;
         populateAdminEarlyAngelStudentSelect();
     } catch (err) {
-        showError('Failed to save Early Angel entry: ' + err.message);
+        showDataError('Failed to save Early Angel entry', err);
     } finally {
         hideSpinner();
     }
@@ -1287,12 +1551,25 @@ function renderStudentsTable() {
         filterBar.querySelectorAll('[data-class-filter]').forEach(btn => {
             btn.addEventListener('click', () => {
                 studentClassFilter = btn.dataset.classFilter || null;
+                resetStudentsPage();
                 renderStudentsTable();
             });
         });
     }
 
     const filterText = document.getElementById('student-search')?.value.toLowerCase() || '';
+    updateStudentSortIndicators();
+
+    // Plain listing pages straight from the server; filtered views need the full roster
+    if (isStudentsTablePaged()) {
+        renderStudentsPage(null);
+        return;
+    }
+    if (!_adminYearRows?.loadedAt) {
+        tbody.innerHTML = '<tr><td colspan="6">Loading students…</td></tr>';
+        return withAdminYearRows(renderStudentsTable);
+    }
+
     const availableSessions = DATA_MODELS.sessions.filter(s => s.status === 'Available' && isCurrentAcademicYear(s));
     const activeYearAttendance = (DATA_MODELS.attendance || []).filter(a => isCurrentAcademicYear(a));
     let rosterStudents = getCurrentAcademicYearRoster(DATA_MODELS.students, DATA_MODELS.enrollments || []);
@@ -1355,20 +1632,165 @@ function renderStudentsTable() {
         }
     });
 
-    // Reflect the active sort in the column headers
+    const pageCount = Math.max(1, Math.ceil(filteredStudents.length / STUDENTS_PAGE_SIZE));
+    studentsPage.index = Math.min(studentsPage.index, pageCount - 1);
+    const start = studentsPage.index * STUDENTS_PAGE_SIZE;
+    const pageStudents = filteredStudents.slice(start, start + STUDENTS_PAGE_SIZE);
+
+    renderStudentRows(tbody, pageStudents, availableSessions, activeYearAttendance);
+    renderTablePager('students-pager', {
+        from: start + 1,
+        to: start + pageStudents.length,
+        total: filteredStudents.length,
+        hasPrev: studentsPage.index > 0,
+        hasNext: studentsPage.index < pageCount - 1,
+    }, direction => {
+        studentsPage.index += direction === 'next' ? 1 : -1;
+        renderStudentsTable();
+    });
+}
+
+// Reflect the active sort in the column headers
+function updateStudentSortIndicators() {
     document.querySelectorAll('#students-table thead th.sortable').forEach(th => {
         const ind = th.querySelector('.sort-ind');
         if (ind) ind.textContent = th.dataset.sort === studentSort.key
             ? (studentSort.dir === 'desc' ? '▼' : '▲') : '';
     });
+}
+
+function isStudentsTablePaged() {
+    const filterText = document.getElementById('student-search')?.value || '';
+    return !filterText && !showAtRiskOnly && Boolean(getActiveAcademicYearId()) && Boolean(STUDENT_SORT_FIELDS[studentSort.key]);
+}
+
+// Realtime enrollment changes: an edit only matters when that student is on the
+// page being shown; additions and removals can shift the page and total.
+// Bursts (e.g. a CSV import) are batched into one re-query.
+let _studentsTableRefreshTimer = null;
+function refreshStudentsTableFor(changed) {
+    const editedOnPage = changed.modified.some(s => studentsPage.visibleIds.has(String(s.studentId)));
+    if (isStudentsTablePaged() && !changed.reset && !editedOnPage
+        && changed.added.length === 0 && changed.removed.length === 0) {
+        return;
+    }
+    scheduleStudentsTableRefresh();
+}
+
+function scheduleStudentsTableRefresh() {
+    if (_studentsTableRefreshTimer) clearTimeout(_studentsTableRefreshTimer);
+    _studentsTableRefreshTimer = setTimeout(() => renderStudentsTable(), 250);
+}
+
+function resetStudentsPage() {
+    studentsPage = { ...studentsPage, index: 0, anchor: null, firstDoc: null, lastDoc: null };
+}
+
+/**
+ * Loads one page of the active-year roster from the server and renders it.
+ * @param {'next'|'prev'|null} direction - null re-reads the current page.
+ */
+async function renderStudentsPage(direction) {
+    const tbody = document.querySelector('#students-table tbody');
+    if (!tbody) return;
+
+    const { collection, query, where, orderBy, limit, limitToLast, startAt, startAfter, endBefore, getDocs, getCountFromServer } = window;
+    const filters = [
+        where('academicYearId', '==', getActiveAcademicYearId()),
+        where('status', '!=', 'transferred'),
+    ];
+    if (studentClassFilter) filters.push(where('classId', '==', studentClassFilter));
+    const enrollmentsRef = collection(window.db, 'enrollments');
+    const sort = orderBy(STUDENT_SORT_FIELDS[studentSort.key], studentSort.dir);
+
+    let pageQuery;
+    if (direction === 'next' && studentsPage.lastDoc) {
+        pageQuery = query(enrollmentsRef, ...filters, sort, startAfter(studentsPage.lastDoc), limit(STUDENTS_PAGE_SIZE));
+    } else if (direction === 'prev' && studentsPage.firstDoc) {
+        pageQuery = query(enrollmentsRef, ...filters, sort, endBefore(studentsPage.firstDoc), limitToLast(STUDENTS_PAGE_SIZE));
+    } else if (studentsPage.anchor) {
+        pageQuery = query(enrollmentsRef, ...filters, sort, startAt(studentsPage.anchor), limit(STUDENTS_PAGE_SIZE));
+    } else {
+        pageQuery = query(enrollmentsRef, ...filters, sort, limit(STUDENTS_PAGE_SIZE));
+    }
+
+    // Realtime listeners re-render often; only the newest request may paint
+    const requestId = ++studentsPage.requestId;
+    try {
+        const [pageSnap, countSnap] = await Promise.all([
+            getDocs(pageQuery),
+            getCountFromServer(query(enrollmentsRef, ...filters)),
+        ]);
+        const enrollments = pageSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+        const studentIds = enrollments.map(e => String(e.studentId));
+        // Profiles and attended (Present/Late) records for this page's students only
+        const [profileSnap, attendedSnap] = studentIds.length > 0
+            ? await Promise.all([
+                getDocs(query(collection(window.db, 'students'), where('studentId', 'in', studentIds))),
+                getDocs(query(collection(window.db, 'attendance'),
+                    where('academicYearId', '==', getActiveAcademicYearId()),
+                    where('studentId', 'in', studentIds),
+                    where('status', 'in', ['Present', 'Late']))),
+            ])
+            : [{ docs: [] }, { docs: [] }];
+        if (requestId !== studentsPage.requestId) return;
+
+        if (direction === 'next') studentsPage.index++;
+        else if (direction === 'prev') studentsPage.index = Math.max(0, studentsPage.index - 1);
+        studentsPage.firstDoc = pageSnap.docs[0] || null;
+        studentsPage.lastDoc = pageSnap.docs[pageSnap.docs.length - 1] || null;
+        studentsPage.anchor = studentsPage.index > 0 ? studentsPage.firstDoc : null;
+
+        const total = countSnap.data().count;
+        const start = studentsPage.index * STUDENTS_PAGE_SIZE;
+        const students = getCurrentAcademicYearRoster(profileSnap.docs.map(d => d.data()), enrollments);
+        studentsPage.visibleIds = new Set(studentIds);
+        const availableSessions = DATA_MODELS.sessions.filter(s => s.status === 'Available' && isCurrentAcademicYear(s));
+
+        renderStudentRows(tbody, students, availableSessions, attendedSnap.docs.map(d => d.data()));
+        watchStudentsPage(studentIds);
+        renderTablePager('students-pager', {
+            from: start + 1,
+            to: start + students.length,
+            total,
+            hasPrev: studentsPage.index > 0,
+            hasNext: start + students.length < total,
+        }, renderStudentsPage);
+    } catch (err) {
+        if (requestId !== studentsPage.requestId) return;
+        console.error('Failed to load students page:', err);
+        tbody.innerHTML = `<tr><td colspan="6">Could not load students: ${escapeHtml(err.message)}</td></tr>`;
+    }
+}
+
+/**
+ * Renders Prev / "x–y of n" / Next controls into a pager container.
+ * onPage receives 'prev' or 'next'.
+ */
+function renderTablePager(containerId, { from, to, total, hasPrev, hasNext }, onPage) {
+    const pager = document.getElementById(containerId);
+    if (!pager) return;
+    if (!total) {
+        pager.innerHTML = '';
+        return;
+    }
+    pager.innerHTML = `
+        <button type="button" class="btn btn-outline btn-sm" data-page="prev" ${hasPrev ? '' : 'disabled'}><i class="fas fa-chevron-left"></i> Prev</button>
+        <span class="table-pager-info">${from}–${to} of ${total}</span>
+        <button type="button" class="btn btn-outline btn-sm" data-page="next" ${hasNext ? '' : 'disabled'}>Next <i class="fas fa-chevron-right"></i></button>`;
+    pager.querySelectorAll('[data-page]').forEach(btn => {
+        btn.addEventListener('click', () => onPage(btn.dataset.page));
+    });
+}
 
+function renderStudentRows(tbody, students, availableSessions, activeYearAttendance) {
     tbody.innerHTML = '';
-    if (filteredStudents.length === 0) {
+    if (students.length === 0) {
         tbody.innerHTML = '<tr><td colspan="6">No students found.</td></tr>';
         return;
     }
 
-    filteredStudents.forEach(student => {
+    students.forEach(student => {
         // A2: Attendance badge
         const pct = calcStudentAttendancePct(student.studentId, availableSessions, activeYearAttendance);
         const atRiskBadge = (pct !== null && pct < 75)
@@ -1390,6 +1812,12 @@ function renderStudentsTable() {
                 <button class="btn btn-secondary btn-sm transfer-student-btn" data-id="${escapeHtml(student.studentId)}" title="Transfer to another class">
                     <i class="fas fa-exchange-alt"></i>
                 </button>
+                <button class="btn btn-secondary btn-sm guardian-links-btn" data-id="${escapeHtml(student.studentId)}" title="Parent access">
+                    <i class="fas fa-user-friends"></i>
+                </button>
+                <button class="btn btn-secondary btn-sm view-as-student-btn" data-id="${escapeHtml(student.studentId)}" title="View the student portal as this student">
+                    <i class="fas fa-eye"></i>
+                </button>
             </td>
         `;
         tbody.appendChild(row);
@@ -1408,6 +1836,12 @@ function renderStudentsTable() {
     tbody.querySelectorAll('.transfer-student-btn').forEach(btn => {
         btn.addEventListener('click', (e) => openTransferModal(e.currentTarget.dataset.id));
     });
+    tbody.querySelectorAll('.guardian-links-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => openGuardianModal(e.currentTarget.dataset.id));
+    });
+    tbody.querySelectorAll('.view-as-student-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => viewAsStudent(e.currentTarget.dataset.id));
+    });
 }
 
 function getNextSequentialStudentId() {
@@ -1423,8 +1857,22 @@ function getNextSequentialStudentId() {
     return maxNum + 1;
 }
 
-function claimNextStudentId() {
-    return String(getNextSequentialStudentId());
+// Claims the next free numeric student ID and creates the student row in the same
+// transaction. The local max is only a starting guess: IDs already taken in the
+// database are skipped, and a concurrent claim of the same ID re-runs the transaction.
+async function claimNextStudentId(studentData) {
+    return window.runTransaction(window.db, async tx => {
+        let candidate = getNextSequentialStudentId();
+        for (;;) {
+            const studentRef = window.doc(window.db, 'students', String(candidate));
+            const snap = await tx.get(studentRef);
+            if (!snap.exists()) {
+                tx.set(studentRef, { ...studentData, studentId: String(candidate) });
+                return String(candidate);
+            }
+            candidate++;
+        }
+    });
 }
 
 function prefillNextStudentId() {
@@ -1501,12 +1949,8 @@ async function saveStudent() {
     showSpinner();
     try {
         const existingStudentId = document.getElementById('student-id').value; // non-empty = edit
-        let studentId;
-        if (existingStudentId) {
-            studentId = existingStudentId;
-        } else {
-            studentId = claimNextStudentId();
-        }
+        // New students get their ID from claimNextStudentId() when the row is written below
+        const studentId = existingStudentId || null;
         const firstName = document.getElementById('student-first-name').value.trim();
         const lastName = document.getElementById('student-last-name').value.trim();
         const dob = document.getElementById('student-dob').value || null; // '' is invalid for DATE
@@ -1545,11 +1989,14 @@ async function saveStudent() {
         };
 
         const { doc, setDoc } = window;
-        const studentRef = doc(window.db, 'students', String(student.studentId));
         // _hintRegisterNo is a UI-only hint for enrollment — never persist it to the students table.
         const studentToSave = { ...student };
         delete studentToSave._hintRegisterNo;
-        await setDoc(studentRef, studentToSave, { merge: true });
+        if (existingStudentId) {
+            await setDoc(doc(window.db, 'students', String(student.studentId)), studentToSave, { merge: true });
+        } else {
+            student.studentId = studentToSave.studentId = await claimNextStudentId(studentToSave);
+        }
         const savedEnrollment = await upsertEnrollmentForStudent(student, currentUserData?.uid || 'admin');
 
         // Update the local cache immediately so the table/dashboard reflect the change
@@ -1575,7 +2022,7 @@ async function saveStudent() {
         showSuccess('Student saved successfully!');
 
     } catch (err) {
-        showError('Error saving student: ' + err.message);
+        showDataError('Error saving student', err);
     } finally {
         hideSpinner();
     }
@@ -1654,7 +2101,7 @@ async function deleteStudent(studentId) {
             createAuditLog('student_deleted', { studentId: String(studentId) });
             showSuccess('Student deleted.');
         } catch (err) {
-            showError('Failed to delete student: ' + err.message);
+            showDataError('Failed to delete student', err);
         } finally {
             hideSpinner();
         }
@@ -1710,9 +2157,11 @@ function renderSessionsTable() {
     const sortedSessions = [...DATA_MODELS.sessions].sort((a, b) => new Date(b.date) - new Date(a.date));
     tbody.innerHTML = '';
     if (sortedSessions.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="4">No sessions created yet.</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="5">No sessions created yet.</td></tr>';
     }
 
+    // Sessions without a class apply to every class
+    const sessionClass = s => s.classId ? (DATA_MODELS.classes?.find(c => c.id === s.classId)?.name || s.classId) : '';
     const availableSessionsForDropdown = [];
     sortedSessions.forEach(session => {
         const row = document.createElement('tr');
@@ -1721,6 +2170,7 @@ function renderSessionsTable() {
             : `<span class="status-badge status-noclass">No Class</span>`;
         row.innerHTML = `
             <td>${formatDate(session.date)}</td>
+            <td>${escapeHtml(sessionClass(session) || 'All classes')}</td>
             <td>${statusBadge}</td>
             <td>${escapeHtml(session.noClassReason || 'N/A')}</td>
             <td>
@@ -1739,8 +2189,9 @@ function renderSessionsTable() {
         }
     });
 
-    populateDropdown('session-date', availableSessionsForDropdown, s => s.id, s => `${formatDate(s.date)} (${s.status})`);
-    populateDropdown('report-session-date', sortedSessions, s => s.id, s => `${formatDate(s.date)} (${s.status === 'Available' ? 'Class Held' : 'No Class'})`);
+    const withClass = s => sessionClass(s) ? ` — ${sessionClass(s)}` : '';
+    populateDropdown('session-date', availableSessionsForDropdown, s => s.id, s => `${formatDate(s.date)}${withClass(s)} (${s.status})`);
+    populateDropdown('report-session-date', sortedSessions, s => s.id, s => `${formatDate(s.date)}${withClass(s)} (${s.status === 'Available' ? 'Class Held' : 'No Class'})`);
 
     tbody.querySelectorAll('.take-attendance').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -1780,7 +2231,7 @@ async function saveSession() {
         document.getElementById('session-modal').style.display = 'none';
         showSuccess('Session created!');
     } catch (err) {
-        showError('Error saving session: ' + err.message);
+        showDataError('Error saving session', err);
     } finally {
         hideSpinner();
     }
@@ -1820,7 +2271,213 @@ async function deleteSession(sessionId) {
 
     } catch (err) {
         console.error(err);
-        showError('Failed to delete session: ' + err.message);
+        showDataError('Failed to delete session', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+// -----------------
+// 🗓️ TERM CALENDAR
+// -----------------
+// Bulk version of saveSession(): one session per chosen weekday between two
+// dates for each chosen class, keyed '<date>_<classId>' with the class on it.
+// A class already has a date when it has its own session then or a shared
+// (class-less) one, and those are skipped rather than overwritten. Excluded
+// dates can be added as NoClass sessions carrying the reason, as admins used
+// to do by hand.
+
+const TERM_CALENDAR_MAX_DAYS = 400;
+const TERM_DEFAULT_EXCLUSION_REASON = 'holiday';
+
+let _termCalendarPlan = [];
+
+function isIsoDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Reads the excluded-dates box: one date per line, optionally followed by a reason.
+ * @param {string} text - e.g. "2025-12-28 Christmas holidays\n2026-02-15".
+ * @returns {{ exclusions: Array<{date: string, reason: string}>, invalid: string[] }}
+ */
+function parseTermExclusions(text) {
+    const exclusions = [];
+    const invalid = [];
+    String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+        const match = line.match(/^(\S+)\s*[-–:,]?\s*(.*)$/);
+        if (!match || !isIsoDate(match[1])) return invalid.push(line);
+        exclusions.push({ date: match[1], reason: match[2].trim() || TERM_DEFAULT_EXCLUSION_REASON });
+    });
+    return { exclusions, invalid };
+}
+
+/**
+ * Lists the sessions a term would get, in date order and then class order.
+ * @param {object} options
+ * @param {string} options.startDate - 'YYYY-MM-DD', inclusive.
+ * @param {string} options.endDate - 'YYYY-MM-DD', inclusive.
+ * @param {number[]} options.weekdays - 0 (Sunday) to 6 (Saturday).
+ * @param {string[]} options.classIds - The classes to create sessions for.
+ * @param {Array<{date: string, reason: string}>} [options.exclusions]
+ * @param {Array<{date: string, classId: string|null}>} [options.existingSessions] - Sessions already in the range; classId null for a shared one.
+ * @param {boolean} [options.excludedAsNoClass=true] - Add excluded dates as NoClass instead of leaving them out.
+ * @returns {Array<{date: string, classId: string, status: string, noClassReason: string|null, exists: boolean}>}
+ */
+function planTermSessions({ startDate, endDate, weekdays, classIds, exclusions = [], existingSessions = [], excludedAsNoClass = true }) {
+    if (!isIsoDate(startDate) || !isIsoDate(endDate)) throw new Error('Choose a start and end date.');
+    if (endDate < startDate) throw new Error('The end date is before the start date.');
+    const days = Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000) + 1;
+    if (days > TERM_CALENDAR_MAX_DAYS) throw new Error(`Choose a range of at most ${TERM_CALENDAR_MAX_DAYS} days.`);
+    const weekdaySet = new Set((weekdays || []).map(Number));
+    if (weekdaySet.size === 0) throw new Error('Choose at least one class day.');
+    const classes = [...new Set((classIds || []).map(String))];
+    if (classes.length === 0) throw new Error('Choose at least one class.');
+
+    const excluded = new Map(exclusions.map(item => [item.date, item.reason]));
+    const taken = new Set(existingSessions.map(s => `${s.date}|${s.classId || ''}`));
+    const plan = [];
+    for (let i = 0; i < days; i++) {
+        const day = new Date(Date.parse(startDate) + i * 86400000);
+        if (!weekdaySet.has(day.getUTCDay())) continue;
+        const date = day.toISOString().slice(0, 10);
+        if (excluded.has(date) && !excludedAsNoClass) continue;
+        classes.forEach(classId => plan.push({
+            date,
+            classId,
+            status: excluded.has(date) ? 'NoClass' : 'Available',
+            noClassReason: excluded.has(date) ? excluded.get(date) : null,
+            exists: taken.has(`${date}|`) || taken.has(`${date}|${classId}`),
+        }));
+    }
+    return plan;
+}
+
+// Sessions already in the range, in any academic year: [{ date, classId }]
+async function loadSessionsBetween(startDate, endDate) {
+    const { getDocs, query, collection, where } = window;
+    const snap = await getDocs(query(
+        collection(window.db, 'sessions'),
+        where('sessionDate', '>=', startDate),
+        where('sessionDate', '<=', endDate)
+    ));
+    return snap.docs.map(d => ({ date: d.data().sessionDate || d.id, classId: d.data().classId || null }));
+}
+
+/**
+ * Writes the new sessions of a plan (existing ones are left alone) and logs it.
+ * @returns {Promise<{created: number, noClass: number, skipped: number}>}
+ */
+async function createTermSessions(plan) {
+    if (!getActiveAcademicYearId()) throw new Error('Set an active academic year first.');
+    const toCreate = plan.filter(item => !item.exists);
+    const createdAt = new Date().toISOString();
+
+    await processBatchInChunks(toCreate, (batch, item) => {
+        const id = `${item.date}_${item.classId}`;
+        batch.set(window.doc(window.db, 'sessions', id), withAcademicYear({
+            id,
+            sessionDate: item.date,
+            classId: item.classId,
+            status: item.status,
+            noClassReason: item.noClassReason,
+            createdAt,
+        }));
+    });
+
+    const summary = {
+        created: toCreate.length,
+        noClass: toCreate.filter(item => item.status === 'NoClass').length,
+        skipped: plan.length - toCreate.length,
+    };
+    createAuditLog('sessions_generated', {
+        from: plan[0]?.date || null,
+        to: plan[plan.length - 1]?.date || null,
+        classIds: [...new Set(plan.map(item => item.classId))],
+        ...summary,
+    });
+    return summary;
+}
+
+function resetTermCalendarModal() {
+    const activeYear = (DATA_MODELS.academicYears || []).find(y => y.id === getActiveAcademicYearId());
+    document.getElementById('term-calendar-form')?.reset();
+    document.getElementById('term-start-date').value = activeYear?.startDate || '';
+    document.getElementById('term-end-date').value = activeYear?.endDate || '';
+    const classes = [...(DATA_MODELS.classes || [])]
+        .sort((a, b) => String(a.name || a.id).localeCompare(String(b.name || b.id), undefined, { numeric: true }));
+    document.getElementById('term-classes').innerHTML = classes.map(c => `
+        <label style="display:flex;gap:6px;align-items:center;font-weight:400;font-size:0.9rem;">
+            <input type="checkbox" name="term-class" value="${escapeHtml(c.id)}" checked>
+            <span>${escapeHtml(c.name || c.id)}</span>
+        </label>`).join('') || '<span style="color:var(--text-color-light);">No classes yet.</span>';
+    document.querySelector('#term-calendar-preview tbody').innerHTML = '';
+    document.getElementById('term-calendar-summary').textContent = '';
+    document.getElementById('create-term-calendar-btn').disabled = true;
+    _termCalendarPlan = [];
+}
+
+async function previewTermCalendar() {
+    const createBtn = document.getElementById('create-term-calendar-btn');
+    const tbody = document.querySelector('#term-calendar-preview tbody');
+    createBtn.disabled = true;
+    _termCalendarPlan = [];
+
+    const { exclusions, invalid } = parseTermExclusions(document.getElementById('term-exclusions').value);
+    if (invalid.length) {
+        return showError('Check the excluded dates', `Use YYYY-MM-DD at the start of each line: ${invalid.join(', ')}`);
+    }
+
+    const startDate = document.getElementById('term-start-date').value;
+    const endDate = document.getElementById('term-end-date').value;
+    showSpinner();
+    try {
+        _termCalendarPlan = planTermSessions({
+            startDate,
+            endDate,
+            weekdays: [...document.querySelectorAll('input[name="term-weekday"]:checked')].map(cb => cb.value),
+            classIds: [...document.querySelectorAll('input[name="term-class"]:checked')].map(cb => cb.value),
+            exclusions,
+            existingSessions: isIsoDate(startDate) && isIsoDate(endDate) ? await loadSessionsBetween(startDate, endDate) : [],
+            excludedAsNoClass: document.getElementById('term-excluded-as-noclass').checked,
+        });
+    } catch (err) {
+        tbody.innerHTML = '';
+        return showDataError('Cannot build the calendar', err);
+    } finally {
+        hideSpinner();
+    }
+
+    const fresh = _termCalendarPlan.filter(item => !item.exists);
+    tbody.innerHTML = _termCalendarPlan.map(item => `
+        <tr${item.exists ? ' style="opacity:0.55;"' : ''}>
+            <td>${formatDate(item.date)}</td>
+            <td>${escapeHtml(DATA_MODELS.classes?.find(c => c.id === item.classId)?.name || item.classId)}</td>
+            <td>${item.exists
+                ? 'Already exists — skipped'
+                : item.status === 'Available'
+                    ? '<span class="status-badge status-present">Class Available</span>'
+                    : '<span class="status-badge status-noclass">No Class</span>'}</td>
+            <td>${escapeHtml(item.noClassReason || '')}</td>
+        </tr>`).join('') || '<tr><td colspan="4">No class days in this range.</td></tr>';
+    document.getElementById('term-calendar-summary').textContent =
+        `${fresh.length} new session${fresh.length !== 1 ? 's' : ''} ` +
+        `(${fresh.filter(item => item.status === 'NoClass').length} No Class), ` +
+        `${_termCalendarPlan.length - fresh.length} already exist.`;
+    createBtn.disabled = fresh.length === 0;
+}
+
+async function handleCreateTermCalendar() {
+    if (!_termCalendarPlan.some(item => !item.exists)) return;
+    showSpinner();
+    try {
+        const { created, noClass, skipped } = await createTermSessions(_termCalendarPlan);
+        document.getElementById('term-calendar-modal').style.display = 'none';
+        showSuccess('Sessions created', `${created} created (${noClass} No Class), ${skipped} skipped as duplicates.`);
+    } catch (err) {
+        showDataError('Could not create sessions', err);
     } finally {
         hideSpinner();
     }
@@ -1845,9 +2502,16 @@ function renderAttendanceForm(sessionId) {
         container.innerHTML = '<p>Please select a session to take attendance.</p>';
         return;
     }
+    // The roster needs the year's students; this session's marks stay live
+    if (!_adminYearRows?.loadedAt) {
+        container.innerHTML = '<p>Loading students…</p>';
+        return withAdminYearRows(() => renderAttendanceForm(sessionId));
+    }
+    watchSessionAttendance(sessionId);
 
-    const scope = getAttendanceScope();
-    const adminClassId = currentUserData?.classId || null;
+    // A class's own session only takes that class's attendance
+    const scope = session.classId ? 'class' : getAttendanceScope();
+    const adminClassId = session.classId || currentUserData?.classId || null;
 
     // Build roster
     let rosterStudents = getCurrentAcademicYearRoster(DATA_MODELS.students, DATA_MODELS.enrollments || []);
@@ -1870,7 +2534,13 @@ function renderAttendanceForm(sessionId) {
         ? ` — ${DATA_MODELS.classes?.find(c => c.id === adminClassId)?.name || adminClassId}`
         : ' — All Students';
 
-    let html = `<h3>Take Attendance for ${formatDate(session.date)}${scopeLabel}</h3>
+    let html = `<h3>Take Attendance for ${formatDate(session.date)}${scopeLabel}</h3>`;
+    if (isSessionLocked(session)) {
+        html += hasPermission('manage_all')
+            ? `<p class="attendance-locked-note">🔒 Locked for faculty since ${formatDate(getSessionLockDate(session))}. Changes you save here are recorded in the activity log.</p>`
+            : `<p class="attendance-locked-note">🔒 Locked since ${formatDate(getSessionLockDate(session))}. Only an admin can change it now.</p>`;
+    }
+    html += `
         <div class="form-group">
             <label>Set Status for All:</label>
             <div class="btn-group">
@@ -1950,6 +2620,8 @@ window.saveAttendance = async (sessionId) => {
         const records = []; // { obj, docId } parallel to promises
         const promises = [];
         const skipped = [];
+        const locked = isSessionLocked(DATA_MODELS.sessions.find(s => s.id === sessionId));
+        const changes = [];
 
         for (const select of inputs) {
             const studentId = select.dataset.student;
@@ -1975,6 +2647,10 @@ window.saveAttendance = async (sessionId) => {
                 academicYearId: activeYearId,
                 updatedAt: new Date().toISOString(),
             };
+            if (locked) {
+                const from = DATA_MODELS.attendance.find(a => a.sessionId === sessionId && String(a.studentId) === String(studentId))?.status ?? null;
+                if (from !== status) changes.push({ studentId, from, to: status });
+            }
             const docRef = doc(window.db, 'attendance', docId);
             records.push({ obj: attendanceObj, docId });
             promises.push(setDoc(docRef, attendanceObj, { merge: true }));
@@ -1995,7 +2671,10 @@ window.saveAttendance = async (sessionId) => {
             else DATA_MODELS.attendance.push(obj);
         });
 
-        createAuditLog('attendance_saved', { sessionId, studentCount: saved, skipped: skipped.length, failed: failed.length });
+        createAuditLog('attendance_saved', {
+            sessionId, studentCount: saved, skipped: skipped.length, failed: failed.length,
+            ...(locked ? { locked, changes } : {}),
+        });
 
         if (failed.length > 0) {
             console.error('Attendance save failures:', failed.map(r => r.reason?.message));
@@ -2011,9 +2690,9 @@ window.saveAttendance = async (sessionId) => {
         if (reportSel && reportSel.value && typeof generateDaywiseAttendanceReport === 'function') {
             generateDaywiseAttendanceReport();
         }
-        _debouncedRenderDashboard();
+        _debouncedRenderDashboard({ recount: true });
     } catch (err) {
-        showError('Error saving attendance: ' + err.message);
+        showDataError('Error saving attendance', err);
     } finally {
         hideSpinner();
     }
@@ -2106,7 +2785,7 @@ async function saveAssessment() {
         document.getElementById('assessment-modal').style.display = 'none';
         showSuccess('Assessment created!');
     } catch (err) {
-        showError('Error saving assessment: ' + err.message);
+        showDataError('Error saving assessment', err);
     } finally {
         hideSpinner();
     }
@@ -2146,7 +2825,7 @@ async function deleteAssessment(assessmentId) {
 
     } catch (err) {
         console.error(err);
-        showError('Failed to delete assessment: ' + err.message);
+        showDataError('Failed to delete assessment', err);
     } finally {
         hideSpinner();
     }
@@ -2156,6 +2835,8 @@ function openScoresModal(assessmentId) {
     window._currentScoresAssessmentId = assessmentId;
     const assessment = DATA_MODELS.assessments.find(a => a.id === assessmentId);
     if (!assessment) return showError('Could not find assessment details.');
+    if (!_adminYearRows?.loadedAt) return withAdminYearRows(() => openScoresModal(assessmentId));
+    watchAssessmentScores(assessmentId);
 
     const container = document.getElementById('scores-form-container');
     let html = `<h3>Record Scores for ${escapeHtml(assessment.name)}</h3>
@@ -2215,19 +2896,19 @@ async function saveScores() {
 
     showSpinner();
     try {
-        const { doc, setDoc } = window;
-        const promises = toWrite.map(s => {
+        // One batch so a failed row rolls back the whole save instead of half-writing it
+        const batch = window.writeBatch(window.db);
+        toWrite.forEach(s => {
             const docId = `${s.assessmentId}_${s.studentId}`;
-            const docRef = doc(window.db, 'scores', docId);
-            return setDoc(docRef, s, { merge: true });
+            batch.set(window.doc(window.db, 'scores', docId), s, { merge: true });
         });
-        await Promise.all(promises);
+        await batch.commit();
         createAuditLog('scores_saved', { assessmentId, assessmentName: assessment.name, classId: assessment.classId, studentCount: toWrite.length });
         document.getElementById('scores-modal').style.display = 'none';
         window._currentScoresAssessmentId = null;
         showSuccess('Scores saved successfully!');
     } catch (err) {
-        showError('Error saving scores: ' + err.message);
+        showDataError('Error saving scores', err);
     } finally {
         hideSpinner();
     }
@@ -2729,7 +3410,7 @@ async function importCSV() {
         createAuditLog('csv_import', { count: studentsToImport.length });
         showSuccess(`Successfully imported ${studentsToImport.length} students.`);
     } catch (err) {
-        showError('Import failed: ' + err.message);
+        showDataError('Import failed', err);
     } finally {
         hideSpinner();
     }
@@ -2760,7 +3441,7 @@ function downloadJsonBackup() {
         URL.revokeObjectURL(url);
         showSuccess('JSON Backup Downloaded!');
     } catch (err) {
-        showError('Backup Failed: ' + err.message);
+        showDataError('Backup Failed', err);
     } finally {
         hideSpinner();
     }
@@ -2858,7 +3539,7 @@ function exportToCsv(data, headers, filename) {
         URL.revokeObjectURL(url);
         showSuccess('CSV Exported!', `${filename} has been downloaded.`);
     } catch (err) {
-        showError('CSV Export Failed: ' + err.message);
+        showDataError('CSV Export Failed', err);
     } finally {
         hideSpinner();
     }
@@ -2874,16 +3555,18 @@ async function loadAllDataForAdmin() {
     console.log('Loading all admin data for analytics...');
     try {
         const { getDocs, collection, getDoc, doc, query, where } = window;
+        // Students, attendance and scores are not bulk-loaded here: the students
+        // table and activity log page through the server, the dashboard's
+        // headline figures are counted by loadAdminSummaryCounts(), and views
+        // needing the year's rows read them through loadAdminYearRows().
         const collectionsToFetch = [
-            'students',
             'sessions',
-            'attendance',
             'assessments',
-            'scores',
             'earlyAngelEntries',
             'earlyAngelDailySummary',
             'earlyAngelLeaderboard',
             'userRoles',
+            'roles',
             'classes',
             'academicYears',
             'enrollments',
@@ -2895,7 +3578,7 @@ async function loadAllDataForAdmin() {
         // and enforces "stick strictly to the active academic year".
         const activeYearIdForLoad = getActiveAcademicYearId() || null;
         const yearScopedSet = new Set([
-            'sessions', 'attendance', 'assessments', 'scores', 'enrollments',
+            'sessions', 'assessments', 'enrollments',
             'earlyAngelEntries', 'earlyAngelDailySummary', 'earlyAngelLeaderboard'
         ]);
         const buildFetchRef = (colName) => (activeYearIdForLoad && yearScopedSet.has(colName))
@@ -2932,9 +3615,7 @@ async function loadAllDataForAdmin() {
 
         const yearScopedCollections = [
             'sessions',
-            'attendance',
             'assessments',
-            'scores',
             'enrollments',
             'earlyAngelEntries',
             'earlyAngelDailySummary',
@@ -2943,6 +3624,9 @@ async function loadAllDataForAdmin() {
         yearScopedCollections.forEach(colName => {
             DATA_MODELS[colName] = (DATA_MODELS[colName] || []).filter(isCurrentAcademicYear);
         });
+        // Year rows already read are re-read so views using them see the change
+        if (_adminYearRows) await loadAdminYearRows({ maxAgeMs: 0 });
+        await loadAdminSummaryCounts();
         console.log('All admin data loaded.');
     } catch (err) {
         console.error('Error loading admin data:', err);
@@ -2950,12 +3634,33 @@ async function loadAllDataForAdmin() {
     }
 }
 
+/**
+ * Counts the dashboard's headline figures on the server (no rows transferred):
+ * the active year's roster and its Present/Late attendance records.
+ * @returns {Promise<{students: number, attended: number}|null>} null without an active year.
+ */
+async function loadAdminSummaryCounts() {
+    const yearId = getActiveAcademicYearId();
+    if (!yearId) {
+        DATA_MODELS.summaryCounts = null;
+        return null;
+    }
+    const { collection, query, where, getCountFromServer } = window;
+    const inYear = (name, ...filters) => query(collection(window.db, name), where('academicYearId', '==', yearId), ...filters);
+    const [students, attended] = await Promise.all([
+        getCountFromServer(inYear('enrollments', where('status', '!=', 'transferred'))),
+        getCountFromServer(inYear('attendance', where('status', 'in', ['Present', 'Late']))),
+    ]);
+    DATA_MODELS.summaryCounts = { students: students.data().count, attended: attended.data().count };
+    return DATA_MODELS.summaryCounts;
+}
+
 function renderAdminAnalytics() {
     console.log('Rendering admin analytics...');
     const facultyTableBody = document.querySelector('#faculty-performance-table tbody');
     if (!facultyTableBody) return console.error('Faculty performance table body not found!');
     facultyTableBody.innerHTML = '';
-    const faculty = DATA_MODELS.userRoles.filter(u => u.role === 'faculty');
+    const faculty = DATA_MODELS.userRoles.filter(u => roleHasPermission(u.role, 'manage_class'));
     const availableSessions = DATA_MODELS.sessions.filter(s => s.status === 'Available' && isCurrentAcademicYear(s));
     const activeYearAttendance = (DATA_MODELS.attendance || []).filter(a => isCurrentAcademicYear(a));
     if (faculty.length === 0) {
@@ -3313,7 +4018,7 @@ async function saveAcademicYear(e) {
         resetAcademicYearForm();
         showSuccess(isEditMode ? 'Academic year updated successfully.' : 'Academic year saved successfully.');
     } catch (err) {
-        showError('Failed to save academic year: ' + err.message);
+        showDataError('Failed to save academic year', err);
     } finally {
         hideSpinner();
     }
@@ -3339,7 +4044,7 @@ async function saveActiveAcademicYear() {
         startRealtimeListeners();
         showSuccess('Active academic year updated.');
     } catch (err) {
-        showError('Failed to update active academic year: ' + err.message);
+        showDataError('Failed to update active academic year', err);
     } finally {
         hideSpinner();
     }
@@ -3403,7 +4108,7 @@ async function backfillAcademicYearForLegacyData() {
         startRealtimeListeners();
         showSuccess('Backfill complete!', `Updated ${updatedCount} records and synced ${enrollmentCount} enrollments.`);
     } catch (err) {
-        showError('Backfill failed: ' + err.message);
+        showDataError('Backfill failed', err);
     } finally {
         hideSpinner();
     }
@@ -3538,7 +4243,7 @@ async function previewYearPromotion() {
         if (runBtn) runBtn.disabled = toEnroll.length === 0;
     } catch (err) {
         container.innerHTML = `<p style="color:var(--danger);padding:8px 0;"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(err.message)}</p>`;
-        showError('Preview failed: ' + err.message);
+        showDataError('Preview failed', err);
     } finally {
         hideSpinner();
     }
@@ -3562,40 +4267,20 @@ async function runYearPromotion() {
         'Yes, Promote'
     );
     if (!confirmed.isConfirmed) return;
+    if (!(await requireStepUp('promote these students'))) return;
 
     showSpinner();
-    let ok = 0, fail = 0;
     try {
-        await Promise.all(toEnroll.map(async (student) => {
-            try {
-                // Create enrollment record in the new year/class
-                await createOrUpdateEnrollment(toYear, toClass, student.studentId, {
-                    fullName: student.fullName,
-                    status: 'active',
-                    promotedFromClass: fromClass,
-                    promotedFromYear: fromYear,
-                    promotedAt: new Date().toISOString()
-                });
-                // Update master student profile classId so faculty queries find them
-                await setDoc(
-                    doc(window.db, 'students', String(student.studentId)),
-                    { classId: toClass, updatedAt: new Date().toISOString() },
-                    { merge: true }
-                );
-                ok++;
-            } catch (e) {
-                fail++;
-                console.error('Promotion failed for', student.studentId, e);
-            }
-        }));
-        createAuditLog('admin_year_promotion', { fromYear, fromClass, toYear, toClass, promoted: ok, failed: fail });
+        // One transaction: either every student is promoted or none is
+        const enrollments = await promoteStudents({ fromYear, fromClass, toYear, toClass, students: toEnroll });
+        const ok = enrollments.length;
+        createAuditLog('admin_year_promotion', { fromYear, fromClass, toYear, toClass, promoted: ok });
         document.getElementById('promo-run-btn').disabled = true;
         document.getElementById('promo-preview-container').innerHTML = '';
         _promoPreviewStudents = [];
-        showSuccess('Promotion Complete!',
-            `${ok} student${ok !== 1 ? 's' : ''} enrolled in ${toClassName}.${fail > 0 ? ` ${fail} failed — check console.` : ''}`);
+        showSuccess('Promotion Complete!', `${ok} student${ok !== 1 ? 's' : ''} enrolled in ${toClassName}.`);
     } catch (err) {
-        showError('Promotion failed: ' + err.message);
+        showDataError('Promotion failed — no students were promoted', err);
     } finally {
         hideSpinner();
     }
@@ -3659,7 +4344,7 @@ async function fixRegisterNumbers() {
                     { registerNo, updatedAt: serverTimestamp() }, { merge: true }),
                 // Fix master student classId so faculty can find them
                 setDoc(doc(window.db, 'students', String(enroll.studentId)),
-                    { classId: toClass, academicYearId: toYear, updatedAt: serverTimestamp() },
+                    { classId: toClass, updatedAt: serverTimestamp() },
                     { merge: true })
             ]);
         }));
@@ -3677,7 +4362,7 @@ async function fixRegisterNumbers() {
         createAuditLog('admin_fix_register_numbers', { toYear, toClass, updated });
         showSuccess('Done!', `${updated} students fixed: register numbers ${classNum}01–${classNum}${String(updated).padStart(2, '0')} and class profiles updated.`);
     } catch (err) {
-        showError('Fix failed: ' + err.message);
+        showDataError('Fix failed', err);
     } finally {
         hideSpinner();
     }
@@ -3709,7 +4394,7 @@ async function enableMigrationForYear() {
         renderAcademicYearControls();
         showSuccess('Migration enabled for ' + year.label);
     } catch (err) {
-        showError('Failed to enable migration: ' + err.message);
+        showDataError('Failed to enable migration', err);
     } finally {
         hideSpinner();
     }
@@ -3736,7 +4421,7 @@ async function disableMigrationForAllYears() {
         renderAcademicYearControls();
         showSuccess('All migrations disabled.');
     } catch (err) {
-        showError('Failed to disable migrations: ' + err.message);
+        showDataError('Failed to disable migrations', err);
     } finally {
         hideSpinner();
     }
@@ -3853,7 +4538,7 @@ async function saveClass(e) {
         classNameInput.value = '';
         // Realtime listener handles refresh automatically
     } catch (err) {
-        showError('Error saving class: ' + err.message);
+        showDataError('Error saving class', err);
     } finally {
         hideSpinner();
     }
@@ -3878,7 +4563,8 @@ async function saveUserRole(e) {
         email: email // Store email for the analytics dashboard
     };
 
-    if (role === 'faculty') {
+    const isClassRole = roleHasPermission(role, 'manage_class');
+    if (isClassRole) {
         if (!classId) return showError('Please select a class for the faculty.');
         roleData.classId = classId;
     }
@@ -3887,16 +4573,17 @@ async function saveUserRole(e) {
         const { doc, setDoc } = window;
         await setDoc(doc(window.db, 'userRoles', uid), roleData, { merge: true });
 
-        if (role === 'faculty') {
+        if (isClassRole) {
             const activeYearId = getActiveAcademicYearId() || DATA_MODELS.appConfig?.activeAcademicYearId || null;
             if (activeYearId) {
-                const assignmentId = `${activeYearId}_${uid}`;
+                const assignmentId = getFacultyAssignmentId(activeYearId, uid, classId);
                 await setDoc(doc(window.db, 'facultyClassAssignments', assignmentId), {
                     id: assignmentId,
                     academicYearId: activeYearId,
                     uid,
                     email,
                     classId,
+                    assignmentRole: 'primary',
                     updatedAt: new Date().toISOString(),
                 }, { merge: true });
             }
@@ -3908,7 +4595,7 @@ async function saveUserRole(e) {
         await loadAllDataForAdmin(); // Refresh admin data
         renderAdminAnalytics();
     } catch (err) {
-        showError('Error saving role: ' + err.message);
+        showDataError('Error saving role', err);
     } finally {
         hideSpinner();
     }
@@ -3946,7 +4633,7 @@ async function runBackfillMigration() {
         showSuccess('Migration Complete!', `Updated ${totalUpdated} documents.`);
         createAuditLog('data_migration_run', { assignedClassId: classId, totalUpdated });
     } catch (err) {
-        showError('Migration Failed: ' + err.message);
+        showDataError('Migration Failed', err);
     } finally {
         hideSpinner();
     }
@@ -3978,7 +4665,7 @@ async function runFieldCleanup() {
             createAuditLog('data_cleanup_run', { field: 'class', collection: 'students', count: promises.length });
         }
     } catch (err) {
-        showError('Cleanup Failed: ' + err.message);
+        showDataError('Cleanup Failed', err);
     } finally {
         hideSpinner();
     }
@@ -3987,7 +4674,7 @@ async function runFieldCleanup() {
 async function runSessionCleanup() {
     const result = await showConfirmWithInput(
         'Run Session Cleanup?',
-        'This will remove "classId" from all SESSIONS. Type "CLEANUP SESSIONS" to confirm.',
+        'This will remove a stray "classId" from shared SESSIONS (those keyed by date). Sessions generated for a class keep theirs. Type "CLEANUP SESSIONS" to confirm.',
         'CLEANUP SESSIONS'
     );
     if (result.value !== 'CLEANUP SESSIONS') return showSuccess('Cleanup Canceled.');
@@ -3998,7 +4685,8 @@ async function runSessionCleanup() {
         if (snapshot.empty) return showSuccess('Cleanup Complete', 'No sessions found.');
         const promises = [];
         snapshot.forEach((doc) => {
-            if (doc.data().classId !== undefined) {
+            const data = doc.data();
+            if (data.classId && doc.id === data.sessionDate) {
                 promises.push(updateDoc(doc.ref, { classId: deleteField() }));
             }
         });
@@ -4010,7 +4698,7 @@ async function runSessionCleanup() {
             createAuditLog('data_cleanup_run', { field: 'classId', collection: 'sessions', count: promises.length });
         }
     } catch (err) {
-        showError('Session Cleanup Failed: ' + err.message);
+        showDataError('Session Cleanup Failed', err);
     } finally {
         hideSpinner();
     }
@@ -4108,7 +4796,7 @@ async function runStudentIdMigration(e) {
         renderStudentsTable();
 
     } catch (err) {
-        showError('Migration Failed: ' + err.message);
+        showDataError('Migration Failed', err);
     } finally {
         hideSpinner();
     }
@@ -4341,7 +5029,7 @@ async function importBulkAttendance() {
 
     } catch (err) {
         console.error(err);
-        showError('Import Failed: ' + err.message);
+        showDataError('Import Failed', err);
     } finally {
         btn.disabled = false;
         btn.innerHTML = '<i class="fas fa-upload"></i> Upload & Process Attendance';
@@ -4530,6 +5218,7 @@ async function restoreSystemFromBackup() {
     if (!file) return alert("Please select a JSON backup file first.");
 
     if (!confirm("CRITICAL WARNING: This will MERGE backup data into your database. \n\n- Existing IDs will be updated.\n- New IDs will be created.\n- Large datasets will be processed in chunks.\n\nAre you sure?")) return;
+    if (!(await requireStepUp('restore a backup'))) return;
 
     const reader = new FileReader();
     reader.onload = async function (e) {
@@ -4576,7 +5265,7 @@ async function restoreSystemFromBackup() {
 
         } catch (err) {
             console.error(err);
-            showError("Restore Failed: " + err.message);
+            showDataError("Restore Failed", err);
         } finally {
             hideSpinner();
         }
@@ -4628,15 +5317,9 @@ function renderUserRolesTable() {
     const activeYearLabel = document.getElementById('faculty-assignment-active-year');
     const activeYearId = getActiveAcademicYearId() || DATA_MODELS.appConfig?.activeAcademicYearId || 'Not set';
     if (activeYearLabel) {
-        activeYearLabel.textContent = `Active year faculty-class assignment: ${activeYearId}`;
+        activeYearLabel.textContent = `Active year faculty-class assignments: ${activeYearId}`;
     }
 
-    const activeAssignmentsByUid = new Map(
-        (DATA_MODELS.facultyClassAssignments || [])
-            .filter(item => String(item.academicYearId || '') === String(activeYearId))
-            .map(item => [String(item.uid || ''), item])
-    );
-
     tbody.innerHTML = '';
 
     // Filter valid roles
@@ -4651,34 +5334,52 @@ function renderUserRolesTable() {
     }
 
     roles.forEach(user => {
-        const isFaculty = String(user.role || '').trim().toLowerCase() === 'faculty';
-        const assignedClassId = isFaculty
-            ? String(activeAssignmentsByUid.get(String(user.uid || ''))?.classId || user.classId || '')
-            : String(user.classId || '');
-
-        const classEditorHtml = isFaculty
-            ? `
+        const isFaculty = roleHasPermission(user.role, 'manage_class');
+        const uid = escapeHtml(user.uid);
+
+        let classEditorHtml = escapeHtml(user.classId || '-');
+        if (isFaculty) {
+            const assignments = getFacultyAssignments(user.uid, activeYearId);
+            const assignedIds = new Set(assignments.map(item => String(item.classId)));
+            const chips = assignments.map(item => {
+                const cls = classes.find(c => String(c.id) === String(item.classId));
+                const isPrimary = (item.assignmentRole || 'primary') === 'primary';
+                return `
+                    <span class="status-badge status-${isPrimary ? 'present' : 'late'}" style="display:inline-flex; gap:6px; align-items:center;">
+                        ${escapeHtml(cls?.name || item.classId)} · ${isPrimary ? 'Primary' : 'Assistant'}
+                        ${item.id ? `<button class="remove-faculty-class" style="background:none; border:none; padding:0; color:inherit; cursor:pointer;" data-uid="${uid}" data-assignment-id="${escapeHtml(item.id)}" title="Remove class"><i class="fas fa-times"></i></button>` : ''}
+                    </span>`;
+            }).join(' ');
+
+            classEditorHtml = `
+                <div style="display:flex; gap:6px; flex-wrap:wrap; margin-bottom:6px;">${chips || '<em>No class yet</em>'}</div>
                 <div style="display:flex; gap:8px; align-items:center; flex-wrap:wrap;">
-                    <select class="faculty-class-select" data-uid="${escapeHtml(user.uid)}" style="min-width:170px;">
-                        <option value="">-- Select class --</option>
-                        ${classes.map(cls => {
-                const selected = String(cls.id || '') === assignedClassId ? 'selected' : '';
-                return `<option value="${escapeHtml(cls.id)}" ${selected}>${escapeHtml(cls.name || cls.id)}</option>`;
-            }).join('')}
+                    <select class="faculty-class-select" data-uid="${uid}" style="min-width:150px;">
+                        <option value="">-- Add class --</option>
+                        ${classes.filter(cls => !assignedIds.has(String(cls.id))).map(cls =>
+                            `<option value="${escapeHtml(cls.id)}">${escapeHtml(cls.name || cls.id)}</option>`
+                        ).join('')}
+                    </select>
+                    <select class="faculty-class-role-select" data-uid="${uid}">
+                        <option value="primary">Primary</option>
+                        <option value="assistant">Assistant</option>
                     </select>
-                    <button class="btn btn-primary btn-sm save-faculty-class" data-uid="${escapeHtml(user.uid)}">
-                        <i class="fas fa-save"></i> Update
+                    <button class="btn btn-primary btn-sm save-faculty-class" data-uid="${uid}">
+                        <i class="fas fa-plus"></i> Assign
                     </button>
                 </div>
-            `
-            : escapeHtml(user.classId || '-');
+            `;
+        }
 
         const row = document.createElement('tr');
         row.innerHTML = `
             <td>${escapeHtml(user.email || 'No Email')}</td>
-            <td><span class="status-badge status-${user.role === 'admin' ? 'present' : 'late'}">${user.role.toUpperCase()}</span></td>
+            <td><span class="status-badge status-${roleHasPermission(user.role, 'manage_all') ? 'present' : 'late'}">${escapeHtml(getRoleName(user.role).toUpperCase())}</span></td>
             <td>${classEditorHtml}</td>
             <td>
+                ${isFaculty ? `<button class="btn btn-secondary btn-sm view-as-faculty-btn" data-uid="${uid}" title="View the faculty portal as this user">
+                    <i class="fas fa-eye"></i> View as
+                </button>` : ''}
                 <button class="btn btn-danger btn-sm delete-role" data-uid="${user.uid}">
                     <i class="fas fa-trash"></i> Revoke
                 </button>
@@ -4695,44 +5396,84 @@ function renderUserRolesTable() {
     tbody.querySelectorAll('.save-faculty-class').forEach(btn => {
         btn.addEventListener('click', (e) => {
             const uid = String(e.currentTarget.dataset.uid || '').trim();
-            const select = tbody.querySelector(`.faculty-class-select[data-uid="${uid}"]`);
-            const classId = String(select?.value || '').trim();
-            updateFacultyClassAssignment(uid, classId);
+            const classId = String(tbody.querySelector(`.faculty-class-select[data-uid="${uid}"]`)?.value || '').trim();
+            const assignmentRole = tbody.querySelector(`.faculty-class-role-select[data-uid="${uid}"]`)?.value || 'primary';
+            updateFacultyClassAssignment(uid, classId, assignmentRole);
+        });
+    });
+
+    tbody.querySelectorAll('.view-as-faculty-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => viewAsFaculty(e.currentTarget.dataset.uid));
+    });
+
+    tbody.querySelectorAll('.remove-faculty-class').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const { uid, assignmentId } = e.currentTarget.dataset;
+            removeFacultyClassAssignment(uid, assignmentId);
         });
     });
 }
 
-async function updateFacultyClassAssignment(uid, classId) {
+function getFacultyAssignmentId(academicYearId, uid, classId) {
+    return `${academicYearId}_${uid}_${classId}`;
+}
+
+/**
+ * A faculty's classes in one academic year, primary first. user_roles.classId
+ * is listed as primary when no assignment row covers it (accounts set up
+ * before faculty_class_assignments); such entries have no id.
+ */
+function getFacultyAssignments(uid, academicYearId) {
+    const assignments = (DATA_MODELS.facultyClassAssignments || [])
+        .filter(item => String(item.uid || '') === String(uid) && String(item.academicYearId || '') === String(academicYearId));
+    const roleDoc = (DATA_MODELS.userRoles || []).find(user => String(user.uid || '') === String(uid));
+    if (roleDoc?.classId && !assignments.some(item => String(item.classId) === String(roleDoc.classId))) {
+        assignments.push({ id: null, uid, academicYearId, classId: roleDoc.classId, assignmentRole: 'primary' });
+    }
+    return assignments.sort((a, b) =>
+        ((a.assignmentRole || 'primary') === 'primary' ? 0 : 1) - ((b.assignmentRole || 'primary') === 'primary' ? 0 : 1)
+        || String(a.classId).localeCompare(String(b.classId), undefined, { numeric: true })
+    );
+}
+
+async function updateFacultyClassAssignment(uid, classId, assignmentRole = 'primary') {
     if (!uid) return showError('Invalid faculty UID.');
-    if (!classId) return showError('Please select a class before updating.');
+    if (!classId) return showError('Please select a class before assigning.');
 
     const roleDoc = (DATA_MODELS.userRoles || []).find(user => String(user.uid || '') === String(uid));
     if (!roleDoc) return showError('Faculty role not found. Refresh and try again.');
-    if (String(roleDoc.role || '').trim().toLowerCase() !== 'faculty') return showError('Class assignment is allowed only for faculty users.');
+    if (!roleHasPermission(roleDoc.role, 'manage_class')) return showError('Class assignment is allowed only for roles that teach a class.');
 
     const activeYearId = getActiveAcademicYearId() || DATA_MODELS.appConfig?.activeAcademicYearId || null;
+    if (!activeYearId) return showError('Set an active academic year before assigning classes.');
     const nowIso = new Date().toISOString();
 
     showSpinner();
     try {
-        // merge:true preserves existing columns — only send valid user_roles columns.
-        // (Do NOT spread roleDoc: it carries a synthetic `uid` field, and there is no
-        //  `uid`/`updated_by` column on user_roles, which would reject the write.)
-        const userRolePayload = {
-            role: 'faculty',
+        // Rows written before per-class ids ('{year}_{uid}') are updated in place
+        const existing = (DATA_MODELS.facultyClassAssignments || []).find(item =>
+            String(item.uid || '') === String(uid)
+            && String(item.academicYearId || '') === String(activeYearId)
+            && String(item.classId || '') === String(classId));
+        const assignmentId = existing?.id || getFacultyAssignmentId(activeYearId, uid, classId);
+
+        await window.setDoc(window.doc(window.db, 'facultyClassAssignments', assignmentId), {
+            id: assignmentId,
+            academicYearId: activeYearId,
+            uid,
+            email: roleDoc.email || '',
             classId,
+            assignmentRole,
             updatedAt: nowIso,
-        };
-
-        await window.setDoc(window.doc(window.db, 'userRoles', uid), userRolePayload, { merge: true });
+        }, { merge: true });
 
-        if (activeYearId) {
-            const assignmentId = `${activeYearId}_${uid}`;
-            await window.setDoc(window.doc(window.db, 'facultyClassAssignments', assignmentId), {
-                id: assignmentId,
-                academicYearId: activeYearId,
-                uid,
-                email: roleDoc.email || '',
+        // user_roles.classId is the faculty's primary (default) class.
+        // merge:true preserves existing columns — only send valid user_roles columns.
+        // (Do NOT spread roleDoc: it carries a synthetic `uid` field, and there is no
+        //  `uid`/`updated_by` column on user_roles, which would reject the write.)
+        if (assignmentRole === 'primary' || !roleDoc.classId) {
+            await window.setDoc(window.doc(window.db, 'userRoles', uid), {
+                role: roleDoc.role,
                 classId,
                 updatedAt: nowIso,
             }, { merge: true });
@@ -4741,15 +5482,55 @@ async function updateFacultyClassAssignment(uid, classId) {
         createAuditLog('faculty_class_assignment_updated', {
             uid,
             classId,
+            assignmentRole,
             academicYearId: activeYearId,
         });
 
         await loadAllDataForAdmin();
         renderUserRolesTable();
         renderAdminAnalytics();
-        showSuccess('Assignment Updated', `Faculty class updated to ${classId}.`);
+        showSuccess('Assignment Updated', `${classId} assigned as ${assignmentRole}.`);
+    } catch (err) {
+        showDataError('Failed to update faculty class assignment', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+async function removeFacultyClassAssignment(uid, assignmentId) {
+    const assignment = (DATA_MODELS.facultyClassAssignments || []).find(item => String(item.id) === String(assignmentId));
+    if (!assignment) return showError('Assignment not found. Refresh and try again.');
+    if (!confirm(`Remove ${assignment.classId} from this faculty member?`)) return;
+
+    const roleDoc = (DATA_MODELS.userRoles || []).find(user => String(user.uid || '') === String(uid));
+
+    showSpinner();
+    try {
+        await window.deleteDoc(window.doc(window.db, 'facultyClassAssignments', String(assignmentId)));
+
+        // Removing the primary class moves user_roles.classId to another assigned class
+        if (roleDoc && String(roleDoc.classId || '') === String(assignment.classId)) {
+            const next = getFacultyAssignments(uid, assignment.academicYearId)
+                .find(item => item.id && String(item.id) !== String(assignmentId));
+            await window.setDoc(window.doc(window.db, 'userRoles', uid), {
+                role: roleDoc.role,
+                classId: next ? next.classId : null,
+                updatedAt: new Date().toISOString(),
+            }, { merge: true });
+        }
+
+        createAuditLog('faculty_class_assignment_removed', {
+            uid,
+            classId: assignment.classId,
+            academicYearId: assignment.academicYearId,
+        });
+
+        await loadAllDataForAdmin();
+        renderUserRolesTable();
+        renderAdminAnalytics();
+        showSuccess('Assignment Removed', `${assignment.classId} removed.`);
     } catch (err) {
-        showError('Failed to update faculty class assignment: ' + err.message);
+        showDataError('Failed to remove faculty class assignment', err);
     } finally {
         hideSpinner();
     }
@@ -4757,6 +5538,7 @@ async function updateFacultyClassAssignment(uid, classId) {
 
 async function deleteUserRole(uid) {
     if (!confirm("Are you sure? This user will lose access immediately.")) return;
+    if (!(await requireStepUp('revoke this account\'s access'))) return;
 
     showSpinner();
     try {
@@ -4774,12 +5556,724 @@ async function deleteUserRole(uid) {
         await loadAllDataForAdmin();
         renderUserRolesTable();
     } catch (err) {
-        showError('Failed to revoke role: ' + err.message);
+        showDataError('Failed to revoke role', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+// -----------------
+// ✉️ STAFF INVITATIONS
+// -----------------
+// Staff are invited by email with their role and classes chosen up front. The
+// emailed link signs the invitee in on set-password.html, which applies them
+// through accept_staff_invitation() (supabase/add_staff_invitations.sql).
+
+const STAFF_INVITE_VALID_DAYS = 7;
+
+function getStaffInviteUrl(token) {
+    return new URL(`set-password.html?invite=${encodeURIComponent(token)}`, window.location.href).href;
+}
+
+function getStaffInviteExpiry() {
+    return new Date(Date.now() + STAFF_INVITE_VALID_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Saves a pending invitation and emails its link. Classes only apply to roles
+ * with manage_class: the primary class first, then any assistant classes.
+ * Resolves to the invitation id; throws a message for the admin.
+ */
+async function inviteStaffMember({ email, role, primaryClassId = '', assistantClassIds = [] }) {
+    const address = String(email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw new Error('Enter a valid email address.');
+    if (!getRoleById(role)) throw new Error('Choose a role for the invitation.');
+    if ((DATA_MODELS.userRoles || []).some(user => String(user.email || '').toLowerCase() === address)) {
+        throw new Error('That email already has an account. Change its role in the table below instead.');
+    }
+    if ((DATA_MODELS.staffInvitations || []).some(item => item.status === 'pending' && item.email === address)) {
+        throw new Error('That email already has a pending invitation. Resend or revoke it below.');
+    }
+
+    const teachesClass = roleHasPermission(role, 'manage_class');
+    if (teachesClass && !primaryClassId) throw new Error('Choose the class they will teach.');
+    const classAssignments = teachesClass
+        ? [
+            { classId: String(primaryClassId), assignmentRole: 'primary' },
+            ...[...new Set(assistantClassIds.map(String))]
+                .filter(classId => classId && classId !== String(primaryClassId))
+                .map(classId => ({ classId, assignmentRole: 'assistant' })),
+        ]
+        : [];
+
+    const token = `${window.crypto.randomUUID()}${window.crypto.randomUUID()}`.replace(/-/g, '');
+    const nowIso = new Date().toISOString();
+    const { id } = await window.addDoc(window.collection(window.db, 'staffInvitations'), {
+        token,
+        email: address,
+        role,
+        classAssignments,
+        academicYearId: getActiveAcademicYearId() || DATA_MODELS.appConfig?.activeAcademicYearId || null,
+        status: 'pending',
+        invitedBy: window.auth?.currentUser?.uid || null,
+        expiresAt: getStaffInviteExpiry(),
+        createdAt: nowIso,
+        updatedAt: nowIso,
+    });
+    createAuditLog('staff_invited', { invitationId: id, email: address, role, classAssignments });
+
+    try {
+        await window.sendSignInLinkToEmail(window.auth, address, { url: getStaffInviteUrl(token) });
+    } catch (err) {
+        console.warn('Invitation email failed:', err);
+        throw new Error(`The invitation was saved but the email could not be sent (${err.message}). Use Resend to try again.`);
+    }
+    return id;
+}
+
+async function handleStaffInviteSubmit(e) {
+    e.preventDefault();
+    const email = document.getElementById('invite-email').value;
+    const assistantSelect = document.getElementById('invite-assistant-classes');
+
+    showSpinner();
+    try {
+        await inviteStaffMember({
+            email,
+            role: document.getElementById('invite-role-select').value,
+            primaryClassId: document.getElementById('invite-primary-class').value,
+            assistantClassIds: Array.from(assistantSelect?.selectedOptions || []).map(option => option.value),
+        });
+        showSuccess('Invitation Sent', `${email.trim()} will get a link to set their password.`);
+        document.getElementById('staff-invite-form').reset();
+        populateRoleSelect();
+    } catch (err) {
+        showDataError('Invitation not sent', err);
+    } finally {
+        await renderStaffInvitationsTable();
+        hideSpinner();
+    }
+}
+
+function renderStaffInvitePanel() {
+    const classes = [...(DATA_MODELS.classes || [])].sort((a, b) =>
+        String(a.id || '').localeCompare(String(b.id || ''), undefined, { numeric: true })
+    );
+    const options = classes.map(cls => `<option value="${escapeHtml(cls.id)}">${escapeHtml(cls.name || cls.id)}</option>`).join('');
+
+    const primary = document.getElementById('invite-primary-class');
+    if (primary) {
+        const current = primary.value;
+        primary.innerHTML = `<option value="">-- Select a class --</option>${options}`;
+        primary.value = current;
+    }
+    const assistants = document.getElementById('invite-assistant-classes');
+    if (assistants) assistants.innerHTML = options;
+
+    renderStaffInvitationsTable();
+}
+
+async function renderStaffInvitationsTable() {
+    const tbody = document.querySelector('#staff-invitations-table tbody');
+    if (!tbody) return;
+
+    try {
+        const { getDocs, query, collection, where } = window;
+        const snap = await getDocs(query(collection(window.db, 'staffInvitations'), where('status', '==', 'pending')));
+        DATA_MODELS.staffInvitations = snap.docs.map(d => ({ id: d.id, ...d.data() }))
+            .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+    } catch (err) {
+        tbody.innerHTML = '';
+        return showDataError('Could not load invitations', err);
+    }
+
+    if (!DATA_MODELS.staffInvitations.length) {
+        tbody.innerHTML = '<tr><td colspan="5" style="color:var(--text-muted);">No pending invitations.</td></tr>';
+        return;
+    }
+
+    const now = new Date().toISOString();
+    tbody.innerHTML = DATA_MODELS.staffInvitations.map(invite => {
+        const classes = (invite.classAssignments || [])
+            .map(item => `${escapeHtml(item.classId)}${item.assignmentRole === 'assistant' ? ' (assistant)' : ''}`)
+            .join(', ') || '-';
+        const expired = String(invite.expiresAt || '') < now;
+        return `<tr>
+            <td>${escapeHtml(invite.email)}</td>
+            <td>${escapeHtml(getRoleName(invite.role))}</td>
+            <td>${classes}</td>
+            <td>${expired ? '<span class="status-badge status-absent">Expired</span>' : escapeHtml(formatDateTime(new Date(invite.expiresAt)))}</td>
+            <td>
+                <button class="btn btn-secondary btn-sm resend-invite-btn" data-id="${escapeHtml(invite.id)}"><i class="fas fa-paper-plane"></i> Resend</button>
+                <button class="btn btn-danger btn-sm revoke-invite-btn" data-id="${escapeHtml(invite.id)}"><i class="fas fa-ban"></i> Revoke</button>
+            </td>
+        </tr>`;
+    }).join('');
+
+    tbody.querySelectorAll('.resend-invite-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => resendStaffInvitation(e.currentTarget.dataset.id));
+    });
+    tbody.querySelectorAll('.revoke-invite-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => revokeStaffInvitation(e.currentTarget.dataset.id));
+    });
+}
+
+// Emails the same link again and restarts its expiry
+async function resendStaffInvitation(invitationId) {
+    const invite = (DATA_MODELS.staffInvitations || []).find(item => String(item.id) === String(invitationId));
+    if (!invite) return showError('Invitation not found. Refresh and try again.');
+
+    showSpinner();
+    try {
+        await window.updateDoc(window.doc(window.db, 'staffInvitations', invite.id), {
+            expiresAt: getStaffInviteExpiry(),
+            updatedAt: new Date().toISOString(),
+        });
+        await window.sendSignInLinkToEmail(window.auth, invite.email, { url: getStaffInviteUrl(invite.token) });
+        createAuditLog('staff_invite_resent', { invitationId: invite.id, email: invite.email });
+        showSuccess('Invitation Resent', invite.email);
+    } catch (err) {
+        showDataError('Could not resend invitation', err);
+    } finally {
+        await renderStaffInvitationsTable();
+        hideSpinner();
+    }
+}
+
+async function revokeStaffInvitation(invitationId) {
+    const invite = (DATA_MODELS.staffInvitations || []).find(item => String(item.id) === String(invitationId));
+    if (!invite) return showError('Invitation not found. Refresh and try again.');
+    const result = await showConfirm('Revoke Invitation?', `The link sent to ${invite.email} will stop working.`, 'Yes, revoke');
+    if (!result.isConfirmed) return;
+
+    showSpinner();
+    try {
+        await window.updateDoc(window.doc(window.db, 'staffInvitations', invite.id), {
+            status: 'revoked',
+            updatedAt: new Date().toISOString(),
+        });
+        createAuditLog('staff_invite_revoked', { invitationId: invite.id, email: invite.email });
+    } catch (err) {
+        showDataError('Could not revoke invitation', err);
+    } finally {
+        await renderStaffInvitationsTable();
+        hideSpinner();
+    }
+}
+
+// -----------------
+// 🛂 ROLES & PERMISSIONS
+// -----------------
+// Each role's permissions list is the matrix has_permission() checks in
+// supabase/rls.sql; PERMISSIONS (common.js) lists what can be granted.
+
+function getRoleById(roleId) {
+    const role = (DATA_MODELS.roles || []).find(r => String(r.id) === String(roleId));
+    if (role) return role;
+    return BUILT_IN_ROLES[roleId] ? { id: roleId, isSystem: true, ...BUILT_IN_ROLES[roleId] } : null;
+}
+
+function getRoleName(roleId) {
+    return getRoleById(roleId)?.name || String(roleId || '');
+}
+
+function roleHasPermission(roleId, permission) {
+    const permissions = getRoleById(roleId)?.permissions;
+    return Array.isArray(permissions) && permissions.includes(permission);
+}
+
+function getSortedRoles() {
+    const roles = DATA_MODELS.roles?.length
+        ? DATA_MODELS.roles
+        : Object.keys(BUILT_IN_ROLES).map(id => getRoleById(id));
+    return [...roles].sort((a, b) =>
+        (b.isSystem ? 1 : 0) - (a.isSystem ? 1 : 0) || String(a.name || a.id).localeCompare(String(b.name || b.id))
+    );
+}
+
+// The role pickers of the "Assign role" and "Invite by email" forms; the class
+// fields only show for roles that teach a class
+const ROLE_SELECTS = [
+    ['user-role-select', 'faculty-class-group'],
+    ['invite-role-select', 'invite-class-group'],
+];
+
+function populateRoleSelect() {
+    ROLE_SELECTS.forEach(([selectId, classGroupId]) => {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        const current = select.value || 'faculty';
+        select.innerHTML = getSortedRoles()
+            .map(role => `<option value="${escapeHtml(role.id)}">${escapeHtml(role.name || role.id)}</option>`)
+            .join('');
+        if (Array.from(select.options).some(o => o.value === current)) select.value = current;
+        toggleRoleClassGroup(select, classGroupId);
+    });
+}
+
+function toggleRoleClassGroup(select, classGroupId) {
+    const group = document.getElementById(classGroupId);
+    if (group) group.style.display = roleHasPermission(select.value, 'manage_class') ? '' : 'none';
+}
+
+function renderRolePermissionsTable() {
+    const table = document.getElementById('role-permissions-table');
+    if (!table) return;
+
+    const permissionKeys = Object.keys(PERMISSIONS);
+    table.querySelector('thead').innerHTML = `<tr>
+        <th>Role</th>
+        ${permissionKeys.map(p => `<th title="${escapeHtml(PERMISSIONS[p])}">${escapeHtml(p.replace(/_/g, ' '))}</th>`).join('')}
+        <th>Actions</th>
+    </tr>`;
+
+    const tbody = table.querySelector('tbody');
+    tbody.innerHTML = getSortedRoles().map(role => {
+        const locked = role.id === 'admin'; // never let the last way back in be unticked
+        const inUse = (DATA_MODELS.userRoles || []).filter(u => String(u.role) === String(role.id)).length;
+        return `<tr data-role-id="${escapeHtml(role.id)}">
+            <td><strong>${escapeHtml(role.name || role.id)}</strong>
+                <div style="color:var(--text-muted); font-size:0.85em;">${escapeHtml(role.description || '')} (${inUse} account${inUse === 1 ? '' : 's'})</div></td>
+            ${permissionKeys.map(p => `<td style="text-align:center;">
+                <input type="checkbox" class="role-permission-checkbox" data-permission="${p}"
+                    ${(role.permissions || []).includes(p) ? 'checked' : ''} ${locked ? 'disabled' : ''}>
+            </td>`).join('')}
+            <td>
+                <button class="btn btn-primary btn-sm save-role-permissions-btn" ${locked ? 'disabled' : ''}><i class="fas fa-save"></i> Save</button>
+                ${role.isSystem ? '' : '<button class="btn btn-danger btn-sm delete-role-definition-btn"><i class="fas fa-trash"></i></button>'}
+            </td>
+        </tr>`;
+    }).join('');
+
+    tbody.querySelectorAll('.save-role-permissions-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => saveRolePermissions(e.currentTarget.closest('tr').dataset.roleId));
+    });
+    tbody.querySelectorAll('.delete-role-definition-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => deleteRoleDefinition(e.currentTarget.closest('tr').dataset.roleId));
+    });
+}
+
+async function refreshRoleViews() {
+    await loadAllDataForAdmin();
+    renderRolePermissionsTable();
+    populateRoleSelect();
+    renderUserRolesTable();
+}
+
+async function saveRoleDefinition(e) {
+    e.preventDefault();
+    const name = document.getElementById('role-name-input').value.trim();
+    const description = document.getElementById('role-description-input').value.trim();
+    const roleId = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!name || !roleId) return showError('Please enter a role name.');
+    if (getRoleById(roleId)) return showError(`A role called "${getRoleName(roleId)}" already exists.`);
+
+    showSpinner();
+    try {
+        const nowIso = new Date().toISOString();
+        await window.setDoc(window.doc(window.db, 'roles', roleId), {
+            name,
+            description: description || null,
+            permissions: [],
+            isSystem: false,
+            createdAt: nowIso,
+            updatedAt: nowIso,
+        });
+        createAuditLog('role_created', { roleId, name });
+        document.getElementById('role-definition-form').reset();
+        await refreshRoleViews();
+        showSuccess('Role Added', `Tick the permissions for "${name}" and click Save.`);
+    } catch (err) {
+        showDataError('Could not add role', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+async function saveRolePermissions(roleId) {
+    const row = document.querySelector(`#role-permissions-table tr[data-role-id="${roleId}"]`);
+    if (!row || roleId === 'admin') return;
+    const permissions = Array.from(row.querySelectorAll('.role-permission-checkbox:checked')).map(cb => cb.dataset.permission);
+
+    showSpinner();
+    try {
+        await window.updateDoc(window.doc(window.db, 'roles', roleId), {
+            permissions,
+            updatedAt: new Date().toISOString(),
+        });
+        createAuditLog('role_permissions_updated', { roleId, permissions });
+        await refreshRoleViews();
+        showSuccess('Permissions Saved', `${getRoleName(roleId)} now has ${permissions.length} permission${permissions.length === 1 ? '' : 's'}.`);
+    } catch (err) {
+        showDataError('Could not save permissions', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+async function deleteRoleDefinition(roleId) {
+    const role = getRoleById(roleId);
+    if (!role || role.isSystem) return;
+    const inUse = (DATA_MODELS.userRoles || []).filter(u => String(u.role) === String(roleId)).length;
+    if (inUse) return showError(`${inUse} account${inUse === 1 ? ' still uses' : 's still use'} "${role.name}". Give them another role first.`);
+
+    const result = await showConfirm('Delete Role?', `"${role.name}" will be removed from the list of roles.`);
+    if (!result.isConfirmed) return;
+
+    showSpinner();
+    try {
+        await window.deleteDoc(window.doc(window.db, 'roles', roleId));
+        createAuditLog('role_deleted', { roleId, name: role.name });
+        await refreshRoleViews();
+    } catch (err) {
+        showDataError('Could not delete role', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+// -----------------
+// 🔒 LOCKED LOGINS
+// -----------------
+// verify_student_login() locks a student (or an unmatched register number /
+// mobile) after repeated wrong dates of birth, and an IP address after many
+// across all students. Locks expire on their own; unlocking clears the counter
+// early, e.g. after confirming a family's details by phone.
+
+const LOGIN_LOCK_KINDS = { student: 'Student ID', identifier: 'Register No / Mobile', ip: 'IP Address' };
+
+async function renderLoginLocksTable() {
+    const tbody = document.querySelector('#login-locks-table tbody');
+    if (!tbody) return;
+
+    tbody.innerHTML = '<tr><td colspan="5">Loading...</td></tr>';
+    try {
+        const { getDocs, query, collection, where, orderBy } = window;
+        const snap = await getDocs(query(
+            collection(window.db, 'loginThrottle'),
+            where('lockedUntil', '>', new Date().toISOString()),
+            orderBy('lockedUntil', 'desc')
+        ));
+        if (snap.empty) {
+            tbody.innerHTML = '<tr><td colspan="5" style="color:var(--text-muted);">No logins are locked right now.</td></tr>';
+            return;
+        }
+        tbody.innerHTML = snap.docs.map(d => {
+            const lock = d.data();
+            const label = String(lock.id || '').replace(/^(student|identifier|ip):/, '');
+            return `<tr>
+                <td>${escapeHtml(label)}</td>
+                <td>${escapeHtml(LOGIN_LOCK_KINDS[lock.kind] || lock.kind)}</td>
+                <td>${escapeHtml(lock.lockouts ?? 0)}</td>
+                <td>${escapeHtml(formatDateTime(new Date(lock.lockedUntil)))}</td>
+                <td><button class="btn btn-primary btn-sm unlock-login-btn" data-id="${escapeHtml(d.id)}"><i class="fas fa-unlock"></i> Unlock</button></td>
+            </tr>`;
+        }).join('');
+        tbody.querySelectorAll('.unlock-login-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => unlockLogin(e.currentTarget.dataset.id));
+        });
+    } catch (err) {
+        tbody.innerHTML = '';
+        showDataError('Could not load locked logins', err);
+    }
+}
+
+async function unlockLogin(lockId) {
+    const result = await showConfirm('Unlock Login?', 'The student can try to sign in again straight away.', 'Yes, unlock');
+    if (!result.isConfirmed) return;
+
+    showSpinner();
+    try {
+        await window.updateDoc(window.doc(window.db, 'loginThrottle', lockId), {
+            lockedUntil: null,
+            failures: 0,
+            lockouts: 0,
+            updatedAt: new Date().toISOString(),
+        });
+        createAuditLog('login_unlocked', { lockId });
+        await renderLoginLocksTable();
+    } catch (err) {
+        showDataError('Could not unlock login', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+// -----------------
+// ⏱️ SIGN-IN SESSIONS
+// -----------------
+// Limits read by startSessionMonitor() in common.js, stored as
+// app_config.session_policy. 'staff' covers every role without its own entry.
+
+function renderSessionPolicyForm() {
+    const form = document.getElementById('session-policy-form');
+    if (!form) return;
+    const policy = normalizeSessionPolicy(DATA_MODELS.appConfig?.sessionPolicy);
+    document.getElementById('session-idle-minutes').value = policy.idleMinutes;
+    document.getElementById('session-warning-seconds').value = policy.warningSeconds;
+    form.querySelectorAll('[data-session-role]').forEach(input => {
+        input.value = policy.maxAgeHours[input.dataset.sessionRole];
+    });
+}
+
+/**
+ * Saves the session limits and records the change.
+ * @param {object} policy - { idleMinutes, warningSeconds, maxAgeHours: { admin, staff, student, parent } }
+ */
+async function saveSessionPolicy(policy) {
+    const next = normalizeSessionPolicy(policy);
+    if (next.warningSeconds >= next.idleMinutes * 60) {
+        throw new Error('The warning must be shorter than the inactivity limit.');
+    }
+    await window.setDoc(window.doc(window.db, 'appConfig', 'global'), {
+        sessionPolicy: next,
+        updatedAt: new Date().toISOString(),
+    }, { merge: true });
+    DATA_MODELS.appConfig = { ...DATA_MODELS.appConfig, sessionPolicy: next };
+    createAuditLog('session_policy_updated', next);
+    return next;
+}
+
+async function handleSessionPolicySubmit(e) {
+    e.preventDefault();
+    const maxAgeHours = {};
+    e.target.querySelectorAll('[data-session-role]').forEach(input => {
+        maxAgeHours[input.dataset.sessionRole] = Number(input.value);
+    });
+
+    showSpinner();
+    try {
+        await saveSessionPolicy({
+            idleMinutes: Number(document.getElementById('session-idle-minutes').value),
+            warningSeconds: Number(document.getElementById('session-warning-seconds').value),
+            maxAgeHours,
+        });
+        renderSessionPolicyForm();
+        showSuccess('Session settings saved', 'They apply the next time each portal loads.');
+    } catch (err) {
+        showDataError('Could not save session settings', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+// -----------------
+// 📷 BADGE CHECK-IN
+// -----------------
+// The cutoff the faculty Badge Check-in tab uses to mark scans Late, stored as
+// app_config.check_in_late_after (HH:MM, the scanning device's local time).
+
+function renderCheckInSettingsForm() {
+    const input = document.getElementById('check-in-late-after');
+    if (input) input.value = DATA_MODELS.appConfig?.checkInLateAfter || '';
+}
+
+/**
+ * Saves the check-in cutoff and records the change.
+ * @param {string} lateAfter - 'HH:MM', 24-hour.
+ */
+async function saveCheckInLateAfter(lateAfter) {
+    const value = String(lateAfter || '').trim();
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+        throw new Error('Enter the cutoff as a time, e.g. 09:30.');
+    }
+    await window.setDoc(window.doc(window.db, 'appConfig', 'global'), {
+        checkInLateAfter: value,
+        updatedAt: new Date().toISOString(),
+    }, { merge: true });
+    DATA_MODELS.appConfig = { ...DATA_MODELS.appConfig, checkInLateAfter: value };
+    createAuditLog('check_in_cutoff_updated', { lateAfter: value });
+    return value;
+}
+
+async function handleCheckInSettingsSubmit(e) {
+    e.preventDefault();
+    showSpinner();
+    try {
+        await saveCheckInLateAfter(document.getElementById('check-in-late-after').value);
+        renderCheckInSettingsForm();
+        showSuccess('Check-in settings saved', 'Scanners pick up the new time when scanning next starts.');
+    } catch (err) {
+        showDataError('Could not save check-in settings', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+// -----------------
+// 🔒 ATTENDANCE LOCK
+// -----------------
+// Days after session_date until faculty can no longer edit attendance, stored
+// as app_config.attendance_lock_days (empty never locks). Their changes after
+// that arrive as attendance_corrections, reviewed in Attendance → Corrections.
+
+function renderAttendanceLockForm() {
+    const input = document.getElementById('attendance-lock-days');
+    if (input) input.value = DATA_MODELS.appConfig?.attendanceLockDays ?? '';
+}
+
+/**
+ * Saves the lock period and records the change.
+ * @param {string|number} days - Whole days 0–365, or '' to never lock.
+ */
+async function saveAttendanceLockDays(days) {
+    const raw = String(days ?? '').trim();
+    const value = raw === '' ? null : Number(raw);
+    if (value !== null && !(Number.isInteger(value) && value >= 0 && value <= 365)) {
+        throw new Error('Enter the lock period as whole days from 0 to 365, or leave it empty to never lock.');
+    }
+    await window.setDoc(window.doc(window.db, 'appConfig', 'global'), {
+        attendanceLockDays: value,
+        updatedAt: new Date().toISOString(),
+    }, { merge: true });
+    DATA_MODELS.appConfig = { ...DATA_MODELS.appConfig, attendanceLockDays: value };
+    APP_CONTEXT.attendanceLockDays = value;
+    createAuditLog('attendance_lock_updated', { lockDays: value });
+    return value;
+}
+
+async function handleAttendanceLockSubmit(e) {
+    e.preventDefault();
+    showSpinner();
+    try {
+        await saveAttendanceLockDays(document.getElementById('attendance-lock-days').value);
+        renderAttendanceLockForm();
+        showSuccess('Attendance lock saved');
+    } catch (err) {
+        showDataError('Could not save the attendance lock', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+function renderAttendanceCorrectionsTable() {
+    const tbody = document.querySelector('#attendance-corrections-table tbody');
+    if (!tbody) return;
+
+    // Pending first, then the most recent
+    const requests = DATA_MODELS.attendanceCorrections
+        .filter(c => isCurrentAcademicYear(c))
+        .sort((a, b) => (a.status === 'pending' ? 0 : 1) - (b.status === 'pending' ? 0 : 1)
+            || String(b.requestedAt).localeCompare(String(a.requestedAt)));
+    if (requests.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" style="color:var(--text-muted);">No correction requests.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = requests.map(request => {
+        const session = DATA_MODELS.sessions.find(s => s.id === request.sessionId);
+        const student = DATA_MODELS.students.find(s => String(s.studentId) === String(request.studentId));
+        const className = DATA_MODELS.classes?.find(c => c.id === request.classId)?.name || request.classId;
+        const review = request.status === 'pending'
+            ? `<div class="btn-group">
+                    <button class="btn btn-success btn-sm review-correction-btn" data-id="${escapeHtml(request.id)}" data-decision="approved"><i class="fas fa-check"></i> Approve</button>
+                    <button class="btn btn-danger btn-sm review-correction-btn" data-id="${escapeHtml(request.id)}" data-decision="rejected"><i class="fas fa-times"></i> Reject</button>
+               </div>`
+            : `<span class="status-badge ${request.status === 'approved' ? 'status-present' : 'status-absent'}">${request.status === 'approved' ? 'Approved' : 'Rejected'}</span>
+               ${request.reviewNote ? `<div class="correction-note">${escapeHtml(request.reviewNote)}</div>` : ''}`;
+        return `<tr>
+            <td>${escapeHtml(formatDate(session?.sessionDate || session?.date || request.sessionId))}</td>
+            <td>${escapeHtml(student ? `${student.firstName} ${student.lastName}` : request.studentId)}</td>
+            <td>${escapeHtml(className)}</td>
+            <td>${escapeHtml(request.fromStatus || 'Not recorded')} → ${escapeHtml(request.toStatus)}</td>
+            <td>${escapeHtml(request.reason)}</td>
+            <td>${escapeHtml(request.requestedByEmail || '—')}</td>
+            <td>${review}</td>
+        </tr>`;
+    }).join('');
+    tbody.querySelectorAll('.review-correction-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => promptAttendanceCorrectionReview(e.currentTarget.dataset.id, e.currentTarget.dataset.decision));
+    });
+}
+
+async function promptAttendanceCorrectionReview(requestId, decision) {
+    const request = DATA_MODELS.attendanceCorrections.find(c => c.id === requestId);
+    if (!request) return;
+    const approving = decision === 'approved';
+    const { value: note } = await Swal.fire({
+        title: approving ? 'Approve Correction?' : 'Reject Correction?',
+        text: approving
+            ? `The attendance will be changed to ${request.toStatus}.`
+            : 'The faculty member will see this note on the request.',
+        input: 'textarea',
+        inputPlaceholder: approving ? 'Note (optional)' : 'Why is the request rejected?',
+        showCancelButton: true,
+        confirmButtonText: approving ? 'Approve' : 'Reject',
+        inputValidator: value => !approving && !String(value || '').trim() && 'Give a reason for rejecting.',
+    });
+    if (note === undefined) return;
+
+    showSpinner();
+    try {
+        await reviewAttendanceCorrection(request, decision, note);
+        renderAttendanceCorrectionsTable();
+        showSuccess(approving ? 'Correction approved' : 'Correction rejected');
+    } catch (err) {
+        showDataError('Could not review the correction', err);
     } finally {
         hideSpinner();
     }
 }
 
+/**
+ * Approves (writing the attendance row in the same batch) or rejects a pending
+ * correction, and records the before/after values with the reason.
+ * @param {Object} request - attendance_corrections row.
+ * @param {'approved'|'rejected'} decision
+ * @param {string} [note] - Required when rejecting.
+ */
+async function reviewAttendanceCorrection(request, decision, note = '') {
+    if (decision !== 'approved' && decision !== 'rejected') throw new Error(`Unknown decision: ${decision}`);
+    if (request.status !== 'pending') throw new Error('This request has already been reviewed.');
+    const reviewNote = String(note || '').trim();
+    if (decision === 'rejected' && !reviewNote) throw new Error('Give a reason for rejecting.');
+
+    const { db, doc, writeBatch } = window;
+    const now = new Date().toISOString();
+    const uid = JSON.parse(localStorage.getItem('currentUser') || '{}').uid || null;
+    const docId = `${request.sessionId}_${request.studentId}`;
+    const before = DATA_MODELS.attendance.find(a => a.sessionId === request.sessionId
+        && String(a.studentId) === String(request.studentId))?.status ?? request.fromStatus ?? null;
+    const review = { status: decision, reviewedBy: uid, reviewedAt: now, reviewNote: reviewNote || null };
+
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'attendanceCorrections', request.id), review);
+    let record = null;
+    if (decision === 'approved') {
+        record = {
+            id: docId,
+            sessionId: request.sessionId,
+            studentId: request.studentId,
+            status: request.toStatus,
+            classId: request.classId,
+            academicYearId: request.academicYearId,
+            updatedAt: now,
+        };
+        batch.set(doc(db, 'attendance', docId), record, { merge: true });
+    }
+    await batch.commit();
+
+    Object.assign(request, review);
+    if (record) {
+        const idx = DATA_MODELS.attendance.findIndex(a => a.id === docId);
+        if (idx >= 0) DATA_MODELS.attendance[idx] = { ...DATA_MODELS.attendance[idx], ...record };
+        else DATA_MODELS.attendance.push(record);
+    }
+
+    createAuditLog(`attendance_correction_${decision}`, {
+        requestId: request.id,
+        sessionId: request.sessionId,
+        studentId: request.studentId,
+        classId: request.classId,
+        before,
+        after: record ? record.status : before,
+        reason: request.reason,
+        requestedBy: request.requestedByEmail || request.requestedBy || null,
+        note: reviewNote || null,
+    });
+    return request;
+}
+
 // -----------------
 // 📊 A7: CLASS PERFORMANCE COMPARISON
 // -----------------
@@ -4904,7 +6398,7 @@ async function confirmStudentTransfer() {
                 // Mark old enrollment as transferred (no deletion — preserves history)
                 await setDoc(
                     doc(window.db, 'enrollments', String(currentEnrollment.id)),
-                    { status: 'transferred', transferredToClass: targetClassId, transferredAt: new Date().toISOString(), updatedAt: new Date().toISOString() },
+                    { status: 'transferred', updatedAt: new Date().toISOString() },
                     { merge: true }
                 );
             }
@@ -4925,7 +6419,107 @@ async function confirmStudentTransfer() {
         document.getElementById('transfer-modal').style.display = 'none';
         showSuccess('Student transferred successfully!');
     } catch (err) {
-        showError('Transfer failed: ' + err.message);
+        showDataError('Transfer failed', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+// -----------------
+// 👪 PARENT ACCESS (GUARDIAN LINKS)
+// -----------------
+// A parent account can read a student's records once its verified email or
+// phone matches one of that student's guardian links (see supabase/rls.sql).
+
+async function openGuardianModal(studentId) {
+    const student = (DATA_MODELS.students || []).find(s => String(s.studentId) === String(studentId));
+    if (!student) return showError('Student not found.');
+
+    document.getElementById('guardian-student-id').value = studentId;
+    document.getElementById('guardian-student-info').textContent =
+        `${student.firstName} ${student.lastName || ''} (${student.studentId})`.trim();
+    ['guardian-email', 'guardian-phone', 'guardian-relationship'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('guardian-modal').style.display = 'flex';
+    await renderGuardianLinks(studentId);
+}
+
+async function renderGuardianLinks(studentId) {
+    const tbody = document.getElementById('guardian-links-tbody');
+    tbody.innerHTML = '<tr><td colspan="4">Loading...</td></tr>';
+    try {
+        const { getDocs, query, collection, where } = window;
+        const snap = await getDocs(query(collection(window.db, 'guardianLinks'), where('studentId', '==', String(studentId))));
+        if (snap.empty) {
+            tbody.innerHTML = '<tr><td colspan="4" style="color:var(--text-muted);">No parents linked yet.</td></tr>';
+            return;
+        }
+        tbody.innerHTML = snap.docs.map(d => {
+            const link = d.data();
+            return `<tr>
+                <td>${escapeHtml(link.email || '—')}</td>
+                <td>${escapeHtml(link.phone || '—')}</td>
+                <td>${escapeHtml(link.relationship || '—')}</td>
+                <td>
+                    <button class="btn btn-secondary btn-sm view-as-parent-btn" data-email="${escapeHtml(link.email || '')}" data-phone="${escapeHtml(link.phone || '')}" title="View the parent portal as this parent"><i class="fas fa-eye"></i></button>
+                    <button class="btn btn-danger btn-sm remove-guardian-btn" data-id="${escapeHtml(d.id)}" title="Remove access"><i class="fas fa-trash"></i></button>
+                </td>
+            </tr>`;
+        }).join('');
+        tbody.querySelectorAll('.remove-guardian-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => removeGuardianLink(studentId, e.currentTarget.dataset.id));
+        });
+        tbody.querySelectorAll('.view-as-parent-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => viewAsParent(e.currentTarget.dataset.email, e.currentTarget.dataset.phone));
+        });
+    } catch (err) {
+        tbody.innerHTML = '';
+        showDataError('Could not load parent access', err);
+    }
+}
+
+async function addGuardianLink() {
+    const studentId = document.getElementById('guardian-student-id').value;
+    const email = document.getElementById('guardian-email').value.trim().toLowerCase();
+    const phone = document.getElementById('guardian-phone').value.trim();
+    const relationship = document.getElementById('guardian-relationship').value;
+
+    if (!email && !phone) return showError('Enter the parent\'s email, mobile number, or both.');
+
+    showSpinner();
+    try {
+        await window.addDoc(window.collection(window.db, 'guardianLinks'), {
+            studentId,
+            email: email || null,
+            phone: phone || null,
+            relationship: relationship || null,
+            createdBy: currentUserData?.uid || null,
+            createdAt: new Date().toISOString(),
+        });
+        createAuditLog('guardian_link_added', { studentId, email: email || null, phone: phone || null });
+        ['guardian-email', 'guardian-phone', 'guardian-relationship'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        await renderGuardianLinks(studentId);
+    } catch (err) {
+        showDataError('Could not add parent', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+async function removeGuardianLink(studentId, linkId) {
+    const result = await showConfirm('Remove Parent Access?', 'This parent will no longer see the student\'s records.');
+    if (!result.isConfirmed) return;
+
+    showSpinner();
+    try {
+        await window.deleteDoc(window.doc(window.db, 'guardianLinks', linkId));
+        createAuditLog('guardian_link_removed', { studentId, linkId });
+        await renderGuardianLinks(studentId);
+    } catch (err) {
+        showDataError('Could not remove parent', err);
     } finally {
         hideSpinner();
     }
@@ -5051,7 +6645,7 @@ async function saveAnnouncement() {
         document.getElementById('announcements-form-section').style.display = 'none';
         showSuccess('Announcement saved!');
     } catch (err) {
-        showError('Failed to save announcement: ' + err.message);
+        showDataError('Failed to save announcement', err);
     } finally {
         hideSpinner();
     }
@@ -5068,7 +6662,7 @@ async function deleteAnnouncement(announcementId) {
         createAuditLog('announcement_deleted', { announcementId });
         showSuccess('Announcement deleted.');
     } catch (err) {
-        showError('Failed to delete: ' + err.message);
+        showDataError('Failed to delete', err);
     } finally {
         hideSpinner();
     }
@@ -5320,7 +6914,7 @@ async function runCsvImport() {
         showSuccess(`Imported ${successCount} student(s).${failCount > 0 ? ` ${failCount} failed.` : ''}`);
         document.getElementById('csv-import-modal').style.display = 'none';
     } catch (err) {
-        showError('Import failed: ' + err.message);
+        showDataError('Import failed', err);
     } finally {
         hideSpinner();
     }
@@ -5726,7 +7320,7 @@ async function saveAdminHomework() {
         showSuccess('Assignment saved.');
     } catch (err) {
         hideSpinner();
-        showError('Save failed: ' + err.message);
+        showDataError('Save failed', err);
     }
 }
 
@@ -5743,7 +7337,7 @@ async function deleteAdminHomework(hwId) {
         showSuccess('Assignment deleted.');
     } catch (err) {
         hideSpinner();
-        showError('Delete failed: ' + err.message);
+        showDataError('Delete failed', err);
     }
 }
 
@@ -5787,8 +7381,58 @@ function viewAdminHomeworkSubmissions(hwId) {
                 };
                 if (this.value === 'submitted') subPayload.submittedAt = new Date().toISOString();
                 await window.setDoc(window.doc(window.db, 'homeworkSubmissions', subId), subPayload, { merge: true });
-            } catch (err) { showError('Update failed: ' + err.message); }
+            } catch (err) { showDataError('Update failed', err); }
         });
     });
     document.getElementById('hw-submissions-modal').style.display = 'flex';
-}
\ No newline at end of file
+}
+
+// -----------------
+// 👁️ VIEW AS (SUPPORT)
+// -----------------
+// Opens the faculty, student or parent portal as one user, read-only, to see
+// what they see (see VIEW AS in js/common.js).
+
+async function confirmViewAs(portal, target) {
+    const result = await showConfirm(
+        `View as ${target.label}?`,
+        `The ${portal} portal opens read-only with this user's data. Starting and leaving are recorded in the activity log.`,
+        'View as'
+    );
+    if (!result.isConfirmed) return;
+    try {
+        await startViewAs(portal, target);
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+function viewAsFaculty(uid) {
+    const roleDoc = (DATA_MODELS.userRoles || []).find(user => String(user.uid || '') === String(uid));
+    if (!roleDoc) return showError('Faculty role not found. Refresh and try again.');
+    return confirmViewAs('faculty', { id: uid, label: roleDoc.email || uid, email: roleDoc.email || null });
+}
+
+function viewAsStudent(studentId) {
+    const student = (DATA_MODELS.students || []).find(s => String(s.studentId) === String(studentId));
+    if (!student) return showError('Student not found.');
+
+    // The same session object the student login stores (js/auth.js)
+    const activeYearId = getActiveAcademicYearId();
+    const enrollment = (DATA_MODELS.enrollments || []).find(e =>
+        String(e.studentId) === String(studentId) && e.academicYearId === activeYearId);
+    const session = {
+        ...student,
+        academicYearId: enrollment?.academicYearId || student.academicYearId || activeYearId || null,
+        classId: enrollment?.classId || student.classId || null,
+        registerNo: enrollment?.registerNo ?? student.registerNo ?? null,
+        enrollmentId: enrollment?.id || null,
+    };
+    const label = `${student.firstName || ''} ${student.lastName || ''}`.trim() || String(studentId);
+    return confirmViewAs('student', { id: studentId, label, student: session });
+}
+
+function viewAsParent(email, phone) {
+    if (!email && !phone) return showError('This link has no email or mobile number.');
+    return confirmViewAs('parent', { id: email || phone, label: email || phone, email: email || null, phone: phone || null });
+}
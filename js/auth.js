@@ -1,17 +1,23 @@
 /**
  * auth.js
- * Handles login for Faculty (Supabase Auth), Students (DB Lookup),
- * and Parents (sessionStorage, no auth session needed).
+ * Handles login for Faculty (Supabase Auth, password, emailed reset link), Students (throttled
+ * verify_student_login RPC), and Parents (Supabase Auth, email/SMS one-time code + guardian links).
  */
 
+// Default country code for 10-digit mobile numbers (matches normalize_phone() in schema.sql)
+const DEFAULT_PHONE_COUNTRY_CODE = '91';
+
+// Warn about the coming lockout once this many attempts are left (limit is in add_login_throttling.sql)
+const LOGIN_ATTEMPTS_WARNING = 2;
+
 async function logAuthEvent(action, details = {}, actorEmail = 'unknown', actorUid = null) {
     try {
-        if (!window.supabase) return;
-        await window.supabase.from('activity_logs').insert({
+        if (!window.db) return;
+        await window.addDoc(window.collection(window.db, 'activityLogs'), {
             action, details,
-            user_email: actorEmail,
+            userEmail: actorEmail,
             uid: actorUid,
-            created_at: new Date().toISOString(),
+            createdAt: new Date().toISOString(),
         });
     } catch (_) {}
 }
@@ -57,6 +63,10 @@ document.addEventListener('DOMContentLoaded', function () {
 
     showSpinner();
 
+    // Why the last session ended, when it timed out (see SESSION EXPIRY in common.js)
+    const sessionEndedMessage = takeSessionEndedMessage();
+    if (sessionEndedMessage) Swal.fire({ icon: 'info', title: 'Signed out', text: sessionEndedMessage });
+
     // --- TOGGLE LOGIC ---
     if (btnFaculty && btnStudent) {
         btnFaculty.addEventListener('click', () => {
@@ -119,6 +129,7 @@ document.addEventListener('DOMContentLoaded', function () {
             try {
                 const userCredential = await window.signInWithEmailAndPassword(window.auth, email, password);
                 const user = userCredential.user;
+                markSessionStarted();
                 await handleUserRole(user);
             } catch (error) {
                 console.error('Login error:', error.code, error.message);
@@ -130,6 +141,36 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     }
 
+    // Forgot password: Supabase Auth emails a link to set-password.html
+    const forgotPasswordLink = document.getElementById('forgot-password-link');
+    if (forgotPasswordLink) {
+        forgotPasswordLink.addEventListener('click', async () => {
+            const { value: email } = await Swal.fire({
+                title: 'Reset your password',
+                text: "Enter your staff email and we'll send you a link to choose a new password.",
+                input: 'email',
+                inputValue: document.getElementById('login-email').value.trim(),
+                inputPlaceholder: 'you@example.com',
+                showCancelButton: true,
+                confirmButtonText: 'Send Link',
+            });
+            if (!email) return;
+
+            try {
+                await requestPasswordReset(email);
+            } catch (error) {
+                // Rate limits are the usual cause; the message never says whether the account exists
+                console.warn('Password reset request failed:', error);
+                return Swal.fire({ icon: 'error', title: "Couldn't send the link", text: 'Please wait a few minutes and try again.' });
+            }
+            Swal.fire({
+                icon: 'success',
+                title: 'Check your email',
+                text: 'If that address has a staff account, a reset link is on its way. It works once and expires soon.',
+            });
+        });
+    }
+
     // --- 2. STUDENT LOGIN HANDLER ---
     if (studentForm) {
         studentForm.addEventListener('submit', async (e) => {
@@ -145,64 +186,26 @@ document.addEventListener('DOMContentLoaded', function () {
             hideError();
 
             try {
-                // Supabase anon key allows read-only access to public tables — no explicit sign-in needed
-                let studentData = null;
-                let enrollmentData = null;
-                const { doc, getDoc, collection, query, where, getDocs, db } = window;
-                const activeAcademicYearId = await getActiveAcademicYearIdFromConfig();
+                // The register number / mobile + DOB check runs server-side so guesses are throttled
+                const { token } = await verifyStudentLogin(identifier, dob);
 
-                const registerNoInt = parseInt(identifier, 10);
-                const looksLikeRegisterNo = !Number.isNaN(registerNoInt) && String(registerNoInt) === identifier.trim();
-
-                if (looksLikeRegisterNo && activeAcademicYearId) {
-                    // 1. Look up by register number in active year's enrollments
-                    const enrollSnap = await getDocs(query(
-                        collection(db, 'enrollments'),
-                        where('academicYearId', '==', activeAcademicYearId),
-                        where('registerNo', '==', registerNoInt)
-                    ));
-                    if (!enrollSnap.empty) {
-                        enrollmentData = enrollSnap.docs[0].data();
-                        const studentSnap = await getDoc(doc(db, 'students', String(enrollmentData.studentId)));
-                        if (studentSnap.exists()) studentData = studentSnap.data();
-                    }
-                }
-
-                if (!studentData) {
-                    // 2. Fallback: look up by phone number
-                    const phoneSnap = await getDocs(query(collection(db, 'students'), where('phone', '==', identifier)));
-                    if (!phoneSnap.empty) {
-                        studentData = phoneSnap.docs[0].data();
-                        if (activeAcademicYearId) {
-                            const eSnap = await getDocs(query(
-                                collection(db, 'enrollments'),
-                                where('academicYearId', '==', activeAcademicYearId),
-                                where('studentId', '==', studentData.studentId)
-                            ));
-                            enrollmentData = eSnap.empty ? null : eSnap.docs[0].data();
-                        }
-                    }
-                }
+                const activeAcademicYearId = await getActiveAcademicYearIdFromConfig();
+                const portal = await loadStudentPortalData({ portalToken: token });
+                if (!portal?.student) throw new Error('Student record not found. Please contact the parish office.');
+                const { student: studentData, enrollment: enrollmentData } = portal;
 
-                // 3. Validate DOB
-                if (studentData) {
-                    if (studentData.dob === dob) {
-                        const activeStudentData = {
-                            ...studentData,
-                            academicYearId: enrollmentData?.academicYearId || studentData.academicYearId || activeAcademicYearId || null,
-                            classId: enrollmentData?.classId || studentData.classId || null,
-                            registerNo: enrollmentData?.registerNo ?? studentData.registerNo ?? null,
-                            enrollmentId: enrollmentData?.id || null
-                        };
-                        sessionStorage.setItem('currentStudent', JSON.stringify(activeStudentData));
-                        await logAuthEvent('student_login', { studentId: activeStudentData.studentId, registerNo: activeStudentData.registerNo, classId: activeStudentData.classId }, activeStudentData.email || activeStudentData.phone || 'student', activeStudentData.studentId);
-                        window.location.href = 'student.html';
-                    } else {
-                        throw new Error('Date of Birth does not match our records.');
-                    }
-                } else {
-                    throw new Error('Register number or mobile number not found.');
-                }
+                const activeStudentData = {
+                    ...studentData,
+                    academicYearId: enrollmentData?.academicYearId || studentData.academicYearId || activeAcademicYearId || null,
+                    classId: enrollmentData?.classId || studentData.classId || null,
+                    registerNo: enrollmentData?.registerNo ?? studentData.registerNo ?? null,
+                    enrollmentId: enrollmentData?.id || null,
+                    portalToken: token,
+                    signedInAt: Date.now()
+                };
+                sessionStorage.setItem('currentStudent', JSON.stringify(activeStudentData));
+                markSessionStarted(activeStudentData.signedInAt, 'student');
+                window.location.href = 'student.html';
 
             } catch (error) {
                 console.warn(error);
@@ -215,88 +218,76 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     // --- 3. PARENT LOGIN HANDLER ---
+    // Two steps on one form: send a one-time code to the email/phone, then verify it.
     if (parentForm) {
-        parentForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-
-            const studentId = document.getElementById('parent-student-id').value.trim();
-            const dob = document.getElementById('parent-dob-login').value;
+        const contactInput = document.getElementById('parent-contact');
+        const codeGroup = document.getElementById('parent-code-group');
+        const codeInput = document.getElementById('parent-otp-code');
+        const changeContactBtn = document.getElementById('parent-change-contact');
+        let codeSentTo = null;
+
+        const resetParentForm = () => {
+            codeSentTo = null;
+            contactInput.disabled = false;
+            codeInput.value = '';
+            codeInput.required = false;
+            codeGroup.classList.add('is-hidden');
+            parentLoginBtn.innerHTML = 'Send Code';
+        };
 
-            if (!studentId || !dob) return showError('Please fill in all fields.');
+        if (changeContactBtn) changeContactBtn.addEventListener('click', () => { resetParentForm(); hideError(); });
 
-            if (parentLoginBtn) {
-                parentLoginBtn.disabled = true;
-                parentLoginBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Verifying...';
-            }
+        parentForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!window.sendSignInCode) return showError('Auth service not ready.');
             hideError();
 
-            try {
-                const { doc, getDoc, collection, query, where, getDocs, db } = window;
-                if (!db) throw new Error('Database service not ready.');
-
-                // Supabase anon key allows read-only access — no explicit sign-in needed
-                const activeAcademicYearId = await getActiveAcademicYearIdFromConfig();
-
-                // Look up student by ID
-                const docRef = doc(db, 'students', studentId);
-                const docSnap = await getDoc(docRef);
-
-                if (!docSnap.exists()) {
-                    throw new Error('Student ID not found. Please check the ID and try again.');
-                }
+            if (!codeSentTo) {
+                const contact = parseParentContact(contactInput.value);
+                if (!contact) return showError('Enter a valid email address or 10-digit mobile number.');
 
-                const studentData = docSnap.data();
-
-                if (studentData.dob !== dob) {
-                    throw new Error('Date of Birth does not match our records.');
-                }
-
-                // Get enrollment data for active year
-                let enrollmentData = null;
-                if (activeAcademicYearId) {
-                    const enrollmentQuery = query(
-                        collection(db, 'enrollments'),
-                        where('academicYearId', '==', activeAcademicYearId),
-                        where('studentId', '==', studentData.studentId || studentId)
-                    );
-                    const enrollmentSnap = await getDocs(enrollmentQuery);
-                    enrollmentData = enrollmentSnap.empty ? null : enrollmentSnap.docs[0].data();
+                parentLoginBtn.disabled = true;
+                parentLoginBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending code...';
+                try {
+                    await window.sendSignInCode(window.auth, contact);
+                    codeSentTo = contact;
+                    contactInput.disabled = true;
+                    codeInput.required = true;
+                    codeGroup.classList.remove('is-hidden');
+                    codeInput.focus();
+                    parentLoginBtn.innerHTML = 'Verify & Sign In';
+                } catch (error) {
+                    console.warn('Parent code request error:', error);
+                    showError('Could not send a code. Please check the email or number and try again in a minute.');
+                    parentLoginBtn.innerHTML = 'Send Code';
+                } finally {
+                    parentLoginBtn.disabled = false;
                 }
+                return;
+            }
 
-                // Build parent session object
-                const parentSession = {
-                    studentId: studentData.studentId || studentId,
-                    studentName: `${studentData.firstName || ''} ${studentData.lastName || ''}`.trim(),
-                    firstName: studentData.firstName || '',
-                    lastName: studentData.lastName || '',
-                    dob: studentData.dob || dob,
-                    classId: enrollmentData?.classId || studentData.classId || null,
-                    academicYearId: enrollmentData?.academicYearId || studentData.academicYearId || activeAcademicYearId || null,
-                    registerNo: enrollmentData?.registerNo ?? studentData.registerNo ?? null,
-                    enrollmentId: enrollmentData?.id || null,
-                    guardianName: studentData.guardianName || studentData.fatherName || '',
-                    phone: studentData.phone || '',
-                    loginTime: new Date().toISOString()
-                };
-
-                sessionStorage.setItem('parentSession', JSON.stringify(parentSession));
-                await logAuthEvent('parent_login', { studentId: parentSession.studentId, studentName: parentSession.studentName }, parentSession.phone || 'parent', parentSession.studentId);
-                window.location.href = 'parent.html';
+            const code = codeInput.value.trim();
+            if (!code) return showError('Enter the code we sent you.');
 
+            parentLoginBtn.disabled = true;
+            parentLoginBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Verifying...';
+            try {
+                const { user } = await window.verifySignInCode(window.auth, codeSentTo, code);
+                markSessionStarted();
+                await handleUserRole(user);
             } catch (error) {
+                // No session yet, so nothing is logged here; Supabase Auth keeps its own audit log
                 console.warn('Parent login error:', error);
-                showError(error.message);
+                showError('That code is incorrect or has expired.');
             } finally {
-                if (parentLoginBtn) {
-                    parentLoginBtn.disabled = false;
-                    parentLoginBtn.innerHTML = 'View My Child\'s Portal';
-                }
+                parentLoginBtn.disabled = false;
+                parentLoginBtn.innerHTML = codeSentTo ? 'Verify & Sign In' : 'Send Code';
             }
         });
     }
 
-    // --- 4. SESSION RESTORE (Faculty Only) ---
-    // Students and Parents use sessionStorage — only restore faculty sessions here.
+    // --- 4. SESSION RESTORE (Faculty and Parents) ---
+    // Students use sessionStorage — only signed-in accounts are restored here.
     if (window.onAuthStateChanged) {
         window.onAuthStateChanged(window.auth, async (user) => {
             if (user) {
@@ -314,29 +305,52 @@ document.addEventListener('DOMContentLoaded', function () {
 async function handleUserRole(user) {
     try {
         const userRoleDoc = await getUserRole(user.uid);
-        if (!userRoleDoc || !userRoleDoc.role) throw new Error("No role found.");
+        if (!userRoleDoc || !userRoleDoc.role) {
+            // Accounts without a staff role are parents; RLS only returns their own links
+            const links = await getGuardianLinks();
+            if (!links.length) {
+                throw new Error("This email or phone isn't linked to a student yet. Please ask the parish office to add it.");
+            }
+            localStorage.removeItem('currentUser');
+            await logAuthEvent('parent_login', { studentIds: links.map(l => l.studentId) }, user.email || user.phoneNumber || 'parent', user.uid);
+            window.location.href = 'parent.html';
+            return;
+        }
+
+        // The role's permissions pick the portal (see PORTAL_PERMISSIONS in common.js)
+        const { permissions } = await loadRoleDefinition(userRoleDoc.role);
+        const portalPage = getPortalPage(permissions);
+        if (!portalPage) throw new Error("Your role doesn't include any portal yet. Please ask an admin.");
+
+        // Authenticator code (or first-time setup for admins) before opening the portal
+        await ensureSecondFactor({ required: permissions.includes(MFA_REQUIRED_PERMISSION) });
 
         const userData = {
             uid: user.uid,
             email: user.email,
             role: userRoleDoc.role,
-            classId: userRoleDoc.classId || null
+            classId: userRoleDoc.classId || null,
+            permissions
         };
         localStorage.setItem('currentUser', JSON.stringify(userData));
 
         await logAuthEvent('login', { role: userRoleDoc.role, classId: userRoleDoc.classId || null }, user.email, user.uid);
-        if (userRoleDoc.role === 'admin') window.location.href = 'admin.html';
-        else if (userRoleDoc.role === 'faculty') window.location.href = 'faculty.html';
-        else throw new Error("Unauthorized role.");
+        window.location.href = portalPage;
 
     } catch (error) {
-        if (window.supabase) await window.supabase.auth.signOut();
+        if (window.signOut) await window.signOut(window.auth);
         localStorage.removeItem('currentUser');
         showError(error.message);
         hideSpinner();
     }
 }
 
+// The emailed link signs the account in and opens set-password.html
+async function requestPasswordReset(email) {
+    const url = new URL('set-password.html?mode=reset', window.location.href).href;
+    await window.sendPasswordResetEmail(window.auth, email.trim().toLowerCase(), { url });
+}
+
 async function getUserRole(uid) {
     if (!window.db) return null;
     try {
@@ -345,6 +359,48 @@ async function getUserRole(uid) {
     } catch (err) { return null; }
 }
 
+// Resolves to { studentId, token } (the student portal token), or throws a
+// message for the login form. Every attempt is counted by the server and
+// recorded in activity_logs there, not from here.
+async function verifyStudentLogin(identifier, dob) {
+    const verify = window.httpsCallable(window.getFunctions(), 'verify_student_login');
+    const { data } = await verify({ p_identifier: identifier, p_dob: dob });
+
+    if (data?.status === 'ok') return { studentId: data.student_id, token: data.token };
+
+    if (data?.status === 'locked') {
+        const minutes = Math.max(1, Math.ceil((data.retry_after_seconds || 0) / 60));
+        throw new Error(`Too many failed attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+    }
+
+    const attemptsLeft = data?.attempts_left ?? null;
+    const warning = attemptsLeft !== null && attemptsLeft <= LOGIN_ATTEMPTS_WARNING
+        ? ` ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left before login is locked for a while.`
+        : '';
+    throw new Error(`Register number / mobile number or date of birth is incorrect.${warning}`);
+}
+
+async function getGuardianLinks() {
+    if (!window.db) return [];
+    try {
+        const snap = await window.getDocs(window.collection(window.db, 'guardianLinks'));
+        return snap.docs.map(d => d.data());
+    } catch (err) { return []; }
+}
+
+// "parent@example.com" → { email }, "098765 43210" → { phone: '+919876543210' }, else null
+function parseParentContact(value) {
+    const text = String(value || '').trim();
+    if (text.includes('@')) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? { email: text.toLowerCase() } : null;
+    }
+    const digits = text.replace(/\D/g, '').replace(/^0+/, '');
+    if (digits.length === 10) return { phone: `+${DEFAULT_PHONE_COUNTRY_CODE}${digits}` };
+    if (text.startsWith('+') && digits.length >= 11 && digits.length <= 15) return { phone: `+${digits}` };
+    if (digits.length === 12 && digits.startsWith(DEFAULT_PHONE_COUNTRY_CODE)) return { phone: `+${digits}` };
+    return null;
+}
+
 function showSpinner() {
     const spinner = document.getElementById('full-page-spinner');
     if (spinner) spinner.classList.remove('is-hidden');
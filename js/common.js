@@ -63,23 +63,37 @@ document.addEventListener('DOMContentLoaded', () => {
 // -----------------
 
 async function logout() {
+    // Signing out while viewing as someone else ends the view, not the admin's session
+    if (getViewAs()) return stopViewAs();
     if (typeof stopRealtimeListeners === 'function') {
         stopRealtimeListeners();
     }
+    stopSessionMonitor();
     try { await createAuditLog('logout', { portal: window.location.pathname }); } catch (_) {}
+    // Send offline edits while this session can still write them. Anything left
+    // stays queued under this user and is only sent after they sign in again.
+    try { if (window.syncPendingWrites) await window.syncPendingWrites(); } catch (_) {}
     localStorage.removeItem('currentUser');
+    localStorage.removeItem(SESSION_STARTED_KEY);
     try {
-        if (window.supabase) {
-            await window.supabase.auth.signOut();
+        if (window.signOut) {
+            await window.signOut(window.auth);
         }
     } catch (error) {
         console.error('Error signing out:', error);
     } finally {
+        broadcastLogout('account');
         window.location.href = 'index.html';
     }
 }
 
-async function verifyRoleFromServer(uid, expectedRole) {
+/**
+ * Loads the signed-in account's role and checks it may open this portal.
+ * @param {string} uid - Auth user id.
+ * @param {string} portal - A PORTAL_PERMISSIONS key ('admin', 'faculty', 'vbs', 'early-angel').
+ * @returns {Promise<object>} The user_roles row plus roleName and permissions.
+ */
+async function verifyRoleFromServer(uid, portal) {
     if (!window.db || !window.doc || !window.getDoc) {
         throw new Error('Database connection not ready.');
     }
@@ -92,16 +106,779 @@ async function verifyRoleFromServer(uid, expectedRole) {
         }
 
         const userData = docSnap.data();
-        if (userData.role !== expectedRole) {
-            throw new Error(`Role mismatch. Expected "${expectedRole}", found "${userData.role}".`);
+        const { name, permissions } = await loadRoleDefinition(userData.role);
+        if (!canAccessPortal(portal, permissions)) {
+            throw new Error(`Role "${userData.role}" does not have access to the ${portal} portal.`);
         }
-        return userData;
+        setCurrentPermissions(permissions);
+        return { ...userData, roleName: name, permissions };
     } catch (err) {
         console.error('Role verification failed:', err);
         throw err;
     }
 }
 
+// -----------------
+// 🛂 PERMISSIONS
+// -----------------
+// user_roles.role names a row in `roles`; that row's permissions list is the
+// role → capability matrix (edited under Admin Tools → Roles & Permissions).
+// has_permission() in supabase/rls.sql reads the same rows, so hasPermission()
+// here only decides what to show — the database decides what is allowed.
+
+const PERMISSIONS = {
+    manage_all:         'Full access: settings, roles, deletes',
+    view_all:           'View every class and record',
+    edit_all:           'Add and edit records for every class',
+    manage_class:       'Teach their class: students, attendance, marks, homework',
+    manage_vbs:         'VBS portal',
+    manage_early_angel: 'Early Angel portal',
+};
+
+// Any one of these opens the portal
+const PORTAL_PERMISSIONS = {
+    admin:         ['manage_all', 'view_all'],
+    faculty:       ['manage_class'],
+    vbs:           ['manage_all', 'manage_class', 'manage_vbs'],
+    'early-angel': ['manage_all', 'manage_class', 'manage_early_angel'],
+};
+
+// Where each portal lives, in sign-in preference order
+const PORTAL_PAGES = {
+    admin:         'admin.html',
+    faculty:       'faculty.html',
+    vbs:           'vbs.html',
+    'early-angel': 'early-angel.html',
+};
+
+// Used when the roles table can't be read (e.g. add_roles_permissions.sql not applied yet)
+const BUILT_IN_ROLES = {
+    admin:   { name: 'Administrator', permissions: ['manage_all'] },
+    faculty: { name: 'Faculty',       permissions: ['manage_class'] },
+};
+
+let CURRENT_PERMISSIONS = [];
+
+function setCurrentPermissions(permissions) {
+    CURRENT_PERMISSIONS = Array.isArray(permissions) ? [...permissions] : [];
+}
+
+async function loadRoleDefinition(roleId) {
+    const fallback = BUILT_IN_ROLES[roleId] || { name: roleId || 'Unknown', permissions: [] };
+    try {
+        const snap = await window.getDoc(window.doc(window.db, 'roles', String(roleId || '')));
+        if (!snap.exists()) return fallback;
+        const role = snap.data();
+        return { name: role.name || roleId, permissions: Array.isArray(role.permissions) ? role.permissions : [] };
+    } catch (err) {
+        console.warn(`Could not load role "${roleId}", using built-in permissions:`, err);
+        return fallback;
+    }
+}
+
+function hasPermission(permission, permissions = CURRENT_PERMISSIONS) {
+    return permissions.includes(permission);
+}
+
+// 'view_all and edit_all', or '' when the account has none (or no role is loaded yet)
+function describeCurrentPermissions(permissions = CURRENT_PERMISSIONS) {
+    const held = Object.keys(PERMISSIONS).filter(permission => hasPermission(permission, permissions));
+    return held.length > 1 ? `${held.slice(0, -1).join(', ')} and ${held[held.length - 1]}` : held.join('');
+}
+
+function canAccessPortal(portal, permissions = CURRENT_PERMISSIONS) {
+    return (PORTAL_PERMISSIONS[portal] || []).some(p => permissions.includes(p));
+}
+
+// First portal page these permissions open, or null
+function getPortalPage(permissions = CURRENT_PERMISSIONS) {
+    const portal = Object.keys(PORTAL_PAGES).find(key => canAccessPortal(key, permissions));
+    return portal ? PORTAL_PAGES[portal] : null;
+}
+
+// -----------------
+// 👁️ VIEW AS (ADMIN SUPPORT)
+// -----------------
+// An admin can open the faculty, student or parent portal scoped to one user
+// to see what they see. The session lives in this tab's sessionStorage, every
+// write is refused (setReadOnlyMode in js/supabase.js) and a banner leads back
+// to the admin portal. Starting and stopping are both audit-logged.
+
+const VIEW_AS_STORAGE_KEY = 'viewAs';
+const VIEW_AS_PAGES = {
+    faculty: 'faculty.html',
+    student: 'student.html',
+    parent:  'parent.html',
+};
+
+// The running view-as session ({ portal, targetId, label, email, phone, startedAt }) or null.
+// With `portal`, only a session for that portal.
+function getViewAs(portal) {
+    let viewAs = null;
+    try {
+        viewAs = JSON.parse(sessionStorage.getItem(VIEW_AS_STORAGE_KEY) || 'null');
+    } catch (_) { /* corrupt entry counts as none */ }
+    if (!viewAs || (portal && viewAs.portal !== portal)) return null;
+    return viewAs;
+}
+
+/**
+ * Opens a portal as another user (admins only).
+ * @param {string} portal - A VIEW_AS_PAGES key.
+ * @param {object} target - { id, label, email?, phone?, student? }: faculty → id is their uid;
+ *   student → student is the session object the student login would store;
+ *   parent → email and/or phone of their guardian link.
+ */
+async function startViewAs(portal, target) {
+    if (!hasPermission('manage_all')) throw new Error('Only admins can view a portal as another user.');
+    if (!VIEW_AS_PAGES[portal]) throw new Error(`Unknown portal "${portal}".`);
+
+    const viewAs = {
+        portal,
+        targetId: String(target.id),
+        label: target.label || String(target.id),
+        email: target.email || null,
+        phone: target.phone || null,
+        startedAt: new Date().toISOString(),
+    };
+    await createAuditLog('view_as_started', { portal, targetId: viewAs.targetId, label: viewAs.label });
+    sessionStorage.setItem(VIEW_AS_STORAGE_KEY, JSON.stringify(viewAs));
+    if (portal === 'student') sessionStorage.setItem('currentStudent', JSON.stringify(target.student));
+    window.location.href = VIEW_AS_PAGES[portal];
+}
+
+async function stopViewAs() {
+    const viewAs = getViewAs();
+    if (viewAs) {
+        const durationSeconds = Math.round((Date.now() - new Date(viewAs.startedAt).getTime()) / 1000);
+        await createAuditLog('view_as_stopped', {
+            portal: viewAs.portal, targetId: viewAs.targetId, label: viewAs.label, durationSeconds,
+        });
+        if (viewAs.portal === 'student') sessionStorage.removeItem('currentStudent');
+    }
+    sessionStorage.removeItem(VIEW_AS_STORAGE_KEY);
+    if (window.setReadOnlyMode) window.setReadOnlyMode(null);
+    window.location.href = 'admin.html';
+}
+
+// Switches on read-only mode and the banner when this tab is viewing `portal` as someone else
+function enterViewAsMode(portal) {
+    const viewAs = getViewAs(portal);
+    if (!viewAs) return null;
+    if (window.setReadOnlyMode) window.setReadOnlyMode(`You're viewing as ${viewAs.label}`);
+    renderViewAsBanner(viewAs);
+    return viewAs;
+}
+
+function renderViewAsBanner(viewAs) {
+    if (!document.body || document.getElementById('view-as-banner')) return;
+    const banner = document.createElement('div');
+    banner.id = 'view-as-banner';
+    banner.className = 'view-as-banner';
+    banner.innerHTML = `
+        <span><i class="fas fa-user-secret"></i> Viewing as <strong>${escapeHtml(viewAs.label)}</strong>
+        (${escapeHtml(viewAs.portal)} portal) — read-only</span>
+        <button type="button" class="btn btn-sm" id="view-as-exit-btn"><i class="fas fa-sign-out-alt"></i> Back to admin</button>
+    `;
+    document.body.prepend(banner);
+    document.getElementById('view-as-exit-btn').addEventListener('click', stopViewAs);
+}
+
+/**
+ * For a signed-in portal opened through startViewAs: checks the account is
+ * still an admin, then enters view-as mode.
+ * @param {string} uid - The signed-in (admin) account.
+ * @param {string} portal - 'faculty' or 'parent'.
+ * @returns {Promise<object|null>} The view-as session, or null when this tab isn't viewing `portal` as someone else.
+ */
+async function verifyViewAs(uid, portal) {
+    if (!getViewAs(portal)) return null;
+    await verifyRoleFromServer(uid, 'admin');
+    if (!hasPermission('manage_all')) {
+        sessionStorage.removeItem(VIEW_AS_STORAGE_KEY);
+        throw new Error('Only admins can view a portal as another user.');
+    }
+    return enterViewAsMode(portal);
+}
+
+// -----------------
+// ⏱️ SESSION EXPIRY
+// -----------------
+// A sign-in ends after a stretch without activity (with a warning first) or
+// once it reaches its role's maximum age, whichever comes first. Both limits
+// are set under Admin Tools → Sign-in Sessions (app_config.session_policy).
+// Activity is shared by every tab through localStorage, and signing out in one
+// tab signs out the others through a BroadcastChannel. Staff portals also
+// re-read their user_roles row, so a revoked role ends the session within minutes.
+
+const SESSION_POLICY_DEFAULTS = {
+    idleMinutes: 30,
+    warningSeconds: 60,
+    // Hours from sign-in, by role id; 'staff' covers roles without an entry
+    maxAgeHours: { admin: 12, staff: 24, student: 4, parent: 168 },
+};
+const SESSION_STARTED_KEY      = 'sessionStartedAt';    // localStorage; students keep currentStudent.signedInAt
+const LAST_ACTIVITY_KEY        = 'lastActivityAt';      // localStorage, shared by every tab
+const STUDENT_ACTIVITY_KEY     = 'studentLastActivityAt'; // kept apart so a student tab can't keep staff signed in
+const SESSION_ENDED_REASON_KEY = 'sessionEndedReason';  // shown once by the login page
+const SESSION_CHANNEL_NAME     = 'csm-session';
+const SESSION_CHECK_MS         = 15 * 1000;
+const ROLE_RECHECK_MS          = 2 * 60 * 1000;
+const ACTIVITY_WRITE_MS        = 10 * 1000;             // at most one lastActivityAt write per 10 s
+
+const SESSION_END_MESSAGES = {
+    idle:           'You were signed out after a period of inactivity.',
+    'max-age':      'Your session reached its time limit. Please sign in again.',
+    'role-removed': 'Your access has been removed. Please contact the parish office if this is a mistake.',
+};
+
+let SESSION_MONITOR = null;
+let SESSION_ENDING = false;
+let SESSION_CHANNEL = null;
+
+// app_config.session_policy over the defaults; blank or non-positive values keep the default
+function normalizeSessionPolicy(policy) {
+    const raw = policy || {};
+    const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+    const maxAgeHours = { ...SESSION_POLICY_DEFAULTS.maxAgeHours };
+    Object.entries(raw.maxAgeHours || {}).forEach(([key, hours]) => {
+        if (Number(hours) > 0) maxAgeHours[key] = Number(hours);
+    });
+    return {
+        idleMinutes: positive(raw.idleMinutes, SESSION_POLICY_DEFAULTS.idleMinutes),
+        warningSeconds: positive(raw.warningSeconds, SESSION_POLICY_DEFAULTS.warningSeconds),
+        maxAgeHours,
+    };
+}
+
+async function loadSessionPolicy() {
+    try {
+        const snap = await window.getDoc(window.doc(window.db, 'appConfig', 'global'));
+        return normalizeSessionPolicy(snap.exists() ? snap.data()?.sessionPolicy : null);
+    } catch (err) {
+        console.warn('Session policy not loaded, using defaults:', err);
+        return normalizeSessionPolicy(null);
+    }
+}
+
+function getSessionMaxAgeHours(policy, roleKey) {
+    return policy.maxAgeHours[roleKey] ?? policy.maxAgeHours.staff;
+}
+
+/**
+ * Whether a session has run out.
+ * @param {object} times - { startedAt, lastActivityAt, now } in epoch ms, plus maxAgeHours and idleMinutes.
+ * @returns {{ reason: 'max-age'|'idle'|null, idleLeftMs: number }}
+ */
+function getSessionExpiry({ startedAt, lastActivityAt, maxAgeHours, idleMinutes, now = Date.now() }) {
+    if (now - startedAt >= maxAgeHours * 60 * 60 * 1000) return { reason: 'max-age', idleLeftMs: 0 };
+    const idleLeftMs = idleMinutes * 60 * 1000 - (now - lastActivityAt);
+    return { reason: idleLeftMs <= 0 ? 'idle' : null, idleLeftMs: Math.max(0, idleLeftMs) };
+}
+
+// Called by the login page: staff and parents here, students with currentStudent.signedInAt
+function markSessionStarted(at = Date.now(), scope = 'account') {
+    if (scope === 'account') localStorage.setItem(SESSION_STARTED_KEY, String(at));
+    recordSessionActivity(at, scope);
+}
+
+function recordSessionActivity(at = Date.now(), scope = 'account') {
+    localStorage.setItem(scope === 'student' ? STUDENT_ACTIVITY_KEY : LAST_ACTIVITY_KEY, String(at));
+}
+
+function getLastSessionActivity(scope) {
+    return readSessionTimestamp(localStorage.getItem(scope === 'student' ? STUDENT_ACTIVITY_KEY : LAST_ACTIVITY_KEY));
+}
+
+function readSessionTimestamp(value) {
+    const ms = Number(value);
+    return ms > 0 ? ms : null;
+}
+
+// Sessions from before these limits existed count from now
+function getSessionStartedAt(scope) {
+    if (scope === 'student') {
+        const student = JSON.parse(sessionStorage.getItem('currentStudent') || 'null');
+        if (!student) return Date.now();
+        if (!readSessionTimestamp(student.signedInAt)) {
+            student.signedInAt = Date.now();
+            sessionStorage.setItem('currentStudent', JSON.stringify(student));
+        }
+        return student.signedInAt;
+    }
+    if (!readSessionTimestamp(localStorage.getItem(SESSION_STARTED_KEY))) markSessionStarted();
+    return readSessionTimestamp(localStorage.getItem(SESSION_STARTED_KEY));
+}
+
+function getSessionChannel() {
+    if (!SESSION_CHANNEL && typeof window.BroadcastChannel === 'function') {
+        SESSION_CHANNEL = new window.BroadcastChannel(SESSION_CHANNEL_NAME);
+    }
+    return SESSION_CHANNEL;
+}
+
+// scope: 'account' (staff and parents share the Supabase sign-in) or 'student'
+function broadcastLogout(scope) {
+    try {
+        getSessionChannel()?.postMessage({ type: 'logout', scope });
+    } catch (err) {
+        console.warn('Logout broadcast failed:', err);
+    }
+}
+
+/**
+ * Starts the idle and max-age checks for this page and listens for sign-outs
+ * in other tabs. While viewing as someone, the admin's own sign-in is watched.
+ * @param {object} options
+ * @param {string} options.roleKey - user_roles.role, or 'student' / 'parent'.
+ * @param {string} [options.uid] - Staff account whose user_roles row is re-read.
+ * @param {Function} options.signOut - The portal's logout, run when the session ends.
+ */
+async function startSessionMonitor({ roleKey, uid = null, signOut }) {
+    if (SESSION_MONITOR) return SESSION_MONITOR;
+    if (getViewAs()) {
+        const admin = JSON.parse(localStorage.getItem('currentUser') || '{}');
+        roleKey = admin.role || 'admin';
+        uid = admin.uid || window.auth?.currentUser?.uid || null;
+        signOut = endViewAsAndLogout;
+    }
+
+    const scope = roleKey === 'student' ? 'student' : 'account';
+    const policy = await loadSessionPolicy();
+    const monitor = {
+        scope,
+        policy,
+        startedAt: getSessionStartedAt(scope),
+        maxAgeHours: getSessionMaxAgeHours(policy, roleKey),
+        warningOpen: false,
+        timers: [],
+        listeners: [],
+        end: reason => endSession(reason, signOut),
+    };
+    if (!getLastSessionActivity(scope)) recordSessionActivity(Date.now(), scope);
+    SESSION_MONITOR = monitor;
+
+    // Once the warning is up only "Stay signed in" counts as activity
+    let lastWrite = 0;
+    const onActivity = () => {
+        const now = Date.now();
+        if (monitor.warningOpen || now - lastWrite < ACTIVITY_WRITE_MS) return;
+        lastWrite = now;
+        recordSessionActivity(now, scope);
+    };
+    ['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach(type => {
+        document.addEventListener(type, onActivity, { capture: true, passive: true });
+        monitor.listeners.push([type, onActivity]);
+    });
+
+    const channel = getSessionChannel();
+    if (channel) {
+        monitor.onMessage = event => {
+            if (event.data?.type === 'logout' && event.data.scope === scope) leaveAfterRemoteLogout(scope);
+        };
+        channel.addEventListener('message', monitor.onMessage);
+    }
+
+    monitor.timers.push(setInterval(() => checkSession(monitor), SESSION_CHECK_MS));
+    if (scope === 'account' && uid && roleKey !== 'parent') {
+        monitor.timers.push(setInterval(async () => {
+            if (!(await roleRowExists(uid))) monitor.end('role-removed');
+        }, ROLE_RECHECK_MS));
+    }
+    await checkSession(monitor);
+    return monitor;
+}
+
+function stopSessionMonitor() {
+    const monitor = SESSION_MONITOR;
+    if (!monitor) return;
+    SESSION_MONITOR = null;
+    monitor.timers.forEach(clearInterval);
+    monitor.listeners.forEach(([type, fn]) => document.removeEventListener?.(type, fn, { capture: true }));
+    if (monitor.onMessage) SESSION_CHANNEL?.removeEventListener('message', monitor.onMessage);
+}
+
+function checkSession(monitor) {
+    if (SESSION_MONITOR !== monitor) return;
+    const { reason, idleLeftMs } = getSessionExpiry({
+        startedAt: monitor.startedAt,
+        lastActivityAt: getLastSessionActivity(monitor.scope) || monitor.startedAt,
+        maxAgeHours: monitor.maxAgeHours,
+        idleMinutes: monitor.policy.idleMinutes,
+    });
+    if (reason) return monitor.end(reason);
+
+    if (idleLeftMs <= monitor.policy.warningSeconds * 1000) {
+        showIdleWarning(monitor, idleLeftMs);
+    } else if (monitor.warningOpen && document.getElementById('session-idle-countdown')) {
+        Swal.close(); // active again in another tab
+    }
+}
+
+function showIdleWarning(monitor, idleLeftMs) {
+    if (monitor.warningOpen || typeof Swal === 'undefined') return;
+    monitor.warningOpen = true;
+    let countdown = null;
+    Swal.fire({
+        icon: 'warning',
+        title: 'Still there?',
+        html: 'You will be signed out in <strong id="session-idle-countdown"></strong> seconds.',
+        confirmButtonText: 'Stay signed in',
+        allowOutsideClick: false,
+        timer: idleLeftMs,
+        timerProgressBar: true,
+        didOpen: () => {
+            const tick = () => {
+                const el = document.getElementById('session-idle-countdown');
+                if (el) el.textContent = Math.ceil((Swal.getTimerLeft() || 0) / 1000);
+            };
+            tick();
+            countdown = setInterval(tick, 1000);
+        },
+        willClose: () => clearInterval(countdown),
+    }).then(result => {
+        monitor.warningOpen = false;
+        if (result.isConfirmed) recordSessionActivity(Date.now(), monitor.scope);
+        checkSession(monitor);
+    });
+}
+
+// Runs the portal's own logout so its audit entry and clean-up happen, and
+// leaves the reason for the login page
+async function endSession(reason, signOut) {
+    if (SESSION_ENDING) return;
+    SESSION_ENDING = true;
+    stopSessionMonitor();
+    localStorage.setItem(SESSION_ENDED_REASON_KEY, reason);
+    await createAuditLog('session_expired', { reason, portal: window.location.pathname });
+    await signOut();
+}
+
+// logout() only ends a view-as; an expired admin session must end both
+async function endViewAsAndLogout() {
+    if (getViewAs()?.portal === 'student') sessionStorage.removeItem('currentStudent');
+    sessionStorage.removeItem(VIEW_AS_STORAGE_KEY);
+    if (window.setReadOnlyMode) window.setReadOnlyMode(null);
+    await logout();
+}
+
+// Another tab signed out: its logout already cleared the shared state
+function leaveAfterRemoteLogout(scope) {
+    stopSessionMonitor();
+    if (scope === 'student') sessionStorage.removeItem('currentStudent');
+    sessionStorage.removeItem(VIEW_AS_STORAGE_KEY);
+    window.location.href = 'index.html';
+}
+
+// Like verifyRoleFromServer's "No role document" check, but a failed read
+// (offline, expired token) keeps the session; only a missing row ends it
+async function roleRowExists(uid) {
+    try {
+        const snap = await window.getDoc(window.doc(window.db, 'userRoles', uid));
+        return snap.exists();
+    } catch (err) {
+        console.warn('Role re-check failed:', err);
+        return true;
+    }
+}
+
+// The message for a session ended by endSession(), once
+function takeSessionEndedMessage() {
+    const reason = localStorage.getItem(SESSION_ENDED_REASON_KEY);
+    if (!reason) return null;
+    localStorage.removeItem(SESSION_ENDED_REASON_KEY);
+    return SESSION_END_MESSAGES[reason] || null;
+}
+
+// -----------------
+// 🎒 STUDENT PORTAL
+// -----------------
+// Students sign in without an account, so they have no table access. The
+// login gets a portal token from verify_student_login() and the portal reads
+// the student's own records through student_portal_data()
+// (supabase/add_student_portal_sessions.sql). An admin viewing as the
+// student has no token and is looked up by student ID instead.
+
+const STUDENT_PORTAL_ROWS = {
+    sessions:          'sessions',
+    attendance:        'attendance',
+    assessments:       'assessments',
+    scores:            'scores',
+    earlyAngelEntries: 'early_angel_entries',
+};
+
+/**
+ * Loads the student portal's records for the current year.
+ * @param {object} student - The currentStudent session ({ portalToken } or, when viewing as, { studentId }).
+ * @returns {Promise<object|null>} { student, enrollment, academicYear, sessions, attendance,
+ *   assessments, scores, earlyAngelEntries } as getDoc() data, or null when the sign-in has expired.
+ */
+async function loadStudentPortalData(student) {
+    const token = student?.portalToken || null;
+    const load = window.httpsCallable(window.getFunctions(), 'student_portal_data');
+    const { data } = await load({ p_token: token, p_student_id: token ? null : (student?.studentId || null) });
+    if (data?.status !== 'ok') return null;
+
+    const one = (collectionName, row) => (row ? window.docDataFromRow(collectionName, row) : null);
+    const portal = {
+        student: one('students', data.student),
+        enrollment: one('enrollments', data.enrollment),
+        academicYear: one('academicYears', data.academic_year),
+    };
+    Object.entries(STUDENT_PORTAL_ROWS).forEach(([collectionName, key]) => {
+        portal[collectionName] = (data[key] || []).map(row => one(collectionName, row));
+    });
+    return portal;
+}
+
+// Logout: the token stops working even if it was copied
+async function endStudentPortalSession(student) {
+    if (!student?.portalToken) return;
+    try {
+        await window.httpsCallable(window.getFunctions(), 'end_student_portal_session')({ p_token: student.portalToken });
+    } catch (err) {
+        console.warn('Failed to end the student portal session:', err);
+    }
+}
+
+// -----------------
+// 🔑 TWO-FACTOR SIGN-IN
+// -----------------
+// TOTP authenticator apps through Supabase Auth MFA, with single-use recovery
+// codes (supabase/add_admin_mfa.sql). Admins must enrol; other staff may from
+// their profile. Once an account has a factor, the database ignores its role
+// until the session has verified a code, so every staff portal asks first.
+// Destructive admin actions call requireStepUp() for a fresh check.
+
+const MFA_REQUIRED_PERMISSION = 'manage_all';
+const STEP_UP_WINDOW_MS = 5 * 60 * 1000;   // the database allows 10 minutes (auth_is_recent(600))
+const TOTP_CODE_PATTERN = /^\d{6}$/;
+const MFA_SIGN_IN_ATTEMPTS = 3;
+
+async function getVerifiedTotpFactor() {
+    const factors = await window.listMfaFactors(window.auth);
+    return factors.find(f => f.status === 'verified') || null;
+}
+
+// Was the session's password or code checked within the step-up window?
+function isRecentlyVerified(assurance, now = Date.now()) {
+    return !!assurance?.lastVerifiedAt && now - assurance.lastVerifiedAt < STEP_UP_WINDOW_MS;
+}
+
+/**
+ * Makes sure the signed-in account has passed its second factor, enrolling
+ * one first when `required`. Throws when the person cancels or fails.
+ * @param {object} [options]
+ * @param {boolean} [options.required=false] - Enrol an authenticator if the account has none.
+ */
+async function ensureSecondFactor({ required = false } = {}) {
+    const { currentLevel, nextLevel } = await window.getAuthAssurance(window.auth);
+    if (currentLevel === 'aal2') return;
+
+    if (nextLevel === 'aal2') {
+        const factor = await getVerifiedTotpFactor();
+        for (let attempt = 1; attempt <= MFA_SIGN_IN_ATTEMPTS; attempt++) {
+            const answer = await promptTotpCode({
+                title: 'Two-factor sign-in',
+                text: attempt === 1
+                    ? 'Enter the 6-digit code from your authenticator app.'
+                    : 'That code didn\'t work. Enter the code the app shows now.',
+                allowRecovery: true,
+            });
+            if (!answer) throw new Error('Two-factor sign-in was cancelled.');
+            if (answer.recovery) {
+                await redeemRecoveryCode(answer.recovery);
+                if (required) await runTotpEnrollment();
+                return;
+            }
+            try {
+                await window.verifyTotpCode(window.auth, factor.id, answer.code);
+                return;
+            } catch (err) {
+                await createAuditLog('mfa_failed', { stage: 'sign-in', attempt });
+            }
+        }
+        throw new Error('That code is incorrect or has expired.');
+    }
+
+    if (required) await runTotpEnrollment();
+}
+
+// Asks for an authenticator code; resolves { code }, { recovery } or null if cancelled
+async function promptTotpCode({ title, text, allowRecovery = false }) {
+    hideSpinner();
+    const result = await Swal.fire({
+        title,
+        text,
+        input: 'text',
+        inputAttributes: { autocomplete: 'one-time-code', inputmode: 'numeric', maxlength: '6' },
+        showCancelButton: true,
+        showDenyButton: allowRecovery,
+        denyButtonText: 'Use a recovery code',
+        confirmButtonText: 'Verify',
+        allowOutsideClick: false,
+        inputValidator: value => (TOTP_CODE_PATTERN.test(String(value || '').trim()) ? null : 'Enter the 6 digits shown in the app.'),
+    });
+    if (result.isConfirmed) return { code: String(result.value).trim() };
+    if (!result.isDenied) return null;
+
+    const recovery = await Swal.fire({
+        title: 'Use a recovery code',
+        text: 'Each code works once. You will set up your authenticator again afterwards.',
+        input: 'text',
+        inputPlaceholder: 'xxxx-xxxx-xxxx',
+        showCancelButton: true,
+        confirmButtonText: 'Use code',
+        inputValidator: value => (String(value || '').trim() ? null : 'Enter one of your recovery codes.'),
+    });
+    return recovery.isConfirmed ? { recovery: String(recovery.value).trim() } : null;
+}
+
+// redeem_mfa_recovery_code() removes the account's factors; the caller enrols again
+async function redeemRecoveryCode(code) {
+    const redeem = window.httpsCallable(window.getFunctions(), 'redeem_mfa_recovery_code');
+    const { data } = await redeem({ p_code: code });
+    if (data?.status !== 'ok') {
+        await createAuditLog('mfa_failed', { stage: 'recovery-code' });
+        throw new Error('That recovery code is not valid or was already used.');
+    }
+    await createAuditLog('mfa_recovery_code_used', { remaining: data.remaining });
+    return data;
+}
+
+/**
+ * Adds an authenticator app to the signed-in account: shows the QR code,
+ * verifies the first code, then shows the recovery codes. Throws if cancelled.
+ */
+async function runTotpEnrollment() {
+    // An abandoned earlier attempt leaves an unverified factor behind
+    const stale = (await window.listMfaFactors(window.auth)).filter(f => f.status !== 'verified');
+    await Promise.all(stale.map(f => window.unenrollMfaFactor(window.auth, f.id)));
+
+    const setup = await window.enrollTotpFactor(window.auth, 'Authenticator app');
+    hideSpinner();
+    const result = await Swal.fire({
+        title: 'Set up two-factor sign-in',
+        html: `
+            <p>Scan this code with an authenticator app (Google Authenticator, Microsoft Authenticator, Authy…),
+            then enter the 6-digit code it shows.</p>
+            ${setup.qrCode ? `<img src="${escapeHtml(setup.qrCode)}" alt="Authenticator QR code" style="width:180px;height:180px;margin:12px auto;display:block;">` : ''}
+            <p style="font-size:0.85rem;">Can't scan? Enter this key: <code>${escapeHtml(setup.secret)}</code></p>`,
+        input: 'text',
+        inputAttributes: { autocomplete: 'one-time-code', inputmode: 'numeric', maxlength: '6' },
+        showCancelButton: true,
+        confirmButtonText: 'Verify',
+        allowOutsideClick: false,
+        showLoaderOnConfirm: true,
+        inputValidator: value => (TOTP_CODE_PATTERN.test(String(value || '').trim()) ? null : 'Enter the 6 digits shown in the app.'),
+        preConfirm: async value => {
+            try {
+                await window.verifyTotpCode(window.auth, setup.factorId, String(value).trim());
+                return true;
+            } catch (err) {
+                Swal.showValidationMessage('That code is incorrect. Check the app and try again.');
+                return false;
+            }
+        },
+    });
+    if (!result.isConfirmed) {
+        await window.unenrollMfaFactor(window.auth, setup.factorId).catch(() => {});
+        throw new Error('Two-factor setup was cancelled.');
+    }
+
+    await createAuditLog('mfa_enrolled', {});
+    await showRecoveryCodes(await generateRecoveryCodes());
+}
+
+async function generateRecoveryCodes() {
+    const generate = window.httpsCallable(window.getFunctions(), 'generate_mfa_recovery_codes');
+    const { data } = await generate({});
+    return data || [];
+}
+
+function showRecoveryCodes(codes) {
+    return Swal.fire({
+        icon: 'info',
+        title: 'Save your recovery codes',
+        html: `
+            <p>If you lose your phone, each of these codes lets you sign in once.
+            Store them somewhere safe — they won't be shown again.</p>
+            <pre style="text-align:center;font-size:1rem;line-height:1.7;">${codes.map(escapeHtml).join('\n')}</pre>`,
+        confirmButtonText: "I've saved them",
+        allowOutsideClick: false,
+    });
+}
+
+// Profile menu → Two-Factor Sign-in: add an authenticator, or replace the recovery codes
+async function openTwoFactorSettings() {
+    try {
+        const factor = await getVerifiedTotpFactor();
+        if (!factor) {
+            const start = await showConfirm('Two-factor sign-in is off',
+                'Add an authenticator app so a password alone can\'t open your account.', 'Set it up');
+            if (!start.isConfirmed) return;
+            await runTotpEnrollment();
+            return showSuccess('Two-factor sign-in is on', 'You will be asked for a code each time you sign in.');
+        }
+
+        const choice = await Swal.fire({
+            icon: 'success',
+            title: 'Two-factor sign-in is on',
+            text: 'Lost your recovery codes, or used some? New codes replace all the old ones.',
+            showCancelButton: true,
+            confirmButtonText: 'New recovery codes',
+            cancelButtonText: 'Close',
+        });
+        if (!choice.isConfirmed || !(await requireStepUp('create new recovery codes'))) return;
+        await showRecoveryCodes(await generateRecoveryCodes());
+        createAuditLog('mfa_recovery_codes_regenerated', {});
+    } catch (err) {
+        showDataError('Two-factor settings', err);
+    }
+}
+
+/**
+ * Asks the signed-in account to prove it is still them before a destructive
+ * action: an authenticator code, or the password for accounts without one.
+ * Skipped when the session was verified in the last few minutes.
+ * @param {string} actionLabel - Shown in the prompt, e.g. 'restore a backup'.
+ * @returns {Promise<boolean>} true once verified; false if cancelled or wrong (already reported).
+ */
+async function requireStepUp(actionLabel) {
+    try {
+        if (isRecentlyVerified(await window.getAuthAssurance(window.auth))) return true;
+
+        const factor = await getVerifiedTotpFactor();
+        if (factor) {
+            const answer = await promptTotpCode({
+                title: 'Confirm it\'s you',
+                text: `Enter the code from your authenticator app to ${actionLabel}.`,
+            });
+            if (!answer) return false;
+            await window.verifyTotpCode(window.auth, factor.id, answer.code);
+            return true;
+        }
+
+        const result = await Swal.fire({
+            title: 'Confirm it\'s you',
+            text: `Enter your password to ${actionLabel}.`,
+            input: 'password',
+            inputAttributes: { autocomplete: 'current-password' },
+            showCancelButton: true,
+            confirmButtonText: 'Confirm',
+            inputValidator: value => (value ? null : 'Enter your password.'),
+        });
+        if (!result.isConfirmed) return false;
+        await window.signInWithEmailAndPassword(window.auth, window.auth.currentUser.email, result.value);
+        return true;
+    } catch (err) {
+        console.warn('Step-up check failed:', err);
+        await createAuditLog('step_up_failed', { action: actionLabel });
+        showError('Not confirmed', 'That code or password is incorrect. Nothing was changed.');
+        return false;
+    }
+}
+
 // -----------------
 // 🗓️ ACADEMIC YEAR CONTEXT
 // -----------------
@@ -110,6 +887,7 @@ const APP_CONTEXT = {
     activeAcademicYearId: null,
     previousAcademicYearId: null,
     migrationEnabled: false,
+    attendanceLockDays: null,
 };
 window.APP_CONTEXT = APP_CONTEXT;
 
@@ -138,8 +916,10 @@ async function loadAcademicYearContext(forceRefresh = false) {
         if (configSnap.exists()) {
             const cfg = configSnap.data() || {};
             APP_CONTEXT.activeAcademicYearId = cfg.activeAcademicYearId || null;
+            APP_CONTEXT.attendanceLockDays = cfg.attendanceLockDays ?? null;
         } else {
             APP_CONTEXT.activeAcademicYearId = null;
+            APP_CONTEXT.attendanceLockDays = null;
         }
 
         APP_CONTEXT.previousAcademicYearId = null;
@@ -247,69 +1027,74 @@ async function upsertEnrollmentForStudent(student, updatedBy = '') {
 
     const enrollmentId = `${academicYearId}_${classId}_${studentId}`;
     const enrollmentRef = window.doc(window.db, 'enrollments', enrollmentId);
-    const existingEnrollmentSnap = await window.getDoc(enrollmentRef);
-
-    let registerNo = null;
-    if (existingEnrollmentSnap.exists()) {
-        const existingData = existingEnrollmentSnap.data() || {};
-        if (existingData.registerNo !== undefined && existingData.registerNo !== null) {
-            registerNo = Number(existingData.registerNo);
+    const counterId = `${academicYearId}_${classId}`;
+    const counterRef = window.doc(window.db, 'classYearCounters', counterId);
+
+    // Counter read + bump and the enrollment write commit together; if another
+    // save claims the same sequence first the transaction re-runs with fresh data.
+    return window.runTransaction(window.db, async tx => {
+        const existingEnrollmentSnap = await tx.get(enrollmentRef);
+
+        let registerNo = null;
+        if (existingEnrollmentSnap.exists()) {
+            const existingData = existingEnrollmentSnap.data() || {};
+            if (existingData.registerNo !== undefined && existingData.registerNo !== null) {
+                registerNo = Number(existingData.registerNo);
+            }
         }
-    }
 
-    if (registerNo === null || Number.isNaN(registerNo)) {
-        // Use hint from add-student form if admin pre-filled it
-        const hintRegNo = student._hintRegisterNo ? Number(student._hintRegisterNo) : null;
-
-        const counterId = `${academicYearId}_${classId}`;
-        const counterRef = window.doc(window.db, 'classYearCounters', counterId);
-        const counterSnap = await window.getDoc(counterRef);
-        const classNum = getClassNumber(classId);
-
-        if (hintRegNo && !Number.isNaN(hintRegNo)) {
-            registerNo = hintRegNo;
-            // Advance counter to at least the sequence implied by this register number
-            const impliedSeq = classNum != null ? hintRegNo - classNum * 100 : hintRegNo;
-            const currentCount = counterSnap.exists() ? (counterSnap.data().count || 0) : 0;
-            if (impliedSeq > currentCount) {
-                await window.setDoc(counterRef, {
+        if (registerNo === null || Number.isNaN(registerNo)) {
+            // Use hint from add-student form if admin pre-filled it
+            const hintRegNo = student._hintRegisterNo ? Number(student._hintRegisterNo) : null;
+
+            const counterSnap = await tx.get(counterRef);
+            const classNum = getClassNumber(classId);
+
+            if (hintRegNo && !Number.isNaN(hintRegNo)) {
+                registerNo = hintRegNo;
+                // Advance counter to at least the sequence implied by this register number
+                const impliedSeq = classNum != null ? hintRegNo - classNum * 100 : hintRegNo;
+                const currentCount = counterSnap.exists() ? (counterSnap.data().count || 0) : 0;
+                if (impliedSeq > currentCount) {
+                    tx.set(counterRef, {
+                        id: counterId, academicYearId, classId,
+                        count: impliedSeq, updatedAt: new Date().toISOString(),
+                    }, { merge: true });
+                }
+            } else {
+                const seq = counterSnap.exists() ? (counterSnap.data().count || 0) + 1 : 1;
+                // Apply class-number prefix: "Class 7" → prefix 7 → registerNo 701, 702…
+                registerNo = classNum != null
+                    ? parseInt(`${classNum}${String(seq).padStart(2, '0')}`, 10)
+                    : seq;
+                tx.set(counterRef, {
                     id: counterId, academicYearId, classId,
-                    count: impliedSeq, updatedAt: new Date().toISOString(),
+                    count: seq, updatedAt: new Date().toISOString(),
                 }, { merge: true });
             }
-        } else {
-            const seq = counterSnap.exists() ? (counterSnap.data().count || 0) + 1 : 1;
-            // Apply class-number prefix: "Class 7" → prefix 7 → registerNo 701, 702…
-            registerNo = classNum != null
-                ? parseInt(`${classNum}${String(seq).padStart(2, '0')}`, 10)
-                : seq;
-            await window.setDoc(counterRef, {
-                id: counterId, academicYearId, classId,
-                count: seq, updatedAt: new Date().toISOString(),
-            }, { merge: true });
         }
-    }
 
-    const fullName = [student.firstName, student.lastName].filter(Boolean).join(' ').trim();
-    const enrollmentPayload = {
-        id: enrollmentId,
-        academicYearId,
-        classId,
-        studentId,
-        registerNo,
-        status: 'active',
-        fullName: fullName || student.name || studentId,
-        updatedAt: new Date().toISOString(),
-    };
+        const fullName = [student.firstName, student.lastName].filter(Boolean).join(' ').trim();
+        const enrollmentPayload = {
+            id: enrollmentId,
+            academicYearId,
+            classId,
+            studentId,
+            registerNo,
+            status: 'active',
+            fullName: fullName || student.name || studentId,
+            updatedAt: new Date().toISOString(),
+        };
 
-    if (!existingEnrollmentSnap.exists()) {
-        enrollmentPayload.createdAt = new Date().toISOString();
-    }
-    // NOTE: enrollments has no `updated_by`/`created_by` column — never write the
-    // `updatedBy` arg to it (Postgres rejects unknown columns). Param kept for callers.
+        if (!existingEnrollmentSnap.exists()) {
+            enrollmentPayload.createdAt = new Date().toISOString();
+        }
+        // NOTE: enrollments has no `updated_by`/`created_by` column — never write the
+        // `updatedBy` arg to it (Postgres rejects unknown columns). Param kept for callers.
 
-    await window.setDoc(enrollmentRef, enrollmentPayload, { merge: true });
-    return enrollmentPayload;
+        tx.set(enrollmentRef, enrollmentPayload, { merge: true });
+        return enrollmentPayload;
+    });
 }
 
 window.setActiveAcademicYearContext = setActiveAcademicYearContext;
@@ -322,6 +1107,78 @@ window.getCurrentAcademicYearRoster = getCurrentAcademicYearRoster;
 window.watchAcademicYearContext = watchAcademicYearContext;
 window.upsertEnrollmentForStudent = upsertEnrollmentForStudent;
 
+// -----------------
+// 📡 REALTIME CHANGE SETS
+// -----------------
+
+/**
+ * Applies snapshot.docChanges() to a DATA_MODELS array in place.
+ * A snapshot made only of 'added' docs (first delivery, resubscribe) replaces the list.
+ * toItem maps a doc to the stored item; keep() drops items that shouldn't be cached.
+ * Returns { reset, added, modified, removed } so callers can patch just those rows.
+ */
+function applySnapshotChanges(list, snapshot, toItem = d => ({ id: d.id, ...d.data() }), keep = () => true) {
+    const result = { reset: false, added: [], modified: [], removed: [] };
+    const changes = typeof snapshot.docChanges === 'function' ? snapshot.docChanges() : null;
+
+    if (!changes || (changes.length === snapshot.docs.length && changes.every(c => c.type === 'added'))) {
+        list.length = 0;
+        snapshot.forEach(d => {
+            const item = toItem(d);
+            if (keep(item)) list.push(item);
+        });
+        result.reset = true;
+        return result;
+    }
+
+    changes.forEach(change => {
+        const id = String(change.doc.id);
+        const idx = list.findIndex(item => String(item.id) === id);
+        const item = change.type === 'removed' ? null : toItem(change.doc);
+
+        if (!item || !keep(item)) {
+            if (idx >= 0) {
+                list.splice(idx, 1);
+                result.removed.push(id);
+            }
+        } else if (idx >= 0) {
+            list[idx] = item;
+            result.modified.push(item);
+        } else {
+            list.push(item);
+            result.added.push(item);
+        }
+    });
+    return result;
+}
+
+/**
+ * Updates the status dropdowns of an open attendance form for changed records,
+ * leaving every other row (and any dropdown the user is editing) untouched.
+ */
+function patchAttendanceStatusInputs(sessionId, records) {
+    records.forEach(record => {
+        if (!record || record.sessionId !== sessionId) return;
+        const select = document.querySelector(`.attendance-status[data-student="${CSS.escape(String(record.studentId))}"]`);
+        if (select && select !== document.activeElement) select.value = record.status;
+    });
+}
+
+/**
+ * Same as patchAttendanceStatusInputs for the score inputs of the scores modal.
+ */
+function patchScoreInputs(assessmentId, records) {
+    records.forEach(record => {
+        if (!record || record.assessmentId !== assessmentId) return;
+        const input = document.querySelector(`#scores-form-container .score-input[data-student="${CSS.escape(String(record.studentId))}"]`);
+        if (input && input !== document.activeElement) input.value = record.marks ?? '';
+    });
+}
+
+window.applySnapshotChanges = applySnapshotChanges;
+window.patchAttendanceStatusInputs = patchAttendanceStatusInputs;
+window.patchScoreInputs = patchScoreInputs;
+
 // -----------------
 // 🔄 SPINNER CONTROLS
 // -----------------
@@ -360,6 +1217,25 @@ function showError(title, text = '') {
     });
 }
 
+// For a failed read/write: DataError messages already say what went wrong and
+// what to do about it. An expired session offers to sign in again.
+function showDataError(title, err) {
+    const text = err?.message || String(err || 'Unknown error');
+    if (err?.kind === 'auth-expired') {
+        return Swal.fire({
+            icon: 'warning',
+            title: title,
+            text: text,
+            confirmButtonText: 'Sign in again',
+        }).then(() => logout());
+    }
+    return Swal.fire({
+        icon: err?.kind === 'network' ? 'warning' : 'error',
+        title: title,
+        text: text,
+    });
+}
+
 function showConfirm(title, text, confirmText = 'Yes, delete it!') {
     return Swal.fire({
         title: title,
@@ -461,26 +1337,22 @@ async function createAuditLog(action, details = {}, actorOverride = null) {
             userEmail = actorOverride.email || actorOverride.userEmail || 'unknown';
             uid = actorOverride.uid || null;
         } else {
-            // Faculty/admin use localStorage; student/parent fall back to sessionStorage
+            // Faculty/admin use localStorage; parents are signed in (auth.currentUser);
+            // students fall back to sessionStorage
             const localUser = JSON.parse(localStorage.getItem('currentUser') || '{}');
+            const authUser = window.auth?.currentUser || null;
             const sessionStudent = JSON.parse(sessionStorage.getItem('currentStudent') || 'null');
-            const sessionParent = JSON.parse(sessionStorage.getItem('parentSession') || 'null');
-            userEmail = localUser.email || sessionStudent?.email || sessionParent?.phone || 'unknown';
-            uid = localUser.uid || sessionStudent?.studentId || sessionParent?.studentId || null;
+            userEmail = localUser.email || authUser?.email || authUser?.phoneNumber || sessionStudent?.email || 'unknown';
+            uid = localUser.uid || authUser?.uid || sessionStudent?.studentId || null;
         }
 
-        // Use Supabase client directly for a simple insert
-        const { error } = await window.supabase
-            .from('activity_logs')
-            .insert({
-                action,
-                details,
-                user_email: userEmail,
-                uid:        uid,
-                created_at: new Date().toISOString(),
-            });
-
-        if (error) console.warn('Audit log insert error:', error.message);
+        await window.addDoc(window.collection(window.db, 'activityLogs'), {
+            action,
+            details,
+            userEmail,
+            uid,
+            createdAt: new Date().toISOString(),
+        });
 
     } catch (err) {
         console.warn('Failed to create audit log:', err);
@@ -591,6 +1463,34 @@ function renderAttendanceChart(studentId, DATA_MODELS, targetId = 'attendance-ch
     });
 }
 
+// ---------------------------------------------------
+// 📷 CHECK-IN BADGES
+// ---------------------------------------------------
+// A student badge's QR code holds CSM1:<studentId>:<token>. The faculty
+// scanner sends the token to check_in_badge() for checking; the Early Angel
+// kiosk only needs the student ID.
+
+const BADGE_PREFIX = 'CSM1';
+// The camera reads a badge held in front of it many times a second
+const BADGE_REPEAT_MS = 5000;
+
+function formatBadgePayload(studentId, token) {
+    return `${BADGE_PREFIX}:${studentId}:${token}`;
+}
+
+/**
+ * Reads a scanned QR code.
+ * @returns {{ studentId: string, token: string }|null} null for anything that is not a student badge.
+ */
+function parseBadgePayload(text) {
+    const parts = String(text || '').trim().split(':');
+    if (parts.length < 3 || parts[0] !== BADGE_PREFIX) return null;
+    const token = parts.pop();
+    const studentId = parts.slice(1).join(':');
+    if (!studentId || !/^[0-9a-f]{24}$/.test(token)) return null;
+    return { studentId, token };
+}
+
 // ---------------------------------------------------
 // 🖨️ PRINTING & PDF EXPORT
 // ---------------------------------------------------
@@ -1029,65 +1929,138 @@ async function createOrUpdateEnrollment(academicYearId, classId, studentId, stud
     try {
         const enrollmentId = `${academicYearId}_${classId}_${studentId}`;
         const enrollmentRef = window.doc(window.db, 'enrollments', enrollmentId);
-
-        // If enrollment already exists with a registerNo, preserve it — don't re-increment counter
-        const existingSnap = await window.getDoc(enrollmentRef);
-        if (existingSnap.exists() && existingSnap.data().registerNo != null) {
-            const extra = {};
-            if (studentData.status) extra.status = studentData.status;
-            if (studentData.fullName) extra.fullName = studentData.fullName;
-            if (studentData.promotedFromClass) extra.promotedFromClass = studentData.promotedFromClass;
-            if (studentData.promotedFromYear) extra.promotedFromYear = studentData.promotedFromYear;
-            if (studentData.promotedAt) extra.promotedAt = studentData.promotedAt;
-            if (studentData.migratedFromYearId) extra.migratedFromYearId = studentData.migratedFromYearId;
-            await window.setDoc(enrollmentRef, { ...extra, updatedAt: window.serverTimestamp() }, { merge: true });
-            const existing = existingSnap.data();
-            return { id: enrollmentId, registerNo: existing.registerNo, ...existing };
-        }
-
-        // New enrollment — assign next sequence number and format register number
         const counterId = `${academicYearId}_${classId}`;
         const counterRef = window.doc(window.db, 'classYearCounters', counterId);
-        const counterSnap = await window.getDoc(counterRef);
-        const seq = counterSnap.exists() ? (counterSnap.data().count || 0) + 1 : 1;
-
-        // Update counter
-        await window.setDoc(counterRef, {
-            academicYearId, classId, count: seq,
-            updatedAt: window.serverTimestamp()
-        }, { merge: true });
-
-        // Register number: classNumber + zero-padded 2-digit sequence  (e.g. 701, 702 … 715)
-        const classNum = getClassNumber(classId);
-        const registerNo = classNum != null
-            ? parseInt(`${classNum}${String(seq).padStart(2, '0')}`, 10)
-            : seq;
-
-        const enrollmentData = {
-            id: enrollmentId,
-            academicYearId,
-            classId,
-            studentId,
-            registerNo,
-            status: 'active',
-            fullName: studentData.fullName || null,
-            promotedFromClass: studentData.promotedFromClass || null,
-            promotedFromYear: studentData.promotedFromYear || null,
-            promotedAt: studentData.promotedAt || null,
-            migratedFromYearId: studentData.migratedFromYearId || null,
-            createdAt: window.serverTimestamp(),
-            updatedAt: window.serverTimestamp()
-        };
 
-        await window.setDoc(enrollmentRef, enrollmentData, { merge: true });
-        console.log(`Enrollment created: ${enrollmentId} (Register: ${registerNo})`);
-        return { id: enrollmentId, registerNo, ...enrollmentData };
+        // Read the enrollment + counter and write both in one transaction so two
+        // concurrent promotions can never hand out the same register number.
+        let created = false;
+        const result = await window.runTransaction(window.db, async tx => {
+            created = false;
+            // If enrollment already exists with a registerNo, preserve it — don't re-increment counter
+            const existingSnap = await tx.get(enrollmentRef);
+            if (existingSnap.exists() && existingSnap.data().registerNo != null) {
+                const extra = {};
+                if (studentData.status) extra.status = studentData.status;
+                if (studentData.fullName) extra.fullName = studentData.fullName;
+                if (studentData.promotedFromClass) extra.promotedFromClass = studentData.promotedFromClass;
+                if (studentData.promotedFromYear) extra.promotedFromYear = studentData.promotedFromYear;
+                if (studentData.promotedAt) extra.promotedAt = studentData.promotedAt;
+                if (studentData.migratedFromYearId) extra.migratedFromYearId = studentData.migratedFromYearId;
+                tx.set(enrollmentRef, { ...extra, updatedAt: window.serverTimestamp() }, { merge: true });
+                const existing = existingSnap.data();
+                return { id: enrollmentId, registerNo: existing.registerNo, ...existing };
+            }
+
+            // New enrollment — assign next sequence number and format register number
+            const counterSnap = await tx.get(counterRef);
+            const seq = counterSnap.exists() ? (counterSnap.data().count || 0) + 1 : 1;
+
+            // Update counter
+            tx.set(counterRef, {
+                academicYearId, classId, count: seq,
+                updatedAt: window.serverTimestamp()
+            }, { merge: true });
+
+            // Register number: classNumber + zero-padded 2-digit sequence  (e.g. 701, 702 … 715)
+            const classNum = getClassNumber(classId);
+            const registerNo = classNum != null
+                ? parseInt(`${classNum}${String(seq).padStart(2, '0')}`, 10)
+                : seq;
+
+            const enrollmentData = {
+                id: enrollmentId,
+                academicYearId,
+                classId,
+                studentId,
+                registerNo,
+                status: 'active',
+                fullName: studentData.fullName || null,
+                promotedFromClass: studentData.promotedFromClass || null,
+                promotedFromYear: studentData.promotedFromYear || null,
+                promotedAt: studentData.promotedAt || null,
+                migratedFromYearId: studentData.migratedFromYearId || null,
+                createdAt: window.serverTimestamp(),
+                updatedAt: window.serverTimestamp()
+            };
+
+            tx.set(enrollmentRef, enrollmentData, { merge: true });
+            created = true;
+            return { id: enrollmentId, registerNo, ...enrollmentData };
+        });
+
+        if (created) {
+            console.log(`Enrollment created: ${enrollmentId} (Register: ${result.registerNo})`);
+        }
+        return result;
     } catch (err) {
         console.error('Failed to create/update enrollment:', err);
         return null;
     }
 }
 
+/**
+ * Promotes students ({ studentId, fullName }) into toYear/toClass in one
+ * transaction: every enrollment, the class counter and every profile's classId
+ * are written together, or nothing is. Students already enrolled there keep
+ * their register number; the rest continue the class counter. A student with
+ * no profile fails the whole promotion. Resolves to the enrollment rows.
+ */
+async function promoteStudents({ fromYear, fromClass, toYear, toClass, students }) {
+    const { db, doc, runTransaction, serverTimestamp } = window;
+    const counterRef = doc(db, 'classYearCounters', `${toYear}_${toClass}`);
+    const classNum = getClassNumber(toClass);
+    const promotedAt = new Date().toISOString();
+
+    return runTransaction(db, async tx => {
+        const counterSnap = await tx.get(counterRef);
+        const ids = students.map(student => `${toYear}_${toClass}_${student.studentId}`);
+        const refs = ids.map(id => doc(db, 'enrollments', id));
+        const snaps = [];
+        for (const ref of refs) snaps.push(await tx.get(ref));
+
+        const startSeq = counterSnap.exists() ? (counterSnap.data().count || 0) : 0;
+        let seq = startSeq;
+        const enrollments = students.map((student, i) => {
+            const promotion = {
+                status: 'active',
+                fullName: student.fullName || null,
+                promotedFromClass: fromClass,
+                promotedFromYear: fromYear,
+                promotedAt,
+            };
+            const existing = snaps[i].exists() ? snaps[i].data() : null;
+            if (existing && existing.registerNo != null) {
+                tx.set(refs[i], { ...promotion, updatedAt: serverTimestamp() }, { merge: true });
+                return { ...existing, ...promotion };
+            }
+
+            seq++;
+            const enrollment = {
+                id: ids[i],
+                academicYearId: toYear,
+                classId: toClass,
+                studentId: student.studentId,
+                registerNo: classNum != null ? parseInt(`${classNum}${String(seq).padStart(2, '0')}`, 10) : seq,
+                ...promotion,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp(),
+            };
+            tx.set(refs[i], enrollment, { merge: true });
+            return enrollment;
+        });
+
+        if (seq !== startSeq) {
+            tx.set(counterRef, { academicYearId: toYear, classId: toClass, count: seq, updatedAt: serverTimestamp() }, { merge: true });
+        }
+        students.forEach(student => tx.update(
+            doc(db, 'students', String(student.studentId)),
+            { classId: toClass, updatedAt: promotedAt }
+        ));
+        return enrollments;
+    });
+}
+
 /**
  * PHASE 1: Fetch enrollments for a specific class and academic year
  */
@@ -1140,4 +2113,361 @@ function getLetterGrade(percentage) {
     if (percentage >= 45) return { grade: 'D', label: 'Below Average', css: 'grade-D' };
     return { grade: 'F', label: 'Fail', css: 'grade-F' };
 }
-window.getLetterGrade = getLetterGrade;
\ No newline at end of file
+window.getLetterGrade = getLetterGrade;
+
+// -----------------
+// 🚩 ABSENCE FOLLOW-UP
+// -----------------
+// Flags students who keep missing class and keeps the follow-up in
+// absence_cases (supabase/add_absence_follow_up.sql). Only past sessions whose
+// attendance was taken for the student's class count: no row for one of those
+// means the student was absent, and Excused sessions are left out.
+const ABSENCE_RULES = {
+    consecutiveAbsences: 3, // absent this many counted sessions in a row
+    trendWindow: 4,         // latest sessions compared with the ones before them
+    trendDrop: 25,          // percentage points lost to count as falling
+    certificatePct: 75,     // same threshold as generateCertificates()
+    minSessions: 4,         // counted sessions before a rate means anything
+};
+
+const ABSENCE_CONTACT_METHODS = { call: 'Phone call', visit: 'Home visit' };
+const ABSENCE_CONTACT_OUTCOMES = {
+    reached: 'Spoke with the family',
+    'no-answer': 'No answer',
+    'left-message': 'Left a message',
+};
+
+function toLocalDateString(date = new Date()) {
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * A student's counted sessions, oldest first: [{ sessionId, date, status }].
+ * `today` is YYYY-MM-DD; later sessions haven't happened yet.
+ */
+function getAttendanceHistory(studentId, classId, sessions, attendance, today = toLocalDateString()) {
+    const taken = new Set();
+    const statusBySession = new Map();
+    (attendance || []).forEach(a => {
+        const own = String(a.studentId) === String(studentId);
+        if (own) statusBySession.set(a.sessionId, a.status);
+        if (own || String(a.classId || '') === String(classId || '')) taken.add(a.sessionId);
+    });
+
+    return (sessions || [])
+        .map(s => ({ sessionId: s.id, date: s.sessionDate || s.date, available: s.status === 'Available' }))
+        .filter(s => s.available && s.date && s.date <= today && taken.has(s.sessionId))
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(s => ({ sessionId: s.sessionId, date: s.date, status: statusBySession.get(s.sessionId) || 'Absent' }))
+        .filter(h => h.status !== 'Excused');
+}
+
+function attendedPct(history) {
+    const attended = history.filter(h => h.status === 'Present' || h.status === 'Late').length;
+    return Math.round((attended / history.length) * 100);
+}
+
+/**
+ * Runs the ABSENCE_RULES over a history from getAttendanceHistory().
+ * Returns [{ rule: 'consecutive' | 'trend' | 'certificate', detail }].
+ * since:       only sessions after this date can raise the consecutive or
+ *              trend rules (the date the last case was closed)
+ * certificate: false once a case has already been raised for the threshold
+ */
+function evaluateAbsenceRules(history, { since = '', certificate = true } = {}) {
+    const reasons = [];
+    const recent = since ? history.filter(h => h.date > since) : history;
+
+    let run = 0;
+    for (let i = recent.length - 1; i >= 0 && recent[i].status === 'Absent'; i--) run++;
+    if (run >= ABSENCE_RULES.consecutiveAbsences) {
+        reasons.push({ rule: 'consecutive', detail: `Absent the last ${run} sessions` });
+    }
+
+    const trendWindow = ABSENCE_RULES.trendWindow;
+    if (recent.length >= trendWindow && history.length >= trendWindow + ABSENCE_RULES.minSessions) {
+        const before = attendedPct(history.slice(0, -trendWindow));
+        const latest = attendedPct(history.slice(-trendWindow));
+        if (before - latest >= ABSENCE_RULES.trendDrop) {
+            reasons.push({ rule: 'trend', detail: `Attendance fell from ${before}% to ${latest}% over the last ${trendWindow} sessions` });
+        }
+    }
+
+    if (certificate && history.length >= ABSENCE_RULES.minSessions) {
+        const pct = attendedPct(history);
+        if (pct < ABSENCE_RULES.certificatePct) {
+            reasons.push({ rule: 'certificate', detail: `Attendance is ${pct}%, below the ${ABSENCE_RULES.certificatePct}% needed for a certificate` });
+        }
+    }
+    return reasons;
+}
+
+/**
+ * The follow-up queue for a roster: every open case, plus students the rules
+ * flag now who have none. A closed case quiets the student until new absences
+ * after it raise a flag again.
+ * Items: { studentId, studentName, registerNo, classId, reasons, case } (case is null until the first action)
+ */
+function buildFollowUpQueue({ students, sessions, attendance, cases, today = toLocalDateString() }) {
+    const queue = [];
+    (students || []).forEach(student => {
+        const studentCases = (cases || []).filter(c => String(c.studentId) === String(student.studentId));
+        const item = {
+            studentId: student.studentId,
+            studentName: `${student.firstName || ''} ${student.lastName || ''}`.trim() || student.fullName || student.studentId,
+            registerNo: student.registerNo ?? null,
+            classId: student.classId || '',
+        };
+
+        const open = studentCases.find(c => c.status === 'open');
+        if (open) {
+            queue.push({ ...item, classId: open.classId || item.classId, reasons: open.reasons || [], case: open });
+            return;
+        }
+
+        const lastClosedAt = studentCases.map(c => c.closedAt).filter(Boolean).sort().pop();
+        const history = getAttendanceHistory(student.studentId, student.classId, sessions, attendance, today);
+        const reasons = evaluateAbsenceRules(history, {
+            since: lastClosedAt ? toLocalDateString(new Date(lastClosedAt)) : '',
+            certificate: !studentCases.some(c => (c.reasons || []).some(r => r.rule === 'certificate')),
+        });
+        if (reasons.length > 0) queue.push({ ...item, reasons, case: null });
+    });
+
+    return queue.sort((a, b) =>
+        String(a.classId).localeCompare(String(b.classId), undefined, { numeric: true })
+        || a.studentName.localeCompare(b.studentName));
+}
+
+async function loadAbsenceCases({ academicYearId, classId = null } = {}) {
+    const { db, collection, query, where, getDocs } = window;
+    const filters = [where('academicYearId', '==', academicYearId)];
+    if (classId) filters.push(where('classId', '==', classId));
+    const snap = await getDocs(query(collection(db, 'absenceCases'), ...filters));
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+// Writes the case for a queue item: updates its row, or opens one with the
+// reasons it was flagged for. Resolves with the saved case.
+async function saveAbsenceCase(item, changes) {
+    const { db, doc, setDoc, updateDoc } = window;
+    const now = new Date().toISOString();
+    if (item.case) {
+        await updateDoc(doc(db, 'absenceCases', item.case.id), { ...changes, updatedAt: now });
+        return { ...item.case, ...changes, updatedAt: now };
+    }
+
+    const academicYearId = getActiveAcademicYearId();
+    if (!academicYearId) throw new Error('No active academic year is set.');
+    const uid = JSON.parse(localStorage.getItem('currentUser') || '{}').uid || null;
+    const row = {
+        id: crypto.randomUUID(),
+        studentId: item.studentId,
+        classId: item.classId,
+        academicYearId,
+        status: 'open',
+        reasons: item.reasons,
+        contacts: [],
+        openedAt: now,
+        openedBy: uid,
+        updatedAt: now,
+        ...changes,
+    };
+    await setDoc(doc(db, 'absenceCases', row.id), row);
+    return row;
+}
+
+async function logAbsenceContact(item, { method, outcome, note = '' }) {
+    if (!ABSENCE_CONTACT_METHODS[method]) throw new Error('Choose how the family was contacted.');
+    if (!ABSENCE_CONTACT_OUTCOMES[outcome]) throw new Error('Choose how the contact went.');
+
+    const currentUser = JSON.parse(localStorage.getItem('currentUser') || '{}');
+    const contact = {
+        at: new Date().toISOString(),
+        by: currentUser.uid || null,
+        byEmail: currentUser.email || null,
+        method,
+        outcome,
+        note: String(note).trim(),
+    };
+    const saved = await saveAbsenceCase(item, { contacts: [...(item.case?.contacts || []), contact] });
+    createAuditLog('absence_contact_logged', { caseId: saved.id, studentId: item.studentId, classId: item.classId, method, outcome });
+    return saved;
+}
+
+async function closeAbsenceCase(item, outcome) {
+    const text = String(outcome || '').trim();
+    if (!text) throw new Error('Say what came of the follow-up before closing the case.');
+
+    const uid = JSON.parse(localStorage.getItem('currentUser') || '{}').uid || null;
+    const saved = await saveAbsenceCase(item, { status: 'closed', outcome: text, closedAt: new Date().toISOString(), closedBy: uid });
+    createAuditLog('absence_case_closed', {
+        caseId: saved.id, studentId: item.studentId, classId: item.classId, contacts: (saved.contacts || []).length,
+    });
+    return saved;
+}
+
+async function promptAbsenceContact(item) {
+    const options = map => Object.entries(map)
+        .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+    const result = await Swal.fire({
+        title: `Contact about ${item.studentName}`,
+        html: `
+            <select id="absence-contact-method" class="swal2-input">${options(ABSENCE_CONTACT_METHODS)}</select>
+            <select id="absence-contact-outcome" class="swal2-input">${options(ABSENCE_CONTACT_OUTCOMES)}</select>
+            <textarea id="absence-contact-note" class="swal2-textarea" placeholder="What was said (optional)"></textarea>`,
+        focusConfirm: false,
+        showCancelButton: true,
+        confirmButtonText: 'Log Contact',
+        preConfirm: () => ({
+            method: document.getElementById('absence-contact-method').value,
+            outcome: document.getElementById('absence-contact-outcome').value,
+            note: document.getElementById('absence-contact-note').value,
+        }),
+    });
+    return result.isConfirmed ? result.value : null;
+}
+
+async function promptCloseAbsenceCase(item) {
+    const result = await Swal.fire({
+        title: `Close case for ${item.studentName}`,
+        input: 'textarea',
+        inputLabel: 'Outcome',
+        inputPlaceholder: 'e.g. Was ill for three weeks, back from Sunday',
+        showCancelButton: true,
+        confirmButtonText: 'Close Case',
+        inputValidator: value => (String(value || '').trim() ? null : 'Record the outcome before closing.'),
+    });
+    return result.isConfirmed ? result.value : null;
+}
+
+/**
+ * Fills a follow-up queue table. onSaved(case) runs after a contact is logged
+ * or a case closed, so the portal can update its copy and re-render.
+ */
+function renderFollowUpQueueTable(tbody, queue, { showClass = false, onSaved = () => {} } = {}) {
+    if (!tbody) return;
+    const columns = showClass ? 6 : 5;
+    if (queue.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="${columns}">No students need a follow-up right now.</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = queue.map((item, index) => {
+        const contacts = item.case?.contacts || [];
+        const last = contacts[contacts.length - 1];
+        const lastText = last
+            ? `${escapeHtml(ABSENCE_CONTACT_METHODS[last.method] || last.method)}: ${escapeHtml(ABSENCE_CONTACT_OUTCOMES[last.outcome] || last.outcome)}<br><small>${escapeHtml(formatDateTime(new Date(last.at)))}${last.note ? ` — ${escapeHtml(last.note)}` : ''}</small>`
+            : '<span class="follow-up-none">Not contacted yet</span>';
+        return `<tr>
+            <td>${escapeHtml(item.registerNo ?? item.studentId)}</td>
+            <td>${escapeHtml(item.studentName)}</td>
+            ${showClass ? `<td>${escapeHtml(item.classId || 'N/A')}</td>` : ''}
+            <td>${item.reasons.map(r => `<span class="follow-up-reason follow-up-${escapeHtml(r.rule)}">${escapeHtml(r.detail)}</span>`).join('')}</td>
+            <td>${lastText}${contacts.length > 1 ? `<br><small>${contacts.length} attempts</small>` : ''}</td>
+            <td>
+                <button class="btn btn-primary btn-sm follow-up-contact" data-index="${index}"><i class="fas fa-phone"></i> Log Contact</button>
+                <button class="btn btn-outline btn-sm follow-up-close" data-index="${index}"><i class="fas fa-check"></i> Close</button>
+            </td>
+        </tr>`;
+    }).join('');
+
+    const act = async (item, prompt, save, failure) => {
+        const answer = await prompt(item);
+        if (answer === null) return;
+        showSpinner();
+        try {
+            onSaved(await save(item, answer));
+            showSuccess('Follow-up saved');
+        } catch (err) {
+            showDataError(failure, err);
+        } finally {
+            hideSpinner();
+        }
+    };
+    tbody.querySelectorAll('.follow-up-contact').forEach(btn => btn.addEventListener('click', () =>
+        act(queue[btn.dataset.index], promptAbsenceContact, logAbsenceContact, 'Failed to log the contact')));
+    tbody.querySelectorAll('.follow-up-close').forEach(btn => btn.addEventListener('click', () =>
+        act(queue[btn.dataset.index], promptCloseAbsenceCase, closeAbsenceCase, 'Failed to close the case')));
+}
+
+window.ABSENCE_RULES = ABSENCE_RULES;
+window.getAttendanceHistory = getAttendanceHistory;
+window.evaluateAbsenceRules = evaluateAbsenceRules;
+window.buildFollowUpQueue = buildFollowUpQueue;
+window.loadAbsenceCases = loadAbsenceCases;
+window.logAbsenceContact = logAbsenceContact;
+window.closeAbsenceCase = closeAbsenceCase;
+window.renderFollowUpQueueTable = renderFollowUpQueueTable;
+
+// -----------------
+// 🔒 ATTENDANCE LOCK
+// -----------------
+// A session's attendance locks for faculty app_config.attendance_lock_days
+// after its date (NULL never locks); the database enforces it, see
+// supabase/add_attendance_lock.sql. Faculty changes after that become
+// attendance_corrections for an admin to approve or reject.
+
+/**
+ * The first day the session is locked (YYYY-MM-DD), or null if it never locks.
+ */
+function getSessionLockDate(session, lockDays = APP_CONTEXT.attendanceLockDays) {
+    const date = session?.sessionDate || session?.date;
+    if (lockDays === null || lockDays === undefined || !date) return null;
+    const lockDate = new Date(`${date}T00:00:00Z`);
+    lockDate.setUTCDate(lockDate.getUTCDate() + Number(lockDays) + 1);
+    return lockDate.toISOString().slice(0, 10);
+}
+
+function isSessionLocked(session, today = toLocalDateString(), lockDays = APP_CONTEXT.attendanceLockDays) {
+    const lockDate = getSessionLockDate(session, lockDays);
+    return !!lockDate && today >= lockDate;
+}
+
+/**
+ * Builds one pending attendance_corrections row per change ({ studentId, from, to }),
+ * for callers that write them in their own batch.
+ */
+function buildAttendanceCorrectionRows({ sessionId, classId, changes, reason }) {
+    const trimmed = String(reason || '').trim();
+    if (!trimmed) throw new Error('Give a reason for the correction.');
+    const academicYearId = getActiveAcademicYearId();
+    if (!classId || !academicYearId) throw new Error('No active academic year or class is set.');
+
+    const user = JSON.parse(localStorage.getItem('currentUser') || '{}');
+    const now = new Date().toISOString();
+    return changes.map(change => ({
+        id: crypto.randomUUID(),
+        sessionId,
+        studentId: change.studentId,
+        classId,
+        academicYearId,
+        fromStatus: change.from,
+        toStatus: change.to,
+        reason: trimmed,
+        status: 'pending',
+        requestedBy: user.uid || null,
+        requestedByEmail: user.email || null,
+        requestedAt: now,
+    }));
+}
+
+/**
+ * Files one pending attendance_corrections row per change ({ studentId, from, to })
+ * and returns the rows.
+ */
+async function requestAttendanceCorrections({ sessionId, classId, changes, reason }) {
+    const rows = buildAttendanceCorrectionRows({ sessionId, classId, changes, reason });
+
+    const batch = window.writeBatch(window.db);
+    rows.forEach(row => batch.set(window.doc(window.db, 'attendanceCorrections', row.id), row));
+    await batch.commit();
+
+    createAuditLog('attendance_correction_requested', { sessionId, classId, reason: String(reason).trim(), changes });
+    return rows;
+}
+
+window.getSessionLockDate = getSessionLockDate;
+window.isSessionLocked = isSessionLocked;
+window.buildAttendanceCorrectionRows = buildAttendanceCorrectionRows;
+window.requestAttendanceCorrections = requestAttendanceCorrections;
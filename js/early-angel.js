@@ -4,7 +4,11 @@
  */
 
 window.addEventListener('error', (ev) => handleAppError(ev.message, ev.filename, ev.lineno));
-window.addEventListener('unhandledrejection', (ev) => handleAppError(ev.reason?.message || JSON.stringify(ev.reason || 'Unknown error')));
+window.addEventListener('unhandledrejection', (ev) => {
+    // Failed reads/writes aren't crashes — show what went wrong instead of the fatal overlay
+    if (ev.reason?.name === 'DataError') return showDataError('Request failed', ev.reason);
+    handleAppError(ev.reason?.message || JSON.stringify(ev.reason || 'Unknown error'));
+});
 
 function handleAppError(message, filename = '', lineno = '') {
     try {
@@ -34,7 +38,10 @@ const EA_STATE = {
     dateWarningShown: false,
     availableEntryDates: [],
     lastInstantReportDate: '',
+    enrollments: [],
+    kiosk: null,
 };
+window.EA_STATE = EA_STATE; // Expose for debugging
 
 window.realtimeUnsubscribers = [];
 
@@ -45,16 +52,14 @@ function stopRealtimeListeners() {
     }
 }
 
-function normalizeRole(role) {
-    return String(role || '').trim().toLowerCase();
-}
-
+// Full access sees every class; class-scoped (faculty) roles are limited to their class.
+// Other roles that open this portal work across classes like an admin.
 function isAdminRole() {
-    return normalizeRole(EA_STATE.roleData?.role) === 'admin';
+    return hasPermission('manage_all');
 }
 
 function isFacultyRole() {
-    return normalizeRole(EA_STATE.roleData?.role) === 'faculty';
+    return !hasPermission('manage_all') && hasPermission('manage_class');
 }
 
 function setDateToToday() {
@@ -720,7 +725,7 @@ async function generateInstantReport() {
             academicYearId: EA_STATE.activeAcademicYearId,
         });
     } catch (err) {
-        showError('Failed to generate instant report: ' + err.message);
+        showDataError('Failed to generate instant report', err);
     } finally {
         hideSpinner();
     }
@@ -748,7 +753,7 @@ async function generateEntireReport() {
             academicYearId: EA_STATE.activeAcademicYearId,
         });
     } catch (err) {
-        showError('Failed to generate entire report: ' + err.message);
+        showDataError('Failed to generate entire report', err);
     } finally {
         hideSpinner();
     }
@@ -919,7 +924,7 @@ async function openEarlyAngelAddStudent(prefillName) {
         selectExistingStudent({ studentId, studentName: name, classId, source: 'students' });
         showSuccess('Student added', `${name} added to ${getClassLabel(classId)}. Now click “Save Early Angel Entry”.`);
     } catch (err) {
-        showError('Failed to add student: ' + err.message);
+        showDataError('Failed to add student', err);
     } finally {
         hideSpinner();
     }
@@ -1224,7 +1229,7 @@ async function deleteEntryById(entryId) {
 
         showSuccess('Entry deleted successfully.');
     } catch (err) {
-        showError('Failed to delete entry: ' + err.message);
+        showDataError('Failed to delete entry', err);
     } finally {
         hideSpinner();
     }
@@ -1297,7 +1302,7 @@ async function editEaStudentName(studentId, currentName) {
         createAuditLog('early_angel_student_renamed', { studentId, newName, entriesUpdated: affected.length });
         showSuccess('Name updated', `Updated to “${newName}”.`);
     } catch (err) {
-        showError('Failed to update name: ' + err.message);
+        showDataError('Failed to update name', err);
     } finally {
         hideSpinner();
     }
@@ -1370,6 +1375,33 @@ async function saveEntry(e) {
         return;
     }
 
+    let result;
+    try {
+        result = await recordEarlyAngelEntry({ classId, studentId, studentName, entryDate });
+    } catch (err) {
+        return showDataError('Failed to save entry', err);
+    }
+    if (result.duplicate) {
+        return showError('Only one entry per day is allowed for a student. This entry already exists.');
+    }
+    if (!result.entry) return;
+
+    // Reset for the next entry and show a lightweight, non-blocking toast.
+    document.getElementById('ea-entry-form')?.reset();
+    clearStudentSelection();
+    setDateToToday();
+    eaToast(`${studentName} marked ✓`);
+}
+
+/**
+ * Creates one Early Angel entry stamped with the arrival time. Shared by the
+ * entry form and the kiosk.
+ * @param {{ classId: string, studentId: string, studentName: string, entryDate: string, source?: string }} details
+ * @returns {Promise<{ entry?: object, duplicate?: boolean }>} Empty while another save is still running.
+ */
+async function recordEarlyAngelEntry({ classId, studentId, studentName, entryDate, source = 'form' }) {
+    if (_eaSaving) return {};
+
     const nowIso = new Date().toISOString();
     const entryTime = new Date(nowIso).toTimeString().slice(0, 8); // HH:MM:SS for Postgres TIME
 
@@ -1378,9 +1410,7 @@ async function saveEntry(e) {
         String(en.classId) === String(classId) &&
         String(en.studentId) === String(studentId) &&
         String(en.entryDate) === String(entryDate));
-    if (isDup) {
-        return showError('Only one entry per day is allowed for a student. This entry already exists.');
-    }
+    if (isDup) return { duplicate: true };
 
     const entryPayload = withAcademicYear({
         classId,
@@ -1396,27 +1426,21 @@ async function saveEntry(e) {
     _eaSaving = true;
     try {
         const saved = await window.addDoc(window.collection(window.db, 'earlyAngelEntries'), entryPayload);
+        const entry = { id: saved?.id, ...entryPayload };
 
         // Instant UI update — don't wait for the realtime/poll listener.
-        EA_STATE.entries.push({ id: saved?.id, ...entryPayload });
+        EA_STATE.entries.push(entry);
         rebuildLeaderboardFromEntries();
         rebuildSearchIndex();
         renderAllTables();
         refreshInstantReportDateOptions();
 
-        // Reset for the next entry and show a lightweight, non-blocking toast.
-        document.getElementById('ea-entry-form')?.reset();
-        clearStudentSelection();
-        setDateToToday();
-        eaToast(`${studentName} marked ✓`);
-
         // Audit log in the background (don't block the UI).
         createAuditLog('early_angel_entry_saved', {
             entryId: saved?.id || null, classId, studentId, studentName,
-            entryDate, entryTime, academicYearId: EA_STATE.activeAcademicYearId,
+            entryDate, entryTime, academicYearId: EA_STATE.activeAcademicYearId, source,
         });
-    } catch (err) {
-        showError('Failed to save entry: ' + err.message);
+        return { entry };
     } finally {
         _eaSaving = false;
     }
@@ -1436,6 +1460,339 @@ function eaToast(title, icon = 'success') {
     });
 }
 
+// Kiosk mode: a locked screen for a tablet at the church door. Children type
+// their register number (or scan their badge) and get an entry through
+// recordEarlyAngelEntry(), the same path as the Daily Entry form. The portal
+// stays hidden until a staff member enters the exit PIN chosen at the start.
+// The PIN's salted hash and the wrong-PIN lockout are kept in sessionStorage,
+// so a reload returns to the kiosk without resetting either.
+
+const KIOSK_STORAGE_KEY = 'earlyAngelKiosk';
+const KIOSK_PIN_PATTERN = /^\d{4,8}$/;
+const KIOSK_PIN_ATTEMPTS = 5;
+const KIOSK_PIN_ITERATIONS = 100000;
+const KIOSK_LOCK_MS = 60 * 1000;
+const KIOSK_RESULT_MS = 6000;
+
+function toHex(bytes) {
+    return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function newKioskPinSalt() {
+    return toHex(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+// PBKDF2-SHA-256, so a copied sessionStorage entry doesn't give the PIN away
+async function hashKioskPin(pin, salt) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(String(pin)), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(`early-angel-kiosk:${salt}`), iterations: KIOSK_PIN_ITERATIONS },
+        key,
+        256
+    );
+    return toHex(bits);
+}
+
+/**
+ * A student's run of consecutive Early Angel days up to the latest one, and
+ * their points this year. Days are the dates anyone has an entry, so weeks
+ * without the program don't break a streak.
+ */
+function getEarlyAngelStats(studentId, entries = EA_STATE.entries || []) {
+    const programDays = [...new Set(entries.map(getEntryDate).filter(Boolean))].sort().reverse();
+    const mine = entries.filter(entry => String(entry.studentId) === String(studentId));
+    const myDays = new Set(mine.map(getEntryDate));
+
+    let streak = 0;
+    for (const day of programDays) {
+        if (!myDays.has(day)) break;
+        streak++;
+    }
+    const points = mine.reduce((sum, entry) => sum + Number(entry.points ?? 1), 0);
+    return { streak, points };
+}
+
+async function loadKioskEnrollments() {
+    try {
+        const snap = await getDocs(query(collection(window.db, 'enrollments'),
+            where('academicYearId', '==', EA_STATE.activeAcademicYearId)));
+        EA_STATE.enrollments = snap.docs.map(d => d.data()).filter(item => item.status !== 'transferred');
+    } catch (err) {
+        // Register numbers on the students table still work
+        console.warn('[kiosk] Could not load enrollments:', err);
+        EA_STATE.enrollments = [];
+    }
+}
+
+/**
+ * Finds the student for what was typed or scanned: a badge, or a register
+ * number from this year's enrollments (falling back to students.registerNo).
+ * @returns {{ studentId: string, studentName: string, firstName: string, classId: string }|null}
+ */
+function findKioskStudent(text) {
+    const value = String(text || '').trim();
+    const badge = parseBadgePayload(value);
+    const enrollments = EA_STATE.enrollments || [];
+    let studentId = badge?.studentId || '';
+
+    if (!badge) {
+        if (!/^[1-9]\d*$/.test(value)) return null;
+        const registerNo = Number(value);
+        const match = enrollments.find(item => Number(item.registerNo) === registerNo)
+            || (EA_STATE.students || []).find(s => Number(s.registerNo) === registerNo);
+        studentId = match ? String(match.studentId ?? match.id) : '';
+    }
+
+    const student = (EA_STATE.students || []).find(s => String(s.studentId ?? s.id) === studentId);
+    if (!student) return null;
+    const enrollment = enrollments.find(item => String(item.studentId) === studentId);
+    return {
+        studentId,
+        studentName: `${student.firstName || ''} ${student.lastName || ''}`.trim() || studentId,
+        firstName: student.firstName || studentId,
+        classId: String(enrollment?.classId || student.classId || ''),
+    };
+}
+
+/**
+ * Checks a child in from the kiosk.
+ * @returns {Promise<{ outcome: 'ok'|'duplicate'|'not-found'|'error', student?: object, streak?: number, points?: number }|null>}
+ *   null while a previous check-in is still saving.
+ */
+async function kioskCheckIn(text) {
+    const student = findKioskStudent(text);
+    if (!student || !student.classId) return { outcome: 'not-found' };
+
+    let result;
+    try {
+        result = await recordEarlyAngelEntry({ ...student, entryDate: toYmd(), source: 'kiosk' });
+    } catch (err) {
+        console.error('[kiosk] entry not saved', err);
+        return { outcome: 'error', student };
+    }
+    if (!result.entry && !result.duplicate) return null;
+    return { outcome: result.duplicate ? 'duplicate' : 'ok', student, ...getEarlyAngelStats(student.studentId) };
+}
+
+function renderKioskResult(result) {
+    const box = document.getElementById('ea-kiosk-result');
+    if (!box || !result) return;
+
+    const name = escapeHtml(result.student?.firstName || '');
+    const stats = result.streak !== undefined
+        ? `<div class="ea-kiosk-stats">
+                <span><i class="fas fa-fire"></i> ${result.streak} in a row</span>
+                <span><i class="fas fa-star"></i> ${result.points} point${result.points === 1 ? '' : 's'}</span>
+           </div>`
+        : '';
+    const messages = {
+        ok: `<div class="ea-kiosk-title">Welcome, ${name}! 🌟</div><p>You're an Early Angel today.</p>`,
+        duplicate: `<div class="ea-kiosk-title">You're already checked in, ${name}!</div><p>See you inside.</p>`,
+        'not-found': '<div class="ea-kiosk-title">We couldn\'t find that number.</div><p>Please try again or ask a teacher.</p>',
+        error: '<div class="ea-kiosk-title">Something went wrong.</div><p>Please ask a teacher to check you in.</p>',
+    };
+    box.className = `ea-kiosk-result ea-kiosk-${result.outcome}`;
+    box.innerHTML = messages[result.outcome] + stats;
+
+    clearTimeout(EA_STATE.kiosk?.resultTimer);
+    if (EA_STATE.kiosk) {
+        EA_STATE.kiosk.resultTimer = setTimeout(() => {
+            box.className = 'ea-kiosk-result';
+            box.innerHTML = '';
+        }, KIOSK_RESULT_MS);
+    }
+}
+
+async function handleKioskSubmit(e) {
+    e.preventDefault();
+    const input = document.getElementById('ea-kiosk-input');
+    const value = input?.value || '';
+    if (!value.trim()) return;
+    renderKioskResult(await kioskCheckIn(value));
+    if (input) {
+        input.value = '';
+        input.focus();
+    }
+}
+
+async function handleKioskScan(text) {
+    const kiosk = EA_STATE.kiosk;
+    if (!kiosk) return;
+    const key = String(text || '').trim();
+    const lastSeen = kiosk.recent.get(key);
+    if (lastSeen && Date.now() - lastSeen < BADGE_REPEAT_MS) return;
+    kiosk.recent.set(key, Date.now());
+    renderKioskResult(await kioskCheckIn(key));
+}
+
+async function toggleKioskScanner() {
+    const kiosk = EA_STATE.kiosk;
+    if (!kiosk) return;
+    if (kiosk.reader) return stopKioskScanner();
+    if (typeof window.Html5Qrcode !== 'function') return renderKioskResult({ outcome: 'error' });
+
+    kiosk.reader = new window.Html5Qrcode('ea-kiosk-reader');
+    try {
+        await kiosk.reader.start({ facingMode: 'user' }, { fps: 10, qrbox: 220 }, handleKioskScan, () => { });
+    } catch (err) {
+        console.warn('[kiosk] camera not started', err);
+        kiosk.reader = null;
+    }
+}
+
+async function stopKioskScanner() {
+    const reader = EA_STATE.kiosk?.reader;
+    if (!reader) return;
+    EA_STATE.kiosk.reader = null;
+    try {
+        await reader.stop();
+        reader.clear();
+    } catch (err) {
+        console.warn('[kiosk] camera stop failed', err);
+    }
+}
+
+// Browser Back would otherwise lead out of the kiosk to the previous page
+function holdKioskHistory() {
+    if (EA_STATE.kiosk) history.pushState({ kiosk: true }, '');
+}
+
+function showKioskScreen(kioskVisible) {
+    document.getElementById('ea-kiosk')?.classList.toggle('is-hidden', !kioskVisible);
+    document.getElementById('app-content')?.classList.toggle('is-hidden', kioskVisible);
+    if (kioskVisible) document.getElementById('ea-kiosk-input')?.focus();
+}
+
+/**
+ * Puts this tab into kiosk mode.
+ * @param {{ pinSalt: string, pinHash: string, startedAt: number, failedPins?: number, lockedUntil?: number }} saved
+ *   As stored under KIOSK_STORAGE_KEY.
+ */
+async function startKiosk(saved) {
+    EA_STATE.kiosk = {
+        ...saved,
+        failedPins: Number(saved.failedPins) || 0,
+        lockedUntil: Number(saved.lockedUntil) || 0,
+        reader: null,
+        recent: new Map(),
+        resultTimer: null,
+    };
+    saveKioskState();
+    showKioskScreen(true);
+    holdKioskHistory();
+    await loadKioskEnrollments();
+}
+
+function saveKioskState() {
+    const { pinSalt, pinHash, startedAt, failedPins, lockedUntil } = EA_STATE.kiosk;
+    sessionStorage.setItem(KIOSK_STORAGE_KEY, JSON.stringify({ pinSalt, pinHash, startedAt, failedPins, lockedUntil }));
+}
+
+/**
+ * Re-enters kiosk mode after a reload, if this tab was a kiosk. An entry
+ * saved before PINs were salted can never match, so it is dropped and a new
+ * PIN is asked for instead.
+ * @returns {Promise<boolean>} Whether the tab is now a kiosk.
+ */
+async function restoreKioskMode() {
+    let saved = null;
+    try {
+        saved = JSON.parse(sessionStorage.getItem(KIOSK_STORAGE_KEY) || 'null');
+    } catch (err) {
+        saved = null;
+    }
+    if (!saved?.pinHash) return false;
+    if (!saved.pinSalt) {
+        sessionStorage.removeItem(KIOSK_STORAGE_KEY);
+        await enterKioskMode('Kiosk mode was reset by an update. Choose a new PIN to keep using it.');
+        return !!EA_STATE.kiosk;
+    }
+    await startKiosk(saved);
+    return true;
+}
+
+async function enterKioskMode(notice = '') {
+    const result = await Swal.fire({
+        title: 'Start Kiosk Mode',
+        html: `${notice ? `<p>${escapeHtml(notice)}</p>` : ''}<p>Choose a 4–8 digit PIN. You'll need it to leave kiosk mode.</p>
+            <input id="ea-kiosk-pin" class="swal2-input" type="password" inputmode="numeric" autocomplete="off" placeholder="PIN">
+            <input id="ea-kiosk-pin-confirm" class="swal2-input" type="password" inputmode="numeric" autocomplete="off" placeholder="Repeat PIN">`,
+        showCancelButton: true,
+        confirmButtonText: 'Start Kiosk',
+        preConfirm: () => {
+            const pin = document.getElementById('ea-kiosk-pin').value.trim();
+            if (!KIOSK_PIN_PATTERN.test(pin)) return Swal.showValidationMessage('The PIN must be 4 to 8 digits.');
+            if (pin !== document.getElementById('ea-kiosk-pin-confirm').value.trim()) return Swal.showValidationMessage('The PINs don\'t match.');
+            return pin;
+        },
+    });
+    if (!result.isConfirmed) return;
+
+    const pinSalt = newKioskPinSalt();
+    await startKiosk({ pinSalt, pinHash: await hashKioskPin(result.value, pinSalt), startedAt: Date.now() });
+    createAuditLog('early_angel_kiosk_started', { academicYearId: EA_STATE.activeAcademicYearId });
+}
+
+/**
+ * Checks an exit PIN, locking the kiosk for KIOSK_LOCK_MS after
+ * KIOSK_PIN_ATTEMPTS wrong tries.
+ * @returns {Promise<'ok'|'wrong'|'locked'>}
+ */
+async function verifyKioskPin(pin, now = Date.now()) {
+    const kiosk = EA_STATE.kiosk;
+    if (!kiosk) return 'ok';
+    if (now < kiosk.lockedUntil) return 'locked';
+    if (await hashKioskPin(String(pin || '').trim(), kiosk.pinSalt) === kiosk.pinHash) {
+        kiosk.failedPins = 0;
+        saveKioskState();
+        return 'ok';
+    }
+    kiosk.failedPins++;
+    if (kiosk.failedPins >= KIOSK_PIN_ATTEMPTS) {
+        kiosk.failedPins = 0;
+        kiosk.lockedUntil = now + KIOSK_LOCK_MS;
+        saveKioskState();
+        createAuditLog('early_angel_kiosk_pin_locked', { attempts: KIOSK_PIN_ATTEMPTS });
+        return 'locked';
+    }
+    saveKioskState();
+    return 'wrong';
+}
+
+async function exitKioskMode() {
+    const kiosk = EA_STATE.kiosk;
+    if (!kiosk) return;
+    await stopKioskScanner();
+    clearTimeout(kiosk.resultTimer);
+    EA_STATE.kiosk = null;
+    sessionStorage.removeItem(KIOSK_STORAGE_KEY);
+    showKioskScreen(false);
+    createAuditLog('early_angel_kiosk_exited', { startedAt: new Date(kiosk.startedAt).toISOString() });
+}
+
+async function handleKioskExitClick() {
+    const result = await Swal.fire({
+        title: 'Exit Kiosk Mode',
+        input: 'password',
+        inputPlaceholder: 'Staff PIN',
+        inputAttributes: { inputmode: 'numeric', autocomplete: 'off' },
+        showCancelButton: true,
+        confirmButtonText: 'Exit',
+    });
+    if (!result.isConfirmed) return document.getElementById('ea-kiosk-input')?.focus();
+
+    const outcome = await verifyKioskPin(result.value);
+    if (outcome === 'ok') return exitKioskMode();
+    await Swal.fire({
+        icon: 'error',
+        title: outcome === 'locked' ? 'Too many tries' : 'Wrong PIN',
+        text: outcome === 'locked' ? 'Exit is locked for a minute.' : 'Ask the staff member who started the kiosk.',
+        timer: 2500,
+        showConfirmButton: false,
+    });
+    document.getElementById('ea-kiosk-input')?.focus();
+}
+
 function setupUiListeners() {
     document.getElementById('logout-btn')?.addEventListener('click', logout);
 
@@ -1456,11 +1813,7 @@ function setupUiListeners() {
     });
 
     document.getElementById('ea-back-btn')?.addEventListener('click', () => {
-        if (isAdminRole()) {
-            window.location.href = 'admin.html';
-            return;
-        }
-        window.location.href = 'faculty.html';
+        window.location.href = getPortalPage() || 'index.html';
     });
 
     const searchInput = document.getElementById('ea-student-search-input');
@@ -1495,16 +1848,12 @@ function setupUiListeners() {
     const dateInput = document.getElementById('ea-date-input');
     dateInput?.addEventListener('click', applyDateWarningOnce);
     dateInput?.addEventListener('focus', applyDateWarningOnce);
-}
-
-async function fetchRoleData(uid) {
-    const roleRef = doc(window.db, 'userRoles', uid);
-    const roleSnap = await getDoc(roleRef);
-    if (!roleSnap.exists()) {
-        throw new Error('No role assigned for this user.');
-    }
 
-    return { uid, ...roleSnap.data() };
+    document.getElementById('ea-kiosk-btn')?.addEventListener('click', () => enterKioskMode());
+    document.getElementById('ea-kiosk-form')?.addEventListener('submit', handleKioskSubmit);
+    document.getElementById('ea-kiosk-scan-btn')?.addEventListener('click', toggleKioskScanner);
+    document.getElementById('ea-kiosk-exit-btn')?.addEventListener('click', handleKioskExitClick);
+    window.addEventListener('popstate', holdKioskHistory);
 }
 
 async function loadClasses() {
@@ -1569,12 +1918,9 @@ function startRealtimeListeners() {
 }
 
 async function initializePortal(user) {
-    const roleData = await fetchRoleData(user.uid);
-    const role = normalizeRole(roleData.role);
-
-    if (role !== 'admin' && role !== 'faculty') {
-        throw new Error('Access denied. Early Angel portal is only for Admin or Faculty users.');
-    }
+    // Throws unless the role has one of PORTAL_PERMISSIONS['early-angel']
+    const roleData = { uid: user.uid, ...(await verifyRoleFromServer(user.uid, 'early-angel')) };
+    await ensureSecondFactor({ required: hasPermission(MFA_REQUIRED_PERMISSION) });
 
     EA_STATE.user = user;
     EA_STATE.roleData = roleData;
@@ -1588,9 +1934,9 @@ async function initializePortal(user) {
     localStorage.setItem('currentUser', JSON.stringify(localUser));
 
     document.getElementById('user-info-email').textContent = user.email || roleData.email || 'unknown';
-    document.getElementById('user-info-role').textContent = role === 'admin'
+    document.getElementById('user-info-role').textContent = isAdminRole()
         ? 'Administrator'
-        : `Faculty - ${roleData.classId || 'Unassigned'}`;
+        : isFacultyRole() ? `${roleData.roleName || 'Faculty'} - ${roleData.classId || 'Unassigned'}` : (roleData.roleName || roleData.role);
 
     await loadAcademicYearContext(true);
     EA_STATE.activeAcademicYearId = getActiveAcademicYearId();
@@ -1609,8 +1955,11 @@ async function initializePortal(user) {
     setDateToToday();
     refreshInstantReportDateOptions();
     startRealtimeListeners();
+    startSessionMonitor({ roleKey: EA_STATE.roleData.role, uid: user.uid, signOut: logout });
 
-    document.getElementById('app-content').classList.remove('is-hidden');
+    if (!(await restoreKioskMode())) {
+        document.getElementById('app-content').classList.remove('is-hidden');
+    }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
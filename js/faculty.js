@@ -5,7 +5,11 @@
 
 // Show a nice overlay for uncaught errors
 window.addEventListener('error', (ev) => handleAppError(ev.message, ev.filename, ev.lineno));
-window.addEventListener('unhandledrejection', (ev) => handleAppError(ev.reason.message || JSON.stringify(ev.reason)));
+window.addEventListener('unhandledrejection', (ev) => {
+    // Failed reads/writes aren't crashes — show what went wrong instead of the fatal overlay
+    if (ev.reason?.name === 'DataError') return showDataError('Request failed', ev.reason);
+    handleAppError(ev.reason.message || JSON.stringify(ev.reason));
+});
 
 function handleAppError(message, filename = '', lineno = '') {
     try {
@@ -34,7 +38,10 @@ const DATA_MODELS = {
     facultyClassAssignments: [],
     appConfig: { activeAcademicYearId: null },
     homework: [],
-    homeworkSubmissions: []
+    homeworkSubmissions: [],
+    absenceCases: [],
+    attendanceCorrections: [],
+    absenceExcuses: []
 };
 window.DATA_MODELS = DATA_MODELS; // Expose for debugging
 
@@ -75,13 +82,21 @@ document.addEventListener('DOMContentLoaded', function () {
         if (user) {
             console.log("User authenticated:", user.uid); // Debug Log 1
             try {
+                // Admin "view as": load the chosen faculty's role and scope instead of the admin's
+                const viewAs = await verifyViewAs(user.uid, 'faculty');
+
                 // User is signed in, check their role from SERVER
-                const userData = await verifyRoleFromServer(user.uid, 'faculty');
+                const userData = viewAs
+                    ? { ...(await verifyRoleFromServer(viewAs.targetId, 'faculty')), uid: viewAs.targetId }
+                    : await verifyRoleFromServer(user.uid, 'faculty');
+
+                // Accounts with an authenticator app verify it before the database honours their role
+                await ensureSecondFactor({ required: hasPermission(MFA_REQUIRED_PERMISSION) });
 
                 // --- USER IS VALID FACULTY ---
                 console.log(`Welcome, ${user.email}! Role: ${userData.role}`);
                 currentUserData = userData;
-                await initializeApp(user, userData);
+                await initializeApp(viewAs ? { uid: viewAs.targetId, email: userData.email || viewAs.label } : user, userData);
 
             } catch (err) {
                 // Role verification failed
@@ -105,32 +120,42 @@ document.addEventListener('DOMContentLoaded', function () {
  * @param {object} userData - The user data from Firestore ({role, classId, ...}).
  */
 async function initializeApp(user, userData) {
+    await loadAcademicYearContext();
+    await watchAcademicYearContext(async () => {
+        location.reload();
+    });
+
+    // Faculty can teach several classes: everything below works on the selected one
+    userData.primaryClassId = userData.classId || null;
+    userData.classId = await loadFacultyClasses(user.uid, userData);
+    renderFacultyClassSwitcher();
+
     // Populate profile menu
     document.getElementById('user-info-email').textContent = user.email;
-    document.getElementById('user-info-role').textContent = `Faculty - ${userData.classId || 'Unassigned'}`;
+    const roleName = userData.roleName || 'Faculty';
+    document.getElementById('user-info-role').textContent = `${roleName} - ${userData.classId || 'Unassigned'}`;
 
     // Populate sidebar user info
     const sidebarEmail = document.getElementById('sidebar-user-email');
     const sidebarRole = document.getElementById('sidebar-user-role');
     if (sidebarEmail) sidebarEmail.textContent = user.email;
-    if (sidebarRole) sidebarRole.textContent = userData.classId ? `Faculty - ${userData.classId}` : 'Faculty';
-
-    await loadAcademicYearContext();
-    await watchAcademicYearContext(async () => {
-        location.reload();
-    });
+    if (sidebarRole) sidebarRole.textContent = userData.classId ? `${roleName} - ${userData.classId}` : roleName;
 
     // Apply UI restrictions (hides admin-only buttons)
-    applyRoleRestrictions(userData.role);
+    applyRoleRestrictions();
 
     // Setup all event listeners for the page
     setupEventListeners();
+    setupPendingSyncBadge();
+
+    // Idle / max-age sign-out and cross-tab logout (common.js); watches the admin while viewing as
+    startSessionMonitor({ roleKey: userData.role, uid: user.uid, signOut: logout });
 
     // Prepare year migration tools (Phase 2 kickoff)
     await initializeYearMigrationPanel();
 
-    // First-login onboarding for faculty users
-    await maybeRunFacultyOnboarding(user, userData);
+    // First-login onboarding for faculty users (not while an admin is viewing as them)
+    if (!getViewAs()) await maybeRunFacultyOnboarding(user, userData);
 
     // Start fetching realtime data
     startRealtimeListeners();
@@ -143,19 +168,98 @@ async function initializeApp(user, userData) {
     hideSpinner();
 }
 
+// -----------------
+// 🏫 CLASS ASSIGNMENTS
+// -----------------
+
+const FACULTY_CLASS_STORAGE_KEY = 'facultySelectedClassId';
+
+/**
+ * Loads the faculty's classes for the active year (facultyClassAssignments,
+ * plus user_roles.classId as the primary class for older accounts) into
+ * DATA_MODELS.facultyClassAssignments, primary classes first.
+ * @param {string} uid
+ * @param {object} userData - The verified role data ({classId, ...}).
+ * @returns {Promise<string|null>} The class to open: the one last picked on this device if still assigned, else the first primary class.
+ */
+async function loadFacultyClasses(uid, userData) {
+    const activeYearId = getActiveAcademicYearId();
+    const byClass = new Map();
+
+    if (activeYearId) {
+        try {
+            const { db, getDocs, collection, query, where } = window;
+            const snap = await getDocs(query(collection(db, 'facultyClassAssignments'),
+                where('uid', '==', uid),
+                where('academicYearId', '==', activeYearId)));
+            snap.forEach(d => {
+                const item = d.data();
+                if (item.classId) byClass.set(String(item.classId), item.assignmentRole || 'primary');
+            });
+        } catch (err) {
+            // Table not migrated yet — fall back to the single user_roles class
+            console.warn('[faculty] Could not load class assignments:', err);
+        }
+    }
+    const primaryClassId = String(userData?.primaryClassId || userData?.classId || '');
+    if (primaryClassId && !byClass.has(primaryClassId)) byClass.set(primaryClassId, 'primary');
+
+    DATA_MODELS.facultyClassAssignments = [...byClass]
+        .map(([classId, assignmentRole]) => ({ classId, assignmentRole }))
+        .sort((a, b) =>
+            (a.assignmentRole === 'primary' ? 0 : 1) - (b.assignmentRole === 'primary' ? 0 : 1)
+            || a.classId.localeCompare(b.classId, undefined, { numeric: true })
+        );
+
+    const saved = localStorage.getItem(FACULTY_CLASS_STORAGE_KEY);
+    const selected = DATA_MODELS.facultyClassAssignments.find(item => item.classId === saved)
+        || DATA_MODELS.facultyClassAssignments[0];
+    return selected ? selected.classId : null;
+}
+
+/**
+ * Fills the topbar class switcher; it stays hidden for faculty with one class.
+ */
+function renderFacultyClassSwitcher() {
+    const wrapper = document.getElementById('faculty-class-switcher-wrap');
+    const select = document.getElementById('faculty-class-switcher');
+    if (!wrapper || !select) return;
+
+    const assignments = DATA_MODELS.facultyClassAssignments || [];
+    select.innerHTML = assignments.map(item => {
+        const label = item.assignmentRole === 'assistant' ? `${item.classId} (assistant)` : item.classId;
+        return `<option value="${escapeHtml(item.classId)}">${escapeHtml(label)}</option>`;
+    }).join('');
+    select.value = currentUserData?.classId || '';
+    wrapper.classList.toggle('is-hidden', assignments.length < 2);
+}
+
+/**
+ * Remembers the chosen class and reloads, so every listener and tab starts
+ * over scoped to it (the same way an academic year change is handled).
+ * @param {string} classId
+ */
+function switchFacultyClass(classId) {
+    const assigned = (DATA_MODELS.facultyClassAssignments || []).some(item => item.classId === classId);
+    if (!assigned || classId === currentUserData?.classId) return;
+    localStorage.setItem(FACULTY_CLASS_STORAGE_KEY, classId);
+    location.reload();
+}
+
 // -----------------
 // 🔐 UI & EVENT LISTENERS
 // -----------------
 
 /**
- * Applies UI restrictions based on user role.
- * @param {string} role - The user's role (e.g., "faculty").
+ * Applies UI restrictions from the role's permissions (see PERMISSIONS in common.js).
  */
-function applyRoleRestrictions(role) {
-    // Hide all elements marked as `data-admin-only="true"`
+function applyRoleRestrictions() {
+    // Hide all elements marked as `data-admin-only="true"` unless the role has full access
+    const isAdmin = hasPermission('manage_all');
     document.querySelectorAll('[data-admin-only="true"]').forEach(el => {
-        el.style.display = 'none';
+        el.style.display = isAdmin ? '' : 'none';
     });
+    if (isAdmin) return;
 
     // We use CSS for dynamically created elements
     // This is Snippet 1 from your implementation plan
@@ -173,6 +277,39 @@ function applyRoleRestrictions(role) {
     document.head.appendChild(styles);
 }
 
+/**
+ * Shows how many writes are waiting in the offline queue (js/supabase.js)
+ * and tells the user when a queued change lost to a newer server edit.
+ */
+function setupPendingSyncBadge() {
+    const badge = document.getElementById('pending-sync-badge');
+    const countEl = document.getElementById('pending-sync-count');
+    if (!badge || !countEl) return;
+
+    const render = () => {
+        const pending = window.getPendingWriteCount ? window.getPendingWriteCount() : 0;
+        countEl.textContent = String(pending);
+        badge.classList.toggle('is-hidden', pending === 0);
+        badge.classList.toggle('is-offline', !navigator.onLine);
+    };
+
+    window.addEventListener('offlinequeue:change', render);
+    window.addEventListener('online', render);
+    window.addEventListener('offline', render);
+    badge.addEventListener('click', () => window.syncPendingWrites && window.syncPendingWrites());
+
+    window.addEventListener('offlinequeue:conflict', (e) => {
+        const entry = e.detail.entry;
+        showError('Offline change skipped', `A change to ${entry.table} (${entry.id}) made while offline was not applied because someone updated it after you. Please review and re-save.`);
+    });
+    window.addEventListener('offlinequeue:failed', (e) => {
+        const entry = e.detail.entry;
+        showError('Offline change rejected', `The server rejected a change to ${entry.table} (${entry.id}): ${e.detail.error?.message || 'unknown error'}`);
+    });
+
+    render();
+}
+
 /**
  * Sets up all event listeners for the page.
  */
@@ -200,12 +337,16 @@ function setupEventListeners() {
         });
     });
 
+    // Class switcher (faculty with more than one class)
+    document.getElementById('faculty-class-switcher')?.addEventListener('change', (e) => switchFacultyClass(e.target.value));
+
     // Logout Button (in profile menu)
     document.getElementById('logout-btn').addEventListener('click', logout); // From common.js
     document.getElementById('sidebar-logout-btn')?.addEventListener('click', logout);
 
     // Faculty profile editing
     document.getElementById('edit-profile-btn')?.addEventListener('click', openFacultyProfileEditor);
+    document.getElementById('two-factor-btn')?.addEventListener('click', openTwoFactorSettings); // From common.js
     document.getElementById('save-faculty-profile-btn')?.addEventListener('click', saveFacultyProfileEdits);
     document.getElementById('cancel-faculty-profile-edit-btn')?.addEventListener('click', closeFacultyProfileEditor);
     document.getElementById('close-faculty-profile-modal-btn')?.addEventListener('click', closeFacultyProfileEditor);
@@ -272,6 +413,12 @@ function setupEventListeners() {
         }
     });
 
+    // Badge check-in
+    document.getElementById('start-check-in-btn')?.addEventListener('click', startBadgeScanner);
+    document.getElementById('stop-check-in-btn')?.addEventListener('click', stopBadgeScanner);
+    document.getElementById('print-badges-btn')?.addEventListener('click', printClassBadges);
+    window.addEventListener('pagehide', () => { if (BADGE_SCANNER) stopBadgeScanner(); });
+
     // Attendance session selection
     document.getElementById('session-date')?.addEventListener('change', (e) => {
         if (e.target.value) {
@@ -407,7 +554,7 @@ async function saveFacultyProfileEdits() {
             updatedAt: new Date().toISOString(),
         };
 
-        await setDoc(doc(window.db, 'userRoles', uid), payload, { merge: true });
+        await updateDoc(doc(window.db, 'userRoles', uid), payload);
 
         currentUserData = {
             ...(currentUserData || {}),
@@ -418,7 +565,7 @@ async function saveFacultyProfileEdits() {
         closeFacultyProfileEditor();
         showSuccess('Profile updated', 'Your faculty profile was saved successfully.');
     } catch (err) {
-        showError('Failed to save faculty profile: ' + err.message);
+        showDataError('Failed to save faculty profile', err);
     } finally {
         hideSpinner();
     }
@@ -507,6 +654,10 @@ function handleAttendanceSubTabClick() {
             content.classList.add('active');
         }
     });
+
+    // Don't leave the camera running behind another tab
+    if (target === '#badge-check-in') refreshCheckInCutoff();
+    else if (BADGE_SCANNER) stopBadgeScanner();
 }
 
 // -----------------
@@ -589,7 +740,7 @@ function startRealtimeListeners() {
                 .filter(e => e.status !== 'transferred')
                 .map(e => String(e.studentId))
         );
-        DATA_MODELS.enrollments = snap.docs.map(d => d.data());
+        applySnapshotChanges(DATA_MODELS.enrollments, snap, d => d.data());
         console.log('[realtime] enrollments sync', snap.docs.length);
         _rebuildStudents();
     }, err => console.error('[realtime] enrollments listener error', err));
@@ -597,7 +748,7 @@ function startRealtimeListeners() {
 
     // STUDENTS Listener — global (faculty can read all students per rules), filtered in memory
     const unsubStudents = onSnapshot(collection(db, 'students'), snapshot => {
-        _allStudentProfiles = snapshot.docs.map(d => d.data());
+        applySnapshotChanges(_allStudentProfiles, snapshot, d => d.data());
         _rebuildStudents();
     }, err => console.error('[realtime] students listener error', err));
     window.realtimeUnsubscribers.push(unsubStudents);
@@ -607,10 +758,15 @@ function startRealtimeListeners() {
         ? query(collection(db, 'sessions'), where('academicYearId', '==', activeYearId))
         : collection(db, 'sessions');
     const unsubSessions = onSnapshot(sessionsQuery, snapshot => {
-        DATA_MODELS.sessions = [];
-        snapshot.forEach(doc => DATA_MODELS.sessions.push(doc.data()));
+        // Sessions without a class apply to every class
+        const changed = applySnapshotChanges(DATA_MODELS.sessions, snapshot, d => d.data(),
+            s => !s.classId || s.classId === userClassId);
         renderSessionsTable();
-        renderAttendanceForm(document.getElementById('session-date')?.value || '');
+        // Only rebuild the attendance form when the session it shows was touched
+        const currentSession = document.getElementById('session-date')?.value || '';
+        const touched = [...changed.added, ...changed.modified].some(s => s.id === currentSession)
+            || changed.removed.includes(currentSession);
+        if (changed.reset || touched) renderAttendanceForm(currentSession);
         renderDashboard();
         console.log('[realtime] sessions sync', DATA_MODELS.sessions.length);
     }, err => console.error('[realtime] sessions listener error', err));
@@ -621,7 +777,7 @@ function startRealtimeListeners() {
         ? query(collection(db, 'assessments'), where('classId', '==', userClassId), where('academicYearId', '==', activeYearId))
         : query(collection(db, 'assessments'), where('classId', '==', userClassId));
     const unsubAssessments = onSnapshot(assessmentsQuery, (snapshot) => {
-        DATA_MODELS.assessments = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        applySnapshotChanges(DATA_MODELS.assessments, snapshot);
         renderAssessmentsTable();
         console.log('[realtime] Synced assessments:', DATA_MODELS.assessments.length);
     }, err => console.error('[realtime] Assessments listener error:', err));
@@ -632,23 +788,65 @@ function startRealtimeListeners() {
         ? query(collection(db, 'attendance'), where('classId', '==', userClassId), where('academicYearId', '==', activeYearId))
         : query(collection(db, 'attendance'), where('classId', '==', userClassId));
     const unsubAttendance = onSnapshot(attendanceQuery, snapshot => {
-        DATA_MODELS.attendance = snapshot.docs.map(d => d.data());
+        const changed = applySnapshotChanges(DATA_MODELS.attendance, snapshot, d => d.data());
         const currentSession = document.getElementById('session-date')?.value;
-        if (currentSession) renderAttendanceForm(currentSession);
+        if (currentSession) {
+            if (changed.reset) renderAttendanceForm(currentSession);
+            else patchAttendanceStatusInputs(currentSession, [...changed.added, ...changed.modified]);
+        }
+        renderFollowUpQueue();
         console.log('[realtime] attendance sync', DATA_MODELS.attendance.length);
     }, err => console.error('[realtime] attendance listener error', err));
     window.realtimeUnsubscribers.push(unsubAttendance);
 
+    // ABSENCE CASES Listener (scoped to class + active year)
+    if (activeYearId) {
+        const absenceCasesQuery = query(collection(db, 'absenceCases'), where('classId', '==', userClassId), where('academicYearId', '==', activeYearId));
+        const unsubAbsenceCases = onSnapshot(absenceCasesQuery, snapshot => {
+            applySnapshotChanges(DATA_MODELS.absenceCases, snapshot, d => d.data());
+            renderFollowUpQueue();
+            console.log('[realtime] absenceCases sync', DATA_MODELS.absenceCases.length);
+        }, err => console.error('[realtime] absenceCases listener error', err));
+        window.realtimeUnsubscribers.push(unsubAbsenceCases);
+
+        const correctionsQuery = query(collection(db, 'attendanceCorrections'), where('classId', '==', userClassId), where('academicYearId', '==', activeYearId));
+        const unsubCorrections = onSnapshot(correctionsQuery, snapshot => {
+            const changed = applySnapshotChanges(DATA_MODELS.attendanceCorrections, snapshot, d => d.data());
+            const currentSession = document.getElementById('session-date')?.value || '';
+            if (currentSession && (changed.reset || [...changed.added, ...changed.modified].some(c => c.sessionId === currentSession))) {
+                renderAttendanceForm(currentSession);
+            }
+            console.log('[realtime] attendanceCorrections sync', DATA_MODELS.attendanceCorrections.length);
+        }, err => console.error('[realtime] attendanceCorrections listener error', err));
+        window.realtimeUnsubscribers.push(unsubCorrections);
+
+        const excusesQuery = query(collection(db, 'absenceExcuses'), where('classId', '==', userClassId), where('academicYearId', '==', activeYearId));
+        const unsubExcuses = onSnapshot(excusesQuery, snapshot => {
+            const changed = applySnapshotChanges(DATA_MODELS.absenceExcuses, snapshot, d => d.data());
+            renderAbsenceExcuses();
+            // Approved excuses start the child on Excused in a form not yet saved
+            const currentSession = document.getElementById('session-date')?.value || '';
+            const session = DATA_MODELS.sessions.find(s => s.id === currentSession);
+            const sessionDate = session?.sessionDate || session?.date;
+            if (sessionDate && (changed.reset || [...changed.added, ...changed.modified].some(e => e.absenceDate === sessionDate))) {
+                renderAttendanceForm(currentSession);
+            }
+            console.log('[realtime] absenceExcuses sync', DATA_MODELS.absenceExcuses.length);
+        }, err => console.error('[realtime] absenceExcuses listener error', err));
+        window.realtimeUnsubscribers.push(unsubExcuses);
+    }
+
     // SCORES Listener (scoped to class + active year)
     const scoresQuery = activeYearId
         ? query(collection(db, 'scores'), where('classId', '==', userClassId), where('academicYearId', '==', activeYearId))
         : query(collection(db, 'scores'), where('classId', '==', userClassId));
     const unsubScores = onSnapshot(scoresQuery, snapshot => {
-        DATA_MODELS.scores = snapshot.docs.map(d => d.data());
+        const changed = applySnapshotChanges(DATA_MODELS.scores, snapshot, d => d.data());
         renderAssessmentsTable();
         const scoresModal = document.getElementById('scores-modal');
         if (window._currentScoresAssessmentId && scoresModal?.style.display === 'flex') {
-            openScoresModal(window._currentScoresAssessmentId);
+            if (changed.reset) openScoresModal(window._currentScoresAssessmentId);
+            else patchScoreInputs(window._currentScoresAssessmentId, [...changed.added, ...changed.modified]);
         }
         console.log('[realtime] scores sync', DATA_MODELS.scores.length);
     }, err => console.error('[realtime] scores listener error', err));
@@ -810,6 +1008,8 @@ async function renderDashboard() {
         upcomingSessionsEl.textContent = upcomingSessions.length;
     }
 
+    renderFollowUpQueue();
+
     // --- Faculty version: Do NOT try to read activityLogs ---
     const activityContainer = document.getElementById('recent-activity');
     if (activityContainer) {
@@ -817,6 +1017,187 @@ async function renderDashboard() {
     }
 }
 
+/**
+ * The class's follow-up queue (see buildFollowUpQueue in common.js).
+ */
+function renderFollowUpQueue() {
+    const classId = String(currentUserData?.classId || '');
+    const students = getCurrentAcademicYearRoster(DATA_MODELS.students, DATA_MODELS.enrollments || [])
+        .filter(student => String(student.classId || '') === classId);
+    const queue = buildFollowUpQueue({
+        students,
+        sessions: DATA_MODELS.sessions,
+        attendance: DATA_MODELS.attendance,
+        cases: DATA_MODELS.absenceCases,
+    });
+    renderFollowUpQueueTable(document.getElementById('follow-up-tbody'), queue, {
+        onSaved: saved => {
+            const index = DATA_MODELS.absenceCases.findIndex(c => c.id === saved.id);
+            if (index >= 0) DATA_MODELS.absenceCases[index] = saved;
+            else DATA_MODELS.absenceCases.push(saved);
+            renderFollowUpQueue();
+        },
+    });
+    return queue;
+}
+
+// -----------------
+// 📨 ABSENCE EXCUSES
+// -----------------
+// Parents report absences from the parent portal (see supabase/add_absence_excuses.sql).
+// Approving one marks that date's attendance Excused, or files an attendance
+// correction when the session is already locked.
+
+function renderAbsenceExcuses() {
+    const tbody = document.getElementById('absence-excuses-tbody');
+    if (!tbody) return;
+    const pending = DATA_MODELS.absenceExcuses
+        .filter(e => e.status === 'pending')
+        .sort((a, b) => String(a.absenceDate).localeCompare(String(b.absenceDate)));
+    if (pending.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="follow-up-none">No absence notes waiting for review.</td></tr>';
+        return;
+    }
+    tbody.innerHTML = pending.map(excuse => {
+        const student = DATA_MODELS.students.find(s => String(s.studentId) === String(excuse.studentId));
+        return `<tr>
+            <td>${escapeHtml(formatDate(excuse.absenceDate))}</td>
+            <td>${escapeHtml(student ? `${student.firstName} ${student.lastName}` : excuse.studentId)}</td>
+            <td>${escapeHtml(excuse.reason)}</td>
+            <td>${escapeHtml(excuse.submittedByContact || '—')}</td>
+            <td>
+                <div class="btn-group">
+                    <button class="btn btn-success btn-sm review-excuse-btn" data-id="${escapeHtml(excuse.id)}" data-decision="approved"><i class="fas fa-check"></i> Approve</button>
+                    <button class="btn btn-danger btn-sm review-excuse-btn" data-id="${escapeHtml(excuse.id)}" data-decision="rejected"><i class="fas fa-times"></i> Reject</button>
+                </div>
+            </td>
+        </tr>`;
+    }).join('');
+    tbody.querySelectorAll('.review-excuse-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => promptAbsenceExcuseReview(e.currentTarget.dataset.id, e.currentTarget.dataset.decision));
+    });
+}
+
+async function promptAbsenceExcuseReview(excuseId, decision) {
+    const excuse = DATA_MODELS.absenceExcuses.find(e => e.id === excuseId);
+    if (!excuse) return;
+    const approving = decision === 'approved';
+    const { value: note } = await Swal.fire({
+        title: approving ? 'Approve Absence?' : 'Reject Absence Note?',
+        text: approving
+            ? `Attendance for ${formatDate(excuse.absenceDate)} will be marked Excused.`
+            : 'The parent will see this note in their portal.',
+        input: 'textarea',
+        inputPlaceholder: approving ? 'Note for the parent (optional)' : 'Why is the note rejected?',
+        showCancelButton: true,
+        confirmButtonText: approving ? 'Approve' : 'Reject',
+        inputValidator: value => !approving && !String(value || '').trim() && 'Give a reason for rejecting.',
+    });
+    if (note === undefined) return;
+
+    showSpinner();
+    try {
+        const { outcome } = await reviewAbsenceExcuse(excuse, decision, note);
+        renderAbsenceExcuses();
+        const [title, text] = {
+            marked: ['Absence approved', 'Attendance is marked Excused.'],
+            correction: ['Absence approved', 'The session is locked, so the change to Excused was sent to an admin.'],
+            'no-session': ['Absence approved', 'The student will start on Excused when you take attendance for that day.'],
+            rejected: ['Absence note rejected'],
+        }[outcome];
+        showSuccess(title, text);
+    } catch (err) {
+        showDataError('Could not review the absence note', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+/**
+ * Approves or rejects a parent's absence note. Approval marks the session on
+ * that date Excused for the student; a locked session gets a correction request.
+ * @param {Object} excuse - absence_excuses row.
+ * @param {'approved'|'rejected'} decision
+ * @param {string} [note] - Shown to the parent; required when rejecting.
+ * @returns {Promise<{excuse: Object, outcome: 'marked'|'correction'|'no-session'|'rejected'}>}
+ */
+async function reviewAbsenceExcuse(excuse, decision, note = '') {
+    if (decision !== 'approved' && decision !== 'rejected') throw new Error(`Unknown decision: ${decision}`);
+    if (excuse.status !== 'pending') throw new Error('This absence note has already been reviewed.');
+    const reviewNote = String(note || '').trim();
+    if (decision === 'rejected' && !reviewNote) throw new Error('Give a reason for rejecting.');
+
+    const { db, doc, writeBatch } = window;
+    const now = new Date().toISOString();
+    const uid = JSON.parse(localStorage.getItem('currentUser') || '{}').uid || null;
+    const session = decision === 'approved'
+        ? DATA_MODELS.sessions.find(s => s.status === 'Available' && (s.sessionDate || s.date) === excuse.absenceDate
+            && (!s.classId || s.classId === excuse.classId))
+        : null;
+    const before = session
+        ? DATA_MODELS.attendance.find(a => a.sessionId === session.id && a.studentId === excuse.studentId)?.status ?? null
+        : null;
+    const locked = !!session && isSessionLocked(session);
+    const review = { status: decision, reviewedBy: uid, reviewedAt: now, reviewNote: reviewNote || null, sessionId: session?.id ?? null };
+
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'absenceExcuses', excuse.id), review);
+    let record = null;
+    let corrections = null;
+    if (session && !locked && before !== 'Excused') {
+        record = {
+            id: `${session.id}_${excuse.studentId}`,
+            sessionId: session.id,
+            studentId: excuse.studentId,
+            status: 'Excused',
+            classId: excuse.classId,
+            academicYearId: excuse.academicYearId,
+            updatedAt: now,
+        };
+        batch.set(doc(db, 'attendance', record.id), record, { merge: true });
+    } else if (locked && before !== 'Excused') {
+        // Same batch as the approval, so the note is never approved without its correction
+        corrections = {
+            sessionId: session.id,
+            classId: excuse.classId,
+            changes: [{ studentId: excuse.studentId, from: before, to: 'Excused' }],
+            reason: `Absence reported by parent: ${excuse.reason}`,
+        };
+        corrections.rows = buildAttendanceCorrectionRows(corrections);
+        corrections.rows.forEach(row => batch.set(doc(db, 'attendanceCorrections', row.id), row));
+    }
+    await batch.commit();
+    Object.assign(excuse, review);
+
+    let outcome = decision === 'rejected' ? 'rejected' : session ? 'marked' : 'no-session';
+    if (record) {
+        const idx = DATA_MODELS.attendance.findIndex(a => a.id === record.id);
+        if (idx >= 0) DATA_MODELS.attendance[idx] = { ...DATA_MODELS.attendance[idx], ...record };
+        else DATA_MODELS.attendance.push(record);
+    } else if (corrections) {
+        DATA_MODELS.attendanceCorrections.push(...corrections.rows);
+        createAuditLog('attendance_correction_requested', {
+            sessionId: corrections.sessionId,
+            classId: corrections.classId,
+            reason: corrections.reason,
+            changes: corrections.changes,
+        });
+        outcome = 'correction';
+    }
+
+    createAuditLog(`absence_excuse_${decision}`, {
+        excuseId: excuse.id,
+        studentId: excuse.studentId,
+        classId: excuse.classId,
+        absenceDate: excuse.absenceDate,
+        sessionId: session?.id ?? null,
+        before,
+        outcome,
+        note: reviewNote || null,
+    });
+    return { excuse, outcome };
+}
+
 // -----------------
 // 👨‍🎓 STUDENT MANAGEMENT
 // -----------------
@@ -905,7 +1286,6 @@ async function completeFacultyOnboarding(e) {
     showSpinner();
     try {
         const payload = {
-            role: 'faculty',
             displayName,
             phone,
             onboardingCompleted: true,
@@ -919,7 +1299,7 @@ async function completeFacultyOnboarding(e) {
             updatedAt: new Date().toISOString(),
         };
 
-        await setDoc(doc(window.db, 'userRoles', uid), payload, { merge: true });
+        await updateDoc(doc(window.db, 'userRoles', uid), payload);
 
         currentUserData = {
             ...(currentUserData || {}),
@@ -940,7 +1320,7 @@ async function completeFacultyOnboarding(e) {
 
         showSuccess('Onboarding complete', 'Your faculty setup is saved.');
     } catch (err) {
-        showError('Failed to complete onboarding: ' + err.message);
+        showDataError('Failed to complete onboarding', err);
     } finally {
         hideSpinner();
     }
@@ -1249,7 +1629,7 @@ async function saveEarlyAngelEntry(e) {
         const pointsInput = document.getElementById('early-angel-points');
         if (pointsInput) pointsInput.value = '1';
     } catch (err) {
-        showError('Failed to save Early Angel entry: ' + err.message);
+        showDataError('Failed to save Early Angel entry', err);
     } finally {
         hideSpinner();
     }
@@ -1403,7 +1783,7 @@ async function saveStudent() {
         showSuccess('Student saved successfully!');
 
     } catch (err) {
-        showError('Error saving student: ' + err.message);
+        showDataError('Error saving student', err);
     } finally {
         hideSpinner();
     }
@@ -1474,7 +1854,7 @@ async function deleteStudent(studentId) {
             createAuditLog('student_deleted', { studentId: String(studentId) });
             showSuccess('Student deleted.');
         } catch (err) {
-            showError('Failed to delete student: ' + err.message);
+            showDataError('Failed to delete student', err);
         } finally {
             hideSpinner();
         }
@@ -1567,6 +1947,9 @@ function renderSessionsTable() {
     // Populate session dropdowns (using common.js helper)
     populateDropdown('session-date', availableSessionsForDropdown, s => s.id, s => `${formatDate(s.date)} (${s.status})`);
     populateDropdown('report-session-date', sortedSessions, s => s.id, s => `${formatDate(s.date)} (${s.status === 'Available' ? 'Class Held' : 'No Class'})`);
+    populateDropdown('check-in-session', availableSessionsForDropdown, s => s.id, s => formatDate(s.date));
+    const checkInSelect = document.getElementById('check-in-session');
+    if (checkInSelect && !checkInSelect.value) checkInSelect.value = getTodaySessionId();
 
     // Add event listeners
     tbody.querySelectorAll('.take-attendance').forEach(btn => {
@@ -1609,7 +1992,7 @@ async function saveSession() {
         document.getElementById('session-modal').style.display = 'none';
         showSuccess('Session created!');
     } catch (err) {
-        showError('Error saving session: ' + err.message);
+        showDataError('Error saving session', err);
     } finally {
         hideSpinner();
     }
@@ -1639,7 +2022,7 @@ async function deleteSession(sessionId) {
             createAuditLog('session_deleted', { sessionId, date: session?.date, attendanceRecordsDeleted: attSnap?.size || 0 });
             showSuccess('Session deleted.');
         } catch (err) {
-            showError('Failed to delete session: ' + err.message);
+            showDataError('Failed to delete session', err);
         } finally {
             hideSpinner();
         }
@@ -1662,7 +2045,13 @@ function renderAttendanceForm(sessionId) {
         return;
     }
 
-    let html = `<h3>Take Attendance for ${formatDate(session.date)}</h3>
+    // Past the lock, changes go to an admin as correction requests
+    const locked = isSessionLocked(session);
+    let html = `<h3>Take Attendance for ${formatDate(session.date)}</h3>`;
+    if (locked) {
+        html += `<p class="attendance-locked-note">🔒 Locked since ${formatDate(getSessionLockDate(session))}. Changes are sent to an admin for approval.</p>`;
+    }
+    html += `
         <div class="form-group">
             <label>Set Status for All Students:</label>
             <div class="btn-group">
@@ -1695,28 +2084,34 @@ function renderAttendanceForm(sessionId) {
 
     sortedStudents.forEach(student => {
         const existing = DATA_MODELS.attendance.find(a => a.sessionId === sessionId && a.studentId === student.studentId);
-        const status = existing ? existing.status : 'Present';
+        const excused = DATA_MODELS.absenceExcuses.some(e =>
+            e.status === 'approved' && e.studentId === student.studentId && e.absenceDate === (session.sessionDate || session.date));
+        const status = existing ? existing.status : (locked ? '' : (excused ? 'Excused' : 'Present'));
+        const pending = locked && DATA_MODELS.attendanceCorrections.find(c =>
+            c.status === 'pending' && c.sessionId === sessionId && c.studentId === student.studentId);
         html += `
             <tr>
                 <td>${escapeHtml(student.registerNo ?? student.studentId)}</td>
                 <td>${escapeHtml(student.firstName)} ${escapeHtml(student.lastName)}</td>
                 <td>
-                    <select class="attendance-status" data-student="${escapeHtml(student.studentId)}" data-class="${escapeHtml(student.classId || myClassId)}">
+                    <select class="attendance-status" data-student="${escapeHtml(student.studentId)}" data-class="${escapeHtml(student.classId || myClassId)}" ${pending ? 'disabled' : ''}>
+                        ${locked && !existing ? '<option value="" selected>Not recorded</option>' : ''}
                         <option value="Present" ${status === 'Present' ? 'selected' : ''}>Present</option>
                         <option value="Absent" ${status === 'Absent' ? 'selected' : ''}>Absent</option>
                         <option value="Late" ${status === 'Late' ? 'selected' : ''}>Late</option>
                         <option value="Excused" ${status === 'Excused' ? 'selected' : ''}>Excused</option>
                     </select>
+                    ${pending ? `<span class="correction-pending">Change to ${escapeHtml(pending.toStatus)} awaiting approval</span>` : ''}
                 </td>
             </tr>`;
     });
-    html += `</tbody></table><button class="btn btn-primary" onclick="saveAttendance('${escapeHtml(sessionId)}')">Save Attendance</button>`;
+    html += `</tbody></table><button class="btn btn-primary" onclick="saveAttendance('${escapeHtml(sessionId)}')">${locked ? 'Request Correction' : 'Save Attendance'}</button>`;
     container.innerHTML = html;
 }
 
 // Dropdown version of Set All
 window.setAllStatus = (status) => {
-    document.querySelectorAll('.attendance-status').forEach(select => select.value = status);
+    document.querySelectorAll('.attendance-status:not(:disabled)').forEach(select => select.value = status);
 }
 
 // Dropdown version of Save (Faculty)
@@ -1732,6 +2127,9 @@ window.saveAttendance = async (sessionId) => {
         || DATA_MODELS.appConfig?.activeAcademicYearId;
     if (!activeYearId) return showError('No active academic year found. Cannot save attendance.');
 
+    const session = DATA_MODELS.sessions.find(s => s.id === sessionId);
+    if (isSessionLocked(session)) return submitAttendanceCorrections(sessionId, inputs);
+
     showSpinner();
     try {
         const { doc, setDoc } = window;
@@ -1755,6 +2153,8 @@ window.saveAttendance = async (sessionId) => {
         const results = await Promise.allSettled(promises);
         const failed = results.filter(r => r.status === 'rejected');
         const saved = results.length - failed.length;
+        // setDoc resolves with { pending: true } when the write was queued offline
+        const queued = results.filter(r => r.status === 'fulfilled' && r.value?.pending).length;
 
         // Update local cache for each successful save so views reflect reality
         // immediately (realtime updates may be delayed or disabled).
@@ -1771,6 +2171,8 @@ window.saveAttendance = async (sessionId) => {
         if (failed.length > 0) {
             console.error('Attendance save failures:', failed.map(r => r.reason?.message));
             showError(`${saved} saved, ${failed.length} failed. Check console for details.`);
+        } else if (queued > 0) {
+            showSuccess('Saved on this device', `${queued} attendance record${queued !== 1 ? 's' : ''} will sync automatically when the connection returns.`);
         } else {
             showSuccess('Attendance saved successfully!');
         }
@@ -1781,12 +2183,324 @@ window.saveAttendance = async (sessionId) => {
             generateDaywiseAttendanceReport();
         }
     } catch (err) {
-        showError('Error saving attendance: ' + err.message);
+        showDataError('Error saving attendance', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+// Locked session: ask why, then file the changed rows as correction requests
+async function submitAttendanceCorrections(sessionId, inputs) {
+    const changes = [];
+    for (const select of inputs) {
+        const studentId = select.dataset.student;
+        if (!studentId || select.disabled || !select.value) continue;
+        const existing = DATA_MODELS.attendance.find(a => a.sessionId === sessionId && a.studentId === studentId);
+        const from = existing?.status ?? null;
+        if (select.value !== from) changes.push({ studentId, from, to: select.value });
+    }
+    if (changes.length === 0) return showError('Change at least one student\'s status to request a correction.');
+
+    const { value: reason } = await Swal.fire({
+        title: 'Request Correction',
+        text: `This session is locked. ${changes.length} change${changes.length !== 1 ? 's' : ''} will be sent to an admin for approval.`,
+        input: 'textarea',
+        inputPlaceholder: 'Why does the attendance need to change?',
+        showCancelButton: true,
+        confirmButtonText: 'Send Request',
+        inputValidator: value => !String(value || '').trim() && 'Give a reason for the correction.',
+    });
+    if (reason === undefined) return;
+
+    showSpinner();
+    try {
+        const rows = await requestAttendanceCorrections({ sessionId, classId: currentUserData.classId, changes, reason });
+        DATA_MODELS.attendanceCorrections.push(...rows);
+        showSuccess('Correction requested', 'An admin will review the change.');
+        renderAttendanceForm(sessionId);
+    } catch (err) {
+        showDataError('Error requesting correction', err);
+    } finally {
+        hideSpinner();
+    }
+}
+
+// -----------------
+// 📷 BADGE CHECK-IN
+// -----------------
+// Badges are read with parseBadgePayload() in common.js; the token is signed
+// in the database (see supabase/add_badge_check_in.sql), which also writes the
+// attendance row and refuses students already marked for the session.
+
+const CHECK_IN_LATE_AFTER_DEFAULT = '09:30';
+
+let BADGE_SCANNER = null;
+
+const CHECK_IN_REJECTIONS = {
+    invalid: () => 'This badge is not valid. It may be from an older print.',
+    duplicate: (name, result) => `${name} is already marked ${result.attendance} for this session.`,
+    'other-class': name => `${name} is not in your class.`,
+    'no-session': () => 'This session is not open for attendance.',
+};
+
+/**
+ * Present up to and including the cutoff minute, Late after it (device local time).
+ * @param {string} lateAfter - 'HH:MM'
+ */
+function getCheckInStatus(lateAfter, now = new Date()) {
+    const [hours, minutes] = String(lateAfter || CHECK_IN_LATE_AFTER_DEFAULT).split(':').map(Number);
+    return now.getHours() * 60 + now.getMinutes() > hours * 60 + minutes ? 'Late' : 'Present';
+}
+
+async function loadCheckInLateAfter() {
+    try {
+        const snap = await window.getDoc(window.doc(window.db, 'appConfig', 'global'));
+        return (snap.exists() && snap.data()?.checkInLateAfter) || CHECK_IN_LATE_AFTER_DEFAULT;
+    } catch (err) {
+        console.warn('Check-in cutoff not loaded, using the default:', err);
+        return CHECK_IN_LATE_AFTER_DEFAULT;
+    }
+}
+
+/**
+ * Badge tokens for printing, as { studentId: token }. The database leaves
+ * out students the signed-in account does not teach.
+ */
+async function loadBadgeTokens(studentIds) {
+    const { data } = await window.httpsCallable(window.getFunctions(), 'check_in_badge_tokens')({ p_student_ids: studentIds });
+    return data || {};
+}
+
+function getCheckInRoster() {
+    const classId = String(currentUserData?.classId || '');
+    return getCurrentAcademicYearRoster(DATA_MODELS.students, DATA_MODELS.enrollments || [])
+        .filter(student => String(student.classId || '') === classId)
+        .sort((a, b) => String(a.studentId).localeCompare(String(b.studentId), undefined, { numeric: true }));
+}
+
+/**
+ * Today's class session, if there is one (sessions are keyed by date).
+ */
+function getTodaySessionId(now = new Date()) {
+    const today = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+    return DATA_MODELS.sessions.find(s => s.status === 'Available' && (s.sessionDate || s.date) === today)?.id || '';
+}
+
+/**
+ * One printable sheet of badges, three to a row, with the QR code drawn by
+ * qrcode-generator (loaded from the CDN in faculty.html).
+ */
+function buildBadgeSheetHtml(students, tokens) {
+    const badges = students.filter(student => tokens[student.studentId]).map(student => {
+        const qr = window.qrcode(0, 'M');
+        qr.addData(formatBadgePayload(student.studentId, tokens[student.studentId]));
+        qr.make();
+        return `<div class="badge">
+            ${qr.createSvgTag(4, 2)}
+            <strong>${escapeHtml(student.firstName)} ${escapeHtml(student.lastName || '')}</strong>
+            <span>Class ${escapeHtml(student.classId || '')} · Reg. No ${escapeHtml(student.registerNo ?? student.studentId)}</span>
+        </div>`;
+    });
+    return `<!DOCTYPE html><html><head><title>Check-in Badges</title>
+    <style>
+      @page { size: A4 portrait; margin: 10mm; }
+      body { font-family: Arial, Helvetica, sans-serif; margin: 0; }
+      .sheet { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6mm; }
+      .badge { border: 1px dashed #94a3b8; padding: 4mm; text-align: center; page-break-inside: avoid; }
+      .badge svg { width: 40mm; height: 40mm; }
+      .badge strong { display: block; font-size: 13px; margin-top: 2mm; }
+      .badge span { display: block; font-size: 10px; color: #475569; }
+    </style></head><body>
+    <div class="sheet">${badges.join('')}</div>
+    <script>window.onload=function(){setTimeout(function(){window.print();},200);}<\/script>
+    </body></html>`;
+}
+
+async function printClassBadges() {
+    const students = getCheckInRoster();
+    if (students.length === 0) return showError('There are no students in this class to print badges for.');
+    if (typeof window.qrcode !== 'function') return showError('The QR code library did not load. Check the connection and reload the page.');
+
+    // Open the window before the await so the pop-up blocker allows it
+    const printWin = window.open('', '_blank', 'width=900,height=700');
+    if (!printWin) return showError('Pop-up blocked. Please allow pop-ups to print the badges.');
+
+    showSpinner();
+    try {
+        const tokens = await loadBadgeTokens(students.map(s => s.studentId));
+        printWin.document.write(buildBadgeSheetHtml(students, tokens));
+        printWin.document.close();
+        createAuditLog('check_in_badges_printed', { classId: currentUserData?.classId, count: Object.keys(tokens).length });
+    } catch (err) {
+        printWin.close();
+        showDataError('Could not prepare the badges', err);
     } finally {
         hideSpinner();
     }
 }
 
+/**
+ * Starts counting scans for a session; the camera is started separately.
+ * @param {{ sessionId: string, lateAfter: string }} options
+ */
+function beginCheckInRun({ sessionId, lateAfter }) {
+    BADGE_SCANNER = {
+        sessionId,
+        lateAfter,
+        reader: null,
+        recent: new Map(),
+        counts: { Present: 0, Late: 0, rejected: 0 },
+    };
+    return BADGE_SCANNER;
+}
+
+/**
+ * Checks one badge in against a session.
+ * @returns {Promise<{ outcome: string, studentId?: string, name?: string, status?: string, message: string }>}
+ *   outcome is 'ok', 'error', or one of the CHECK_IN_REJECTIONS keys.
+ */
+async function checkInWithBadge(text, { sessionId, lateAfter, now = new Date() }) {
+    const badge = parseBadgePayload(text);
+    if (!badge) return { outcome: 'invalid', message: 'That QR code is not a student badge.' };
+
+    const student = DATA_MODELS.students.find(s => String(s.studentId) === badge.studentId);
+    const name = student ? `${student.firstName} ${student.lastName || ''}`.trim() : badge.studentId;
+    const status = getCheckInStatus(lateAfter, now);
+
+    let result;
+    try {
+        ({ data: result } = await window.httpsCallable(window.getFunctions(), 'check_in_badge')({
+            p_session_id: sessionId,
+            p_student_id: badge.studentId,
+            p_token: badge.token,
+            p_status: status,
+        }));
+    } catch (err) {
+        return { outcome: 'error', studentId: badge.studentId, name, message: err?.message || String(err) };
+    }
+
+    if (result?.status !== 'ok') {
+        const reject = CHECK_IN_REJECTIONS[result?.status] || CHECK_IN_REJECTIONS.invalid;
+        return { outcome: result?.status || 'invalid', studentId: badge.studentId, name, message: reject(name, result) };
+    }
+
+    // Update the local cache now; the realtime listener catches up on its own
+    const record = {
+        id: `${sessionId}_${badge.studentId}`,
+        sessionId,
+        studentId: badge.studentId,
+        status: result.attendance,
+        classId: student?.classId || currentUserData?.classId,
+        academicYearId: getActiveAcademicYearId(),
+        updatedAt: now.toISOString(),
+    };
+    const idx = DATA_MODELS.attendance.findIndex(a => a.sessionId === sessionId && String(a.studentId) === badge.studentId);
+    if (idx >= 0) DATA_MODELS.attendance[idx] = { ...DATA_MODELS.attendance[idx], ...record };
+    else DATA_MODELS.attendance.push(record);
+    if (document.getElementById('session-date')?.value === sessionId) patchAttendanceStatusInputs(sessionId, [record]);
+
+    return { outcome: 'ok', studentId: badge.studentId, name, status: result.attendance, message: `${name}: ${result.attendance}` };
+}
+
+/**
+ * Camera callback: ignores a badge read again within BADGE_REPEAT_MS, checks
+ * the rest in and adds them to the on-screen log.
+ * @returns {Promise<object|null>} The checkInWithBadge() result, or null when ignored.
+ */
+async function handleBadgeScan(text, now = new Date()) {
+    const run = BADGE_SCANNER;
+    if (!run) return null;
+    const key = String(text || '').trim();
+    const lastSeen = run.recent.get(key);
+    if (lastSeen && now.getTime() - lastSeen < BADGE_REPEAT_MS) return null;
+    run.recent.set(key, now.getTime());
+
+    const result = await checkInWithBadge(key, { sessionId: run.sessionId, lateAfter: run.lateAfter, now });
+    if (result.outcome === 'ok') run.counts[result.status]++;
+    else run.counts.rejected++;
+    appendCheckInLog(result, now);
+    return result;
+}
+
+function appendCheckInLog(result, now = new Date()) {
+    const list = document.getElementById('check-in-log');
+    if (!list) return;
+    const item = document.createElement('li');
+    if (result.outcome !== 'ok') item.className = 'check-in-rejected';
+    const statusBadge = result.outcome === 'ok'
+        ? `<span class="status-badge status-${result.status.toLowerCase()}">${escapeHtml(result.status)}</span>`
+        : '';
+    item.innerHTML = `<span>${escapeHtml(result.message)} ${statusBadge}</span>
+        <time>${escapeHtml(now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }))}</time>`;
+    list.prepend(item);
+    navigator.vibrate?.(result.outcome === 'ok' ? 80 : [80, 60, 80]);
+}
+
+/**
+ * Finishes the run and records how it went, if anything was scanned.
+ */
+function endCheckInRun() {
+    const run = BADGE_SCANNER;
+    BADGE_SCANNER = null;
+    if (!run) return null;
+    const { Present, Late, rejected } = run.counts;
+    if (Present + Late + rejected > 0) {
+        createAuditLog('badge_check_in', { sessionId: run.sessionId, classId: currentUserData?.classId, present: Present, late: Late, rejected });
+    }
+    return run.counts;
+}
+
+async function refreshCheckInCutoff() {
+    const cutoff = document.getElementById('check-in-cutoff');
+    if (cutoff) cutoff.textContent = await loadCheckInLateAfter();
+}
+
+async function startBadgeScanner() {
+    const sessionId = document.getElementById('check-in-session')?.value;
+    if (!sessionId) return showError('Choose the session to check students in to.');
+    if (typeof window.Html5Qrcode !== 'function') return showError('The camera scanner did not load. Check the connection and reload the page.');
+    if (BADGE_SCANNER) await stopBadgeScanner();
+
+    const lateAfter = await loadCheckInLateAfter();
+    document.getElementById('check-in-cutoff').textContent = lateAfter;
+    const run = beginCheckInRun({ sessionId, lateAfter });
+    run.reader = new window.Html5Qrcode('check-in-reader');
+    try {
+        await run.reader.start(
+            { facingMode: 'environment' },
+            { fps: 10, qrbox: 250 },
+            text => handleBadgeScan(text),
+            () => { } // called for every frame without a code
+        );
+    } catch (err) {
+        BADGE_SCANNER = null;
+        return showError(`Could not open the camera: ${err?.message || err}`);
+    }
+    document.getElementById('start-check-in-btn').style.display = 'none';
+    document.getElementById('stop-check-in-btn').style.display = '';
+    document.getElementById('check-in-session').disabled = true;
+}
+
+async function stopBadgeScanner() {
+    const reader = BADGE_SCANNER?.reader;
+    const counts = endCheckInRun();
+    if (reader) {
+        try {
+            await reader.stop();
+            reader.clear();
+        } catch (err) {
+            console.warn('[check-in] camera stop failed', err);
+        }
+    }
+    const startBtn = document.getElementById('start-check-in-btn');
+    if (startBtn) startBtn.style.display = '';
+    const stopBtn = document.getElementById('stop-check-in-btn');
+    if (stopBtn) stopBtn.style.display = 'none';
+    const select = document.getElementById('check-in-session');
+    if (select) select.disabled = false;
+    return counts;
+}
+
 // -----------------
 // 📊 ASSESSMENT MANAGEMENT
 // -----------------
@@ -1874,7 +2588,7 @@ async function saveAssessment() {
         document.getElementById('assessment-modal').style.display = 'none';
         showSuccess('Assessment created!');
     } catch (err) {
-        showError('Error saving assessment: ' + err.message);
+        showDataError('Error saving assessment', err);
     } finally {
         hideSpinner();
     }
@@ -1910,7 +2624,7 @@ async function deleteAssessment(assessmentId) {
             });
             showSuccess('Assessment deleted.');
         } catch (err) {
-            showError('Failed to delete assessment: ' + err.message);
+            showDataError('Failed to delete assessment', err);
         } finally {
             hideSpinner();
         }
@@ -1982,19 +2696,19 @@ async function saveScores() {
 
     showSpinner();
     try {
-        const { doc, setDoc } = window;
-        const promises = toWrite.map(s => {
+        // One batch so a failed row rolls back the whole save instead of half-writing it
+        const batch = window.writeBatch(window.db);
+        toWrite.forEach(s => {
             const docId = `${s.assessmentId}_${s.studentId}`; // Stable composite key
-            const docRef = doc(window.db, 'scores', docId);
-            return setDoc(docRef, s, { merge: true });
+            batch.set(window.doc(window.db, 'scores', docId), s, { merge: true });
         });
-        await Promise.all(promises);
+        await batch.commit();
         createAuditLog('scores_saved', { assessmentId, assessmentName: assessment.name, classId, studentCount: toWrite.length });
         document.getElementById('scores-modal').style.display = 'none';
         window._currentScoresAssessmentId = null;
         showSuccess('Scores saved successfully!');
     } catch (err) {
-        showError('Error saving scores: ' + err.message);
+        showDataError('Error saving scores', err);
     } finally {
         hideSpinner();
     }
@@ -2393,74 +3107,6 @@ function exportAttendanceToPdf() {
     if (w) { w.document.write(printHtml); w.document.close(); }
 }
 
-// Dropdown version of Save (Faculty)
-window.saveAttendance = async (sessionId) => {
-    const inputs = document.querySelectorAll('.attendance-status');
-    if (!inputs || inputs.length === 0) return showError('No attendance inputs found');
-
-    const classId = currentUserData.classId;
-    if (!classId) return showError('Error: Faculty class ID not found.');
-
-    const activeYearId = getActiveAcademicYearId()
-        || window.APP_CONTEXT?.activeAcademicYearId
-        || DATA_MODELS.appConfig?.activeAcademicYearId;
-    if (!activeYearId) return showError('No active academic year found. Cannot save attendance.');
-
-    showSpinner();
-    try {
-        const { doc, setDoc } = window;
-        const records = []; // { obj } parallel to promises
-        const promises = [];
-        for (const select of inputs) {
-            const studentId = select.dataset.student;
-            if (!studentId) continue;
-            const status = select.value;
-            const docId = `${sessionId}_${studentId}`;
-            const attendanceObj = {
-                id: docId,
-                sessionId, studentId, status, classId,
-                academicYearId: activeYearId,
-                updatedAt: new Date().toISOString(),
-            };
-            const docRef = doc(window.db, 'attendance', docId);
-            records.push(attendanceObj);
-            promises.push(setDoc(docRef, attendanceObj, { merge: true }));
-        }
-        const results = await Promise.allSettled(promises);
-        const failed = results.filter(r => r.status === 'rejected');
-        const saved = results.length - failed.length;
-
-        // Update local cache for each successful save so views reflect reality
-        // immediately (realtime updates may be delayed or disabled).
-        results.forEach((res, i) => {
-            if (res.status !== 'fulfilled') return;
-            const obj = records[i];
-            const idx = DATA_MODELS.attendance.findIndex(a =>
-                a.sessionId === obj.sessionId && String(a.studentId) === String(obj.studentId));
-            if (idx >= 0) DATA_MODELS.attendance[idx] = { ...DATA_MODELS.attendance[idx], ...obj };
-            else DATA_MODELS.attendance.push(obj);
-        });
-
-        createAuditLog('attendance_saved', { sessionId, studentCount: saved, failed: failed.length, classId });
-        if (failed.length > 0) {
-            console.error('Attendance save failures:', failed.map(r => r.reason?.message));
-            showError(`${saved} saved, ${failed.length} failed. Check console for details.`);
-        } else {
-            showSuccess('Attendance saved successfully!');
-        }
-
-        // Refresh any open day-wise report that reads attendance
-        const reportSel = document.getElementById('report-session-date');
-        if (reportSel && reportSel.value && typeof generateDaywiseAttendanceReport === 'function') {
-            generateDaywiseAttendanceReport();
-        }
-    } catch (err) {
-        showError('Error saving attendance: ' + err.message);
-    } finally {
-        hideSpinner();
-    }
-}
-
 // -----------------
 // 📦 CSV IMPORT
 // -----------------
@@ -2562,7 +3208,7 @@ async function importCSV() {
         createAuditLog('csv_import', { count: studentsToImport.length, classId: classId });
         showSuccess(`Successfully imported ${studentsToImport.length} students.`);
     } catch (err) {
-        showError('Import failed: ' + err.message);
+        showDataError('Import failed', err);
     } finally {
         hideSpinner();
     }
@@ -3151,21 +3797,18 @@ async function submitQuickOnboarding() {
         // Create unique student ID (can be modified later by faculty)
         const studentId = `STU-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase();
 
-        // Create student profile
-        const studentPayload = withAcademicYear({
+        // Create student profile (students are not year-scoped — enrollment carries the year)
+        const studentPayload = {
             studentId,
             firstName,
             lastName,
-            dob,
+            dob: dob || null,
             fatherName,
-            fatherMobile,
+            fatherPhone: fatherMobile,
             classId,
             phone: fatherMobile,
-            guardian: fatherName,
-            registeredVia: 'quick_onboarding',
-            registeredAt: new Date().toISOString(),
-            registeredBy: currentUserData?.uid || 'faculty'
-        });
+            guardian: fatherName
+        };
 
         const studentRef = doc(window.db, 'students', studentId);
         await setDoc(studentRef, studentPayload, { merge: true });
@@ -3180,7 +3823,7 @@ async function submitQuickOnboarding() {
 
     } catch (err) {
         console.error('Quick onboarding error:', err);
-        showError('Registration failed: ' + err.message);
+        showDataError('Registration failed', err);
     } finally {
         hideSpinner();
     }
@@ -3499,7 +4142,7 @@ async function runCsvImport() {
         showSuccess(`Imported ${successCount} student(s).${failCount > 0 ? ` ${failCount} failed.` : ''}`);
         document.getElementById('csv-import-modal').style.display = 'none';
     } catch (err) {
-        showError('Import failed: ' + err.message);
+        showDataError('Import failed', err);
     } finally {
         hideSpinner();
     }
@@ -3618,7 +4261,7 @@ async function saveHomework() {
         showSuccess('Assignment saved.');
     } catch (err) {
         hideSpinner();
-        showError('Save failed: ' + err.message);
+        showDataError('Save failed', err);
     }
 }
 
@@ -3635,7 +4278,7 @@ async function deleteHomework(hwId) {
         showSuccess('Assignment deleted.');
     } catch (err) {
         hideSpinner();
-        showError('Delete failed: ' + err.message);
+        showDataError('Delete failed', err);
     }
 }
 
@@ -3728,7 +4371,7 @@ function viewHomeworkSubmissions(hwId) {
                 if (newStatus === 'submitted') subPayload.submittedAt = new Date().toISOString();
                 await window.setDoc(window.doc(window.db, 'homeworkSubmissions', subId), subPayload, { merge: true });
             } catch (err) {
-                showError('Failed to update: ' + err.message);
+                showDataError('Failed to update', err);
             }
         });
     });
@@ -1,36 +1,53 @@
 'use strict';
 
+// The signed-in parent and every child linked to them: { uid, email, phone, children: [child] }
 let PARENT_SESSION = null;
+// studentId of the child currently shown in the Attendance/Results/Homework tabs
+let ACTIVE_CHILD_ID = null;
 const PARENT_DATA = {
-    student: null,
-    className: '',
-    academicYearId: null,
-    sessions: [],
-    attendance: [],
-    assessments: [],
-    scores: [],
-    homework: [],
-    submissions: {},
+    children: {},       // studentId → records loaded for that child (see createChildData)
     announcements: []
 };
 
+function createChildData(child) {
+    return {
+        student: null,
+        className: '',
+        academicYearId: child.academicYearId,
+        sessions: [],
+        attendance: [],
+        assessments: [],
+        scores: [],
+        homework: [],
+        submissions: {},
+        excuses: []
+    };
+}
+
 document.addEventListener('DOMContentLoaded', async function () {
-    const raw = sessionStorage.getItem('parentSession');
-    if (!raw) { window.location.href = 'index.html'; return; }
-    try { PARENT_SESSION = JSON.parse(raw); } catch (_) { window.location.href = 'index.html'; return; }
-    if (!PARENT_SESSION.studentId) { window.location.href = 'index.html'; return; }
-
-    document.getElementById('parent-child-name-display').textContent = PARENT_SESSION.studentName || 'Parent Portal';
-
-    document.getElementById('parent-logout-btn').addEventListener('click', async function () {
-        await createAuditLog('parent_logout', { studentId: PARENT_SESSION.studentId });
-        sessionStorage.removeItem('parentSession');
-        if (window.auth && window.signOut) {
-            window.signOut(window.auth).finally(() => { window.location.href = 'index.html'; });
-        } else {
-            window.location.href = 'index.html';
-        }
-    });
+    const user = await getSignedInUser();
+    if (!user) { window.location.href = 'index.html'; return; }
+
+    showSpinner('Loading your family\'s records...');
+    try {
+        // Admin "view as": the chosen parent's children, read-only
+        PARENT_SESSION = await loadParentSession(user, await verifyViewAs(user.uid, 'parent'));
+    } catch (err) {
+        console.error('Parent session load error:', err);
+    }
+    if (!PARENT_SESSION) {
+        hideSpinner();
+        await Swal.fire('No linked students', 'This account isn\'t linked to a student yet. Please ask the parish office to add your email or mobile number.', 'info');
+        if (getViewAs()) return stopViewAs();
+        await window.signOut(window.auth).catch(function () {});
+        window.location.href = 'index.html';
+        return;
+    }
+    ACTIVE_CHILD_ID = PARENT_SESSION.children[0].studentId;
+
+    document.getElementById('parent-logout-btn').addEventListener('click', parentLogout);
+    document.getElementById('p-excuse-form').addEventListener('submit', handleAbsenceExcuseSubmit);
+    startSessionMonitor({ roleKey: 'parent', signOut: parentLogout });
 
     document.querySelectorAll('.parent-tab-btn').forEach(function (btn) {
         btn.addEventListener('click', function () {
@@ -48,24 +65,14 @@ document.addEventListener('DOMContentLoaded', async function () {
         });
     });
 
-    showSpinner('Loading your child\'s records...');
     try {
-        await loadActiveYear();
-        await Promise.all([
-            loadStudentData(),
-            loadSessions(),
-            loadAttendance(),
-            loadAssessments(),
-            loadHomework(),
-            loadAnnouncements()
-        ]);
+        await Promise.all(PARENT_SESSION.children.map(loadChildRecords).concat(loadAnnouncements()));
         hideSpinner();
         document.getElementById('parent-app').style.display = 'block';
-        renderOverview();
-        renderAttendance();
-        renderResults();
-        renderHomework();
+        renderChildSwitcher();
+        renderHousehold();
         renderAnnouncements();
+        renderActiveChild();
     } catch (err) {
         hideSpinner();
         console.error('Parent portal load error:', err);
@@ -73,127 +80,234 @@ document.addEventListener('DOMContentLoaded', async function () {
     }
 });
 
-async function loadActiveYear() {
-    if (PARENT_SESSION.academicYearId) {
-        PARENT_DATA.academicYearId = PARENT_SESSION.academicYearId;
-        return;
-    }
-    try {
-        const snap = await window.getDoc(window.doc(window.db, 'appConfig', 'global'));
-        if (snap.exists()) {
-            PARENT_DATA.academicYearId = snap.data()?.activeAcademicYearId || null;
-        }
-    } catch (err) {
-        console.warn('Could not load academic year:', err);
+// Resolves with the signed-in account (or null) once the auth session is known
+function getSignedInUser() {
+    return new Promise(function (resolve) {
+        const unsubscribe = window.onAuthStateChanged(window.auth, function (user) {
+            unsubscribe();
+            resolve(user);
+        });
+    });
+}
+
+// The parent and each linked child with their active-year enrollment.
+async function parentLogout() {
+    if (getViewAs()) return stopViewAs();
+    stopSessionMonitor();
+    await createAuditLog('parent_logout', { studentIds: PARENT_SESSION.children.map(function (c) { return c.studentId; }) });
+    localStorage.removeItem(SESSION_STARTED_KEY);
+    await window.signOut(window.auth).catch(function () {});
+    broadcastLogout('account');
+    window.location.href = 'index.html';
+}
+
+// RLS only returns this account's guardian links. An admin viewing as a
+// parent (viewAs from verifyViewAs) reads every link, so those are narrowed
+// to the parent's email or phone.
+async function loadParentSession(user, viewAs) {
+    const linkSnap = await window.getDocs(window.collection(window.db, 'guardianLinks'));
+    const links = linkSnap.docs
+        .map(function (d) { return d.data(); })
+        .filter(function (l) {
+            return !viewAs || (viewAs.email && l.email === viewAs.email) || (viewAs.phone && l.phone === viewAs.phone);
+        })
+        .filter(function (l, i, all) { return all.findIndex(function (o) { return o.studentId === l.studentId; }) === i; })
+        .sort(function (a, b) { return String(a.studentId).localeCompare(String(b.studentId), undefined, { numeric: true }); });
+    if (!links.length) return null;
+
+    let activeAcademicYearId = null;
+    const configSnap = await window.getDoc(window.doc(window.db, 'appConfig', 'global'));
+    if (configSnap.exists()) activeAcademicYearId = configSnap.data()?.activeAcademicYearId || null;
+
+    const children = (await Promise.all(links.map(function (link) {
+        return loadChild(link, activeAcademicYearId);
+    }))).filter(Boolean);
+    if (!children.length) return null;
+
+    return {
+        uid: viewAs ? null : user.uid,
+        email: viewAs ? (viewAs.email || '') : (user.email || ''),
+        phone: viewAs ? (viewAs.phone || '') : (user.phoneNumber || ''),
+        children: children
+    };
+}
+
+async function loadChild(link, activeAcademicYearId) {
+    const studentSnap = await window.getDoc(window.doc(window.db, 'students', link.studentId));
+    if (!studentSnap.exists()) return null;
+    const studentData = studentSnap.data();
+
+    let enrollmentData = null;
+    if (activeAcademicYearId) {
+        const enrollmentSnap = await window.getDocs(window.query(
+            window.collection(window.db, 'enrollments'),
+            window.where('academicYearId', '==', activeAcademicYearId),
+            window.where('studentId', '==', link.studentId)
+        ));
+        enrollmentData = enrollmentSnap.empty ? null : enrollmentSnap.docs[0].data();
     }
+
+    return {
+        studentId: link.studentId,
+        studentName: `${studentData.firstName || ''} ${studentData.lastName || ''}`.trim(),
+        firstName: studentData.firstName || '',
+        relationship: link.relationship || '',
+        classId: enrollmentData?.classId || studentData.classId || null,
+        academicYearId: enrollmentData?.academicYearId || activeAcademicYearId || null,
+        registerNo: enrollmentData?.registerNo ?? studentData.registerNo ?? null,
+        enrollmentId: enrollmentData?.id || null
+    };
+}
+
+function getChild(studentId) {
+    return PARENT_SESSION.children.find(function (c) { return c.studentId === studentId; }) || null;
 }
 
-async function loadStudentData() {
+async function loadChildRecords(child) {
+    const data = createChildData(child);
+    PARENT_DATA.children[child.studentId] = data;
+    await Promise.all([
+        loadStudentData(child, data),
+        loadSessions(child, data),
+        loadAttendance(child, data),
+        loadAssessments(child, data),
+        loadHomework(child, data),
+        loadExcuses(child, data)
+    ]);
+    return data;
+}
+
+async function loadStudentData(child, data) {
     try {
-        const snap = await window.getDoc(window.doc(window.db, 'students', PARENT_SESSION.studentId));
-        if (snap.exists()) PARENT_DATA.student = snap.data();
+        const snap = await window.getDoc(window.doc(window.db, 'students', child.studentId));
+        if (snap.exists()) data.student = snap.data();
     } catch (err) {
         console.warn('Could not load student:', err);
     }
-    if (PARENT_SESSION.classId) {
+    if (child.classId) {
         try {
-            const cls = await window.getDoc(window.doc(window.db, 'classes', PARENT_SESSION.classId));
-            PARENT_DATA.className = cls.exists() ? (cls.data().name || PARENT_SESSION.classId) : PARENT_SESSION.classId;
+            const cls = await window.getDoc(window.doc(window.db, 'classes', child.classId));
+            data.className = cls.exists() ? (cls.data().name || child.classId) : child.classId;
         } catch (_) {
-            PARENT_DATA.className = PARENT_SESSION.classId;
+            data.className = child.classId;
         }
     }
 }
 
-async function loadSessions() {
-    if (!PARENT_DATA.academicYearId) return;
+async function loadSessions(child, data) {
+    if (!data.academicYearId) return;
     try {
         const snap = await window.getDocs(
-            window.query(window.collection(window.db, 'sessions'), window.where('academicYearId', '==', PARENT_DATA.academicYearId))
+            window.query(window.collection(window.db, 'sessions'), window.where('academicYearId', '==', data.academicYearId))
         );
-        PARENT_DATA.sessions = snap.docs.map(function (d) { return d.data(); });
+        // Sessions without a class apply to every class
+        data.sessions = snap.docs
+            .map(function (d) { return d.data(); })
+            .filter(function (s) { return !s.classId || s.classId === child.classId; });
     } catch (err) {
         console.warn('Could not load sessions:', err);
     }
 }
 
-async function loadAttendance() {
-    if (!PARENT_DATA.academicYearId) return;
+async function loadAttendance(child, data) {
+    if (!data.academicYearId) return;
     try {
         const snap = await window.getDocs(
             window.query(
                 window.collection(window.db, 'attendance'),
-                window.where('studentId', '==', PARENT_SESSION.studentId),
-                window.where('academicYearId', '==', PARENT_DATA.academicYearId)
+                window.where('studentId', '==', child.studentId),
+                window.where('academicYearId', '==', data.academicYearId)
             )
         );
-        PARENT_DATA.attendance = snap.docs.map(function (d) { return d.data(); });
+        data.attendance = snap.docs.map(function (d) { return d.data(); });
     } catch (err) {
         console.warn('Could not load attendance:', err);
     }
 }
 
-async function loadAssessments() {
-    if (!PARENT_DATA.academicYearId || !PARENT_SESSION.classId) return;
+async function loadAssessments(child, data) {
+    if (!data.academicYearId || !child.classId) return;
     try {
         const aSnap = await window.getDocs(
             window.query(
                 window.collection(window.db, 'assessments'),
-                window.where('classId', '==', PARENT_SESSION.classId),
-                window.where('academicYearId', '==', PARENT_DATA.academicYearId)
+                window.where('classId', '==', child.classId),
+                window.where('academicYearId', '==', data.academicYearId)
             )
         );
-        PARENT_DATA.assessments = aSnap.docs.map(function (d) { return { id: d.id, ...d.data() }; });
+        data.assessments = aSnap.docs.map(function (d) { return { id: d.id, ...d.data() }; });
 
         const sSnap = await window.getDocs(
             window.query(
                 window.collection(window.db, 'scores'),
-                window.where('studentId', '==', PARENT_SESSION.studentId),
-                window.where('academicYearId', '==', PARENT_DATA.academicYearId)
+                window.where('studentId', '==', child.studentId),
+                window.where('academicYearId', '==', data.academicYearId)
             )
         );
-        PARENT_DATA.scores = sSnap.docs.map(function (d) { return d.data(); });
+        data.scores = sSnap.docs.map(function (d) { return d.data(); });
     } catch (err) {
         console.warn('Could not load assessments:', err);
     }
 }
 
-async function loadHomework() {
-    if (!PARENT_DATA.academicYearId || !PARENT_SESSION.classId) return;
+async function loadHomework(child, data) {
+    if (!data.academicYearId || !child.classId) return;
     try {
         const hwSnap = await window.getDocs(
             window.query(
                 window.collection(window.db, 'homework'),
-                window.where('classId', '==', PARENT_SESSION.classId),
-                window.where('academicYearId', '==', PARENT_DATA.academicYearId)
+                window.where('classId', '==', child.classId),
+                window.where('academicYearId', '==', data.academicYearId)
             )
         );
-        PARENT_DATA.homework = hwSnap.docs
+        data.homework = hwSnap.docs
             .map(function (d) { return { id: d.id, ...d.data() }; })
             .sort(function (a, b) { return (b.dueDate || '').localeCompare(a.dueDate || ''); });
 
         const subSnap = await window.getDocs(
             window.query(
                 window.collection(window.db, 'homeworkSubmissions'),
-                window.where('studentId', '==', PARENT_SESSION.studentId),
-                window.where('academicYearId', '==', PARENT_DATA.academicYearId)
+                window.where('studentId', '==', child.studentId),
+                window.where('academicYearId', '==', data.academicYearId)
             )
         );
-        PARENT_DATA.submissions = {};
+        data.submissions = {};
         subSnap.docs.forEach(function (d) {
-            var data = d.data();
-            PARENT_DATA.submissions[data.homeworkId] = data;
+            var sub = d.data();
+            data.submissions[sub.homeworkId] = sub;
         });
     } catch (err) {
         console.warn('Could not load homework:', err);
     }
 }
 
+async function loadExcuses(child, data) {
+    if (!data.academicYearId) return;
+    try {
+        const snap = await window.getDocs(
+            window.query(
+                window.collection(window.db, 'absenceExcuses'),
+                window.where('studentId', '==', child.studentId),
+                window.where('academicYearId', '==', data.academicYearId)
+            )
+        );
+        data.excuses = snap.docs
+            .map(function (d) { return d.data(); })
+            .sort(function (a, b) { return (b.absenceDate || '').localeCompare(a.absenceDate || ''); });
+    } catch (err) {
+        console.warn('Could not load absence notes:', err);
+    }
+}
+
+// Announcements for every academic year a linked child is enrolled in
 async function loadAnnouncements() {
-    if (!PARENT_DATA.academicYearId) return;
+    var yearIds = PARENT_SESSION.children
+        .map(function (c) { return c.academicYearId; })
+        .filter(function (y, i, all) { return y && all.indexOf(y) === i; });
+    if (!yearIds.length) return;
     try {
         const snap = await window.getDocs(
-            window.query(window.collection(window.db, 'announcements'), window.where('academicYearId', '==', PARENT_DATA.academicYearId))
+            window.query(window.collection(window.db, 'announcements'), window.where('academicYearId', 'in', yearIds))
         );
         PARENT_DATA.announcements = snap.docs
             .map(function (d) { return d.data(); })
@@ -204,52 +318,134 @@ async function loadAnnouncements() {
     }
 }
 
-function renderOverview() {
-    var available = PARENT_DATA.sessions.filter(function (s) { return s.status === 'Available'; });
-    var present = PARENT_DATA.attendance.filter(function (a) { return a.status === 'Present' || a.status === 'Late'; }).length;
-    var pct = available.length ? Math.round((present / available.length) * 100) : null;
-
-    var attEl = document.getElementById('p-att-pct');
-    attEl.textContent = pct !== null ? pct + '%' : '—';
-    attEl.style.color = pct === null ? 'var(--text-muted)' : pct >= 75 ? 'var(--success)' : pct >= 60 ? 'var(--warning)' : 'var(--danger)';
-    document.getElementById('p-att-detail').textContent = available.length
-        ? present + ' of ' + available.length + ' sessions attended'
-        : 'No sessions recorded yet';
-
-    var sortedAss = PARENT_DATA.assessments.slice().sort(function (a, b) {
+// Headline numbers for one child, shared by the household cards and the overview
+function summarizeChild(data) {
+    var available = data.sessions.filter(function (s) { return s.status === 'Available'; });
+    var present = data.attendance.filter(function (a) { return a.status === 'Present' || a.status === 'Late'; }).length;
+    var latestAss = data.assessments.slice().sort(function (a, b) {
         return (b.date || b.createdAt || '').localeCompare(a.date || a.createdAt || '');
-    });
-    var latestAss = sortedAss[0];
+    })[0] || null;
+    var latestScoreText = '—';
     if (latestAss) {
-        var score = PARENT_DATA.scores.find(function (sc) { return sc.assessmentId === latestAss.id; });
+        var score = data.scores.find(function (sc) { return sc.assessmentId === latestAss.id; });
         if (score && score.marks != null && latestAss.totalMarks > 0) {
-            var assPct = Math.round((score.marks / latestAss.totalMarks) * 100);
-            document.getElementById('p-latest-score').textContent = assPct + '%';
-        } else {
-            document.getElementById('p-latest-score').textContent = score ? score.marks + '/' + latestAss.totalMarks : '—';
+            latestScoreText = Math.round((score.marks / latestAss.totalMarks) * 100) + '%';
+        } else if (score) {
+            latestScoreText = score.marks + '/' + latestAss.totalMarks;
         }
-        document.getElementById('p-latest-assessment-name').textContent = latestAss.title || latestAss.name || '';
-    } else {
-        document.getElementById('p-latest-score').textContent = '—';
-        document.getElementById('p-latest-assessment-name').textContent = 'No assessments yet';
     }
+    return {
+        available: available.length,
+        present: present,
+        attendancePct: available.length ? Math.round((present / available.length) * 100) : null,
+        latestAssessment: latestAss,
+        latestScoreText: latestScoreText,
+        pendingHomework: data.homework.filter(function (hw) {
+            var sub = data.submissions[hw.id];
+            return !sub || sub.status === 'pending';
+        }).length
+    };
+}
 
-    document.getElementById('p-class-name').textContent = PARENT_DATA.className || PARENT_SESSION.classId || '—';
+function attendanceColor(pct) {
+    return pct === null ? 'var(--text-muted)' : pct >= 75 ? 'var(--success)' : pct >= 60 ? 'var(--warning)' : 'var(--danger)';
+}
+
+function selectChild(studentId) {
+    if (!getChild(studentId)) return;
+    ACTIVE_CHILD_ID = studentId;
+    renderChildSwitcher();
+    renderHousehold();
+    renderActiveChild();
+}
+
+function renderChildSwitcher() {
+    var container = document.getElementById('parent-child-switcher');
+    if (!container) return;
+    if (PARENT_SESSION.children.length < 2) {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = 'flex';
+    container.innerHTML = PARENT_SESSION.children.map(function (c) {
+        var active = c.studentId === ACTIVE_CHILD_ID;
+        return '<button class="btn btn-sm ' + (active ? 'btn-primary' : 'btn-secondary') + ' parent-child-btn" data-id="' + escapeHtml(c.studentId) + '">'
+            + '<i class="fas fa-child"></i> ' + escapeHtml(c.firstName || c.studentName) + '</button>';
+    }).join('');
+    container.querySelectorAll('.parent-child-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () { selectChild(this.dataset.id); });
+    });
+}
+
+// One card per linked child; hidden for single-child families
+function renderHousehold() {
+    var card = document.getElementById('p-household-card');
+    var list = document.getElementById('p-household-list');
+    if (!card || !list) return;
+    if (PARENT_SESSION.children.length < 2) {
+        card.style.display = 'none';
+        return;
+    }
+    card.style.display = 'block';
+    list.innerHTML = PARENT_SESSION.children.map(function (c) {
+        var data = PARENT_DATA.children[c.studentId] || createChildData(c);
+        var s = summarizeChild(data);
+        var active = c.studentId === ACTIVE_CHILD_ID;
+        return '<div class="p-household-child" data-id="' + escapeHtml(c.studentId) + '" style="cursor:pointer;border:' + (active ? '2px solid var(--primary)' : '1px solid var(--border)') + ';border-radius:var(--radius);padding:14px;background:var(--surface);">'
+            + '<div style="font-weight:600;margin-bottom:2px;">' + escapeHtml(c.studentName) + '</div>'
+            + '<div style="font-size:0.8rem;color:var(--text-muted);margin-bottom:10px;">' + escapeHtml(data.className || c.classId || '—') + '</div>'
+            + '<div style="display:flex;justify-content:space-between;font-size:0.88rem;margin-bottom:4px;"><span>Attendance</span>'
+            + '<strong style="color:' + attendanceColor(s.attendancePct) + ';">' + (s.attendancePct !== null ? s.attendancePct + '%' : '—') + '</strong></div>'
+            + '<div style="display:flex;justify-content:space-between;font-size:0.88rem;margin-bottom:4px;"><span>Latest result</span>'
+            + '<strong>' + escapeHtml(s.latestScoreText) + '</strong></div>'
+            + '<div style="display:flex;justify-content:space-between;font-size:0.88rem;"><span>Pending homework</span>'
+            + '<strong style="color:' + (s.pendingHomework > 0 ? 'var(--warning)' : 'var(--success)') + ';">' + s.pendingHomework + '</strong></div>'
+            + '</div>';
+    }).join('');
+    list.querySelectorAll('.p-household-child').forEach(function (el) {
+        el.addEventListener('click', function () { selectChild(this.dataset.id); });
+    });
+}
+
+function renderActiveChild() {
+    var child = getChild(ACTIVE_CHILD_ID);
+    document.getElementById('parent-child-name-display').textContent = child.studentName || 'Parent Portal';
+    renderOverview();
+    renderAttendance();
+    renderResults();
+    renderHomework();
+    renderExcuses();
+}
+
+function renderOverview() {
+    var child = getChild(ACTIVE_CHILD_ID);
+    var data = PARENT_DATA.children[ACTIVE_CHILD_ID];
+    var s = summarizeChild(data);
+
+    var attEl = document.getElementById('p-att-pct');
+    attEl.textContent = s.attendancePct !== null ? s.attendancePct + '%' : '—';
+    attEl.style.color = attendanceColor(s.attendancePct);
+    document.getElementById('p-att-detail').textContent = s.available
+        ? s.present + ' of ' + s.available + ' sessions attended'
+        : 'No sessions recorded yet';
+
+    document.getElementById('p-latest-score').textContent = s.latestScoreText;
+    document.getElementById('p-latest-assessment-name').textContent = s.latestAssessment
+        ? (s.latestAssessment.title || s.latestAssessment.name || '')
+        : 'No assessments yet';
+
+    document.getElementById('p-class-name').textContent = data.className || child.classId || '—';
 
-    var today = new Date().toISOString().split('T')[0];
-    var pendingCount = PARENT_DATA.homework.filter(function (hw) {
-        var sub = PARENT_DATA.submissions[hw.id];
-        return !sub || sub.status === 'pending';
-    }).length;
     var pendingEl = document.getElementById('p-hw-pending-count');
-    pendingEl.textContent = pendingCount;
-    pendingEl.style.color = pendingCount > 0 ? 'var(--warning)' : 'var(--success)';
+    pendingEl.textContent = s.pendingHomework;
+    pendingEl.style.color = s.pendingHomework > 0 ? 'var(--warning)' : 'var(--success)';
 }
 
 function renderAttendance() {
+    var data = PARENT_DATA.children[ACTIVE_CHILD_ID];
     var summaryEl = document.getElementById('p-attendance-summary');
     var tbody = document.getElementById('p-attendance-tbody');
-    var available = PARENT_DATA.sessions
+    var available = data.sessions
         .filter(function (s) { return s.status === 'Available'; })
         .sort(function (a, b) { return b.date.localeCompare(a.date); });
 
@@ -260,8 +456,8 @@ function renderAttendance() {
     }
 
     var attMap = {};
-    PARENT_DATA.attendance.forEach(function (a) { attMap[a.sessionId] = a.status; });
-    var present = PARENT_DATA.attendance.filter(function (a) { return a.status === 'Present' || a.status === 'Late'; }).length;
+    data.attendance.forEach(function (a) { attMap[a.sessionId] = a.status; });
+    var present = data.attendance.filter(function (a) { return a.status === 'Present' || a.status === 'Late'; }).length;
     var pct = Math.round((present / available.length) * 100);
     if (summaryEl) summaryEl.innerHTML = '<strong>Overall: ' + pct + '%</strong> &nbsp;(' + present + ' of ' + available.length + ' sessions attended)';
 
@@ -276,9 +472,10 @@ function renderAttendance() {
 }
 
 function renderResults() {
+    var data = PARENT_DATA.children[ACTIVE_CHILD_ID];
     var tbody = document.getElementById('p-results-tbody');
     if (!tbody) return;
-    var assessments = PARENT_DATA.assessments.slice().sort(function (a, b) {
+    var assessments = data.assessments.slice().sort(function (a, b) {
         return (b.date || b.createdAt || '').localeCompare(a.date || a.createdAt || '');
     });
     if (!assessments.length) {
@@ -286,7 +483,7 @@ function renderResults() {
         return;
     }
     tbody.innerHTML = assessments.map(function (ass) {
-        var score = PARENT_DATA.scores.find(function (sc) { return sc.assessmentId === ass.id; });
+        var score = data.scores.find(function (sc) { return sc.assessmentId === ass.id; });
         var pct = score && score.marks != null && ass.totalMarks > 0
             ? Math.round((score.marks / ass.totalMarks) * 100)
             : null;
@@ -307,15 +504,16 @@ function renderResults() {
 }
 
 function renderHomework() {
+    var data = PARENT_DATA.children[ACTIVE_CHILD_ID];
     var container = document.getElementById('p-homework-list');
     if (!container) return;
-    if (!PARENT_DATA.homework.length) {
+    if (!data.homework.length) {
         container.innerHTML = '<p style="color:var(--text-muted);text-align:center;padding:20px;">No homework assigned yet.</p>';
         return;
     }
     var today = new Date().toISOString().split('T')[0];
-    container.innerHTML = PARENT_DATA.homework.map(function (hw) {
-        var sub = PARENT_DATA.submissions[hw.id];
+    container.innerHTML = data.homework.map(function (hw) {
+        var sub = data.submissions[hw.id];
         var status = sub ? (sub.status || 'pending') : 'pending';
         var isOverdue = hw.dueDate && hw.dueDate < today && status === 'pending';
         var badge = status === 'submitted'
@@ -355,3 +553,78 @@ function renderAnnouncements() {
             + '</div>';
     }).join('');
 }
+
+// Absence notes: the parent reports a day the child will miss (or missed) and
+// the catechist approves or rejects it in the faculty portal.
+async function submitAbsenceExcuse(parent, child, data, input) {
+    if (!parent.uid) throw new Error('Absence notes can only be sent by the parent.');
+    var absenceDate = String(input.absenceDate || '').trim();
+    var reason = String(input.reason || '').trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(absenceDate)) throw new Error('Choose the day of the absence.');
+    if (!reason) throw new Error('Tell the catechist why ' + (child.firstName || 'your child') + ' is absent.');
+    if (!data.academicYearId || !child.classId) throw new Error('Your child is not enrolled in a class this year.');
+    var already = data.excuses.some(function (e) { return e.absenceDate === absenceDate && e.status !== 'rejected'; });
+    if (already) throw new Error('You have already sent a note for ' + formatDate(absenceDate) + '.');
+
+    var row = {
+        id: crypto.randomUUID(),
+        studentId: child.studentId,
+        classId: child.classId,
+        academicYearId: data.academicYearId,
+        absenceDate: absenceDate,
+        reason: reason,
+        status: 'pending',
+        submittedBy: parent.uid,
+        submittedByContact: parent.email || parent.phone || null,
+        submittedAt: new Date().toISOString()
+    };
+    await window.setDoc(window.doc(window.db, 'absenceExcuses', row.id), row);
+    data.excuses = [row].concat(data.excuses)
+        .sort(function (a, b) { return (b.absenceDate || '').localeCompare(a.absenceDate || ''); });
+    createAuditLog('absence_excuse_submitted', { studentId: child.studentId, absenceDate: absenceDate });
+    return row;
+}
+
+async function handleAbsenceExcuseSubmit(e) {
+    e.preventDefault();
+    var form = e.target;
+    var child = getChild(ACTIVE_CHILD_ID);
+    showSpinner();
+    try {
+        await submitAbsenceExcuse(PARENT_SESSION, child, PARENT_DATA.children[ACTIVE_CHILD_ID], {
+            absenceDate: document.getElementById('p-excuse-date').value,
+            reason: document.getElementById('p-excuse-reason').value
+        });
+        form.reset();
+        renderExcuses();
+        hideSpinner();
+        Swal.fire('Note sent', 'The catechist will review it. You\'ll see the decision here.', 'success');
+    } catch (err) {
+        hideSpinner();
+        Swal.fire('Could not send the note', err.message || 'Please try again.', 'error');
+    }
+}
+
+var EXCUSE_STATUS_LABELS = {
+    pending: '<span class="hw-pending">Waiting for review</span>',
+    approved: '<span class="hw-submitted">Approved</span>',
+    rejected: '<span class="hw-pending" style="background:#fee2e2;color:#991b1b;">Not approved</span>'
+};
+
+function renderExcuses() {
+    var data = PARENT_DATA.children[ACTIVE_CHILD_ID];
+    var tbody = document.getElementById('p-excuses-tbody');
+    if (!tbody) return;
+    if (!data.excuses.length) {
+        tbody.innerHTML = '<tr><td colspan="3" style="text-align:center;color:var(--text-muted);">No absence notes sent yet.</td></tr>';
+        return;
+    }
+    tbody.innerHTML = data.excuses.map(function (e) {
+        return '<tr>'
+            + '<td>' + formatDate(e.absenceDate) + '</td>'
+            + '<td>' + escapeHtml(e.reason) + '</td>'
+            + '<td>' + (EXCUSE_STATUS_LABELS[e.status] || escapeHtml(e.status))
+            + (e.reviewNote ? '<div style="font-size:0.82rem;color:var(--text-muted);margin-top:4px;">' + escapeHtml(e.reviewNote) + '</div>' : '')
+            + '</td></tr>';
+    }).join('');
+}
@@ -0,0 +1,126 @@
+/**
+ * set-password.js
+ * Landing page for emailed links: staff invitations (?invite=<token>) and
+ * password resets (?mode=reset). Following the link has already signed the
+ * account in; this page accepts the invitation (accept_staff_invitation RPC,
+ * see supabase/add_staff_invitations.sql) and sets the password.
+ */
+
+// Supabase Auth accepts 6; staff accounts can open every student record in their class
+const MIN_PASSWORD_LENGTH = 8;
+
+// How long to wait for the session carried by the link before calling it expired
+const LINK_SESSION_TIMEOUT_MS = 8000;
+
+function getSetPasswordParams(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const inviteToken = params.get('invite') || null;
+    return { inviteToken, mode: inviteToken ? 'invite' : 'reset' };
+}
+
+// Resolves with the signed-in user once the link's session is picked up, or null
+function waitForLinkSession(timeoutMs = LINK_SESSION_TIMEOUT_MS) {
+    return new Promise(resolve => {
+        let unsubscribe = null;
+        const timer = setTimeout(() => {
+            if (unsubscribe) unsubscribe();
+            resolve(null);
+        }, timeoutMs);
+        unsubscribe = window.onAuthStateChanged(window.auth, user => {
+            if (!user) return;
+            clearTimeout(timer);
+            if (unsubscribe) unsubscribe();
+            resolve(user);
+        });
+    });
+}
+
+// Gives the signed-in account the invitation's role and classes, or throws a
+// message for the page
+async function acceptStaffInvitation(token) {
+    const accept = window.httpsCallable(window.getFunctions(), 'accept_staff_invitation');
+    const { data } = await accept({ p_token: token });
+
+    if (data?.status === 'ok') return data;
+    if (data?.status === 'expired') {
+        throw new Error('This invitation has expired. Please ask an admin to send a new one.');
+    }
+    throw new Error('This invitation is no longer valid. It may have been withdrawn, or sent to a different email address.');
+}
+
+// What is wrong with the new password, or null
+function validateNewPassword(password, confirmation) {
+    if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+        return `Use at least ${MIN_PASSWORD_LENGTH} characters.`;
+    }
+    if (password !== confirmation) return "The two passwords don't match.";
+    return null;
+}
+
+// Shows why the link can't be used, in place of the form
+function showLinkProblem(message) {
+    document.getElementById('set-password-form')?.classList.add('is-hidden');
+    const problem = document.getElementById('set-password-problem');
+    if (!problem) return;
+    problem.querySelector('p').textContent = message;
+    problem.classList.remove('is-hidden');
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const form = document.getElementById('set-password-form');
+    const saveButton = document.getElementById('set-password-button');
+    if (!form) return;
+
+    const { inviteToken, mode } = getSetPasswordParams();
+    if (mode === 'reset') {
+        document.getElementById('set-password-title').textContent = 'Choose a new password';
+        document.getElementById('set-password-subtitle').textContent = 'Then sign in with it as usual.';
+    }
+
+    showSpinner();
+    const user = await waitForLinkSession();
+    if (!user) {
+        hideSpinner();
+        return showLinkProblem('This link has expired or was already used. Links work once and only for a limited time.');
+    }
+    // Following the link was a fresh sign-in
+    markSessionStarted();
+
+    if (inviteToken) {
+        try {
+            await acceptStaffInvitation(inviteToken);
+        } catch (err) {
+            console.warn('Invitation not accepted:', err);
+            hideSpinner();
+            await window.signOut(window.auth);
+            return showLinkProblem(err.message);
+        }
+    }
+
+    document.getElementById('set-password-email').textContent = user.email || '';
+    form.classList.remove('is-hidden');
+    hideSpinner();
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const password = document.getElementById('new-password').value;
+        const problem = validateNewPassword(password, document.getElementById('confirm-password').value);
+        if (problem) return showError('Check your password', problem);
+
+        saveButton.disabled = true;
+        saveButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+        try {
+            await window.updatePassword(window.auth.currentUser, password);
+            await createAuditLog(mode === 'reset' ? 'password_reset' : 'staff_invite_accepted', {},
+                { uid: user.uid, email: user.email });
+            showSuccess('Password saved', 'Opening your portal...');
+            // index.html finds the signed-in session and opens the role's portal
+            setTimeout(() => { window.location.href = 'index.html'; }, 1500);
+        } catch (err) {
+            console.error('Password update failed:', err);
+            showError('Password not saved', err.message || 'Please try again.');
+            saveButton.disabled = false;
+            saveButton.innerHTML = 'Save Password';
+        }
+    });
+});
@@ -18,8 +18,7 @@ const STUDENT_DATA = {
     attendance: [],
     assessments: [], // Stores full assessment objects
     scores: [],      // Stores score objects
-    earlyAngelEntries: [],
-    earlyAngelAccessDenied: false
+    earlyAngelEntries: []
 };
 
 let studentProfileDirty = false;
@@ -29,9 +28,13 @@ function getStudentPortalAcademicYearId() {
 }
 
 document.addEventListener('DOMContentLoaded', async function () {
+    // Admin "view as": read-only, with a banner back to the admin portal
+    enterViewAsMode('student');
+
     // UI Setup
     setupNav();
     document.getElementById('student-logout-btn').addEventListener('click', studentLogout);
+    startSessionMonitor({ roleKey: 'student', signOut: studentLogout });
     setupProfileEditing();
 
     // Initial Render (Profile)
@@ -44,8 +47,14 @@ document.addEventListener('DOMContentLoaded', async function () {
         await watchAcademicYearContext(async () => {
             location.reload();
         });
-        await loadStudentEnrollmentInfo();
-        await fetchStudentData();
+        const portal = await loadStudentPortalData(currentStudent);
+        if (!portal) {
+            hideSpinner();
+            await Swal.fire('Signed Out', 'Your sign-in has expired. Please log in again.', 'info');
+            return studentLogout();
+        }
+        loadStudentEnrollmentInfo(portal);
+        fetchStudentData(portal);
         await loadStudentAnnouncements();
         await loadStudentHomework();
         renderProfile();
@@ -62,33 +71,15 @@ document.addEventListener('DOMContentLoaded', async function () {
 });
 
 // --- DATA FETCHING ---
-async function fetchStudentData() {
-    const { collection, getDocs, query, where, db } = window;
-    const studentId = String(currentStudent.studentId || '').trim();
-    const portalAcademicYearId = getStudentPortalAcademicYearId();
-
-    if (!studentId) {
-        throw new Error('Student ID not available for this account.');
-    }
-
-    // 1. Fetch Attendance (single-field query to avoid composite index requirement; year filtered in memory)
-    const attQuery = query(collection(db, 'attendance'), where('studentId', '==', studentId));
-    const attSnap = await getDocs(attQuery);
-
-    // We also need session dates. Attendance docs usually link to a sessionId.
-    // Optimization: Fetch all sessions for this year to map dates
-    const sessionSnap = portalAcademicYearId
-        ? await getDocs(query(collection(db, 'sessions'), where('academicYearId', '==', portalAcademicYearId)))
-        : await getDocs(collection(db, 'sessions'));
+// `portal` is what loadStudentPortalData() returned: this student's rows for the year
+function fetchStudentData(portal) {
     const sessionsMap = {};
-    sessionSnap.forEach(doc => {
-        sessionsMap[doc.id] = doc.data();
+    portal.sessions.forEach(session => {
+        sessionsMap[session.id] = session;
     });
 
     STUDENT_DATA.attendance = [];
-    attSnap.forEach(doc => {
-        const data = doc.data();
-        if (portalAcademicYearId && String(data?.academicYearId || '') !== portalAcademicYearId) return;
+    portal.attendance.forEach(data => {
         // Merge with session date
         const session = sessionsMap[data.sessionId];
         if (session) {
@@ -100,29 +91,13 @@ async function fetchStudentData() {
         }
     });
 
-    // 2. Fetch Scores (single-field query to avoid composite index requirement; year filtered in memory)
-    const scoreQuery = query(collection(db, 'scores'), where('studentId', '==', studentId));
-    const scoreSnap = await getDocs(scoreQuery);
-
-    // Fetch assessments scoped by year and class when available
-    const studentClassId = String(currentStudent?.classId || '').trim();
-    let assessSnap;
-    if (portalAcademicYearId && studentClassId) {
-        assessSnap = await getDocs(query(collection(db, 'assessments'), where('academicYearId', '==', portalAcademicYearId), where('classId', '==', studentClassId)));
-    } else if (portalAcademicYearId) {
-        assessSnap = await getDocs(query(collection(db, 'assessments'), where('academicYearId', '==', portalAcademicYearId)));
-    } else {
-        assessSnap = await getDocs(collection(db, 'assessments'));
-    }
     const assessMap = {};
-    assessSnap.forEach(doc => {
-        assessMap[doc.id] = doc.data();
+    portal.assessments.forEach(assessment => {
+        assessMap[assessment.id] = assessment;
     });
 
     STUDENT_DATA.scores = [];
-    scoreSnap.forEach(scoreDoc => {
-        const data = scoreDoc.data();
-        if (portalAcademicYearId && String(data?.academicYearId || '') !== portalAcademicYearId) return;
+    portal.scores.forEach(data => {
         const assessment = assessMap[data.assessmentId];
         if (assessment) {
             STUDENT_DATA.scores.push({
@@ -134,61 +109,16 @@ async function fetchStudentData() {
         }
     });
 
-    try {
-        const earlyAngelQuery = query(collection(db, 'earlyAngelEntries'), where('studentId', '==', studentId));
-        const earlyAngelSnap = await getDocs(earlyAngelQuery);
-
-        STUDENT_DATA.earlyAngelEntries = [];
-        earlyAngelSnap.forEach(entryDoc => {
-            const data = entryDoc.data() || {};
-            if (portalAcademicYearId && String(data?.academicYearId || '') !== portalAcademicYearId) return;
-            STUDENT_DATA.earlyAngelEntries.push({
-                id: entryDoc.id,
-                ...data
-            });
-        });
-
-        STUDENT_DATA.earlyAngelEntries.sort((a, b) => getEarlyAngelSortValue(b) - getEarlyAngelSortValue(a));
-        STUDENT_DATA.earlyAngelAccessDenied = false;
-    } catch (earlyAngelError) {
-        console.warn('Early Angel data unavailable for student view:', earlyAngelError);
-        STUDENT_DATA.earlyAngelEntries = [];
-        STUDENT_DATA.earlyAngelAccessDenied = true;
-    }
+    STUDENT_DATA.earlyAngelEntries = [...portal.earlyAngelEntries]
+        .sort((a, b) => getEarlyAngelSortValue(b) - getEarlyAngelSortValue(a));
 }
 
-async function loadStudentEnrollmentInfo() {
-    const { collection, getDocs, query, where, doc, getDoc, db } = window;
-    const studentId = String(currentStudent.studentId || '').trim();
+function loadStudentEnrollmentInfo(portal) {
     const portalAcademicYearId = getStudentPortalAcademicYearId();
+    const yearData = portal.academicYear || {};
 
-    STUDENT_DATA.enrollment = null;
-    STUDENT_DATA.academicYearLabel = portalAcademicYearId || 'Current Year';
-
-    if (!studentId || !portalAcademicYearId || !collection || !getDocs || !query || !where || !doc || !getDoc || !db) {
-        return;
-    }
-
-    try {
-        const enrollmentQuery = query(
-            collection(db, 'enrollments'),
-            where('academicYearId', '==', portalAcademicYearId),
-            where('studentId', '==', studentId)
-        );
-
-        const enrollmentSnap = await getDocs(enrollmentQuery);
-        if (!enrollmentSnap.empty) {
-            STUDENT_DATA.enrollment = enrollmentSnap.docs.map(item => ({ id: item.id, ...item.data() }))[0];
-        }
-
-        const yearSnap = await getDoc(doc(db, 'academicYears', portalAcademicYearId));
-        if (yearSnap.exists()) {
-            const yearData = yearSnap.data() || {};
-            STUDENT_DATA.academicYearLabel = yearData.yearLabel || yearData.label || portalAcademicYearId;
-        }
-    } catch (err) {
-        console.warn('Failed to load student enrollment context:', err);
-    }
+    STUDENT_DATA.enrollment = portal.enrollment;
+    STUDENT_DATA.academicYearLabel = yearData.yearLabel || yearData.label || portalAcademicYearId || 'Current Year';
 }
 
 function getEarlyAngelEntryDate(entry) {
@@ -469,9 +399,7 @@ function renderEarlyAngel() {
 
     const noteEl = document.getElementById('st-early-empty-note');
     if (noteEl) {
-        if (STUDENT_DATA.earlyAngelAccessDenied) {
-            noteEl.textContent = 'Early Angel data is currently restricted for student view.';
-        } else if (entries.length === 0) {
+        if (entries.length === 0) {
             noteEl.textContent = 'No Early Angel entries recorded yet.';
         } else {
             noteEl.textContent = `Showing ${entries.length} Early Angel entries.`;
@@ -516,8 +444,13 @@ function setupNav() {
 }
 
 function studentLogout() {
+    if (getViewAs()) return stopViewAs();
+    stopSessionMonitor();
     createAuditLog('student_logout', { studentId: currentStudent?.studentId });
+    endStudentPortalSession(currentStudent);
     sessionStorage.removeItem('currentStudent');
+    localStorage.removeItem(STUDENT_ACTIVITY_KEY);
+    broadcastLogout('student');
     if (window.auth && window.signOut) {
         window.signOut(window.auth).finally(() => { window.location.href = 'index.html'; });
     } else {
@@ -585,8 +518,8 @@ async function saveProfileEdits() {
 
     showSpinner();
     try {
-        const updatedProfile = {
-            ...STUDENT_DATA.details,
+        // Only the editable columns are written; the rest of the cached profile is kept for display
+        const changes = {
             firstName,
             lastName,
             dob,
@@ -596,9 +529,10 @@ async function saveProfileEdits() {
             notes,
             updatedAt: new Date().toISOString(),
         };
+        const updatedProfile = { ...STUDENT_DATA.details, ...changes };
 
         const { setDoc, doc } = window;
-        await setDoc(doc(window.db, 'students', studentId), updatedProfile, { merge: true });
+        await setDoc(doc(window.db, 'students', studentId), changes, { merge: true });
 
         STUDENT_DATA.details = updatedProfile;
         sessionStorage.setItem('currentStudent', JSON.stringify(updatedProfile));
@@ -1,9 +1,18 @@
 /**
  * supabase.js
- * Initializes the Supabase client and provides a Firebase-compatible shim
+ * Initializes the data backend and provides a Firebase-compatible shim
  * so all existing window.db / window.doc / window.getDoc / window.auth
  * call-sites continue to work without changes.
  *
+ * The shim talks to a pluggable backend (see BACKENDS below):
+ *   - 'supabase' (default) — the live Supabase project from __SUPABASE_CONFIG__
+ *   - 'memory'             — in-process tables for headless runs (Node/jsdom tests);
+ *                            select with __SUPABASE_CONFIG__ = { backend: 'memory' }
+ * Any object implementing the same interface can be injected as window.__SHIM_BACKEND__.
+ *
+ * Writes are checked against the SCHEMA REGISTRY (SchemaValidationError), and
+ * backend failures are rethrown as a classified DataError (see ERROR MODEL).
+ *
  * Load order in HTML:
  *   1. <script src="https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2/dist/umd/supabase.js"></script>
  *   2. <script src="/supabase.config.js"></script>
@@ -13,21 +22,8 @@
 (function () {
     'use strict';
 
-    // --- 0. Config validation ---
-    const cfg = window.__SUPABASE_CONFIG__;
-    if (!cfg || !cfg.url || !cfg.anonKey) {
-        console.error('[supabase.js] __SUPABASE_CONFIG__ is missing or incomplete.');
-        return;
-    }
-
-    // The Supabase UMD build exposes window.supabase = { createClient, … }
-    // We capture createClient before we overwrite window.supabase with the client.
-    const { createClient } = window.supabase;
-    const _client = createClient(cfg.url, cfg.anonKey);
-
-    // Expose the raw client for any code that wants direct Supabase access
-    window.supabase    = _client;
-    window.supabaseRaw = _client; // alias so it's never lost after shim overwrites window.supabase
+    // --- 0. Config ---
+    const cfg = window.__SUPABASE_CONFIG__ || {};
 
     // =========================================================
     // TABLE & COLUMN MAPPINGS
@@ -36,6 +32,7 @@
     // Firestore collection name → Supabase table name
     const COLLECTION_TO_TABLE = {
         userRoles:              'user_roles',
+        roles:                  'roles',
         academicYears:          'academic_years',
         classes:                'classes',
         appConfig:              'app_config',
@@ -57,7 +54,13 @@
         homework:               'homework',
         homeworkSubmissions:    'homework_submissions',
         activityLogs:              'activity_logs',
+        guardianLinks:             'guardian_links',
+        loginThrottle:             'login_throttle',
         facultyClassAssignments:   'faculty_class_assignments',
+        staffInvitations:          'staff_invitations',
+        absenceCases:              'absence_cases',
+        attendanceCorrections:     'attendance_corrections',
+        absenceExcuses:            'absence_excuses',
     };
 
     // The primary key column for each table (most use "id")
@@ -206,13 +209,731 @@
         return out;
     }
 
+    // =========================================================
+    // SCHEMA REGISTRY  (mirrors supabase/schema.sql — keep in sync)
+    // Every write is checked against it before it reaches the backend:
+    // unknown fields are rejected, dates/numbers/booleans are coerced, and
+    // all problems come back together as one SchemaValidationError.
+    //
+    // Column spec: '<type> [pk] [required|not-null] [generated] [in(a|b|…)]'
+    //   required  NOT NULL with no default — an insert must supply it
+    //   not-null  NOT NULL with a default — may be omitted, never null
+    //   generated computed by Postgres — dropped from writes
+    // Tables missing here (new or external ones) are passed through unchecked.
+    // =========================================================
+
+    const TABLE_SCHEMAS = {
+        app_config: {
+            id:                      'text pk',
+            active_academic_year_id: 'text',
+            early_angel_enabled:     'boolean not-null',
+            vbs_enabled:             'boolean not-null',
+            session_policy:          'jsonb not-null',
+            check_in_late_after:     'text not-null',
+            attendance_lock_days:    'integer',
+            created_at:              'timestamptz not-null',
+            updated_at:              'timestamptz not-null',
+        },
+        academic_years: {
+            id:                'text pk',
+            year_label:        'text required',
+            label:             'text',
+            start_date:        'date required',
+            end_date:          'date required',
+            status:            'text not-null in(active|archived|draft)',
+            previous_year_id:  'text',
+            migration_enabled: 'boolean not-null',
+            created_at:        'timestamptz not-null',
+            updated_at:        'timestamptz not-null',
+        },
+        classes: {
+            id:   'text pk',
+            name: 'text required',
+        },
+        roles: {
+            id:          'text pk',
+            name:        'text required',
+            description: 'text',
+            permissions: 'jsonb not-null',
+            is_system:   'boolean not-null',
+            created_at:  'timestamptz not-null',
+            updated_at:  'timestamptz not-null',
+        },
+        user_roles: {
+            id:                      'uuid pk',
+            role:                    'text required',
+            class_id:                'text',
+            email:                   'text',
+            display_name:            'text',
+            phone:                   'text',
+            onboarding_completed:    'boolean not-null',
+            onboarding_completed_at: 'timestamptz',
+            onboarding_version:      'integer not-null',
+            onboarding_checklist:    'jsonb not-null',
+            created_at:              'timestamptz not-null',
+            updated_at:              'timestamptz not-null',
+        },
+        faculty_class_assignments: {
+            id:               'text pk',
+            academic_year_id: 'text required',
+            uid:              'uuid required',
+            class_id:         'text required',
+            assignment_role:  'text not-null in(primary|assistant)',
+            email:            'text',
+            created_at:       'timestamptz not-null',
+            updated_at:       'timestamptz not-null',
+        },
+        students: {
+            student_id:               'text pk',
+            first_name:               'text required',
+            last_name:                'text',
+            full_name:                'text generated',
+            dob:                      'date',
+            guardian:                 'text',
+            phone:                    'text',
+            email:                    'text',
+            class_id:                 'text',
+            notes:                    'text',
+            behavior_note:            'text',
+            behavior_visibility:      'boolean not-null',
+            anbiyam_name:             'text',
+            received_first_communion: 'boolean not-null',
+            received_confirmation:    'boolean not-null',
+            register_no:              'integer',
+            father_name:              'text',
+            father_phone:             'text',
+            mother_name:              'text',
+            mother_phone:             'text',
+            emergency_name:           'text',
+            emergency_phone:          'text',
+            created_at:               'timestamptz not-null',
+            updated_at:               'timestamptz not-null',
+        },
+        class_year_counters: {
+            id:               'text pk',
+            academic_year_id: 'text required',
+            class_id:         'text required',
+            count:            'integer not-null',
+            updated_at:       'timestamptz not-null',
+        },
+        enrollments: {
+            id:                    'text pk',
+            academic_year_id:      'text required',
+            class_id:              'text required',
+            student_id:            'text required',
+            register_no:           'integer',
+            status:                'text not-null in(active|transferred)',
+            full_name:             'text',
+            promoted_from_class:   'text',
+            promoted_from_year:    'text',
+            promoted_at:           'timestamptz',
+            migrated_from_year_id: 'text',
+            created_at:            'timestamptz not-null',
+            updated_at:            'timestamptz not-null',
+        },
+        sessions: {
+            id:               'text pk',
+            session_date:     'date required',
+            status:           'text not-null in(Available|NoClass)',
+            no_class_reason:  'text',
+            academic_year_id: 'text required',
+            class_id:         'text',
+            created_at:       'timestamptz not-null',
+        },
+        assessments: {
+            id:               'uuid pk',
+            name:             'text required',
+            assessment_date:  'date required',
+            total_marks:      'numeric required',
+            class_id:         'text required',
+            academic_year_id: 'text required',
+            created_at:       'timestamptz not-null',
+        },
+        attendance: {
+            id:               'text pk',
+            session_id:       'text required',
+            student_id:       'text required',
+            status:           'text required in(Present|Absent|Late|Excused)',
+            class_id:         'text required',
+            academic_year_id: 'text required',
+            updated_at:       'timestamptz not-null',
+        },
+        scores: {
+            id:               'text pk',
+            assessment_id:    'uuid required',
+            student_id:       'text required',
+            marks:            'numeric',
+            class_id:         'text required',
+            academic_year_id: 'text required',
+            updated_at:       'timestamptz not-null',
+        },
+        early_angel_entries: {
+            id:               'uuid pk',
+            class_id:         'text required',
+            student_id:       'text required',
+            student_name:     'text required',
+            category:         'text required',
+            points:           'integer not-null',
+            notes:            'text',
+            entry_date:       'date required',
+            entry_time:       'time',
+            academic_year_id: 'text required',
+            created_at:       'timestamptz not-null',
+            created_by:       'uuid',
+        },
+        early_angel_daily_summary: {
+            id:               'text pk',
+            class_id:         'text required',
+            summary_date:     'date required',
+            student_id:       'text required',
+            student_name:     'text required',
+            points_total:     'integer not-null',
+            entry_count:      'integer not-null',
+            academic_year_id: 'text required',
+            last_updated_at:  'timestamptz not-null',
+            updated_by:       'uuid',
+        },
+        early_angel_leaderboard: {
+            id:               'text pk',
+            class_id:         'text required',
+            student_id:       'text required',
+            student_name:     'text required',
+            total_points:     'integer not-null',
+            entry_count:      'integer not-null',
+            last_entry_date:  'date',
+            academic_year_id: 'text required',
+            last_updated_at:  'timestamptz not-null',
+            updated_by:       'uuid',
+        },
+        vbs_portals: {
+            id:               'text pk',
+            vbs_year:         'text required',
+            academic_year_id: 'text required',
+            created_at:       'timestamptz not-null',
+            created_by:       'uuid',
+        },
+        vbs_students: {
+            id:               'text pk',
+            portal_id:        'text required',
+            name:             'text required',
+            full_name:        'text',
+            class_id:         'text required',
+            student_id:       'text required',
+            father:           'text',
+            phone:            'text',
+            vbs_year:         'text required',
+            academic_year_id: 'text required',
+            created_at:       'timestamptz not-null',
+            created_by:       'uuid',
+            updated_at:       'timestamptz not-null',
+            updated_by:       'uuid',
+        },
+        vbs_attendance: {
+            id:               'text pk',
+            portal_id:        'text required',
+            vbs_student_id:   'text required',
+            class_id:         'text required',
+            student_id:       'text',
+            student_name:     'text required',
+            status:           'text required in(Present|Absent)',
+            vbs_date:         'date required',
+            vbs_year:         'text required',
+            academic_year_id: 'text required',
+            created_at:       'timestamptz not-null',
+            created_by:       'uuid',
+            updated_at:       'timestamptz not-null',
+            updated_by:       'uuid',
+        },
+        vbs_reports: {
+            id:                'text pk',
+            report_type:       'text required in(today|detailed|100_percent)',
+            vbs_year:          'text required',
+            academic_year_id:  'text required',
+            class_id:          'text',
+            report_date:       'date',
+            entry_count:       'integer',
+            generated_at:      'timestamptz not-null',
+            generated_by:      'uuid',
+            generated_by_role: 'text',
+            report_data:       'jsonb not-null',
+        },
+        announcements: {
+            id:               'uuid pk',
+            title:            'text required',
+            body:             'text required',
+            audience:         'text not-null in(all|students|faculty)',
+            expires_at:       'date',
+            pinned:           'boolean not-null',
+            academic_year_id: 'text required',
+            created_at:       'timestamptz not-null',
+            updated_at:       'timestamptz not-null',
+        },
+        homework: {
+            id:               'uuid pk',
+            title:            'text required',
+            description:      'text',
+            subject:          'text',
+            due_date:         'date',
+            class_id:         'text required',
+            academic_year_id: 'text required',
+            attachment_note:  'text',
+            created_at:       'timestamptz not-null',
+            created_by:       'uuid',
+        },
+        homework_submissions: {
+            id:               'uuid pk',
+            homework_id:      'uuid required',
+            student_id:       'text required',
+            class_id:         'text required',
+            academic_year_id: 'text required',
+            status:           'text not-null in(submitted|pending)',
+            submitted_at:     'timestamptz',
+            notes:            'text',
+        },
+        activity_logs: {
+            id:         'uuid pk',
+            action:     'text required',
+            details:    'jsonb not-null',
+            user_email: 'text',
+            uid:        'uuid',
+            created_at: 'timestamptz not-null',
+        },
+        guardian_links: {
+            id:           'uuid pk',
+            student_id:   'text required',
+            email:        'text',
+            phone:        'text',
+            relationship: 'text',
+            created_by:   'uuid',
+            created_at:   'timestamptz not-null',
+        },
+        login_throttle: {
+            id:              'text pk',
+            kind:            'text required in(student|identifier|ip)',
+            failures:        'integer not-null',
+            first_failed_at: 'timestamptz',
+            last_failed_at:  'timestamptz',
+            locked_until:    'timestamptz',
+            lockouts:        'integer not-null',
+            updated_at:      'timestamptz not-null',
+        },
+        staff_invitations: {
+            id:                'uuid pk',
+            token:             'text required',
+            email:             'text required',
+            role:              'text required',
+            class_assignments: 'jsonb not-null',
+            academic_year_id:  'text',
+            status:            'text not-null in(pending|accepted|revoked)',
+            invited_by:        'uuid',
+            expires_at:        'timestamptz not-null',
+            accepted_uid:      'uuid',
+            accepted_at:       'timestamptz',
+            created_at:        'timestamptz not-null',
+            updated_at:        'timestamptz not-null',
+        },
+        absence_cases: {
+            id:               'uuid pk',
+            student_id:       'text required',
+            class_id:         'text required',
+            academic_year_id: 'text required',
+            status:           'text not-null in(open|closed)',
+            reasons:          'jsonb not-null',
+            contacts:         'jsonb not-null',
+            outcome:          'text',
+            opened_at:        'timestamptz not-null',
+            opened_by:        'uuid',
+            closed_at:        'timestamptz',
+            closed_by:        'uuid',
+            updated_at:       'timestamptz not-null',
+        },
+        attendance_corrections: {
+            id:                 'uuid pk',
+            session_id:         'text required',
+            student_id:         'text required',
+            class_id:           'text required',
+            academic_year_id:   'text required',
+            from_status:        'text in(Present|Absent|Late|Excused)',
+            to_status:          'text required in(Present|Absent|Late|Excused)',
+            reason:             'text required',
+            status:             'text not-null in(pending|approved|rejected)',
+            requested_by:       'uuid',
+            requested_by_email: 'text',
+            requested_at:       'timestamptz not-null',
+            reviewed_by:        'uuid',
+            reviewed_at:        'timestamptz',
+            review_note:        'text',
+        },
+        absence_excuses: {
+            id:                   'uuid pk',
+            student_id:           'text required',
+            class_id:             'text required',
+            academic_year_id:     'text required',
+            absence_date:         'date required',
+            reason:               'text required',
+            status:               'text not-null in(pending|approved|rejected)',
+            submitted_by:         'uuid',
+            submitted_by_contact: 'text',
+            submitted_at:         'timestamptz not-null',
+            session_id:           'text',
+            reviewed_by:          'uuid',
+            reviewed_at:          'timestamptz',
+            review_note:          'text',
+        },
+    };
+
+    // Parses the column specs once: { type, pk, required, notNull, generated, values }
+    const SCHEMA = {};
+    for (const [table, columns] of Object.entries(TABLE_SCHEMAS)) {
+        SCHEMA[table] = {};
+        for (const [col, spec] of Object.entries(columns)) {
+            const [type, ...flags] = spec.split(/\s+/);
+            const inFlag = flags.find(f => f.startsWith('in('));
+            SCHEMA[table][col] = {
+                type,
+                pk:        flags.includes('pk'),
+                required:  flags.includes('required'),
+                notNull:   flags.includes('pk') || flags.includes('required') || flags.includes('not-null'),
+                generated: flags.includes('generated'),
+                values:    inFlag ? inFlag.slice(3, -1).split('|') : null,
+            };
+        }
+    }
+
+    class SchemaValidationError extends Error {
+        // fieldErrors: [{ field, column, type, message }] — field is the app-side (camelCase) name,
+        // type is 'unknown' (no such column), 'invalid' (bad value) or 'missing' (required on insert)
+        constructor(table, fieldErrors) {
+            const label = Object.keys(COLLECTION_TO_TABLE).find(c => COLLECTION_TO_TABLE[c] === table) || table;
+            super(`Invalid ${label} data — ${fieldErrors.map(e => `${e.field}: ${e.message}`).join('; ')}.`);
+            this.name        = 'SchemaValidationError';
+            this.code        = 'SCHEMA_VALIDATION';
+            this.table       = table;
+            this.fieldErrors = fieldErrors;
+        }
+    }
+
+    const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})/;
+    const TIME_RE = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?$/;
+
+    const pad2   = n => String(n).padStart(2, '0');
+    const isDate = v => Object.prototype.toString.call(v) === '[object Date]'; // also Dates from other frames
+
+    // Coerces one value to its column type → { value } or { error }
+    function coerceValue(def, value) {
+        if (value === '' && def.type !== 'text') value = null;
+        if (value === null || value === undefined) {
+            return def.notNull ? { error: 'is required' } : { value: null };
+        }
+
+        let out = value;
+        switch (def.type) {
+            case 'text':
+                if (typeof value === 'number' || typeof value === 'boolean') out = String(value);
+                else if (typeof value !== 'string') return { error: 'must be text' };
+                break;
+            case 'integer':
+            case 'numeric': {
+                const n = typeof value === 'string' ? Number(value.trim()) : value;
+                if (typeof n !== 'number' || !Number.isFinite(n) || (typeof value === 'string' && !value.trim())) {
+                    return { error: 'must be a number' };
+                }
+                if (def.type === 'integer' && !Number.isInteger(n)) return { error: 'must be a whole number' };
+                out = n;
+                break;
+            }
+            case 'boolean':
+                if (value === 'true' || value === 'false') out = value === 'true';
+                else if (typeof value !== 'boolean') return { error: 'must be true or false' };
+                break;
+            case 'date': {
+                if (isDate(value)) {
+                    if (Number.isNaN(value.getTime())) return { error: 'must be a valid date' };
+                    out = `${value.getFullYear()}-${pad2(value.getMonth() + 1)}-${pad2(value.getDate())}`;
+                    break;
+                }
+                const m = typeof value === 'string' && DATE_RE.exec(value.trim());
+                const d = m && new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+                if (!m || d.getUTCMonth() !== +m[2] - 1 || d.getUTCDate() !== +m[3]) {
+                    return { error: 'must be a date like 2025-06-01' };
+                }
+                out = `${m[1]}-${m[2]}-${m[3]}`;
+                break;
+            }
+            case 'timestamptz': {
+                const d = isDate(value) ? value
+                    : (typeof value === 'string' || typeof value === 'number') ? new Date(value) : null;
+                if (!d || Number.isNaN(d.getTime())) return { error: 'must be a date and time' };
+                out = d.toISOString();
+                break;
+            }
+            case 'time':
+                if (isDate(value)) {
+                    out = `${pad2(value.getHours())}:${pad2(value.getMinutes())}:${pad2(value.getSeconds())}`;
+                } else if (typeof value !== 'string' || !TIME_RE.test(value.trim())) {
+                    return { error: 'must be a time like 08:45' };
+                } else {
+                    out = value.trim();
+                }
+                break;
+            case 'uuid':
+                if (typeof value !== 'string' || !UUID_RE.test(value)) return { error: 'must be a UUID' };
+                break;
+            case 'jsonb':
+                if (typeof value === 'function') return { error: 'must be JSON data' };
+                break;
+        }
+
+        if (def.values && !def.values.includes(out)) {
+            return { error: `must be one of ${def.values.join(', ')}` };
+        }
+        return { value: out };
+    }
+
+    // "registerNO" → "registerNo": same letters ignoring case/underscores, or one edit away
+    function suggestField(col, columns) {
+        const norm = s => s.replace(/_/g, '').toLowerCase();
+        const target = norm(col);
+        const near = (a, b) => {
+            if (Math.abs(a.length - b.length) > 1) return false;
+            let i = 0, j = 0, edits = 0;
+            while (i < a.length && j < b.length) {
+                if (a[i] === b[j]) { i++; j++; continue; }
+                if (++edits > 1) return false;
+                if (a.length > b.length) i++;
+                else if (b.length > a.length) j++;
+                else { i++; j++; }
+            }
+            return edits + (a.length - i) + (b.length - j) <= 1;
+        };
+        const match = columns.find(c => norm(c) === target) || columns.find(c => near(norm(c), target));
+        return match ? toCamel(match) : null;
+    }
+
+    // Fields fromRow() adds on reads (students.id, sessions/assessments .date).
+    // Docs that were read and written back carry them, so they're dropped quietly.
+    function isReadAlias(table, col, schema) {
+        if (col === 'id') return getPKColumn(table) !== 'id';
+        return col === 'date' && !schema.date && !!(schema.session_date || schema.assessment_date);
+    }
+
+    /**
+     * Checks a snake_case row (output of toRow) against the table schema and
+     * returns a coerced copy. mode: 'insert' (addDoc — required columns must be
+     * present), 'set' or 'update'. Throws SchemaValidationError listing every bad field.
+     */
+    function validateRow(table, row, mode) {
+        const schema = SCHEMA[table];
+        if (!schema || !row) return row;
+
+        const out    = {};
+        const errors = [];
+        for (const [col, value] of Object.entries(row)) {
+            const def = schema[col];
+            if (!def) {
+                if (isReadAlias(table, col, schema)) continue;
+                const hint = suggestField(col, Object.keys(schema));
+                errors.push({
+                    field:   toCamel(col),
+                    column:  col,
+                    type:    'unknown',
+                    message: `is not a known field${hint ? ` (did you mean ${hint}?)` : ''}`,
+                });
+                continue;
+            }
+            if (def.generated) continue;
+            if (value && typeof value === 'object' && value._isIncrement) {
+                if (def.type !== 'integer' && def.type !== 'numeric') {
+                    errors.push({ field: toCamel(col), column: col, type: 'invalid', message: 'cannot be incremented (not a number field)' });
+                } else {
+                    out[col] = value;
+                }
+                continue;
+            }
+            const result = coerceValue(def, value);
+            if (result.error) errors.push({ field: toCamel(col), column: col, type: 'invalid', message: result.error });
+            else out[col] = result.value;
+        }
+
+        if (mode === 'insert') {
+            for (const [col, def] of Object.entries(schema)) {
+                if (def.required && !(col in row)) {
+                    errors.push({ field: toCamel(col), column: col, type: 'missing', message: 'is required' });
+                }
+            }
+        }
+
+        if (errors.length > 0) throw new SchemaValidationError(table, errors);
+        return out;
+    }
+
+    // =========================================================
+    // ERROR MODEL
+    // Backend failures are rethrown as a DataError with a `kind`:
+    //   network            offline, timeouts, 5xx, PostgREST connection errors
+    //   auth-expired       JWT missing or expired — the user must sign in again
+    //   permission-denied  blocked by an RLS policy
+    //   constraint         unique / foreign key / not null / check, or a badly formatted value
+    //   not-found          missing row, table or RPC
+    //   unknown            anything else (original message kept)
+    // err.message is written for people; the raw error is kept on err.cause.
+    // Idempotent calls (reads, upserts) are retried on 'network' with backoff.
+    // =========================================================
+
+    class DataError extends Error {
+        // info: { code, status, table, op, details, hint, cause }; op is 'read' | 'write' | 'delete'
+        constructor(kind, message, info = {}) {
+            super(message);
+            this.name = 'DataError';
+            this.kind = kind;
+            Object.assign(this, info);
+        }
+
+        get retryable() { return this.kind === 'network'; }
+    }
+
+    const NETWORK_MESSAGE_RE = /Failed to fetch|NetworkError|Load failed|Network request failed|timed? ?out|ECONNRESET|ECONNREFUSED/i;
+
+    function errorKind(code, status, text) {
+        if (/^PGRST00[0-3]$/.test(code) || /^08/.test(code) || code === '57014'
+            || status >= 500 || status === 408 || status === 429 || NETWORK_MESSAGE_RE.test(text)) {
+            return 'network';
+        }
+        if (/^PGRST30[0-3]$/.test(code) || status === 401 || /JWT/i.test(text)) return 'auth-expired';
+        if (code === '42501' || status === 403 || /row-level security|permission denied/i.test(text)) {
+            return 'permission-denied';
+        }
+        if (/^2[23]/.test(code)) return 'constraint';
+        if (['PGRST116', 'PGRST202', 'PGRST205', '42P01', '42883', 'P0002'].includes(code) || status === 404) {
+            return 'not-found';
+        }
+        return 'unknown';
+    }
+
+    // "Key (class_id)=(class-9) is not present…" → 'classId = class-9'
+    function keyFromDetails(details) {
+        const m = /Key \(([^)]+)\)=\(([^)]*)\)/.exec(String(details || ''));
+        return m ? `${m[1].split(/,\s*/).map(toCamel).join(', ')} = ${m[2]}` : null;
+    }
+
+    function errorMessage(kind, raw, op, table) {
+        const code  = String(raw?.code || '');
+        const text  = String(raw?.message || raw || '');
+        const label = table ? table.replace(/_/g, ' ') : 'this data';
+
+        switch (kind) {
+            case 'network':
+                return "Couldn't reach the server. Check your internet connection and try again.";
+            case 'auth-expired':
+                return 'Your session has expired. Please sign in again.';
+            case 'permission-denied': {
+                // The database doesn't say which policy failed, so name what this
+                // account's role has (js/common.js) and leave the rest to an admin
+                const verb = { read: 'view', write: 'save', delete: 'delete' }[op] || 'change';
+                const held = typeof window.describeCurrentPermissions === 'function' ? window.describeCurrentPermissions() : '';
+                return held
+                    ? `You don't have permission to ${verb} ${label}. Your role has ${held}; ask an admin if it should allow this.`
+                    : `You don't have permission to ${verb} ${label}. Ask an admin to check your role.`;
+            }
+            case 'constraint': {
+                const key = keyFromDetails(raw?.details);
+                if (code === '23505') {
+                    return `There is already a record in ${label} with ${key || 'the same key'}.`;
+                }
+                if (code === '23503') {
+                    return op === 'delete'
+                        ? `This record is still used elsewhere, so it can't be deleted from ${label} yet.`
+                        : `${key || 'A linked record'} doesn't exist, so it can't be used in ${label}.`;
+                }
+                if (code === '23502') {
+                    const col = /column "([^"]+)"/.exec(text);
+                    return `${col ? toCamel(col[1]) : 'A required field'} is required for ${label}.`;
+                }
+                if (code === '23514') {
+                    const check = /constraint "([^"]+)"/.exec(text);
+                    return `A value isn't allowed for ${label}${check ? ` (${check[1]})` : ''}.`;
+                }
+                return `A value for ${label} has the wrong format: ${text}`;
+            }
+            case 'not-found':
+                if (code === 'PGRST202' || code === '42883') {
+                    return `A database function is missing (${text}). Apply the latest migration in supabase/.`;
+                }
+                if (code === 'PGRST205' || code === '42P01') {
+                    return `The ${table || ''} table doesn't exist yet. Apply the latest migration in supabase/.`;
+                }
+                return `That record no longer exists in ${label}.`;
+            default:
+                return text || 'Something went wrong while talking to the server.';
+        }
+    }
+
+    // Wraps any thrown value as a DataError. Already-classified errors and
+    // SchemaValidationErrors (which carry their own field messages) pass through.
+    function classifyError(err, op, table) {
+        if (err instanceof DataError || err instanceof SchemaValidationError) return err;
+        const code   = String(err?.code || '');
+        const status = Number(err?.status) || 0;
+        const kind   = errorKind(code, status, String(err?.message || err || ''));
+        return new DataError(kind, errorMessage(kind, err, op, table), {
+            code, status, table, op, details: err?.details, hint: err?.hint, cause: err,
+        });
+    }
+
+    const RETRY_MAX_ATTEMPTS = 4;
+    const RETRY_BASE_MS      = 250;
+
+    // Runs one backend call, classifying its failure. With retry=true (idempotent
+    // calls only) network errors are retried with jittered exponential backoff.
+    async function callBackend(op, table, run, retry) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await run();
+            } catch (err) {
+                const error   = classifyError(err, op, table);
+                const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+                if (!retry || !error.retryable || offline || attempt >= RETRY_MAX_ATTEMPTS) throw error;
+            }
+            const delay = RETRY_BASE_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 100);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    // =========================================================
+    // READ-ONLY MODE  (admin "view as" — see VIEW AS in js/common.js)
+    // While set, every write is refused before it reaches the backend or the
+    // offline queue. activity_logs stays writable so the session is audited.
+    // =========================================================
+
+    let _readOnlyReason = null;
+
+    function assertWritable(op, table) {
+        if (_readOnlyReason === null || table === 'activity_logs') return;
+        throw new DataError('read-only', `${_readOnlyReason}, so changes can't be saved.`, { table, op });
+    }
+
+    window.setReadOnlyMode = function (reason) { _readOnlyReason = reason || null; };
+    window.isReadOnlyMode  = function () { return _readOnlyReason !== null; };
+
     // Build a Firestore-style doc reference (what window.doc returns) so snapshot
     // docs can expose `.ref` for batch.delete(doc.ref) / setDoc(doc.ref, …) call-sites.
     function makeDocRef(table, id) {
-        return { _client, _table: table, _collection: table, _id: id, _type: 'doc' };
+        return { _table: table, _collection: table, _id: id, _type: 'doc' };
+    }
+
+    // The updated_at of every row this page has read (null when getDoc found no
+    // row), keyed 'table/id'. A write queued offline carries the version its
+    // row had here, so replay can tell whether someone changed it since.
+    const _readVersions = new Map();
+
+    function rememberReadVersion(table, id, row) {
+        if (!TABLE_SCHEMAS[table]?.updated_at) return;
+        _readVersions.set(`${table}/${id}`, row ? row.updated_at ?? null : null);
     }
 
     function makeDocSnap(data, table, id) {
+        rememberReadVersion(table, id, data);
         const converted = data ? fromRow(data, table) : null;
         return {
             exists:  ()  => !!data,
@@ -222,37 +943,772 @@
         };
     }
 
-    function makeQuerySnap(rows, table) {
-        const docs = rows.map(row => {
-            const pkCol  = getPKColumn(table);
-            const docId  = row[pkCol] ?? row.id;
-            const converted = fromRow(row, table);
-            return {
-                id:     docId,
-                exists: () => true,
-                data:   () => converted,
-                ref:    makeDocRef(table, docId),
-            };
-        });
+    function makeQueryDoc(row, table) {
+        const docId     = row[getPKColumn(table)] ?? row.id;
+        rememberReadVersion(table, docId, row);
+        const converted = fromRow(row, table);
+        return {
+            id:     docId,
+            exists: () => true,
+            data:   () => converted,
+            ref:    makeDocRef(table, docId),
+        };
+    }
+
+    // changes: [{ type: 'added'|'modified'|'removed', row, oldIndex, newIndex }]
+    // (omitted by getDocs — every doc then counts as 'added', like Firestore).
+    function makeQuerySnap(rows, table, changes) {
+        const docs = rows.map(row => makeQueryDoc(row, table));
+        const docChanges = changes
+            ? changes.map(c => ({ type: c.type, doc: makeQueryDoc(c.row, table), oldIndex: c.oldIndex, newIndex: c.newIndex }))
+            : docs.map((doc, i) => ({ type: 'added', doc, oldIndex: -1, newIndex: i }));
         return {
-            empty:   docs.length === 0,
+            empty:      docs.length === 0,
+            size:       docs.length,
             docs,
-            forEach: fn => docs.forEach(fn),
+            forEach:    fn => docs.forEach(fn),
+            docChanges: () => docChanges,
+        };
+    }
+
+
+    // =========================================================
+    // ROW MATCHING  (client-side where/orderBy/cursor evaluation)
+    // Used by the in-memory backend and by realtime listeners to decide
+    // whether a pushed row belongs to their results.
+    // =========================================================
+
+    function compareValues(a, b) {
+        if (a === b) return 0;
+        if (a === null || a === undefined) return -1;
+        if (b === null || b === undefined) return 1;
+        const na = Number(a), nb = Number(b);
+        if (typeof a !== 'boolean' && a !== '' && b !== '' && !Number.isNaN(na) && !Number.isNaN(nb)) {
+            return na - nb;
+        }
+        return String(a).localeCompare(String(b));
+    }
+
+    // Evaluates where() filters against a raw (snake_case) row.
+    function matchesWhere(row, constraints) {
+        return constraints.every(c => {
+            if (c._type !== 'where') return true;
+            const v = row[c.field];
+            switch (c.op) {
+                case '==':             return compareValues(v, c.value) === 0;
+                case '!=':             return v !== null && v !== undefined && compareValues(v, c.value) !== 0;
+                case '>':              return v !== null && v !== undefined && compareValues(v, c.value) > 0;
+                case '>=':             return v !== null && v !== undefined && compareValues(v, c.value) >= 0;
+                case '<':              return v !== null && v !== undefined && compareValues(v, c.value) < 0;
+                case '<=':             return v !== null && v !== undefined && compareValues(v, c.value) <= 0;
+                case 'in':             return c.value.some(x => compareValues(v, x) === 0);
+                case 'not-in':         return !c.value.some(x => compareValues(v, x) === 0);
+                case 'array-contains': return Array.isArray(v) && v.some(x => compareValues(x, c.value) === 0);
+                default:               return true;
+            }
+        });
+    }
+
+    // Sort comparator for [{ field, desc }] orderings.
+    function compareRowsBy(orders) {
+        return (a, b) => {
+            for (const o of orders) {
+                const cmp = compareValues(a[o.field], b[o.field]);
+                if (cmp !== 0) return o.desc ? -cmp : cmp;
+            }
+            return 0;
         };
     }
 
+    // Whether a row falls inside a resolved cursor ({ kind, values }) on the ordered columns.
+    function cursorAllows(row, cursor, orders) {
+        const n = Math.min(cursor.values.length, orders.length);
+        let cmp = 0;
+        for (let i = 0; i < n && cmp === 0; i++) {
+            const c = compareValues(row[orders[i].field], cursor.values[i]);
+            cmp = orders[i].desc ? -c : c;
+        }
+        if (cursor.kind === 'startAt')    return cmp >= 0;
+        if (cursor.kind === 'startAfter') return n === 0 || cmp > 0;
+        if (cursor.kind === 'endAt')      return cmp <= 0;
+        if (cursor.kind === 'endBefore')  return n === 0 || cmp < 0;
+        return true;
+    }
+
+    // =========================================================
+    // BACKENDS
+    // Every backend works on raw snake_case rows and implements:
+    //   getRow(table, pkCol, id)              → row | null
+    //   select(table, spec) / count(table, spec)
+    //       spec = { filters, orders: [{ field, desc }], cursors: [{ kind, values }],
+    //                limit, limitToLast }
+    //   upsert(table, pkCol, row) · insert(table, row)
+    //   update(table, pkCol, id, updates) · increment(table, pkCol, id, col, amount)
+    //   remove(table, pkCol, id)
+    //   commitBatch(ops) · commitTransaction(reads, ops)   (see toBatchOp)
+    //   rpc(name, params)
+    //   subscribe(table, onPayload, onStatus)    → unsubscribe
+    //       onPayload({ eventType, new, old }) · onStatus('SUBSCRIBED' | 'CLOSED' | …)
+    //   auth: { getSession, onAuthStateChange(cb) → unsubscribe, signInWithPassword, signOut,
+    //           signInWithOtp(contact), verifyOtp(contact, token) → user,
+    //           sendEmailLink(email, redirectTo), resetPasswordForEmail(email, redirectTo),
+    //           updatePassword(password) → user,
+    //           mfa: { listFactors() → [{ id, status, friendlyName }],
+    //                  enroll(friendlyName) → { id, qrCode, secret, uri },
+    //                  verify(factorId, code), unenroll(factorId),
+    //                  getAssurance() → { currentLevel, nextLevel, lastVerifiedAt } } }
+    //       contact = { email } | { phone }  (phone in E.164, e.g. '+919876543210')
+    //       sendEmailLink / resetPasswordForEmail email a link that signs the account
+    //       in on redirectTo; sendEmailLink creates the account if it is new.
+    //       mfa covers TOTP authenticator apps only. verify() raises the session to
+    //       'aal2'; lastVerifiedAt (epoch ms) is the newest password or code check.
+    // Errors are thrown as { code, message, details, hint } like PostgREST's.
+    // =========================================================
+
+    // --- Supabase (PostgREST + Realtime) ---
+
+    function applyWhere(q, { field, op, value }) {
+        if      (op === '==')              return q.eq(field, value);
+        else if (op === '!=')              return q.neq(field, value);
+        else if (op === '>')               return q.gt(field, value);
+        else if (op === '>=')              return q.gte(field, value);
+        else if (op === '<')               return q.lt(field, value);
+        else if (op === '<=')              return q.lte(field, value);
+        else if (op === 'in')              return q.in(field, value);
+        else if (op === 'not-in')          return q.not(field, 'in', `(${value.join(',')})`);
+        else if (op === 'array-contains')  return q.contains(field, [value]);
+        return q;
+    }
+
+    // Quotes a value for use inside a PostgREST or=(…) filter.
+    function pgrstValue(value) {
+        return `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+    }
+
+    // Translates a resolved cursor into a keyset filter over the ordered columns, e.g.
+    // startAfter(a, b) on (x asc, y asc) → x > a OR (x = a AND y > b).
+    function applyCursor(q, cursor, orders) {
+        const values = cursor.values;
+        const n = Math.min(values.length, orders.length);
+        if (n === 0) return q;
+
+        const forward   = cursor.kind === 'startAt' || cursor.kind === 'startAfter';
+        const inclusive = cursor.kind === 'startAt' || cursor.kind === 'endAt';
+        const opFor = (order, last) => {
+            const greater = forward !== order.desc;
+            return (greater ? 'gt' : 'lt') + (last && inclusive ? 'e' : '');
+        };
+
+        if (n === 1) return q[opFor(orders[0], true)](orders[0].field, values[0]);
+
+        const terms = [];
+        for (let i = 0; i < n; i++) {
+            const parts = [];
+            for (let j = 0; j < i; j++) parts.push(`${orders[j].field}.eq.${pgrstValue(values[j])}`);
+            parts.push(`${orders[i].field}.${opFor(orders[i], i === n - 1)}.${pgrstValue(values[i])}`);
+            terms.push(parts.length === 1 ? parts[0] : `and(${parts.join(',')})`);
+        }
+        return q.or(terms.join(','));
+    }
+
+    function createSupabaseBackend(client) {
+        // Unwraps a PostgREST { data, error } response; the HTTP status helps classifyError()
+        function must({ data, error, status }) {
+            if (error) throw Object.assign(error, { status });
+            return data;
+        }
+
+        function filtered(table, spec, head) {
+            let q = head
+                ? client.from(table).select('*', { count: 'exact', head: true })
+                : client.from(table).select('*');
+            for (const f of spec.filters) q = applyWhere(q, f);
+            for (const c of spec.cursors) q = applyCursor(q, c, spec.orders);
+            return q;
+        }
+
+        return {
+            name:   'supabase',
+            client,
+
+            async getRow(table, pkCol, id) {
+                return must(await client.from(table).select('*').eq(pkCol, id).maybeSingle());
+            },
+
+            async select(table, spec) {
+                const toLast = spec.limitToLast !== null;
+                let q = filtered(table, spec, false);
+                if (spec.limit !== null) q = q.limit(spec.limit);
+                // limitToLast: fetch the tail in reverse order, then flip it back
+                for (const o of spec.orders) {
+                    q = q.order(o.field, { ascending: toLast ? o.desc : !o.desc });
+                }
+                if (!toLast) return must(await q) || [];
+                return (must(await q.limit(spec.limitToLast)) || []).reverse();
+            },
+
+            async count(table, spec) {
+                const { count, error, status } = await filtered(table, spec, true);
+                if (error) throw Object.assign(error, { status });
+                return count || 0;
+            },
+
+            async upsert(table, pkCol, row) {
+                must(await client.from(table).upsert(row, { onConflict: pkCol }));
+            },
+
+            async insert(table, row) {
+                must(await client.from(table).insert(row));
+            },
+
+            async update(table, pkCol, id, updates) {
+                must(await client.from(table).update(updates).eq(pkCol, id));
+            },
+
+            // Atomic via the increment_field RPC
+            async increment(table, pkCol, id, col, amount) {
+                const { error } = await client.rpc('increment_field', {
+                    p_table:  table,
+                    p_pk_col: pkCol,
+                    p_pk_val: id,
+                    p_col:    col,
+                    p_amount: amount,
+                });
+                if (error) {
+                    // Fallback: read → increment → write (non-atomic but safe for low concurrency)
+                    const { data: row, error: readErr } = await client
+                        .from(table).select(col).eq(pkCol, id).single();
+                    if (!readErr && row) {
+                        const newVal = (row[col] || 0) + amount;
+                        await client.from(table).update({ [col]: newVal }).eq(pkCol, id);
+                    }
+                }
+            },
+
+            async remove(table, pkCol, id) {
+                must(await client.from(table).delete().eq(pkCol, id));
+            },
+
+            async commitBatch(ops) {
+                must(await client.rpc('commit_write_batch', { p_ops: ops }));
+            },
+
+            async commitTransaction(reads, ops) {
+                must(await client.rpc('commit_transaction', { p_reads: reads, p_ops: ops }));
+            },
+
+            async rpc(name, params) {
+                return must(await client.rpc(name, params));
+            },
+
+            subscribe(table, onPayload, onStatus) {
+                const channel = client.channel(`${table}_${Math.random().toString(36).slice(2)}`)
+                    .on('postgres_changes', { event: '*', schema: 'public', table }, onPayload)
+                    .subscribe(onStatus);
+                return () => client.removeChannel(channel);
+            },
+
+            auth: {
+                async getSession() {
+                    const { data: { session } } = await client.auth.getSession();
+                    return session;
+                },
+                onAuthStateChange(callback) {
+                    const { data: { subscription } } = client.auth.onAuthStateChange((_event, session) => {
+                        callback(session);
+                    });
+                    return () => subscription.unsubscribe();
+                },
+                async signInWithPassword(email, password) {
+                    const { data, error } = await client.auth.signInWithPassword({ email, password });
+                    if (error) throw Object.assign(new Error(error.message), { code: error.status });
+                    return data.user;
+                },
+                async signOut() {
+                    const { error } = await client.auth.signOut();
+                    if (error) throw error;
+                },
+                async signInWithOtp(contact) {
+                    const { error } = await client.auth.signInWithOtp({ ...contact, options: { shouldCreateUser: true } });
+                    if (error) throw Object.assign(new Error(error.message), { code: error.status });
+                },
+                async verifyOtp(contact, token) {
+                    const type = contact.phone ? 'sms' : 'email';
+                    const { data, error } = await client.auth.verifyOtp({ ...contact, token, type });
+                    if (error) throw Object.assign(new Error(error.message), { code: error.status });
+                    return data.user;
+                },
+                async sendEmailLink(email, redirectTo) {
+                    const { error } = await client.auth.signInWithOtp({
+                        email,
+                        options: { shouldCreateUser: true, emailRedirectTo: redirectTo },
+                    });
+                    if (error) throw Object.assign(new Error(error.message), { code: error.status });
+                },
+                async resetPasswordForEmail(email, redirectTo) {
+                    const { error } = await client.auth.resetPasswordForEmail(email, { redirectTo });
+                    if (error) throw Object.assign(new Error(error.message), { code: error.status });
+                },
+                async updatePassword(password) {
+                    const { data, error } = await client.auth.updateUser({ password });
+                    if (error) throw Object.assign(new Error(error.message), { code: error.status });
+                    return data.user;
+                },
+                mfa: {
+                    async listFactors() {
+                        const { data, error } = await client.auth.mfa.listFactors();
+                        if (error) throw Object.assign(new Error(error.message), { code: error.status });
+                        return data.all
+                            .filter(f => f.factor_type === 'totp')
+                            .map(f => ({ id: f.id, status: f.status, friendlyName: f.friendly_name || null }));
+                    },
+                    async enroll(friendlyName) {
+                        const { data, error } = await client.auth.mfa.enroll({ factorType: 'totp', friendlyName });
+                        if (error) throw Object.assign(new Error(error.message), { code: error.status });
+                        return { id: data.id, qrCode: data.totp.qr_code, secret: data.totp.secret, uri: data.totp.uri };
+                    },
+                    async verify(factorId, code) {
+                        const { error } = await client.auth.mfa.challengeAndVerify({ factorId, code });
+                        if (error) throw Object.assign(new Error(error.message), { code: error.status });
+                    },
+                    async unenroll(factorId) {
+                        const { error } = await client.auth.mfa.unenroll({ factorId });
+                        if (error) throw Object.assign(new Error(error.message), { code: error.status });
+                    },
+                    async getAssurance() {
+                        const { data, error } = await client.auth.mfa.getAuthenticatorAssuranceLevel();
+                        if (error) throw Object.assign(new Error(error.message), { code: error.status });
+                        const times = (data.currentAuthenticationMethods || []).map(m => m.timestamp * 1000);
+                        return {
+                            currentLevel: data.currentLevel,
+                            nextLevel: data.nextLevel,
+                            lastVerifiedAt: times.length ? Math.max(...times) : null,
+                        };
+                    },
+                },
+            },
+        };
+    }
+
+    // --- In-memory (headless tests, demos) ---
+    // Tables are Maps of pk → row. Rows are copied in and out so callers never
+    // share references with the store, and every write is pushed to subscribers
+    // as a postgres_changes-style payload (on a microtask, like a socket would).
+    // Extras beyond the interface: seed(), rows(), reset(), addUser(), registerRpc(),
+    // sentOtp() (the one-time codes are kept here instead of being emailed/texted),
+    // sentLinks() and openLink() (the same for emailed sign-in / reset links),
+    // totpCode() (what the authenticator app would show for a factor).
+
+    function createMemoryBackend() {
+        const tables        = new Map();  // table → Map(String(pk) → row)
+        const subscribers   = new Map();  // table → Set(onPayload)
+        const rpcs          = new Map();
+        const users         = [];
+        const authListeners = new Set();
+        const otps          = new Map();  // contact key → pending one-time code
+        const links         = [];         // emailed links: { type, email, redirectTo }
+        const factors       = [];         // TOTP factors: { id, userId, status, friendlyName, code }
+        let session         = null;
+
+        const copy = value => (value === null || value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+        function dbError(code, message, details) {
+            return Object.assign(new Error(message), { code, details: details ?? null, hint: null });
+        }
+
+        function tableFor(name) {
+            return COLLECTION_TO_TABLE[name] || name;
+        }
+
+        function store(table) {
+            if (!tables.has(table)) tables.set(table, new Map());
+            return tables.get(table);
+        }
+
+        function emit(events) {
+            for (const { table, eventType, row, old } of events) {
+                const subs = subscribers.get(table);
+                if (!subs || subs.size === 0) continue;
+                const payload = { eventType, table, new: copy(row) || {}, old: copy(old) || {} };
+                queueMicrotask(() => subs.forEach(fn => fn(payload)));
+            }
+        }
+
+        // Mutators never modify a stored row in place (batches roll back by
+        // restoring the previous Maps) and return the change event, or null.
+        function put(table, pkCol, row) {
+            const key  = String(row[pkCol]);
+            const old  = store(table).get(key);
+            const next = { ...(old || {}), ...copy(row) };
+            store(table).set(key, next);
+            return { table, eventType: old ? 'UPDATE' : 'INSERT', row: next, old };
+        }
+
+        function patch(table, pkCol, id, updates) {
+            const old = store(table).get(String(id));
+            if (!old) return null;
+            const next = { ...old, ...copy(updates) };
+            store(table).set(String(id), next);
+            return { table, eventType: 'UPDATE', row: next, old };
+        }
+
+        function bump(table, pkCol, id, col, amount) {
+            const old = store(table).get(String(id));
+            if (!old) return null;
+            return patch(table, pkCol, id, { [col]: (Number(old[col]) || 0) + Number(amount) });
+        }
+
+        function drop(table, pkCol, id) {
+            const old = store(table).get(String(id));
+            if (!old) return null;
+            store(table).delete(String(id));
+            return { table, eventType: 'DELETE', row: null, old };
+        }
+
+        function query(table, spec) {
+            let rows = [...store(table).values()].filter(row => matchesWhere(row, spec.filters));
+            if (spec.orders.length > 0) rows.sort(compareRowsBy(spec.orders));
+            for (const cursor of spec.cursors) rows = rows.filter(row => cursorAllows(row, cursor, spec.orders));
+            return rows;
+        }
+
+        // Same semantics as commit_write_batch(): every op is attempted, failures
+        // are collected, and any failure rolls the whole batch back.
+        function applyBatch(ops) {
+            const saved  = new Map([...tables].map(([t, rows]) => [t, new Map(rows)]));
+            const events = [];
+            const errors = [];
+            ops.forEach((op, index) => {
+                try {
+                    let event = null;
+                    if (op.type === 'set')         event = put(op.table, op.pk_col, op.data);
+                    else if (op.type === 'update') {
+                        if (!store(op.table).has(String(op.pk_val))) {
+                            throw dbError('P0002', `No ${op.table} row to update with ${op.pk_col} = ${op.pk_val}`);
+                        }
+                        event = patch(op.table, op.pk_col, op.pk_val, op.data || {});
+                    }
+                    else if (op.type === 'delete') event = drop(op.table, op.pk_col, op.pk_val);
+                    else throw dbError('P0001', `Unknown batch operation type: ${op.type}`);
+                    if (event) events.push(event);
+
+                    for (const [col, amount] of Object.entries(op.increments || {})) {
+                        const inc = bump(op.table, op.pk_col, op.pk_val, col, amount);
+                        if (inc) events.push(inc);
+                    }
+                } catch (err) {
+                    errors.push({
+                        index, type: op.type, table: op.table, id: op.pk_val,
+                        code: err.code || 'P0001', message: err.message,
+                    });
+                }
+            });
+
+            if (errors.length > 0) {
+                tables.clear();
+                saved.forEach((rows, t) => tables.set(t, rows));
+                throw dbError(
+                    errors[0].code,
+                    `Batch rolled back: ${errors.length} of ${ops.length} operations failed (first: ${errors[0].message})`,
+                    JSON.stringify(errors)
+                );
+            }
+            return events;
+        }
+
+        function setSession(next, event) {
+            session = next;
+            queueMicrotask(() => authListeners.forEach(fn => fn(next, event)));
+        }
+
+        const otpKey = contact => (contact.email ? `email:${contact.email.toLowerCase()}` : `phone:${contact.phone}`);
+
+        function signInAs(user) {
+            const { password: _, ...publicUser } = user;
+            setSession({ user: publicUser, access_token: `memory-${user.id}`, aal: 'aal1', verifiedAt: Date.now() }, 'SIGNED_IN');
+            return publicUser;
+        }
+
+        function sessionFactors() {
+            if (!session) throw Object.assign(new Error('Auth session missing!'), { code: 401 });
+            return factors.filter(f => f.userId === session.user.id);
+        }
+
+        return {
+            name:     'memory',
+            pushOnly: true,   // every write is pushed to subscribers — no polling needed
+
+            async getRow(table, pkCol, id) {
+                return copy(store(table).get(String(id)) || null);
+            },
+
+            async select(table, spec) {
+                let rows = query(table, spec);
+                if (spec.limit !== null) rows = rows.slice(0, spec.limit);
+                if (spec.limitToLast !== null) rows = rows.slice(-spec.limitToLast);
+                return rows.map(copy);
+            },
+
+            async count(table, spec) {
+                return query(table, spec).length;
+            },
+
+            async upsert(table, pkCol, row) {
+                emit([put(table, pkCol, row)]);
+            },
+
+            async insert(table, row) {
+                const pkCol = getPKColumn(table);
+                if (store(table).has(String(row[pkCol]))) {
+                    throw dbError('23505', `duplicate key value violates unique constraint "${table}_pkey"`);
+                }
+                emit([put(table, pkCol, row)]);
+            },
+
+            async update(table, pkCol, id, updates) {
+                const event = patch(table, pkCol, id, updates);
+                if (event) emit([event]);
+            },
+
+            async increment(table, pkCol, id, col, amount) {
+                const event = bump(table, pkCol, id, col, amount);
+                if (event) emit([event]);
+            },
+
+            async remove(table, pkCol, id) {
+                const event = drop(table, pkCol, id);
+                if (event) emit([event]);
+            },
+
+            async commitBatch(ops) {
+                emit(applyBatch(ops));
+            },
+
+            // Reads are re-checked and the ops applied in one synchronous step,
+            // which is all the isolation a single-threaded store needs.
+            async commitTransaction(reads, ops) {
+                for (const read of reads) {
+                    const current = store(read.table).get(String(read.pk_val)) || null;
+                    const changed = read.exists !== !!current
+                        || (read.version !== null && current?.updated_at !== read.version)
+                        || (read.row !== null && JSON.stringify(current) !== JSON.stringify(read.row));
+                    if (changed) {
+                        throw dbError('40001', `Transaction conflict: ${read.table}/${read.pk_val} changed since it was read`);
+                    }
+                }
+                const stamp = new Date().toISOString();
+                const stamped = ops.map(op => {
+                    if (op.type === 'delete') return op;
+                    const existing = store(op.table).get(String(op.pk_val));
+                    if (!existing || !('updated_at' in existing)) return op;
+                    return { ...op, data: { ...op.data, updated_at: stamp } };
+                });
+                emit(applyBatch(stamped));
+            },
+
+            async rpc(name, params) {
+                const fn = rpcs.get(name);
+                if (!fn) throw dbError('PGRST202', `Could not find the function public.${name}`);
+                return fn(params || {}, this);
+            },
+
+            subscribe(table, onPayload, onStatus) {
+                if (!subscribers.has(table)) subscribers.set(table, new Set());
+                subscribers.get(table).add(onPayload);
+                if (onStatus) queueMicrotask(() => onStatus('SUBSCRIBED'));
+                return () => subscribers.get(table).delete(onPayload);
+            },
+
+            auth: {
+                async getSession() {
+                    return session;
+                },
+                onAuthStateChange(callback) {
+                    authListeners.add(callback);
+                    return () => authListeners.delete(callback);
+                },
+                async signInWithPassword(email, password) {
+                    const user = users.find(u => u.email === email && u.password === password);
+                    if (!user) throw Object.assign(new Error('Invalid login credentials'), { code: 400 });
+                    return signInAs(user);
+                },
+                async signOut() {
+                    setSession(null, 'SIGNED_OUT');
+                },
+                async signInWithOtp(contact) {
+                    otps.set(otpKey(contact), String(Math.floor(100000 + Math.random() * 900000)));
+                },
+                // Like Supabase, a first successful code creates the account
+                async verifyOtp(contact, token) {
+                    const key = otpKey(contact);
+                    if (!otps.has(key) || otps.get(key) !== String(token).trim()) {
+                        throw Object.assign(new Error('Token has expired or is invalid'), { code: 403 });
+                    }
+                    otps.delete(key);
+                    let user = users.find(u => otpKey(u.email ? { email: u.email } : { phone: u.phone }) === key);
+                    if (!user) {
+                        user = { id: crypto.randomUUID(), email: contact.email || '', phone: contact.phone || '', user_metadata: {} };
+                        users.push(user);
+                    }
+                    return signInAs(user);
+                },
+                async sendEmailLink(email, redirectTo) {
+                    links.push({ type: 'signin', email: email.toLowerCase(), redirectTo });
+                },
+                // Like Supabase, an unknown address gets no email but no error either
+                async resetPasswordForEmail(email, redirectTo) {
+                    if (users.some(u => u.email?.toLowerCase() === email.toLowerCase())) {
+                        links.push({ type: 'recovery', email: email.toLowerCase(), redirectTo });
+                    }
+                },
+                async updatePassword(password) {
+                    const user = session && users.find(u => u.id === session.user.id);
+                    if (!user) throw Object.assign(new Error('Auth session missing!'), { code: 401 });
+                    user.password = password;
+                    return signInAs(user);
+                },
+                mfa: {
+                    async listFactors() {
+                        return sessionFactors().map(({ id, status, friendlyName }) => ({ id, status, friendlyName }));
+                    },
+                    async enroll(friendlyName) {
+                        sessionFactors();
+                        const factor = {
+                            id: crypto.randomUUID(),
+                            userId: session.user.id,
+                            status: 'unverified',
+                            friendlyName: friendlyName || null,
+                            code: String(Math.floor(100000 + Math.random() * 900000)),
+                        };
+                        factors.push(factor);
+                        const uri = `otpauth://totp/memory:${session.user.email}?secret=MEMORY${factor.code}`;
+                        return { id: factor.id, qrCode: '', secret: `MEMORY${factor.code}`, uri };
+                    },
+                    async verify(factorId, code) {
+                        const factor = sessionFactors().find(f => f.id === factorId);
+                        if (!factor || factor.code !== String(code).trim()) {
+                            throw Object.assign(new Error('Invalid TOTP code entered'), { code: 422 });
+                        }
+                        factor.status = 'verified';
+                        setSession({ ...session, aal: 'aal2', verifiedAt: Date.now() }, 'MFA_CHALLENGE_VERIFIED');
+                    },
+                    async unenroll(factorId) {
+                        const index = factors.findIndex(f => f.id === factorId && f.userId === session?.user.id);
+                        if (index >= 0) factors.splice(index, 1);
+                    },
+                    async getAssurance() {
+                        if (!session) return { currentLevel: null, nextLevel: null, lastVerifiedAt: null };
+                        const enrolled = sessionFactors().some(f => f.status === 'verified');
+                        return { currentLevel: session.aal, nextLevel: enrolled ? 'aal2' : 'aal1', lastVerifiedAt: session.verifiedAt };
+                    },
+                },
+            },
+
+            // seed('students', [{ studentId: 'S1', fullName: 'Ann' }, …]) — collection
+            // or table name; camelCase docs and raw rows are both accepted. No events fire.
+            seed(name, docs) {
+                const table = tableFor(name);
+                const pkCol = getPKColumn(table);
+                for (const doc of docs) {
+                    const row = toRow(doc);
+                    if (row[pkCol] === undefined) row[pkCol] = row.id ?? crypto.randomUUID();
+                    if (pkCol !== 'id') delete row.id;
+                    store(table).set(String(row[pkCol]), copy(row));
+                }
+            },
+
+            // Raw rows of a collection/table, for assertions
+            rows(name) {
+                return [...store(tableFor(name)).values()].map(copy);
+            },
+
+            reset() {
+                tables.clear();
+            },
+
+            // addUser({ email, password, id?, phone?, user_metadata? }) → user id
+            addUser({ email, password, id, phone, user_metadata }) {
+                const user = { id: id || crypto.randomUUID(), email, phone: phone || '', password, user_metadata: user_metadata || {} };
+                users.push(user);
+                return user.id;
+            },
+
+            // sentOtp({ email } | { phone }) → the pending one-time code, or null
+            sentOtp(contact) {
+                return otps.get(otpKey(contact)) ?? null;
+            },
+
+            // sentLinks() → every link emailed so far, oldest first
+            sentLinks() {
+                return links.map(copy);
+            },
+
+            // openLink(link) — what following an emailed link does: signs in as its
+            // address (creating the account for a sign-in link) and lands on redirectTo
+            openLink(link) {
+                let user = users.find(u => u.email?.toLowerCase() === link.email);
+                if (!user) {
+                    user = { id: crypto.randomUUID(), email: link.email, phone: '', user_metadata: {} };
+                    users.push(user);
+                }
+                return signInAs(user);
+            },
+
+            // totpCode(factorId) → the code the account's authenticator app would show
+            totpCode(factorId) {
+                return factors.find(f => f.id === factorId)?.code ?? null;
+            },
+
+            // removeFactors(userId) — what redeem_mfa_recovery_code() does in the database
+            removeFactors(userId) {
+                for (let i = factors.length - 1; i >= 0; i--) {
+                    if (factors[i].userId === userId) factors.splice(i, 1);
+                }
+            },
+
+            // registerRpc(name, (params, backend) => result)
+            registerRpc(name, fn) {
+                rpcs.set(name, fn);
+            },
+        };
+    }
+
+    function selectBackend() {
+        if (window.__SHIM_BACKEND__) return window.__SHIM_BACKEND__;
+        if (cfg.backend === 'memory') return createMemoryBackend();
+        if (!cfg.url || !cfg.anonKey) {
+            console.error('[supabase.js] __SUPABASE_CONFIG__ is missing or incomplete.');
+            return null;
+        }
+        // The Supabase UMD build exposes window.supabase = { createClient, … }
+        // We capture createClient before we overwrite window.supabase with the client.
+        const { createClient } = window.supabase;
+        return createSupabaseBackend(createClient(cfg.url, cfg.anonKey));
+    }
+
+    const backend = selectBackend();
+    if (!backend) return;
+
+    // Expose the raw client for any code that wants direct Supabase access
+    if (backend.client) {
+        window.supabase    = backend.client;
+        window.supabaseRaw = backend.client; // alias so it's never lost after shim overwrites window.supabase
+    }
+    window.shimBackend = backend;
+
+
     // =========================================================
     // REFERENCE OBJECTS  (mimic Firestore doc/collection refs)
     // =========================================================
 
     window.doc = function (dbOrClient, collectionName, id) {
         const table = COLLECTION_TO_TABLE[collectionName] || collectionName;
-        return { _client: _client, _table: table, _collection: collectionName, _id: id, _type: 'doc' };
+        return { _table: table, _collection: collectionName, _id: id, _type: 'doc' };
     };
 
     window.collection = function (dbOrClient, collectionName) {
         const table = COLLECTION_TO_TABLE[collectionName] || collectionName;
-        return { _client: _client, _table: table, _collection: collectionName, _type: 'collection' };
+        return { _table: table, _collection: collectionName, _type: 'collection' };
     };
 
     // =========================================================
@@ -261,7 +1717,6 @@
 
     window.query = function (colRef, ...constraints) {
         return {
-            _client:      _client,
             _table:       colRef._table,
             _collection:  colRef._collection,
             _constraints: constraints,
@@ -281,227 +1736,598 @@
         return { _type: 'limit', value: n };
     };
 
+    window.limitToLast = function (n) {
+        return { _type: 'limitToLast', value: n };
+    };
+
+    // Query cursors take either field values (matching the orderBy clauses in
+    // order) or a document snapshot from a previous page.
+    window.startAt = function (...values) {
+        return { _type: 'cursor', kind: 'startAt', values };
+    };
+
+    window.startAfter = function (...values) {
+        return { _type: 'cursor', kind: 'startAfter', values };
+    };
+
+    window.endAt = function (...values) {
+        return { _type: 'cursor', kind: 'endAt', values };
+    };
+
+    window.endBefore = function (...values) {
+        return { _type: 'cursor', kind: 'endBefore', values };
+    };
+
     // =========================================================
     // READ OPERATIONS
     // =========================================================
 
     window.getDoc = async function (ref) {
-        const pkCol = getPKColumn(ref._table);
-        const { data, error } = await _client
-            .from(ref._table)
-            .select('*')
-            .eq(pkCol, ref._id)
-            .maybeSingle();
-
-        if (error) throw error;
+        const data = await callBackend('read', ref._table,
+            () => backend.getRow(ref._table, getPKColumn(ref._table), ref._id), true);
         return makeDocSnap(data, ref._table, ref._id);
     };
 
-    // Runs a collection/query ref and returns the raw { data, error } (no snapshot wrap).
-    // Shared by getDocs and the realtime/polling onSnapshot path.
-    function runQuery(queryOrColRef) {
-        const table       = queryOrColRef._table;
-        const constraints = queryOrColRef._constraints || [];
+    // The effective sort order of a query. A snapshot cursor also pins the
+    // primary key as a final tiebreaker (Firestore orders by document ID implicitly).
+    function getOrdering(table, constraints) {
+        const orders = constraints
+            .filter(c => c._type === 'orderBy')
+            .map(c => ({ field: c.field, desc: c.direction === 'desc' }));
+        const pkCol = getPKColumn(table);
+        const usesSnapshot = constraints.some(c => c._type === 'cursor' && isDocSnapshot(c.values[0]));
+        if (usesSnapshot && !orders.some(o => o.field === pkCol)) {
+            orders.push({ field: pkCol, desc: orders.length > 0 && orders[orders.length - 1].desc });
+        }
+        return orders;
+    }
 
-        let q = _client.from(table).select('*');
-
-        for (const c of constraints) {
-            if (c._type === 'where') {
-                const { field, op, value } = c;
-                if      (op === '==')              q = q.eq(field, value);
-                else if (op === '!=')              q = q.neq(field, value);
-                else if (op === '>')               q = q.gt(field, value);
-                else if (op === '>=')              q = q.gte(field, value);
-                else if (op === '<')               q = q.lt(field, value);
-                else if (op === '<=')              q = q.lte(field, value);
-                else if (op === 'in')              q = q.in(field, value);
-                else if (op === 'not-in')          q = q.not(field, 'in', `(${value.join(',')})`);
-                else if (op === 'array-contains')  q = q.contains(field, [value]);
-            } else if (c._type === 'orderBy') {
-                q = q.order(c.field, { ascending: c.direction !== 'desc' });
-            } else if (c._type === 'limit') {
-                q = q.limit(c.value);
-            }
+    function isDocSnapshot(value) {
+        return !!value && typeof value === 'object' && typeof value.data === 'function';
+    }
+
+    // A snapshot cursor becomes the snapshot's values for each ordered column.
+    function resolveCursor(cursor, orders, table) {
+        let values = cursor.values;
+        if (isDocSnapshot(values[0])) {
+            const snapData = values[0].data() || {};
+            const pkCol    = getPKColumn(table);
+            values = orders.map(o => o.field === pkCol ? values[0].id : snapData[toCamel(o.field)]);
         }
+        return { kind: cursor.kind, values: values.slice(0, orders.length) };
+    }
 
-        return q; // thenable: resolves to { data, error }
+    // Reduces a collection/query ref to the backend's select spec.
+    function querySpec(queryOrColRef) {
+        const table       = queryOrColRef._table;
+        const constraints = queryOrColRef._constraints || [];
+        const orders      = getOrdering(table, constraints);
+        const limitOf     = type => {
+            const found = constraints.filter(c => c._type === type);
+            return found.length > 0 ? found[found.length - 1].value : null;
+        };
+        return {
+            filters:     constraints.filter(c => c._type === 'where'),
+            orders,
+            cursors:     constraints.filter(c => c._type === 'cursor').map(c => resolveCursor(c, orders, table)),
+            limit:       limitOf('limit'),
+            limitToLast: limitOf('limitToLast'),
+        };
+    }
+
+    // Runs a collection/query ref and resolves with its raw rows (no snapshot wrap).
+    // Shared by getDocs and the realtime/polling onSnapshot path.
+    function runQuery(queryOrColRef) {
+        const spec = querySpec(queryOrColRef);
+        return callBackend('read', queryOrColRef._table, () => backend.select(queryOrColRef._table, spec), true);
     }
 
     window.getDocs = async function (queryOrColRef) {
-        const { data, error } = await runQuery(queryOrColRef);
-        if (error) throw error;
-        return makeQuerySnap(data || [], queryOrColRef._table);
+        const rows = await runQuery(queryOrColRef);
+        return makeQuerySnap(rows || [], queryOrColRef._table);
     };
 
     // =========================================================
-    // WRITE OPERATIONS
+    // AGGREGATES  (exact counts on the server, no rows transferred)
     // =========================================================
 
-    window.setDoc = async function (ref, data, options) {
-        const pkCol = getPKColumn(ref._table);
-        const row   = toRow(data);
-
-        // Ensure PK column is set correctly
-        if (pkCol === 'id') {
-            row.id = ref._id;
-        } else {
-            row[pkCol] = ref._id;
-            delete row.id;
-        }
-
-        const { error } = await _client
-            .from(ref._table)
-            .upsert(row, { onConflict: pkCol });
-
-        if (error) throw error;
+    window.count = function () {
+        return { _type: 'aggregate', kind: 'count' };
     };
 
-    window.addDoc = async function (colRef, data) {
-        const row = toRow(data);
-        if (!row.id) row.id = crypto.randomUUID();
+    // getAggregateFromServer(query, { total: count() }) → snapshot.data().total
+    window.getAggregateFromServer = async function (queryOrColRef, aggregateSpec) {
+        const spec  = querySpec(queryOrColRef);
+        const total = await callBackend('read', queryOrColRef._table, () => backend.count(queryOrColRef._table, spec), true);
+        const cap   = Math.min(spec.limit ?? Infinity, spec.limitToLast ?? Infinity);
 
-        const { data: inserted, error } = await _client
-            .from(colRef._table)
-            .insert(row)
-            .select()
-            .single();
+        const result = {};
+        for (const [alias, agg] of Object.entries(aggregateSpec || {})) {
+            if (agg?.kind === 'count') result[alias] = Math.min(total || 0, cap);
+        }
+        return { data: () => result };
+    };
 
-        if (error) throw error;
-        return { id: inserted.id };
+    window.getCountFromServer = function (queryOrColRef) {
+        return window.getAggregateFromServer(queryOrColRef, { count: window.count() });
     };
 
-    window.updateDoc = async function (ref, data) {
-        const pkCol   = getPKColumn(ref._table);
-        const raw     = toRow(data);
+    // =========================================================
+    // WRITE OPERATIONS
+    // =========================================================
 
-        // Separate increment fields from plain update fields
+    // toRow() + schema check for a write to ref's row. For 'set' the PK column
+    // is forced from the ref, so a stale id in data can't redirect the write.
+    function toWriteRow(ref, data, mode) {
+        const row = toRow(data) || {};
+        if (mode === 'set') {
+            const pkCol = getPKColumn(ref._table);
+            if (pkCol !== 'id') delete row.id;
+            row[pkCol] = ref._id;
+        }
+        return validateRow(ref._table, row, mode);
+    }
+
+    // Splits increment() sentinels out of a row → { fields, increments: { col: amount } }
+    function splitIncrements(row) {
+        const fields     = {};
         const increments = {};
-        const updates    = {};
-        for (const [col, val] of Object.entries(raw)) {
+        for (const [col, val] of Object.entries(row)) {
             if (val && typeof val === 'object' && val._isIncrement) {
                 increments[col] = val.amount;
             } else {
-                updates[col] = val;
+                fields[col] = val;
             }
         }
+        return { fields, increments };
+    }
+
+    async function setDocDirect(ref, data, options) {
+        const pkCol = getPKColumn(ref._table);
+        const { fields, increments } = splitIncrements(toWriteRow(ref, data, 'set'));
+
+        // An upsert is idempotent, so it may be retried; increments are not.
+        await callBackend('write', ref._table, () => backend.upsert(ref._table, pkCol, fields), true);
+        for (const [col, amount] of Object.entries(increments)) {
+            await callBackend('write', ref._table, () => backend.increment(ref._table, pkCol, ref._id, col, amount));
+        }
+        if ('updated_at' in fields) rememberReadVersion(ref._table, ref._id, fields);
+    }
+
+    // The id is generated here, so nothing needs to be read back after the insert.
+    window.addDoc = async function (colRef, data) {
+        assertWritable('write', colRef._table);
+        const row = toRow(data) || {};
+        if (!row.id) row.id = crypto.randomUUID();
+
+        const valid = validateRow(colRef._table, row, 'insert');
+        await callBackend('write', colRef._table, () => backend.insert(colRef._table, valid));
+        return { id: row.id };
+    };
+
+    async function updateDocDirect(ref, data) {
+        const pkCol = getPKColumn(ref._table);
+        const { fields: updates, increments } = splitIncrements(toWriteRow(ref, data, 'update'));
 
         // Plain field updates
         if (Object.keys(updates).length > 0) {
-            const { error } = await _client
-                .from(ref._table)
-                .update(updates)
-                .eq(pkCol, ref._id);
-            if (error) throw error;
+            await callBackend('write', ref._table, () => backend.update(ref._table, pkCol, ref._id, updates));
         }
 
-        // Atomic increments via PostgreSQL RPC
         for (const [col, amount] of Object.entries(increments)) {
-            const { error } = await _client.rpc('increment_field', {
-                p_table:  ref._table,
-                p_pk_col: pkCol,
-                p_pk_val: ref._id,
-                p_col:    col,
-                p_amount: amount,
-            });
-            if (error) {
-                // Fallback: read → increment → write (non-atomic but safe for low concurrency)
-                const { data: row, error: readErr } = await _client
-                    .from(ref._table).select(col).eq(pkCol, ref._id).single();
-                if (!readErr && row) {
-                    const newVal = (row[col] || 0) + amount;
-                    await _client.from(ref._table).update({ [col]: newVal }).eq(pkCol, ref._id);
+            await callBackend('write', ref._table, () => backend.increment(ref._table, pkCol, ref._id, col, amount));
+        }
+        if ('updated_at' in updates) rememberReadVersion(ref._table, ref._id, updates);
+    }
+
+    async function deleteDocDirect(ref) {
+        await callBackend('delete', ref._table, () => backend.remove(ref._table, getPKColumn(ref._table), ref._id));
+        rememberReadVersion(ref._table, ref._id, null);
+    }
+
+    // =========================================================
+    // OFFLINE WRITE QUEUE  (IndexedDB — replayed in order on reconnect)
+    // setDoc/updateDoc/deleteDoc go through here. While offline (or while
+    // older writes are still waiting) a write is persisted and the promise
+    // resolves with { pending: true } instead of failing.
+    // Every entry records the user who made it and is replayed only while
+    // that user is signed in, so on a shared device a later sign-in never
+    // sends someone else's edits under its own account.
+    // =========================================================
+
+    const OFFLINE_DB_NAME    = 'csm-offline-writes';
+    const OFFLINE_STORE      = 'writes';
+    const OFFLINE_RETRY_MS   = 30000;
+
+    let _offlineDb      = null;   // Promise<IDBDatabase> | null when IndexedDB is unavailable
+    let _pendingWrites  = 0;      // queued writes of the signed-in user
+    let _replay         = null;   // the replay in progress
+    let _replayAgain    = null;   // one more pass, requested while it was running
+
+    function openOfflineDb() {
+        if (!window.indexedDB) return null;
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(OFFLINE_DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(OFFLINE_STORE, { keyPath: 'seq', autoIncrement: true });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror   = () => reject(req.error);
+        });
+    }
+
+    // Runs fn(store) in a transaction and resolves with the IDBRequest result.
+    async function withOfflineStore(mode, fn) {
+        const idb = await _offlineDb;
+        return new Promise((resolve, reject) => {
+            const tx  = idb.transaction(OFFLINE_STORE, mode);
+            const req = fn(tx.objectStore(OFFLINE_STORE));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror    = () => reject(tx.error);
+        });
+    }
+
+    function emitOfflineEvent(name, detail) {
+        window.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+
+    function setPendingWrites(count) {
+        _pendingWrites = count;
+        emitOfflineEvent('offlinequeue:change', { pending: count });
+    }
+
+    function isNetworkError(err) {
+        if (!navigator.onLine) return true;
+        return classifyError(err).kind === 'network';
+    }
+
+    function isAuthError(err) {
+        return classifyError(err).kind === 'auth-expired';
+    }
+
+    async function sessionUid() {
+        const session = await backend.auth.getSession();
+        return session?.user?.id || null;
+    }
+
+    async function queuedWritesOf(uid) {
+        if (!uid) return [];
+        const entries = await withOfflineStore('readonly', store => store.getAll());
+        return entries.filter(entry => entry.uid === uid);
+    }
+
+    async function enqueueWrite(type, ref, data, options) {
+        const op  = type === 'delete' ? 'delete' : 'write';
+        const uid = await sessionUid();
+        if (!uid) {
+            // Nobody could replay it — the write needs the user's RLS context
+            throw new DataError('auth-expired', errorMessage('auth-expired', null, op, ref._table), { table: ref._table, op });
+        }
+        // Resolve serverTimestamp() now so the row records when the user acted, not when it synced
+        const queuedAt = new Date().toISOString();
+        const payload  = {};
+        for (const [k, v] of Object.entries(data || {})) {
+            payload[k] = v && typeof v === 'object' && v._isTimestamp ? queuedAt : v;
+        }
+        // The row's version as this page last read it; null when it was never read
+        const key  = `${ref._table}/${ref._id}`;
+        const base = _readVersions.has(key) ? { updatedAt: _readVersions.get(key) } : null;
+        await withOfflineStore('readwrite', store => store.add({
+            uid, type, table: ref._table, id: ref._id, data: payload, options: options || null, base, queuedAt,
+        }));
+        setPendingWrites(_pendingWrites + 1);
+        return { pending: true };
+    }
+
+    async function writeOrQueue(type, ref, data, options, run) {
+        if (_offlineDb && (!navigator.onLine || _pendingWrites > 0)) {
+            return enqueueWrite(type, ref, data, options);
+        }
+        try {
+            return await run();
+        } catch (err) {
+            if (_offlineDb && isNetworkError(err)) return enqueueWrite(type, ref, data, options);
+            throw err;
+        }
+    }
+
+    // Timestamps from the server and from this device differ in format and precision
+    function sameVersion(a, b) {
+        if (a === null || b === null) return a === b;
+        return new Date(a).getTime() === new Date(b).getTime();
+    }
+
+    // A queued write conflicts when the row no longer has the version the user
+    // saw when they made the edit — the newer server data wins and the write is
+    // dropped. expected is that version, or the one an earlier replayed write
+    // of the same row left behind. Rows never read have nothing to compare.
+    async function hasServerConflict(entry, expected) {
+        if (!entry.base) return false;
+        const row = await callBackend('read', entry.table,
+            () => backend.getRow(entry.table, getPKColumn(entry.table), entry.id), true);
+        return !sameVersion(row ? row.updated_at ?? null : null, expected);
+    }
+
+    async function replayQueuedWrites(entries) {
+        const written = new Map();   // 'table/id' → updated_at left by a write replayed this run
+        for (const entry of entries) {
+            const key      = `${entry.table}/${entry.id}`;
+            const expected = written.has(key) ? written.get(key) : entry.base?.updatedAt ?? null;
+            const ref      = makeDocRef(entry.table, entry.id);
+            try {
+                if (await hasServerConflict(entry, expected)) {
+                    emitOfflineEvent('offlinequeue:conflict', { entry });
+                } else {
+                    if (entry.type === 'set') {
+                        await setDocDirect(ref, entry.data, entry.options);
+                    } else if (entry.type === 'update') {
+                        await updateDocDirect(ref, entry.data);
+                    } else if (entry.type === 'delete') {
+                        await deleteDocDirect(ref);
+                    }
+                    written.set(key, entry.type === 'delete' ? null : toRow(entry.data).updated_at ?? expected);
                 }
+            } catch (err) {
+                // Still offline / signed out: keep this and every later write for the next attempt
+                if (isNetworkError(err) || isAuthError(err)) break;
+                console.error('[supabase.js] Dropping queued write that the server rejected:', entry, err);
+                emitOfflineEvent('offlinequeue:failed', { entry, error: err });
             }
+            await withOfflineStore('readwrite', store => store.delete(entry.seq));
+            setPendingWrites(Math.max(0, _pendingWrites - 1));
         }
+    }
+
+    // Recounts the signed-in user's queue and, when online, sends it. Replay
+    // needs the user's RLS context, so signed out there is nothing to send.
+    // A call made during a pass waits for a fresh one, which sees whoever is
+    // signed in by then.
+    function replayOfflineWrites() {
+        if (!_offlineDb) return Promise.resolve();
+        if (_replay) {
+            _replayAgain = _replayAgain || _replay.then(() => {
+                _replayAgain = null;
+                return replayOfflineWrites();
+            });
+            return _replayAgain;
+        }
+        _replay = (async () => {
+            const entries = await queuedWritesOf(await sessionUid());
+            setPendingWrites(entries.length);
+            if (navigator.onLine) await replayQueuedWrites(entries);
+        })()
+            .catch(err => console.error('[supabase.js] Offline queue replay failed:', err))
+            .finally(() => { _replay = null; });
+        return _replay;
+    }
+
+    try {
+        _offlineDb = openOfflineDb();
+    } catch (err) {
+        _offlineDb = null;
+    }
+    if (_offlineDb) {
+        _offlineDb.then(() => replayOfflineWrites(), err => {
+            console.warn('[supabase.js] IndexedDB unavailable — offline writes disabled.', err);
+            _offlineDb = null;
+        });
+        window.addEventListener('online', replayOfflineWrites);
+        setInterval(() => { if (_pendingWrites > 0) replayOfflineWrites(); }, OFFLINE_RETRY_MS);
+        // Another account has its own queue: count that one and send what it left behind
+        backend.auth.onAuthStateChange(() => { replayOfflineWrites(); });
+    }
+
+    // Invalid data is rejected up front so it never sits in the offline queue.
+    window.setDoc = async function (ref, data, options) {
+        assertWritable('write', ref._table);
+        toWriteRow(ref, data, 'set');
+        return writeOrQueue('set', ref, data, options, () => setDocDirect(ref, data, options));
+    };
+
+    window.updateDoc = async function (ref, data) {
+        assertWritable('write', ref._table);
+        toWriteRow(ref, data, 'update');
+        return writeOrQueue('update', ref, data, null, () => updateDocDirect(ref, data));
     };
 
     window.deleteDoc = async function (ref) {
-        const pkCol = getPKColumn(ref._table);
-        const { error } = await _client
-            .from(ref._table)
-            .delete()
-            .eq(pkCol, ref._id);
-        if (error) throw error;
+        assertWritable('delete', ref._table);
+        return writeOrQueue('delete', ref, null, null, () => deleteDocDirect(ref));
     };
 
+    window.getPendingWriteCount = function () { return _pendingWrites; };
+
+    window.syncPendingWrites = replayOfflineWrites;
+
     // =========================================================
     // REALTIME (replaces onSnapshot)
     // Fires callback immediately with current data, then on changes.
     // Returns an unsubscribe function (matches Firestore behaviour).
+    // Each listener keeps its last result set; postgres_changes payloads are
+    // applied to it directly and snapshot.docChanges() lists what moved.
     // =========================================================
 
     // Polling fallback interval. Supabase Realtime (postgres_changes) delivers
     // changes instantly ONCE the tables are added to the `supabase_realtime`
     // publication (see supabase/enable-realtime.sql). Until/unless that is enabled,
     // this interval guarantees the UI still syncs automatically — no manual refresh.
+    // A listener stops polling once its channel has delivered a payload, and
+    // backends that push every write (pushOnly) never poll.
     const REALTIME_POLL_MS = 10000;
 
+    function sameRow(a, b) {
+        if (a.updated_at !== undefined && b.updated_at !== undefined && a.updated_at !== b.updated_at) return false;
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
     window.onSnapshot = function (ref, callback, errorCallback) {
-        const table  = ref._table;
-        const pkCol  = getPKColumn(table);
-        const isDoc  = ref._type === 'doc';
-        const chanId = `${table}_${Math.random().toString(36).slice(2)}`;
+        const table       = ref._table;
+        const pkCol       = getPKColumn(table);
+        const isDoc       = ref._type === 'doc';
+        const constraints = ref._constraints || [];
+        const orders      = getOrdering(table, constraints);
+        // limit()/cursor queries can't tell from one row whether it enters or
+        // leaves the window, so they re-run the query when a payload arrives.
+        const windowed = constraints.some(c =>
+            c._type === 'limit' || c._type === 'limitToLast' || c._type === 'cursor');
+
+        const rowKey = row => String(row[pkCol] ?? row.id);
+
+        let cache     = new Map();  // pk → raw row, in delivered order
+        let stopped   = false;
+        let pushSeen  = false;      // channel has delivered at least one payload
+        let subscribedOnce = false;  // later SUBSCRIBED events are reconnects
+
+        // Re-orders the cache after a change (server order is kept when there's no orderBy)
+        function orderedRows() {
+            const rows = [...cache.values()];
+            if (orders.length === 0) return rows;
+            return rows.sort(compareRowsBy(orders));
+        }
 
-        let lastSig = null;   // signature of last delivered data
-        let stopped = false;
+        function deliver(changes, prevOrder) {
+            if (isDoc) {
+                callback(makeDocSnap(cache.get(String(ref._id)) || null, table, ref._id));
+                return;
+            }
+            const rows      = orderedRows();
+            const nextOrder = rows.map(rowKey);
+            cache = new Map(rows.map(r => [rowKey(r), r]));
+            const withIndexes = changes.map(c => ({
+                ...c,
+                oldIndex: c.type === 'added'   ? -1 : prevOrder.indexOf(rowKey(c.row)),
+                newIndex: c.type === 'removed' ? -1 : nextOrder.indexOf(rowKey(c.row)),
+            }));
+            callback(makeQuerySnap(rows, table, withIndexes));
+        }
 
-        async function fetchAndCallback(force) {
+        // Full re-read, diffed against the cache. Used for the first result,
+        // polling, resubscribes and windowed queries.
+        async function refetch(force) {
             if (stopped) return;
             try {
+                let rows;
                 if (isDoc) {
-                    const { data, error } = await _client
-                        .from(table).select('*').eq(pkCol, ref._id).maybeSingle();
-                    if (error) throw error;
-                    const sig = JSON.stringify(data || null);
-                    if (!force && sig === lastSig) return; // unchanged → skip re-render
-                    lastSig = sig;
-                    callback(makeDocSnap(data, table, ref._id));
+                    const row = await callBackend('read', table, () => backend.getRow(table, pkCol, ref._id), true);
+                    rows = row ? [row] : [];
                 } else {
-                    const { data, error } = await runQuery(ref);
-                    if (error) throw error;
-                    const rows = data || [];
-                    // Order-independent signature: PostgREST doesn't guarantee row order
-                    // without ORDER BY, so sort by PK before hashing to avoid phantom
-                    // "changes" that would re-render (and disrupt) every poll.
-                    const sorted = [...rows].sort((a, b) =>
-                        String(a[pkCol] ?? a.id ?? '').localeCompare(String(b[pkCol] ?? b.id ?? '')));
-                    const sig = JSON.stringify(sorted);
-                    if (!force && sig === lastSig) return; // unchanged → skip re-render
-                    lastSig = sig;
-                    callback(makeQuerySnap(rows, table));
+                    rows = (await runQuery(ref)) || [];
+                }
+                if (stopped) return;
+
+                const next    = new Map(rows.map(r => [rowKey(r), r]));
+                const changes = [];
+                for (const [key, row] of next) {
+                    const prev = cache.get(key);
+                    if (!prev) changes.push({ type: 'added', row });
+                    else if (!sameRow(prev, row)) changes.push({ type: 'modified', row });
                 }
+                for (const [key, row] of cache) {
+                    if (!next.has(key)) changes.push({ type: 'removed', row });
+                }
+                if (!force && changes.length === 0) return; // unchanged → skip re-render
+
+                const prevOrder = [...cache.keys()];
+                cache = next;
+                deliver(changes, prevOrder);
             } catch (err) {
                 if (errorCallback) errorCallback(err);
                 else console.error('[onSnapshot] fetch error:', err);
             }
         }
 
+        // Applies one postgres_changes payload to the cache without a round trip.
+        function applyPayload(payload) {
+            if (stopped) return;
+            pushSeen = true;
+            if (windowed) { refetch(false); return; }
+
+            const newRow = payload.eventType !== 'DELETE' && payload.new && Object.keys(payload.new).length
+                ? payload.new : null;
+            const oldRow = payload.old && Object.keys(payload.old).length ? payload.old : null;
+            const key    = rowKey(newRow || oldRow || {});
+            if (isDoc && key !== String(ref._id)) return;
+
+            const had     = cache.get(key);
+            const belongs = !!newRow && (isDoc || matchesWhere(newRow, constraints));
+            const prevOrder = [...cache.keys()];
+            let change = null;
+            if (belongs) {
+                cache.set(key, newRow);
+                change = { type: had ? 'modified' : 'added', row: newRow };
+            } else if (had) {
+                cache.delete(key);
+                change = { type: 'removed', row: had };
+            }
+            if (change) deliver([change], prevOrder);
+        }
+
         // Immediate fetch (Firestore behaviour) — always deliver the first result.
-        fetchAndCallback(true);
+        refetch(true);
 
         // 1) Realtime push (instant) when the publication is enabled.
-        const channel = _client.channel(chanId)
-            .on('postgres_changes', { event: '*', schema: 'public', table }, () => fetchAndCallback(false))
-            .subscribe(status => {
+        const unsubscribe = backend.subscribe(table, applyPayload, status => {
+            if (status === 'SUBSCRIBED') {
+                // Catch up on anything missed while the socket was down
+                if (subscribedOnce) refetch(false);
+                subscribedOnce = true;
+            } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+                pushSeen = false;
                 if (status === 'CHANNEL_ERROR' && errorCallback) {
-                    errorCallback(new Error('Realtime channel error'));
+                    errorCallback(new DataError('network', 'Live updates were interrupted. Reconnecting…', { table, op: 'read' }));
                 }
-            });
+            }
+        });
 
-        // 2) Polling fallback (change-detected, so no flicker / no disruption when idle).
-        const pollTimer = setInterval(() => fetchAndCallback(false), REALTIME_POLL_MS);
+        // 2) Polling fallback until push is known to work (change-detected, so no flicker).
+        const pollTimer = backend.pushOnly
+            ? null
+            : setInterval(() => { if (!pushSeen) refetch(false); }, REALTIME_POLL_MS);
 
         return () => {
             stopped = true;
             clearInterval(pollTimer);
-            _client.removeChannel(channel);
+            unsubscribe();
         };
     };
 
     // =========================================================
-    // BATCH WRITES  (sequential — Supabase has no client batch API)
+    // BATCH WRITES  (one transactional RPC — all ops apply or none do)
     // =========================================================
 
+    // Serialises a queued batch op into the shape commit_write_batch() expects.
+    // Mirrors setDoc/updateDoc: PK column forced from the ref, schema-checked, increments split out.
+    function toBatchOp(op) {
+        const table = op.ref._table;
+        const entry = { type: op.type, table, pk_col: getPKColumn(table), pk_val: String(op.ref._id) };
+        if (op.type === 'delete') return entry;
+
+        const { fields, increments } = splitIncrements(toWriteRow(op.ref, op.data, op.type));
+        entry.data       = fields;
+        entry.increments = increments;
+        return entry;
+    }
+
+    // Turns the backend's batch error into a DataError carrying per-operation failures,
+    // classified by the first failing op (its code is the one the batch raised).
+    // err.operations = [{ index, type, table, id, code, message, ref }]
+    function toBatchError(error, ops) {
+        let failures = [];
+        try {
+            const parsed = JSON.parse(error.details || '[]');
+            if (Array.isArray(parsed)) failures = parsed;
+        } catch (_) { /* details was plain text */ }
+
+        const first = failures[0];
+        const err   = classifyError(
+            error.message ? error : { ...error, message: 'Batch write failed' },
+            first?.type === 'delete' ? 'delete' : 'write',
+            first?.table ?? null
+        );
+        err.operations = failures.map(f => ({ ...f, ref: ops[f.index]?.ref || null }));
+        return err;
+    }
+
     class WriteBatch {
         constructor() { this._ops = []; }
 
@@ -518,16 +2344,97 @@
             return this;
         }
         async commit() {
-            for (const op of this._ops) {
-                if      (op.type === 'set')    await window.setDoc(op.ref, op.data, op.options);
-                else if (op.type === 'update') await window.updateDoc(op.ref, op.data);
-                else if (op.type === 'delete') await window.deleteDoc(op.ref);
+            if (this._ops.length === 0) return;
+            this._ops.forEach(op => assertWritable(op.type === 'delete' ? 'delete' : 'write', op.ref._table));
+            const ops = this._ops.map(toBatchOp); // throws SchemaValidationError before anything is sent
+            try {
+                await backend.commitBatch(ops);
+            } catch (error) {
+                throw toBatchError(error, this._ops);
             }
         }
     }
 
     window.writeBatch = function (dbOrClient) { return new WriteBatch(); };
 
+    // =========================================================
+    // TRANSACTIONS  (optimistic concurrency — retried on conflict)
+    // =========================================================
+
+    // SQLSTATE raised by commit_transaction() when a doc read inside the
+    // transaction was changed by someone else before the commit.
+    const _TX_CONFLICT_CODE  = '40001';
+    const _TX_MAX_ATTEMPTS   = 5;
+
+    class Transaction {
+        constructor() {
+            this._reads = new Map();
+            this._ops   = [];
+        }
+
+        async get(ref) {
+            if (this._ops.length > 0) {
+                throw new Error('Transactions require all reads to be executed before all writes.');
+            }
+            const pkCol = getPKColumn(ref._table);
+            const data  = await callBackend('read', ref._table, () => backend.getRow(ref._table, pkCol, ref._id), true);
+
+            // Remember the version we saw; commit_transaction() re-checks it under lock.
+            const hasVersion = !!data && data.updated_at !== undefined;
+            this._reads.set(`${ref._table}/${ref._id}`, {
+                table:   ref._table,
+                pk_col:  pkCol,
+                pk_val:  String(ref._id),
+                exists:  !!data,
+                version: hasVersion ? data.updated_at : null,
+                row:     data && !hasVersion ? data : null,
+            });
+            return makeDocSnap(data, ref._table, ref._id);
+        }
+        set(ref, data, options) {
+            this._ops.push({ type: 'set', ref, data, options });
+            return this;
+        }
+        update(ref, data) {
+            this._ops.push({ type: 'update', ref, data });
+            return this;
+        }
+        delete(ref) {
+            this._ops.push({ type: 'delete', ref });
+            return this;
+        }
+    }
+
+    // runTransaction(db, async tx => { … }, { maxAttempts }) — Firestore-compatible.
+    // updateFunction may run more than once, so it must not have side effects
+    // beyond the transaction itself. Resolves with updateFunction's return value.
+    window.runTransaction = async function (dbOrClient, updateFunction, options) {
+        const maxAttempts = options?.maxAttempts || _TX_MAX_ATTEMPTS;
+
+        for (let attempt = 1; ; attempt++) {
+            const tx     = new Transaction();
+            const result = await updateFunction(tx);
+            if (tx._ops.length === 0) return result;
+            tx._ops.forEach(op => assertWritable(op.type === 'delete' ? 'delete' : 'write', op.ref._table));
+
+            // Sorted so concurrent transactions take their row locks in the same order
+            const reads = [...tx._reads.values()]
+                .sort((a, b) => `${a.table}/${a.pk_val}`.localeCompare(`${b.table}/${b.pk_val}`));
+            const ops = tx._ops.map(toBatchOp);
+            try {
+                await backend.commitTransaction(reads, ops);
+                return result;
+            } catch (error) {
+                if (error.code !== _TX_CONFLICT_CODE || attempt >= maxAttempts) {
+                    throw toBatchError(error, tx._ops);
+                }
+            }
+            // Jittered exponential backoff before re-running updateFunction
+            const delay = 50 * 2 ** attempt + Math.floor(Math.random() * 50);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    };
+
     // =========================================================
     // FIELD VALUE SENTINELS
     // =========================================================
@@ -541,11 +2448,11 @@
     };
 
     // =========================================================
-    // AUTH SHIM  (maps Firebase Auth calls → Supabase Auth)
+    // AUTH SHIM  (maps Firebase Auth calls → backend auth)
     // =========================================================
 
     // Auth shim with currentUser tracking (Firebase compat)
-    window.auth = Object.create(_client.auth);
+    window.auth = Object.create(backend.client ? backend.client.auth : backend.auth);
     window.auth.currentUser = null;
 
     // Maps a Supabase session to a Firebase-user-like object
@@ -555,45 +2462,108 @@
         return {
             uid:         u.id,
             email:       u.email,
+            phoneNumber: u.phone || null,
             isAnonymous: false,
             displayName: u.user_metadata?.display_name || null,
         };
     }
 
-    // Keep currentUser in sync with Supabase session
-    _client.auth.getSession().then(({ data: { session } }) => {
+    // Keep currentUser in sync with the backend session
+    backend.auth.getSession().then(session => {
         window.auth.currentUser = _mapSession(session);
     });
-    _client.auth.onAuthStateChange((_event, session) => {
+    backend.auth.onAuthStateChange(session => {
         window.auth.currentUser = _mapSession(session);
     });
 
-    // onAuthStateChanged(auth, callback) → subscribe + immediate call
+    // onAuthStateChanged(auth, callback) → subscribe + immediate call.
+    // Like Firebase, only a change of user is reported: token refreshes and
+    // MFA / step-up verifications keep the same user and don't re-run portal setup.
     window.onAuthStateChanged = function (authObj, callback) {
+        let lastUid;
+        const report = session => {
+            const user = _mapSession(session);
+            const uid = user ? user.uid : null;
+            if (uid === lastUid) return;
+            lastUid = uid;
+            callback(user);
+        };
+
         // Fire immediately with current session
-        _client.auth.getSession().then(({ data: { session } }) => {
-            callback(_mapSession(session));
-        });
+        backend.auth.getSession().then(report);
 
         // Subscribe to future changes
-        const { data: { subscription } } = _client.auth.onAuthStateChange((_event, session) => {
-            callback(_mapSession(session));
-        });
-
-        return () => subscription.unsubscribe();
+        return backend.auth.onAuthStateChange(report);
     };
 
     // signInWithEmailAndPassword(auth, email, password)
     window.signInWithEmailAndPassword = async function (authObj, email, password) {
-        const { data, error } = await _client.auth.signInWithPassword({ email, password });
-        if (error) throw Object.assign(new Error(error.message), { code: error.status });
-        return { user: _mapSession({ user: data.user }) };
+        const user = await backend.auth.signInWithPassword(email, password);
+        return { user: _mapSession({ user }) };
+    };
+
+    // One-time-code sign-in (parent accounts). Firebase has no email-code
+    // equivalent, so these two take a contact: { email } or { phone } (E.164).
+    // sendSignInCode(auth, contact) → the code is emailed / texted
+    window.sendSignInCode = async function (authObj, contact) {
+        await backend.auth.signInWithOtp(contact);
+    };
+
+    // verifySignInCode(auth, contact, code) → { user } and a signed-in session
+    window.verifySignInCode = async function (authObj, contact, code) {
+        const user = await backend.auth.verifyOtp(contact, code);
+        return { user: _mapSession({ user }) };
+    };
+
+    // sendSignInLinkToEmail(auth, email, { url }) — emails a link that signs the
+    // address in (creating the account if needed) and opens url (staff invitations)
+    window.sendSignInLinkToEmail = async function (authObj, email, actionCodeSettings) {
+        await backend.auth.sendEmailLink(email, actionCodeSettings?.url);
+    };
+
+    // sendPasswordResetEmail(auth, email, { url }) — the link signs in and opens
+    // url, where updatePassword sets the new password
+    window.sendPasswordResetEmail = async function (authObj, email, actionCodeSettings) {
+        await backend.auth.resetPasswordForEmail(email, actionCodeSettings?.url);
+    };
+
+    // updatePassword(user, password) — for the signed-in account
+    window.updatePassword = async function (user, password) {
+        await backend.auth.updatePassword(password);
+    };
+
+    // Two-factor sign-in (TOTP authenticator apps). Firebase's multiFactor API
+    // doesn't map onto Supabase Auth MFA, so these follow the backend interface.
+    // listMfaFactors(auth) → [{ id, status: 'verified' | 'unverified', friendlyName }]
+    window.listMfaFactors = async function (authObj) {
+        return backend.auth.mfa.listFactors();
+    };
+
+    // enrollTotpFactor(auth, friendlyName) → { factorId, qrCode (SVG data URL), secret, uri };
+    // the factor counts once verifyTotpCode() accepts a code from the app
+    window.enrollTotpFactor = async function (authObj, friendlyName) {
+        const { id, ...setup } = await backend.auth.mfa.enroll(friendlyName);
+        return { factorId: id, ...setup };
+    };
+
+    // verifyTotpCode(auth, factorId, code) — also the step-up check before destructive actions
+    window.verifyTotpCode = async function (authObj, factorId, code) {
+        await backend.auth.mfa.verify(factorId, code);
+    };
+
+    window.unenrollMfaFactor = async function (authObj, factorId) {
+        await backend.auth.mfa.unenroll(factorId);
+    };
+
+    // getAuthAssurance(auth) → { currentLevel, nextLevel, lastVerifiedAt }; 'aal1' → 'aal2'
+    // means the account has a factor that this session hasn't verified yet
+    window.getAuthAssurance = async function (authObj) {
+        return backend.auth.mfa.getAssurance();
     };
 
     // signOut(auth)
     window.signOut = async function (authObj) {
-        const { error } = await _client.auth.signOut();
-        if (error) throw error;
+        await backend.auth.signOut();
     };
 
     // signInAnonymously — Supabase anon access is via the anon key without sign-in.
@@ -603,11 +2573,56 @@
     };
 
     // =========================================================
-    // db SHIM  — window.db points to the Supabase client so any
-    // call-site that passes window.db as first arg to doc/collection
-    // still works (the shim ignores that argument).
+    // FUNCTIONS SHIM  (maps Firebase callable functions → backend RPCs)
+    // httpsCallable(getFunctions(), 'verify_student_login')({ p_identifier, … })
+    // resolves to { data } with the function's JSON result as returned.
+    // RPCs count as writes — refused in read-only mode and never retried,
+    // since they may have side effects (e.g. counting a failed login) —
+    // unless listed in READ_ONLY_RPCS.
+    // =========================================================
+
+    const READ_ONLY_RPCS = new Set([
+        'check_in_badge_tokens',
+        'student_portal_data',
+    ]);
+
+    window.getFunctions = function () { return window.db; };
+
+    window.httpsCallable = function (functionsObj, name) {
+        const op = READ_ONLY_RPCS.has(name) ? 'read' : 'write';
+        return async function (params) {
+            if (op === 'write') assertWritable(op, null);
+            const data = await callBackend(op, null, () => backend.rpc(name, params || {}), op === 'read');
+            return { data };
+        };
+    };
+
+    // A table row returned inside an RPC's JSON, as getDoc() would give it
+    window.docDataFromRow = function (collectionName, row) {
+        return fromRow(row, COLLECTION_TO_TABLE[collectionName] || collectionName);
+    };
+
+    // =========================================================
+    // db SHIM  — window.db points to the Supabase client (or the
+    // backend itself when there is no client) so any call-site that
+    // passes window.db as first arg to doc/collection still works
+    // (the shim ignores that argument).
     // =========================================================
-    window.db = _client;
+    window.db = backend.client || backend;
+
+    window.SchemaValidationError = SchemaValidationError;
+    window.DataError             = DataError;
+    window.classifyDataError     = classifyError;
+
+    // Read-only view of the mapping for Node tooling (scripts/migrate-firestore.js)
+    window.shimMapping = Object.freeze({
+        collectionToTable: { ...COLLECTION_TO_TABLE },
+        getPKColumn,
+        columnsOf: table => (SCHEMA[table] ? JSON.parse(JSON.stringify(SCHEMA[table])) : null),
+        toRow,
+        validateRow,
+        SchemaValidationError,
+    });
 
-    console.log('[supabase.js] Client initialised. Firebase shim ready.');
+    console.log(`[supabase.js] ${backend.name || 'custom'} backend initialised. Firebase shim ready.`);
 })();
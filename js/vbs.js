@@ -6,7 +6,11 @@
  */
 
 window.addEventListener('error', (ev) => handleAppError(ev.message, ev.filename, ev.lineno));
-window.addEventListener('unhandledrejection', (ev) => handleAppError(ev.reason?.message || JSON.stringify(ev.reason || 'Unknown error')));
+window.addEventListener('unhandledrejection', (ev) => {
+    // Failed reads/writes aren't crashes — show what went wrong instead of the fatal overlay
+    if (ev.reason?.name === 'DataError') return showDataError('Request failed', ev.reason);
+    handleAppError(ev.reason?.message || JSON.stringify(ev.reason || 'Unknown error'));
+});
 
 const VBS_YEAR_FIXED = '2026';
 const DELETE_CONFIRM_TEXT = 'DELETE';
@@ -39,16 +43,14 @@ function handleAppError(message, filename = '', lineno = '') {
     }
 }
 
-function normalizeRole(role) {
-    return String(role || '').trim().toLowerCase();
-}
-
+// Full access sees every class; class-scoped (faculty) roles are limited to their class.
+// Other roles that open this portal work across classes like an admin.
 function isAdminRole() {
-    return normalizeRole(VBS_STATE.roleData?.role) === 'admin';
+    return hasPermission('manage_all');
 }
 
 function isFacultyRole() {
-    return normalizeRole(VBS_STATE.roleData?.role) === 'faculty';
+    return !hasPermission('manage_all') && hasPermission('manage_class');
 }
 
 function toYmd(dateObj = new Date()) {
@@ -151,7 +153,7 @@ async function createPortal() {
         showSuccess('Portal created', 'VBS turnover portal created for active year.');
     } catch (err) {
         console.error(err);
-        showError('Failed to create portal: ' + err.message);
+        showDataError('Failed to create portal', err);
     }
 }
 
@@ -242,7 +244,7 @@ async function addPortalStudentFromForm() {
         document.getElementById('vbs-portal-student-id').value = '';
     } catch (err) {
         console.error(err);
-        showError('Failed to add portal student: ' + err.message);
+        showDataError('Failed to add portal student', err);
     }
 }
 
@@ -371,7 +373,7 @@ async function editPortalStudent(id) {
         showSuccess('Updated', 'Portal student updated successfully.');
     } catch (err) {
         console.error(err);
-        showError('Failed to update portal student: ' + err.message);
+        showDataError('Failed to update portal student', err);
     }
 }
 
@@ -409,7 +411,7 @@ async function handlePortalRosterClick(e) {
         showSuccess('Deleted', 'Portal student deleted.');
     } catch (err) {
         console.error(err);
-        showError('Failed to delete portal student: ' + err.message);
+        showDataError('Failed to delete portal student', err);
     }
 }
 
@@ -505,16 +507,6 @@ async function confirmTypedDelete(entityLabel) {
     return true;
 }
 
-async function fetchRoleData(uid) {
-    const roleRef = doc(window.db, 'userRoles', uid);
-    const roleSnap = await getDoc(roleRef);
-    if (!roleSnap.exists()) {
-        throw new Error('No role assigned for this user.');
-    }
-
-    return { uid, ...roleSnap.data() };
-}
-
 function setupUiListeners() {
     // Tab switching with vbs-tab-btn and vbs-tab-content classes
     document.querySelectorAll('.vbs-tab-btn').forEach(tab => {
@@ -549,7 +541,7 @@ function setupUiListeners() {
     });
 
     document.getElementById('vbs-back-btn')?.addEventListener('click', () => {
-        window.location.href = isAdminRole() ? 'admin.html' : 'faculty.html';
+        window.location.href = getPortalPage() || 'index.html';
     });
 
     document.getElementById('vbs-attendance-date')?.addEventListener('change', renderAttendanceTable);
@@ -861,7 +853,7 @@ async function handleAttendanceActionClick(e) {
         showSuccess('Deleted', 'Attendance entry deleted.');
     } catch (err) {
         console.error(err);
-        showError('Failed to delete attendance entry: ' + err.message);
+        showDataError('Failed to delete attendance entry', err);
     }
 }
 
@@ -915,7 +907,7 @@ async function editAttendanceEntry(attendanceId) {
         showSuccess('Updated', 'Attendance entry updated successfully.');
     } catch (err) {
         console.error(err);
-        showError('Failed to update attendance entry: ' + err.message);
+        showDataError('Failed to update attendance entry', err);
     }
 }
 
@@ -1029,7 +1021,7 @@ async function quickAddStudentAndMarkNow() {
         showSuccess('Added & Marked', `${result.value.name} added to class ${result.value.classId} and marked ${result.value.status} for ${attendanceDate}.`);
     } catch (err) {
         console.error(err);
-        showError('Failed to add student and mark attendance: ' + err.message);
+        showDataError('Failed to add student and mark attendance', err);
     }
 }
 
@@ -1102,7 +1094,7 @@ async function saveAttendanceForVisibleRows() {
         showSuccess('Attendance Saved', `${updates.length} attendance records saved.`);
     } catch (err) {
         console.error(err);
-        showError('Failed to save attendance: ' + err.message);
+        showDataError('Failed to save attendance', err);
     }
 }
 
@@ -1294,7 +1286,7 @@ async function removeAttendanceByDateRange() {
         showSuccess('Removed', `${entriesToDelete.length} attendance record(s) deleted.`);
     } catch (err) {
         console.error(err);
-        showError('Failed to remove attendance records: ' + err.message);
+        showDataError('Failed to remove attendance records', err);
     }
 }
 
@@ -1778,12 +1770,9 @@ async function generateHundredPercentReport() {
 }
 
 async function initializePortal(user) {
-    const roleData = await fetchRoleData(user.uid);
-    const role = normalizeRole(roleData.role);
-
-    if (role !== 'admin' && role !== 'faculty') {
-        throw new Error('Access denied. VBS portal is only for Admin or Faculty users.');
-    }
+    // Throws unless the role has one of PORTAL_PERMISSIONS['vbs']
+    const roleData = { uid: user.uid, ...(await verifyRoleFromServer(user.uid, 'vbs')) };
+    await ensureSecondFactor({ required: hasPermission(MFA_REQUIRED_PERMISSION) });
 
     VBS_STATE.user = user;
     VBS_STATE.roleData = roleData;
@@ -1804,9 +1793,9 @@ async function initializePortal(user) {
     }
 
     document.getElementById('user-info-email').textContent = user.email || roleData.email || 'unknown';
-    document.getElementById('user-info-role').textContent = role === 'admin'
+    document.getElementById('user-info-role').textContent = isAdminRole()
         ? 'Administrator'
-        : `Faculty - ${roleData.classId || 'Unassigned'}`;
+        : isFacultyRole() ? `${roleData.roleName || 'Faculty'} - ${roleData.classId || 'Unassigned'}` : (roleData.roleName || roleData.role);
 
     localStorage.setItem('currentUser', JSON.stringify({
         uid: user.uid,
@@ -1816,6 +1805,7 @@ async function initializePortal(user) {
     }));
 
     setupUiListeners();
+    startSessionMonitor({ roleKey: roleData.role, uid: user.uid, signOut: logout });
 
     document.getElementById('app-content').classList.remove('is-hidden');
     hideSpinner();
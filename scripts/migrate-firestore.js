@@ -0,0 +1,497 @@
+// scripts/migrate-firestore.js
+/**
+ * Copies the legacy Firestore data into Supabase.
+ *
+ * Every collection mapped in js/supabase.js is read in document-id order,
+ * converted with the shim's own rules (toRow → schema registry), and upserted
+ * into its table in chunks. Re-running is safe: rows are upserted by primary
+ * key, and Firestore auto-ids in UUID columns become deterministic UUIDs.
+ *
+ * Usage:
+ *   SUPABASE_URL=https://xyz.supabase.co SUPABASE_SERVICE_ROLE_KEY=… TZ=Asia/Kolkata \
+ *   node scripts/migrate-firestore.js --service-account firebase_mig/serviceAccountKey.json [options]
+ *
+ * Options:
+ *   --dry-run           compare with Supabase and write a diff report; nothing is written
+ *   --only a,b          only these Firestore collections
+ *   --chunk N           documents per read / upsert (default 200)
+ *   --uid-map FILE      JSON { firebaseUid: supabaseUserId } for user_roles, created_by, …
+ *   --checkpoint FILE   resume state (default firebase_mig/migrate-checkpoint.json)
+ *   --report FILE       dry-run report (default firebase_mig/dry-run-report.json)
+ *   --restart           ignore the checkpoint and start from the first collection
+ *
+ * TZ matters: Firestore Timestamps stored in DATE columns (dob, session dates…)
+ * become the calendar day in the local time zone of this process.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+
+const DEFAULTS = {
+    chunk:      200,
+    checkpoint: path.join(ROOT, 'firebase_mig', 'migrate-checkpoint.json'),
+    report:     path.join(ROOT, 'firebase_mig', 'dry-run-report.json'),
+};
+
+// Parents before children so foreign keys resolve. Mapped collections missing
+// from this list are migrated last, in mapping order.
+const MIGRATION_ORDER = [
+    'academicYears', 'classes', 'appConfig', 'roles', 'userRoles', 'facultyClassAssignments',
+    'students', 'classYearCounters', 'enrollments', 'sessions', 'assessments', 'attendance', 'scores',
+    'earlyAngelEntries', 'earlyAngelDailySummary', 'earlyAngelLeaderboard',
+    'vbs_portal', 'vbsStudents', 'vbsAttendance', 'vbsReports',
+    'announcements', 'homework', 'homeworkSubmissions', 'activityLogs',
+];
+
+// Field names the Firestore app used before the current column names existed
+const LEGACY_ALIASES = {
+    sessions:    { date: 'session_date' },
+    assessments: { date: 'assessment_date' },
+};
+
+// UUID columns that hold the id of another migrated table (converted the same way)
+const UUID_REFERENCES = {
+    assessment_id: 'assessments',
+    homework_id:   'homework',
+};
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_EXAMPLES = 20;
+
+// -----------------
+// 🔁 MAPPING (shared with the browser shim)
+// -----------------
+
+// Runs js/supabase.js (memory backend) in a sandbox and returns window.shimMapping,
+// so the migration can never drift from the mapping the app itself uses.
+function loadShimMapping() {
+    const quiet   = () => {};
+    const sandbox = {
+        console: { log: quiet, info: quiet, warn: quiet, error: quiet },
+        crypto:  crypto.webcrypto,
+        setTimeout, clearTimeout, queueMicrotask,
+        __SUPABASE_CONFIG__: { backend: 'memory' },
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    const file = path.join(ROOT, 'js', 'supabase.js');
+    vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    return sandbox.shimMapping;
+}
+
+// Deterministic UUID (v5 layout) for a Firestore auto-id, so re-runs hit the same row
+function toUuid(namespace, id) {
+    const value = String(id);
+    if (UUID_RE.test(value)) return value.toLowerCase();
+    const hex     = crypto.createHash('sha1').update(`${namespace}/${value}`).digest('hex');
+    const variant = (8 | (parseInt(hex[16], 16) & 3)).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Firestore value types → plain JS (Timestamp → Date, DocumentReference → id, …)
+function fromFirestore(value) {
+    if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (typeof value.path === 'string' && typeof value.id === 'string' && value.firestore) return value.id;
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) return Buffer.from(value).toString('base64');
+    if (Array.isArray(value)) return value.map(fromFirestore);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fromFirestore(v)]));
+}
+
+/**
+ * Converts one Firestore document into a row for its table.
+ * → { table, row, dropped: [field], nulled: [column], error }
+ *   row is null (and error says why) when the document can't be migrated.
+ *   dropped: fields with no column; nulled: user ids missing from the uid map.
+ */
+function convertDoc(mapping, collection, docId, data, uidMap = {}) {
+    const table   = mapping.collectionToTable[collection];
+    const columns = mapping.columnsOf(table);
+    const pkCol   = mapping.getPKColumn(table);
+    const row     = mapping.toRow(fromFirestore(data || {})) || {};
+    const dropped = [];
+    const nulled  = [];
+
+    for (const [legacy, col] of Object.entries(LEGACY_ALIASES[table] || {})) {
+        if (row[legacy] !== undefined && row[col] == null) row[col] = row[legacy];
+        delete row[legacy];
+    }
+    delete row.id;
+    row[pkCol] = docId;
+
+    for (const [col, def] of Object.entries(columns || {})) {
+        const value = row[col];
+        if (value == null || value === '') continue;
+        if (def.type === 'text' && value instanceof Date) {
+            row[col] = value.toISOString();
+        } else if (def.type === 'uuid' && !UUID_RE.test(String(value))) {
+            if (UUID_REFERENCES[col]) {
+                row[col] = toUuid(UUID_REFERENCES[col], value);
+            } else if (col === pkCol && table !== 'user_roles') {
+                row[col] = toUuid(table, value);
+            } else if (uidMap[value]) {
+                row[col] = uidMap[value];
+            } else if (col !== pkCol) {
+                row[col] = null; // an auth user that doesn't exist in Supabase
+                nulled.push(col);
+            }
+        }
+    }
+
+    const validate = () => mapping.validateRow(table, row, 'insert');
+    try {
+        return { table, row: validate(), dropped, nulled, error: null };
+    } catch (err) {
+        if (!(err instanceof mapping.SchemaValidationError)) throw err;
+        for (const e of err.fieldErrors.filter(e => e.type === 'unknown')) {
+            dropped.push(e.field);
+            delete row[e.column];
+        }
+    }
+    try {
+        return { table, row: validate(), dropped, nulled, error: null };
+    } catch (err) {
+        if (!(err instanceof mapping.SchemaValidationError)) throw err;
+        const reason = err.fieldErrors.map(e => `${e.field}: ${e.message}`).join('; ');
+        return { table, row: null, dropped, nulled, error: reason };
+    }
+}
+
+// -----------------
+// 🔍 DRY-RUN DIFF
+// -----------------
+
+function stableJson(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(',')}}`;
+}
+
+function sameValue(a, b) {
+    if (a == null || b == null) return a == null && b == null;
+    if (typeof a === 'string' && typeof b === 'string' && a.length > 10 && b.length > 10
+        && !Number.isNaN(Date.parse(a)) && Date.parse(a) === Date.parse(b)) {
+        return true; // same instant, different timestamp formatting
+    }
+    if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+    return stableJson(a) === stableJson(b);
+}
+
+// Columns the migration would change → { column: { from, to } } (empty when identical)
+function diffRow(next, existing) {
+    const changes = {};
+    for (const [col, value] of Object.entries(next)) {
+        if (!sameValue(value, existing[col])) changes[col] = { from: existing[col] ?? null, to: value };
+    }
+    return changes;
+}
+
+// -----------------
+// 🌐 SUPABASE (PostgREST over fetch, service-role key bypasses RLS)
+// -----------------
+
+function createRestClient(url, key) {
+    const base    = `${url.replace(/\/$/, '')}/rest/v1`;
+    const headers = { apikey: key, Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' };
+    const quote   = v => `"${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+    async function request(method, resource, body, extraHeaders = {}) {
+        const res = await fetch(`${base}/${resource}`, {
+            method,
+            headers: { ...headers, ...extraHeaders },
+            body:    body === undefined ? undefined : JSON.stringify(body),
+        });
+        if (!res.ok) {
+            let detail = {};
+            try { detail = await res.json(); } catch (_) { /* not JSON */ }
+            throw Object.assign(new Error(detail.message || `HTTP ${res.status} ${res.statusText}`), {
+                status: res.status, code: detail.code, details: detail.details, hint: detail.hint,
+            });
+        }
+        return res.status === 201 || res.status === 204 ? null : res.json();
+    }
+
+    return {
+        upsert(table, pkCol, rows) {
+            return request('POST', `${table}?on_conflict=${pkCol}`, rows, {
+                Prefer: 'resolution=merge-duplicates,return=minimal',
+            });
+        },
+        selectByKeys(table, pkCol, keys) {
+            const list = encodeURIComponent(`(${keys.map(quote).join(',')})`);
+            return request('GET', `${table}?select=*&${pkCol}=in.${list}`);
+        },
+    };
+}
+
+function isTransient(err) {
+    return !err.status || err.status >= 500 || err.status === 408 || err.status === 429;
+}
+
+// Upserts and reads are idempotent, so transient failures are retried with backoff
+async function withRetry(run, attempts = 4) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await run();
+        } catch (err) {
+            if (!isTransient(err) || attempt >= attempts) throw err;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500 * 2 ** (attempt - 1)));
+    }
+}
+
+// One PostgREST bulk insert needs the same keys on every row, so rows are grouped
+// by shape. A rejected group is retried row by row to find the bad rows.
+async function upsertRows(rest, table, pkCol, rows) {
+    const groups = new Map();
+    for (const row of rows) {
+        const shape = Object.keys(row).sort().join(',');
+        if (!groups.has(shape)) groups.set(shape, []);
+        groups.get(shape).push(row);
+    }
+
+    const failures = [];
+    for (const group of groups.values()) {
+        try {
+            await withRetry(() => rest.upsert(table, pkCol, group));
+        } catch (err) {
+            if (isTransient(err)) throw err;
+            for (const row of group) {
+                try {
+                    await withRetry(() => rest.upsert(table, pkCol, [row]));
+                } catch (rowErr) {
+                    if (isTransient(rowErr)) throw rowErr;
+                    failures.push({ id: row[pkCol], reason: rowErr.message });
+                }
+            }
+        }
+    }
+    return failures;
+}
+
+// -----------------
+// 📦 CHECKPOINT / REPORT FILES
+// -----------------
+
+function readJson(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return fallback;
+        throw new Error(`Could not read ${file}: ${err.message}`);
+    }
+}
+
+function writeJson(file, value) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+    fs.renameSync(tmp, file); // never leave a half-written checkpoint behind
+}
+
+function emptyStats() {
+    return {
+        done: false, lastDocId: null, read: 0, written: 0, changed: 0, unchanged: 0, skipped: 0, failed: 0,
+        droppedFields: {}, nulledUserIds: {}, problems: [],
+    };
+}
+
+function tally(counts, names) {
+    for (const name of names) counts[name] = (counts[name] || 0) + 1;
+}
+
+// -----------------
+// 🚚 MIGRATION
+// -----------------
+
+function parseArgs(argv) {
+    const opts = { dryRun: false, restart: false, help: false, only: null, ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const arg  = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        if (arg === '--dry-run') opts.dryRun = true;
+        else if (arg === '--restart') opts.restart = true;
+        else if (arg === '--help' || arg === '-h') opts.help = true;
+        else if (arg === '--only') opts.only = next().split(',').map(s => s.trim()).filter(Boolean);
+        else if (arg === '--chunk') opts.chunk = parseInt(next(), 10);
+        else if (arg === '--service-account') opts.serviceAccount = next();
+        else if (arg === '--uid-map') opts.uidMap = next();
+        else if (arg === '--checkpoint') opts.checkpoint = path.resolve(next());
+        else if (arg === '--report') opts.report = path.resolve(next());
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    if (!Number.isInteger(opts.chunk) || opts.chunk < 1 || opts.chunk > 1000) {
+        throw new Error('--chunk must be a whole number between 1 and 1000');
+    }
+    return opts;
+}
+
+function collectionsToMigrate(mapping, only) {
+    const mapped  = Object.keys(mapping.collectionToTable);
+    const ordered = [...MIGRATION_ORDER.filter(c => mapped.includes(c)), ...mapped.filter(c => !MIGRATION_ORDER.includes(c))];
+    if (!only) return ordered;
+    const unknown = only.filter(c => !mapped.includes(c));
+    if (unknown.length) throw new Error(`Not a mapped collection: ${unknown.join(', ')}`);
+    return ordered.filter(c => only.includes(c));
+}
+
+async function* readCollection(firestore, FieldPath, name, chunk, startAfterId) {
+    let last = startAfterId;
+    for (;;) {
+        let q = firestore.collection(name).orderBy(FieldPath.documentId()).limit(chunk);
+        if (last) q = q.startAfter(last);
+        const snap = await withRetry(() => q.get());
+        if (snap.empty) return;
+        yield snap.docs;
+        last = snap.docs[snap.docs.length - 1].id;
+        if (snap.size < chunk) return;
+    }
+}
+
+async function migrateCollection(ctx, collection, stats) {
+    const { mapping, rest, firestore, FieldPath, opts, uidMap } = ctx;
+    const table = mapping.collectionToTable[collection];
+    const pkCol = mapping.getPKColumn(table);
+    if (!mapping.columnsOf(table)) {
+        console.warn(`  ${table} has no schema registry entry — documents are copied without validation.`);
+    }
+    const examples = { new: [], changed: [] };
+
+    for await (const docs of readCollection(firestore, FieldPath, collection, opts.chunk, stats.lastDocId)) {
+        const rows = [];
+        for (const snap of docs) {
+            const result = convertDoc(mapping, collection, snap.id, snap.data(), uidMap);
+            stats.read++;
+            tally(stats.droppedFields, result.dropped);
+            tally(stats.nulledUserIds, result.nulled);
+            if (result.row) {
+                rows.push(result.row);
+            } else {
+                stats.skipped++;
+                stats.problems.push({ id: snap.id, reason: result.error });
+            }
+        }
+
+        if (opts.dryRun) {
+            const keys     = rows.map(r => r[pkCol]);
+            const existing = keys.length ? await withRetry(() => rest.selectByKeys(table, pkCol, keys)) : [];
+            const byKey    = new Map(existing.map(r => [String(r[pkCol]), r]));
+            for (const row of rows) {
+                const current = byKey.get(String(row[pkCol]));
+                if (!current) {
+                    stats.written++;
+                    if (examples.new.length < MAX_EXAMPLES) examples.new.push(row[pkCol]);
+                    continue;
+                }
+                const changes = diffRow(row, current);
+                if (Object.keys(changes).length === 0) {
+                    stats.unchanged++;
+                } else {
+                    stats.changed++;
+                    if (examples.changed.length < MAX_EXAMPLES) examples.changed.push({ id: row[pkCol], changes });
+                }
+            }
+        } else {
+            const failures = rows.length ? await upsertRows(rest, table, pkCol, rows) : [];
+            stats.written += rows.length - failures.length;
+            stats.failed  += failures.length;
+            stats.problems.push(...failures);
+        }
+
+        stats.lastDocId = docs[docs.length - 1].id;
+        if (!opts.dryRun) writeJson(opts.checkpoint, ctx.checkpoint);
+        console.log(`  ${collection}: ${stats.read} read`);
+    }
+
+    stats.done = true;
+    if (!opts.dryRun) writeJson(opts.checkpoint, ctx.checkpoint);
+    return examples;
+}
+
+function printSummary(collections, checkpoint, dryRun) {
+    console.log('');
+    console.log(dryRun ? 'Dry run — nothing was written:' : 'Migration summary:');
+    for (const name of collections) {
+        const s = checkpoint.collections[name];
+        if (!s) continue;
+        const wrote = dryRun ? `${s.written} new, ${s.changed} changed, ${s.unchanged} unchanged` : `${s.written} upserted`;
+        console.log(`  ${name.padEnd(24)} ${s.read} read, ${wrote}, ${s.skipped} skipped, ${s.failed} failed`);
+        const dropped = Object.entries(s.droppedFields);
+        if (dropped.length) console.log(`    dropped fields (no column): ${dropped.map(([f, n]) => `${f}×${n}`).join(', ')}`);
+        const nulled = Object.entries(s.nulledUserIds);
+        if (nulled.length) console.log(`    user ids not in --uid-map (set to null): ${nulled.map(([c, n]) => `${c}×${n}`).join(', ')}`);
+        for (const p of s.problems.slice(0, 5)) console.log(`    ✗ ${p.id}: ${p.reason}`);
+        if (s.problems.length > 5) console.log(`    … ${s.problems.length - 5} more problems`);
+    }
+}
+
+async function main(argv) {
+    const opts = parseArgs(argv);
+    if (opts.help) {
+        const usage = /\/\*\*\n([\s\S]*?)\*\//.exec(fs.readFileSync(__filename, 'utf8'))[1];
+        console.log(usage.replace(/^ \* ?/gm, ''));
+        return;
+    }
+
+    const url = process.env.SUPABASE_URL;
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const serviceAccount = opts.serviceAccount || process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    if (!url || !key) throw new Error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.');
+    if (!serviceAccount) throw new Error('Pass --service-account <file> (or set GOOGLE_APPLICATION_CREDENTIALS).');
+
+    const credentials = readJson(path.resolve(serviceAccount), null);
+    if (!credentials) throw new Error(`Service account file not found: ${serviceAccount}`);
+
+    const admin = require('firebase-admin');
+    admin.initializeApp({ credential: admin.credential.cert(credentials) });
+
+    const mapping     = loadShimMapping();
+    const collections = collectionsToMigrate(mapping, opts.only);
+    const uidMap      = opts.uidMap ? readJson(path.resolve(opts.uidMap), {}) : {};
+    const checkpoint  = opts.dryRun || opts.restart
+        ? { startedAt: new Date().toISOString(), collections: {} }
+        : readJson(opts.checkpoint, { startedAt: new Date().toISOString(), collections: {} });
+
+    const ctx = {
+        mapping, opts, uidMap, checkpoint,
+        rest:      createRestClient(url, key),
+        firestore: admin.firestore(),
+        FieldPath: admin.firestore.FieldPath,
+    };
+
+    console.log(`${opts.dryRun ? 'Dry run' : 'Migrating'}: ${collections.join(', ')}`);
+    const report = {};
+    for (const name of collections) {
+        const stats = checkpoint.collections[name] || (checkpoint.collections[name] = emptyStats());
+        if (stats.done) {
+            console.log(`- ${name}: already done (checkpoint)`);
+            continue;
+        }
+        console.log(`- ${name} → ${mapping.collectionToTable[name]}${stats.lastDocId ? ` (resuming after ${stats.lastDocId})` : ''}`);
+        report[name] = { ...await migrateCollection(ctx, name, stats), stats };
+    }
+
+    printSummary(collections, checkpoint, opts.dryRun);
+    if (opts.dryRun) {
+        writeJson(opts.report, { generatedAt: new Date().toISOString(), collections: report });
+        console.log(`\nDiff report written to ${opts.report}`);
+    } else {
+        console.log(`\nCheckpoint: ${opts.checkpoint} (delete it or pass --restart to run everything again)`);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(err => {
+        console.error(`Migration failed: ${err.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { loadShimMapping, convertDoc, fromFirestore, toUuid, diffRow, parseArgs, collectionsToMigrate };
@@ -0,0 +1,91 @@
+-- Migration: parent-submitted absence excuses
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses IF NOT EXISTS and DROP POLICY IF EXISTS.
+--
+-- A parent reports an upcoming or past absence for a linked child from the
+-- parent portal, with a reason. The child's catechist approves or rejects it
+-- in the faculty portal; the parent sees the decision and any note.
+--
+-- Approving marks the attendance row for that date's session Excused. If the
+-- session is already locked (see add_attendance_lock.sql) the change is filed
+-- as an attendance correction for an admin instead, and if the session has
+-- not been created yet the attendance form starts the child on Excused.
+
+-- =====================================================
+-- TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS absence_excuses (
+    id                   UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id           TEXT NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    class_id             TEXT NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    academic_year_id     TEXT NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+    absence_date         DATE NOT NULL,
+    reason               TEXT NOT NULL CHECK (btrim(reason) <> ''),
+    status               TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    submitted_by         UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    submitted_by_contact TEXT,
+    submitted_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    session_id           TEXT REFERENCES sessions(id) ON DELETE SET NULL,  -- set on approval when the session exists
+    reviewed_by          UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewed_at          TIMESTAMPTZ,
+    review_note          TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_absence_excuses_year_class ON absence_excuses(academic_year_id, class_id);
+CREATE INDEX IF NOT EXISTS idx_absence_excuses_student    ON absence_excuses(student_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_absence_excuses_one_per_day
+    ON absence_excuses(student_id, absence_date) WHERE status <> 'rejected';
+
+-- =====================================================
+-- POLICIES
+-- =====================================================
+
+ALTER TABLE absence_excuses ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "absence_excuses_admin"           ON absence_excuses;
+DROP POLICY IF EXISTS "absence_excuses_read_faculty"    ON absence_excuses;
+DROP POLICY IF EXISTS "absence_excuses_faculty_review"  ON absence_excuses;
+DROP POLICY IF EXISTS "absence_excuses_read_guardian"   ON absence_excuses;
+DROP POLICY IF EXISTS "absence_excuses_guardian_submit" ON absence_excuses;
+DROP POLICY IF EXISTS "absence_excuses_read_all"        ON absence_excuses;
+
+CREATE POLICY "absence_excuses_admin"
+  ON absence_excuses FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE POLICY "absence_excuses_read_faculty"
+  ON absence_excuses FOR SELECT
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "absence_excuses_faculty_review"
+  ON absence_excuses FOR UPDATE
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+              AND status IN ('approved', 'rejected') AND reviewed_by = auth.uid());
+
+CREATE POLICY "absence_excuses_read_guardian"
+  ON absence_excuses FOR SELECT USING (is_guardian_of(student_id));
+
+-- Parents file excuses for a linked child in the child's current class
+CREATE POLICY "absence_excuses_guardian_submit"
+  ON absence_excuses FOR INSERT
+  WITH CHECK (is_guardian_of(student_id) AND academic_year_id = get_active_academic_year_id()
+              AND class_id = current_class_of(student_id)
+              AND status = 'pending' AND submitted_by = auth.uid()
+              AND session_id IS NULL AND reviewed_by IS NULL AND reviewed_at IS NULL);
+
+-- Same as the other <table>_read_all policies in rls.sql
+CREATE POLICY "absence_excuses_read_all"
+  ON absence_excuses FOR SELECT USING (has_permission('view_all'));
+
+-- Push changes to open portals (see enable-realtime.sql)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'absence_excuses'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.absence_excuses;
+    END IF;
+END $$;
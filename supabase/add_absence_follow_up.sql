@@ -0,0 +1,84 @@
+-- Migration: follow-up cases for students who keep missing class
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses IF NOT EXISTS and DROP POLICY IF EXISTS.
+--
+-- The portals flag students from attendance and sessions (three absences in
+-- a row, a falling attendance rate, or a rate below the 75% certificate
+-- threshold) and list them on a follow-up queue. The flags themselves are
+-- worked out in the browser; a row here is written the first time a
+-- catechist logs a contact attempt or closes the case, and keeps:
+--   reasons   [{ "rule": "consecutive", "detail": "Absent the last 3 sessions" }, …]
+--   contacts  [{ "at", "by", "byEmail", "method": "call" | "visit",
+--                "outcome": "reached" | "no-answer" | "left-message", "note" }, …]
+--   outcome   what was found when the case was closed
+-- A student has at most one open case per academic year.
+
+-- =====================================================
+-- TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS absence_cases (
+    id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id       TEXT NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    class_id         TEXT NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    academic_year_id TEXT NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+    status           TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    reasons          JSONB NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(reasons) = 'array'),
+    contacts         JSONB NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(contacts) = 'array'),
+    outcome          TEXT,
+    opened_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    opened_by        UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    closed_at        TIMESTAMPTZ,
+    closed_by        UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT absence_cases_closed CHECK (status = 'open' OR (closed_at IS NOT NULL AND outcome IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_absence_cases_year_class ON absence_cases(academic_year_id, class_id);
+CREATE INDEX IF NOT EXISTS idx_absence_cases_student    ON absence_cases(student_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_absence_cases_one_open
+    ON absence_cases(academic_year_id, student_id) WHERE status = 'open';
+
+-- =====================================================
+-- POLICIES
+-- =====================================================
+
+ALTER TABLE absence_cases ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "absence_cases_admin"          ON absence_cases;
+DROP POLICY IF EXISTS "absence_cases_read_faculty"   ON absence_cases;
+DROP POLICY IF EXISTS "absence_cases_faculty_insert" ON absence_cases;
+DROP POLICY IF EXISTS "absence_cases_faculty_update" ON absence_cases;
+DROP POLICY IF EXISTS "absence_cases_read_all"       ON absence_cases;
+
+CREATE POLICY "absence_cases_admin"
+  ON absence_cases FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE POLICY "absence_cases_read_faculty"
+  ON absence_cases FOR SELECT
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "absence_cases_faculty_insert"
+  ON absence_cases FOR INSERT
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "absence_cases_faculty_update"
+  ON absence_cases FOR UPDATE
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+-- Same as the other <table>_read_all policies in rls.sql
+CREATE POLICY "absence_cases_read_all"
+  ON absence_cases FOR SELECT USING (has_permission('view_all'));
+
+-- Push changes to open portals (see enable-realtime.sql)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'absence_cases'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.absence_cases;
+    END IF;
+END $$;
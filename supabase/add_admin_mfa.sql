@@ -0,0 +1,147 @@
+-- Migration: two-factor sign-in (TOTP) with recovery codes and step-up checks
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses IF NOT EXISTS, CREATE OR REPLACE and DROP POLICY IF EXISTS.
+--
+-- Admins must add an authenticator app (Supabase Auth MFA, TOTP) the first
+-- time they open the admin portal; other staff may add one from their
+-- profile. Once an account has a verified factor, its role's permissions only
+-- count in sessions that have also passed the code check (JWT aal = 'aal2'),
+-- so a stolen password alone no longer opens any staff data.
+--
+-- Each enrolment comes with ten single-use recovery codes, stored here as
+-- SHA-256 hashes. Redeeming one removes the account's factors so it can sign
+-- in with its password and set up a new authenticator.
+--
+-- Restores, year promotions and revoking a role ask for a fresh code (or the
+-- password, for accounts without a factor) first. Role deletions are also
+-- checked here: the session must have been verified in the last 10 minutes.
+--
+-- Dashboard setup (once):
+--   Authentication → Multi-Factor → TOTP: enabled (the default).
+-- An admin who loses both the app and the codes: delete their row from
+-- auth.mfa_factors in the SQL editor, then they enrol again at next sign-in.
+
+-- =====================================================
+-- TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id         UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    uid        UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    code_hash  TEXT NOT NULL,                       -- hex SHA-256 of the code as shown, lower case
+    used_at    TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_uid ON mfa_recovery_codes(uid);
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- Has this session passed the account's second factor, if it has one?
+CREATE OR REPLACE FUNCTION mfa_satisfied()
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2'
+      OR NOT EXISTS (
+        SELECT 1 FROM auth.mfa_factors f
+        WHERE f.user_id = auth.uid() AND f.status = 'verified'
+      );
+$$;
+
+-- Same check as rls.sql, now also requiring mfa_satisfied()
+CREATE OR REPLACE FUNCTION has_permission(p_permission TEXT)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT mfa_satisfied() AND EXISTS (
+    SELECT 1 FROM user_roles ur
+    JOIN roles r ON r.id = ur.role
+    WHERE ur.id = auth.uid() AND r.permissions ? p_permission
+  );
+$$;
+
+-- Did this session sign in or pass a code check in the last p_seconds?
+-- (the JWT's amr claim lists each method with its Unix timestamp)
+CREATE OR REPLACE FUNCTION auth_is_recent(p_seconds INTEGER)
+RETURNS BOOLEAN LANGUAGE sql STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM jsonb_array_elements(COALESCE(auth.jwt() -> 'amr', '[]'::jsonb)) m
+    WHERE (m ->> 'timestamp')::BIGINT > EXTRACT(EPOCH FROM NOW()) - p_seconds
+  );
+$$;
+
+-- Replaces the account's recovery codes with ten new ones and returns them
+-- (the only time they are readable). Needs a session verified with the factor.
+CREATE OR REPLACE FUNCTION generate_mfa_recovery_codes()
+RETURNS TEXT[] LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_codes TEXT[] := '{}';
+    v_hex   TEXT;
+    v_code  TEXT;
+BEGIN
+    IF auth.uid() IS NULL OR COALESCE(auth.jwt() ->> 'aal', 'aal1') <> 'aal2' THEN
+        RAISE EXCEPTION 'Verify your authenticator code first.' USING ERRCODE = '42501';
+    END IF;
+
+    DELETE FROM mfa_recovery_codes WHERE uid = auth.uid();
+    FOR i IN 1..10 LOOP
+        -- The first 12 hex digits of a v4 UUID are random
+        v_hex  := replace(gen_random_uuid()::TEXT, '-', '');
+        v_code := substr(v_hex, 1, 4) || '-' || substr(v_hex, 5, 4) || '-' || substr(v_hex, 9, 4);
+        INSERT INTO mfa_recovery_codes (uid, code_hash)
+        VALUES (auth.uid(), encode(sha256(convert_to(v_code, 'UTF8')), 'hex'));
+        v_codes := v_codes || v_code;
+    END LOOP;
+    RETURN v_codes;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION generate_mfa_recovery_codes() FROM PUBLIC, anon;
+GRANT  EXECUTE ON FUNCTION generate_mfa_recovery_codes() TO authenticated;
+
+-- Uses up one recovery code and removes the account's factors, so the
+-- password session is enough until a new authenticator is added. Returns JSON:
+--   { status: 'ok', remaining } | { status: 'invalid' }
+CREATE OR REPLACE FUNCTION redeem_mfa_recovery_code(p_code TEXT)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_id UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+
+    SELECT id INTO v_id
+      FROM mfa_recovery_codes
+     WHERE uid = auth.uid()
+       AND used_at IS NULL
+       AND code_hash = encode(sha256(convert_to(LOWER(REGEXP_REPLACE(COALESCE(p_code, ''), '\s', '', 'g')), 'UTF8')), 'hex')
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+
+    UPDATE mfa_recovery_codes SET used_at = NOW() WHERE id = v_id;
+    DELETE FROM auth.mfa_factors WHERE user_id = auth.uid();
+
+    RETURN jsonb_build_object('status', 'ok', 'remaining',
+        (SELECT COUNT(*) FROM mfa_recovery_codes WHERE uid = auth.uid() AND used_at IS NULL));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION redeem_mfa_recovery_code(TEXT) FROM PUBLIC, anon;
+GRANT  EXECUTE ON FUNCTION redeem_mfa_recovery_code(TEXT) TO authenticated;
+
+-- =====================================================
+-- POLICIES
+-- =====================================================
+
+-- No policies: only the two functions above read or write the codes
+ALTER TABLE mfa_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "user_roles_delete_recent_auth" ON user_roles;
+
+-- Revoking someone's access needs a step-up check in the last 10 minutes
+CREATE POLICY "user_roles_delete_recent_auth"
+  ON user_roles AS RESTRICTIVE FOR DELETE
+  USING (auth_is_recent(600));
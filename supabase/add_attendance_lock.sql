@@ -0,0 +1,181 @@
+-- Migration: lock attendance after a session, with admin-approved corrections
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses ADD COLUMN IF NOT EXISTS, IF NOT EXISTS, CREATE OR REPLACE
+-- and DROP POLICY IF EXISTS.
+--
+-- A session's attendance locks app_config.attendance_lock_days after its
+-- session_date (default 7; NULL never locks). Set it under Admin Tools →
+-- Attendance Lock. Days are counted in the database's time zone (UTC).
+--
+-- Once locked, faculty can no longer write attendance rows for the session.
+-- The attendance form sends their changes here as correction requests, each
+-- with the status before and after and a reason; an admin approves (which
+-- writes the attendance row) or rejects them. Both are recorded in
+-- activity_logs. Admins can still edit locked sessions directly; staff with
+-- the edit_all permission (add_roles_permissions.sql) are locked out like
+-- faculty.
+
+-- =====================================================
+-- TABLE
+-- =====================================================
+
+ALTER TABLE app_config
+    ADD COLUMN IF NOT EXISTS attendance_lock_days INTEGER DEFAULT 7
+        CHECK (attendance_lock_days IS NULL OR attendance_lock_days BETWEEN 0 AND 365);
+
+CREATE TABLE IF NOT EXISTS attendance_corrections (
+    id                 UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id         TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    student_id         TEXT NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    class_id           TEXT NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    academic_year_id   TEXT NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+    from_status        TEXT CHECK (from_status IN ('Present', 'Absent', 'Late', 'Excused')),  -- NULL: not recorded
+    to_status          TEXT NOT NULL CHECK (to_status IN ('Present', 'Absent', 'Late', 'Excused')),
+    reason             TEXT NOT NULL CHECK (btrim(reason) <> ''),
+    status             TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    requested_by       UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    requested_by_email TEXT,
+    requested_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    reviewed_by        UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewed_at        TIMESTAMPTZ,
+    review_note        TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_year_class ON attendance_corrections(academic_year_id, class_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_status     ON attendance_corrections(status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_corrections_one_pending
+    ON attendance_corrections(session_id, student_id) WHERE status = 'pending';
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION is_session_locked(p_session_id TEXT)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM sessions s, app_config c
+    WHERE s.id = p_session_id
+      AND c.id = 'global'
+      AND c.attendance_lock_days IS NOT NULL
+      AND CURRENT_DATE > s.session_date + c.attendance_lock_days
+  );
+$$;
+
+-- Badge scans for a locked session are refused like any closed session
+CREATE OR REPLACE FUNCTION check_in_badge(p_session_id TEXT, p_student_id TEXT, p_token TEXT, p_status TEXT)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_year     TEXT := get_active_academic_year_id();
+    v_class_id TEXT;
+    v_existing attendance%ROWTYPE;
+BEGIN
+    IF p_status NOT IN ('Present', 'Late') THEN
+        RAISE EXCEPTION 'Check-in status must be Present or Late.' USING ERRCODE = '22023';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM students WHERE student_id = p_student_id)
+       OR p_token IS DISTINCT FROM badge_token(p_student_id) THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+
+    v_class_id := current_class_of(p_student_id);
+    IF v_class_id IS NULL OR NOT (is_admin() OR is_faculty_of_class(v_class_id)) THEN
+        RETURN jsonb_build_object('status', 'other-class');
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM sessions
+        WHERE id = p_session_id AND status = 'Available' AND academic_year_id = v_year
+          AND (is_admin() OR NOT is_session_locked(id))
+    ) THEN
+        RETURN jsonb_build_object('status', 'no-session');
+    END IF;
+
+    INSERT INTO attendance (id, session_id, student_id, status, class_id, academic_year_id)
+    VALUES (p_session_id || '_' || p_student_id, p_session_id, p_student_id, p_status, v_class_id, v_year)
+    ON CONFLICT DO NOTHING;
+
+    IF FOUND THEN
+        RETURN jsonb_build_object('status', 'ok', 'attendance', p_status);
+    END IF;
+
+    SELECT * INTO v_existing FROM attendance
+     WHERE session_id = p_session_id AND student_id = p_student_id;
+    RETURN jsonb_build_object('status', 'duplicate',
+        'attendance', v_existing.status, 'updatedAt', v_existing.updated_at);
+END;
+$$;
+
+-- =====================================================
+-- POLICIES
+-- =====================================================
+
+ALTER TABLE attendance_corrections ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "attendance_faculty_insert"                 ON attendance;
+DROP POLICY IF EXISTS "attendance_faculty_update"                 ON attendance;
+DROP POLICY IF EXISTS "attendance_faculty_delete"                 ON attendance;
+DROP POLICY IF EXISTS "attendance_insert_all"                     ON attendance;
+DROP POLICY IF EXISTS "attendance_update_all"                     ON attendance;
+DROP POLICY IF EXISTS "attendance_corrections_admin"              ON attendance_corrections;
+DROP POLICY IF EXISTS "attendance_corrections_read_faculty"       ON attendance_corrections;
+DROP POLICY IF EXISTS "attendance_corrections_faculty_request"    ON attendance_corrections;
+DROP POLICY IF EXISTS "attendance_corrections_read_all"           ON attendance_corrections;
+
+CREATE POLICY "attendance_faculty_insert"
+  ON attendance FOR INSERT
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+              AND NOT is_session_locked(session_id));
+
+CREATE POLICY "attendance_faculty_update"
+  ON attendance FOR UPDATE
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+          AND NOT is_session_locked(session_id))
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+              AND NOT is_session_locked(session_id));
+
+CREATE POLICY "attendance_faculty_delete"
+  ON attendance FOR DELETE
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+         AND NOT is_session_locked(session_id));
+
+-- The same edit_all pair the permission-matrix block in rls.sql creates, for
+-- databases that haven't re-run rls.sql since
+CREATE POLICY "attendance_insert_all"
+  ON attendance FOR INSERT
+  WITH CHECK (has_permission('edit_all') AND NOT is_session_locked(session_id));
+
+CREATE POLICY "attendance_update_all"
+  ON attendance FOR UPDATE
+  USING (has_permission('edit_all') AND NOT is_session_locked(session_id))
+  WITH CHECK (has_permission('edit_all') AND NOT is_session_locked(session_id));
+
+CREATE POLICY "attendance_corrections_admin"
+  ON attendance_corrections FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE POLICY "attendance_corrections_read_faculty"
+  ON attendance_corrections FOR SELECT
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+-- Faculty file requests for their class; only admins review them
+CREATE POLICY "attendance_corrections_faculty_request"
+  ON attendance_corrections FOR INSERT
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+              AND status = 'pending' AND requested_by = auth.uid()
+              AND reviewed_by IS NULL AND reviewed_at IS NULL);
+
+-- Same as the other <table>_read_all policies in rls.sql
+CREATE POLICY "attendance_corrections_read_all"
+  ON attendance_corrections FOR SELECT USING (has_permission('view_all'));
+
+-- Push changes to open portals (see enable-realtime.sql)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'attendance_corrections'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.attendance_corrections;
+    END IF;
+END $$;
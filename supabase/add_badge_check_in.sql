@@ -0,0 +1,145 @@
+-- Migration: QR badge self check-in for catechism attendance
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses IF NOT EXISTS, ADD COLUMN IF NOT EXISTS, ON CONFLICT and CREATE OR REPLACE.
+--
+-- Each student gets a printable badge whose QR code holds
+--   CSM1:<student_id>:<token>
+-- where the token is an HMAC of the student ID under a secret that never
+-- leaves the database, so a badge cannot be made up from a register number.
+-- Faculty scan badges in the portal's Badge Check-in tab; check_in_badge()
+-- checks the token and writes the attendance row for the chosen session.
+-- A student who already has a row for that session is refused, whether the
+-- row came from an earlier scan or the attendance form.
+--
+-- Present or Late is decided on the scanning device against
+-- app_config.check_in_late_after (local time, HH:MM), set by an admin.
+--
+-- To invalidate every printed badge (e.g. a sheet went missing), give the
+-- secret a new value and reprint:
+--   UPDATE check_in_secret SET secret = encode(extensions.gen_random_bytes(32), 'hex');
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- =====================================================
+-- TABLE
+-- =====================================================
+
+ALTER TABLE app_config
+    ADD COLUMN IF NOT EXISTS check_in_late_after TEXT NOT NULL DEFAULT '09:30'
+        CHECK (check_in_late_after ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$');
+
+-- One row holding the badge signing key
+CREATE TABLE IF NOT EXISTS check_in_secret (
+    id         BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    secret     TEXT NOT NULL DEFAULT encode(extensions.gen_random_bytes(32), 'hex'),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO check_in_secret (id) VALUES (TRUE) ON CONFLICT (id) DO NOTHING;
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- The token printed on a student's badge (first 96 bits of the HMAC)
+CREATE OR REPLACE FUNCTION badge_token(p_student_id TEXT)
+RETURNS TEXT LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT substr(encode(extensions.hmac(p_student_id, secret, 'sha256'), 'hex'), 1, 24)
+  FROM check_in_secret WHERE id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION badge_token(TEXT) FROM PUBLIC, anon, authenticated;
+
+-- The student's class this year: their enrollment, else students.class_id
+-- (plpgsql so schema.sql can create it before rls.sql adds the helpers it calls)
+CREATE OR REPLACE FUNCTION current_class_of(p_student_id TEXT)
+RETURNS TEXT LANGUAGE plpgsql SECURITY DEFINER STABLE AS $$
+BEGIN
+    RETURN COALESCE(
+        (SELECT e.class_id FROM enrollments e
+          WHERE e.student_id = p_student_id
+            AND e.academic_year_id = get_active_academic_year_id()
+            AND e.status = 'active'
+          LIMIT 1),
+        (SELECT s.class_id FROM students s WHERE s.student_id = p_student_id)
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION current_class_of(TEXT) FROM PUBLIC, anon;
+
+-- Badge tokens for printing, as { student_id: token }. Students outside the
+-- caller's classes are left out.
+CREATE OR REPLACE FUNCTION check_in_badge_tokens(p_student_ids TEXT[])
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER STABLE AS $$
+BEGIN
+    RETURN (
+        SELECT COALESCE(jsonb_object_agg(s.student_id, badge_token(s.student_id)), '{}'::jsonb)
+        FROM students s
+        WHERE s.student_id = ANY(p_student_ids)
+          AND (is_admin() OR is_faculty_of_class(current_class_of(s.student_id)))
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_in_badge_tokens(TEXT[]) FROM PUBLIC, anon;
+GRANT  EXECUTE ON FUNCTION check_in_badge_tokens(TEXT[]) TO authenticated;
+
+-- Marks a scanned student Present or Late for a session. Returns JSON:
+--   { status: 'ok', attendance }
+--   { status: 'duplicate', attendance, updatedAt }   -- already marked for this session
+--   { status: 'invalid' }                            -- not a badge this parish issued
+--   { status: 'other-class' }                        -- not one of the caller's classes
+--   { status: 'no-session' }                         -- missing, No Class, or not this year
+CREATE OR REPLACE FUNCTION check_in_badge(p_session_id TEXT, p_student_id TEXT, p_token TEXT, p_status TEXT)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_year     TEXT := get_active_academic_year_id();
+    v_class_id TEXT;
+    v_existing attendance%ROWTYPE;
+BEGIN
+    IF p_status NOT IN ('Present', 'Late') THEN
+        RAISE EXCEPTION 'Check-in status must be Present or Late.' USING ERRCODE = '22023';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM students WHERE student_id = p_student_id)
+       OR p_token IS DISTINCT FROM badge_token(p_student_id) THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+
+    v_class_id := current_class_of(p_student_id);
+    IF v_class_id IS NULL OR NOT (is_admin() OR is_faculty_of_class(v_class_id)) THEN
+        RETURN jsonb_build_object('status', 'other-class');
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM sessions
+        WHERE id = p_session_id AND status = 'Available' AND academic_year_id = v_year
+    ) THEN
+        RETURN jsonb_build_object('status', 'no-session');
+    END IF;
+
+    INSERT INTO attendance (id, session_id, student_id, status, class_id, academic_year_id)
+    VALUES (p_session_id || '_' || p_student_id, p_session_id, p_student_id, p_status, v_class_id, v_year)
+    ON CONFLICT DO NOTHING;
+
+    IF FOUND THEN
+        RETURN jsonb_build_object('status', 'ok', 'attendance', p_status);
+    END IF;
+
+    SELECT * INTO v_existing FROM attendance
+     WHERE session_id = p_session_id AND student_id = p_student_id;
+    RETURN jsonb_build_object('status', 'duplicate',
+        'attendance', v_existing.status, 'updatedAt', v_existing.updated_at);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_in_badge(TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon;
+GRANT  EXECUTE ON FUNCTION check_in_badge(TEXT, TEXT, TEXT, TEXT) TO authenticated;
+
+-- =====================================================
+-- POLICIES
+-- =====================================================
+
+-- No policies: only the functions above read the secret
+ALTER TABLE check_in_secret ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,62 @@
+-- Migration: runTransaction() support (commit_transaction RPC)
+-- Run this in the Supabase SQL editor after add_commit_write_batch.sql.
+-- Safe to re-run: uses CREATE OR REPLACE.
+
+-- Commits a runTransaction() from js/supabase.js with optimistic concurrency.
+-- p_reads lists every doc the transaction read as { table, pk_col, pk_val, exists, version, row }.
+-- Each read is locked (advisory lock, so not-yet-existing rows are covered too) and
+-- re-checked: existence must match and updated_at must equal `version` (tables
+-- without updated_at compare the whole `row`). A mismatch raises SQLSTATE 40001 so
+-- the client retries. Otherwise the writes in p_ops are applied via commit_write_batch,
+-- with updated_at stamped server-side so the next reader sees a fresh version.
+CREATE OR REPLACE FUNCTION commit_transaction(p_reads JSONB, p_ops JSONB) RETURNS JSONB
+LANGUAGE plpgsql SECURITY INVOKER AS $$
+DECLARE
+    v_read    JSONB;
+    v_op      JSONB;
+    v_current JSONB;
+    v_changed BOOLEAN;
+    v_ops     JSONB := '[]'::JSONB;
+BEGIN
+    FOR v_read IN SELECT value FROM jsonb_array_elements(COALESCE(p_reads, '[]'::JSONB)) LOOP
+        PERFORM pg_advisory_xact_lock(hashtext((v_read->>'table') || ':' || (v_read->>'pk_val')));
+
+        EXECUTE format(
+            'SELECT to_jsonb(t) FROM %I t WHERE %I = (jsonb_populate_record(NULL::%I, $1)).%I FOR UPDATE',
+            v_read->>'table', v_read->>'pk_col', v_read->>'table', v_read->>'pk_col'
+        ) INTO v_current USING jsonb_build_object(v_read->>'pk_col', v_read->'pk_val');
+
+        IF (v_current IS NOT NULL) <> (v_read->>'exists')::BOOLEAN THEN
+            v_changed := TRUE;
+        ELSIF v_current IS NULL THEN
+            v_changed := FALSE;
+        ELSIF v_current ? 'updated_at' THEN
+            v_changed := (v_current->>'updated_at')::TIMESTAMPTZ
+                         IS DISTINCT FROM (v_read->>'version')::TIMESTAMPTZ;
+        ELSE
+            v_changed := v_current IS DISTINCT FROM v_read->'row';
+        END IF;
+
+        IF v_changed THEN
+            RAISE EXCEPTION USING
+                ERRCODE = '40001',
+                MESSAGE = format('Transaction conflict: %s/%s changed after it was read',
+                                 v_read->>'table', v_read->>'pk_val');
+        END IF;
+    END LOOP;
+
+    FOR v_op IN SELECT value FROM jsonb_array_elements(COALESCE(p_ops, '[]'::JSONB)) LOOP
+        IF v_op->>'type' IN ('set', 'update') AND EXISTS (
+            SELECT 1 FROM information_schema.columns
+             WHERE table_schema = current_schema()
+               AND table_name   = v_op->>'table'
+               AND column_name  = 'updated_at'
+        ) THEN
+            v_op := jsonb_set(v_op, '{data,updated_at}', to_jsonb(clock_timestamp()));
+        END IF;
+        v_ops := v_ops || jsonb_build_array(v_op);
+    END LOOP;
+
+    RETURN commit_write_batch(v_ops);
+END;
+$$;
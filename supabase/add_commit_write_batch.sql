@@ -0,0 +1,110 @@
+-- Migration: transactional WriteBatch commits (commit_write_batch RPC)
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses CREATE OR REPLACE.
+
+-- Applies a WriteBatch from js/supabase.js as a single transaction.
+-- p_ops is a JSON array of { type, table, pk_col, pk_val, data, increments }.
+-- Every op runs inside its own savepoint so all failures are collected; if any
+-- op fails the whole batch is rolled back and the per-op errors are returned
+-- in the exception DETAIL as a JSON array of { index, type, table, id, code, message }.
+-- An update of a row that doesn't exist fails with P0002 (no_data_found).
+-- SECURITY INVOKER so RLS policies still apply to every row the batch touches.
+CREATE OR REPLACE FUNCTION commit_write_batch(p_ops JSONB) RETURNS JSONB
+LANGUAGE plpgsql SECURITY INVOKER AS $$
+DECLARE
+    v_op     JSONB;
+    v_idx    INTEGER := 0;
+    v_type   TEXT;
+    v_table  TEXT;
+    v_pk_col TEXT;
+    v_key    JSONB;
+    v_data   JSONB;
+    v_cols   TEXT;
+    v_sets   TEXT;
+    v_inc    RECORD;
+    v_found  BOOLEAN;
+    v_errors JSONB := '[]'::JSONB;
+BEGIN
+    IF p_ops IS NULL OR jsonb_typeof(p_ops) <> 'array' THEN
+        RAISE EXCEPTION 'commit_write_batch expects a JSON array of operations';
+    END IF;
+
+    FOR v_op IN SELECT value FROM jsonb_array_elements(p_ops) LOOP
+        v_type   := v_op->>'type';
+        v_table  := v_op->>'table';
+        v_pk_col := v_op->>'pk_col';
+        v_key    := jsonb_build_object(v_pk_col, v_op->'pk_val');
+        v_data   := COALESCE(v_op->'data', '{}'::JSONB);
+
+        BEGIN
+            IF v_type = 'set' THEN
+                SELECT string_agg(format('%I', k), ', '),
+                       string_agg(format('%I = EXCLUDED.%I', k, k), ', ') FILTER (WHERE k <> v_pk_col)
+                  INTO v_cols, v_sets
+                  FROM jsonb_object_keys(v_data || v_key) AS k;
+                EXECUTE format(
+                    'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) ON CONFLICT (%I) DO %s',
+                    v_table, v_cols, v_cols, v_table, v_pk_col,
+                    CASE WHEN v_sets IS NULL THEN 'NOTHING' ELSE 'UPDATE SET ' || v_sets END
+                ) USING v_data || v_key;
+            ELSIF v_type = 'update' THEN
+                -- Like Firestore, updating a document that isn't there is an error
+                EXECUTE format(
+                    'SELECT EXISTS (SELECT 1 FROM %I WHERE %I = (jsonb_populate_record(NULL::%I, $1)).%I)',
+                    v_table, v_pk_col, v_table, v_pk_col
+                ) INTO v_found USING v_key;
+                IF NOT v_found THEN
+                    RAISE EXCEPTION 'No % row to update with % = %', v_table, v_pk_col, v_op->>'pk_val'
+                        USING ERRCODE = 'P0002';
+                END IF;
+                SELECT string_agg(format('%I = r.%I', k, k), ', ')
+                  INTO v_sets
+                  FROM jsonb_object_keys(v_data) AS k;
+                IF v_sets IS NOT NULL THEN
+                    EXECUTE format(
+                        'UPDATE %I SET %s FROM jsonb_populate_record(NULL::%I, $1) AS r WHERE %I.%I = (jsonb_populate_record(NULL::%I, $2)).%I',
+                        v_table, v_sets, v_table, v_table, v_pk_col, v_table, v_pk_col
+                    ) USING v_data, v_key;
+                END IF;
+            ELSIF v_type <> 'delete' THEN
+                RAISE EXCEPTION 'Unknown batch operation type: %', v_type;
+            END IF;
+
+            IF v_type IN ('set', 'update') THEN
+                FOR v_inc IN SELECT key, value FROM jsonb_each(COALESCE(v_op->'increments', '{}'::JSONB)) LOOP
+                    EXECUTE format(
+                        'UPDATE %I SET %I = COALESCE(%I, 0) + $1 WHERE %I = (jsonb_populate_record(NULL::%I, $2)).%I',
+                        v_table, v_inc.key, v_inc.key, v_pk_col, v_table, v_pk_col
+                    ) USING (v_inc.value #>> '{}')::NUMERIC, v_key;
+                END LOOP;
+            ELSE
+                EXECUTE format(
+                    'DELETE FROM %I WHERE %I = (jsonb_populate_record(NULL::%I, $1)).%I',
+                    v_table, v_pk_col, v_table, v_pk_col
+                ) USING v_key;
+            END IF;
+        EXCEPTION WHEN OTHERS THEN
+            v_errors := v_errors || jsonb_build_object(
+                'index',   v_idx,
+                'type',    v_type,
+                'table',   v_table,
+                'id',      v_op->>'pk_val',
+                'code',    SQLSTATE,
+                'message', SQLERRM
+            );
+        END;
+
+        v_idx := v_idx + 1;
+    END LOOP;
+
+    IF jsonb_array_length(v_errors) > 0 THEN
+        RAISE EXCEPTION USING
+            ERRCODE = v_errors->0->>'code',
+            MESSAGE = format('Batch rolled back: %s of %s operations failed (first: %s)',
+                             jsonb_array_length(v_errors), v_idx, v_errors->0->>'message'),
+            DETAIL  = v_errors::TEXT;
+    END IF;
+
+    RETURN jsonb_build_object('committed', v_idx);
+END;
+$$;
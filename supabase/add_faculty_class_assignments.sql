@@ -0,0 +1,190 @@
+-- Migration: faculty assigned to more than one class
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses IF NOT EXISTS, CREATE OR REPLACE, ON CONFLICT DO NOTHING
+-- and DROP POLICY IF EXISTS.
+--
+-- user_roles.class_id holds a single class. faculty_class_assignments links a
+-- faculty account to any number of classes per academic year, each as the
+-- 'primary' teacher or an 'assistant'. The faculty portal shows a class
+-- switcher when there is more than one.
+--
+-- user_roles.class_id is kept as the faculty's primary (default) class and
+-- still counts as an assignment, so accounts set up before this migration
+-- keep working. Existing user_roles.class_id values are copied in for the
+-- active year below.
+--
+-- Every policy that checked `class_id = get_faculty_class_id()` now checks
+-- is_faculty_of_class(class_id), which accepts any assigned class.
+
+-- =====================================================
+-- TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS faculty_class_assignments (
+    id               TEXT PRIMARY KEY,              -- '{academicYearId}_{uid}_{classId}'
+    academic_year_id TEXT NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+    uid              UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    class_id         TEXT NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    assignment_role  TEXT NOT NULL DEFAULT 'primary' CHECK (assignment_role IN ('primary', 'assistant')),
+    email            TEXT,
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (academic_year_id, uid, class_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_faculty_assignments_year_uid   ON faculty_class_assignments(academic_year_id, uid);
+CREATE INDEX IF NOT EXISTS idx_faculty_assignments_year_class ON faculty_class_assignments(academic_year_id, class_id);
+
+-- Current single-class faculty become primary assignments for the active year
+INSERT INTO faculty_class_assignments (id, academic_year_id, uid, class_id, assignment_role, email)
+SELECT ay.id || '_' || ur.id || '_' || ur.class_id, ay.id, ur.id, ur.class_id, 'primary', ur.email
+  FROM user_roles ur
+  JOIN app_config cfg ON cfg.id = 'global'
+  JOIN academic_years ay ON ay.id = cfg.active_academic_year_id
+ WHERE ur.class_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- Is the signed-in faculty assigned to p_class_id (their user_roles class, or
+-- any faculty_class_assignments row for the active year)?
+CREATE OR REPLACE FUNCTION is_faculty_of_class(p_class_id TEXT)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT is_faculty() AND (
+    p_class_id = get_faculty_class_id()
+    OR EXISTS (
+      SELECT 1 FROM faculty_class_assignments fca
+      WHERE fca.uid = auth.uid()
+        AND fca.class_id = p_class_id
+        AND fca.academic_year_id = get_active_academic_year_id()
+    )
+  );
+$$;
+
+-- =====================================================
+-- POLICIES
+-- =====================================================
+
+ALTER TABLE faculty_class_assignments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "faculty_assignments_read"        ON faculty_class_assignments;
+DROP POLICY IF EXISTS "faculty_assignments_admin_write" ON faculty_class_assignments;
+DROP POLICY IF EXISTS "faculty_class_assignments_read_all" ON faculty_class_assignments;
+
+CREATE POLICY "faculty_assignments_read"
+  ON faculty_class_assignments FOR SELECT
+  USING (auth.uid() = uid OR is_admin() OR is_faculty());
+
+CREATE POLICY "faculty_assignments_admin_write"
+  ON faculty_class_assignments FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE POLICY "faculty_class_assignments_read_all"
+  ON faculty_class_assignments FOR SELECT USING (has_permission('view_all'));
+
+-- Class-scoped faculty policies: get_faculty_class_id() → is_faculty_of_class()
+
+DROP POLICY IF EXISTS "students_faculty_write"      ON students;
+DROP POLICY IF EXISTS "students_faculty_update"     ON students;
+DROP POLICY IF EXISTS "enrollments_read_faculty"    ON enrollments;
+DROP POLICY IF EXISTS "assessments_read_faculty"    ON assessments;
+DROP POLICY IF EXISTS "assessments_faculty_write"   ON assessments;
+DROP POLICY IF EXISTS "assessments_faculty_update"  ON assessments;
+DROP POLICY IF EXISTS "assessments_faculty_delete"  ON assessments;
+DROP POLICY IF EXISTS "attendance_read_faculty"     ON attendance;
+DROP POLICY IF EXISTS "attendance_faculty_insert"   ON attendance;
+DROP POLICY IF EXISTS "attendance_faculty_update"   ON attendance;
+DROP POLICY IF EXISTS "attendance_faculty_delete"   ON attendance;
+DROP POLICY IF EXISTS "scores_read_faculty"         ON scores;
+DROP POLICY IF EXISTS "scores_faculty_insert"       ON scores;
+DROP POLICY IF EXISTS "scores_faculty_update"       ON scores;
+DROP POLICY IF EXISTS "vbs_students_read_faculty"   ON vbs_students;
+DROP POLICY IF EXISTS "vbs_students_faculty_write"  ON vbs_students;
+DROP POLICY IF EXISTS "vbs_students_faculty_update" ON vbs_students;
+DROP POLICY IF EXISTS "vbs_students_faculty_delete" ON vbs_students;
+DROP POLICY IF EXISTS "vbs_att_read_faculty"        ON vbs_attendance;
+DROP POLICY IF EXISTS "vbs_att_faculty_write"       ON vbs_attendance;
+DROP POLICY IF EXISTS "vbs_att_faculty_update"      ON vbs_attendance;
+DROP POLICY IF EXISTS "vbs_att_faculty_delete"      ON vbs_attendance;
+
+CREATE POLICY "students_faculty_write"
+  ON students FOR INSERT
+  WITH CHECK (is_faculty_of_class(class_id));
+
+CREATE POLICY "students_faculty_update"
+  ON students FOR UPDATE
+  USING  (is_faculty_of_class(class_id))
+  WITH CHECK (is_faculty_of_class(class_id));
+
+CREATE POLICY "enrollments_read_faculty"
+  ON enrollments FOR SELECT
+  USING (is_faculty_of_class(class_id));
+
+CREATE POLICY "assessments_read_faculty"
+  ON assessments FOR SELECT
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "assessments_faculty_write"
+  ON assessments FOR INSERT
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "assessments_faculty_update"
+  ON assessments FOR UPDATE
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "assessments_faculty_delete"
+  ON assessments FOR DELETE
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "attendance_read_faculty"
+  ON attendance FOR SELECT
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "attendance_faculty_insert"
+  ON attendance FOR INSERT
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "attendance_faculty_update"
+  ON attendance FOR UPDATE
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "attendance_faculty_delete"
+  ON attendance FOR DELETE
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "scores_read_faculty"
+  ON scores FOR SELECT
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "scores_faculty_insert"
+  ON scores FOR INSERT
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "scores_faculty_update"
+  ON scores FOR UPDATE
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "vbs_students_read_faculty"   ON vbs_students FOR SELECT
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+CREATE POLICY "vbs_students_faculty_write"  ON vbs_students FOR INSERT
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+CREATE POLICY "vbs_students_faculty_update" ON vbs_students FOR UPDATE
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+CREATE POLICY "vbs_students_faculty_delete" ON vbs_students FOR DELETE
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "vbs_att_read_faculty"   ON vbs_attendance FOR SELECT
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+CREATE POLICY "vbs_att_faculty_write"  ON vbs_attendance FOR INSERT
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+CREATE POLICY "vbs_att_faculty_update" ON vbs_attendance FOR UPDATE
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+CREATE POLICY "vbs_att_faculty_delete" ON vbs_attendance FOR DELETE
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
@@ -0,0 +1,196 @@
+-- Migration: server-side throttling and lockout for the student login
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses IF NOT EXISTS, CREATE OR REPLACE and DROP POLICY IF EXISTS.
+--
+-- The student portal signs in with a register number (or mobile) plus date of
+-- birth. Birthdays fall in a narrow range, so the check now runs in
+-- verify_student_login() instead of the browser, which counts failures
+--   per student (any register number or mobile that finds them), or per
+--   identifier when it matches no student: 5 failures within 15 minutes;
+--   per client IP address, across every student: 30 failures within
+--   15 minutes (higher, since a parish hall shares one address)
+-- and locks for 15 minutes, doubling with each further lockout (max 24 hours).
+-- The counters are keyed on what the server works out for itself, never on a
+-- value the browser sends, so they can't be reset by the client. A successful
+-- login clears the student's counter but not the address's. Admins can see
+-- and clear locks from Admin Tools → Locked Logins.
+--
+-- Parent sign-in codes are checked by Supabase Auth, which applies its own
+-- limits (Authentication → Rate Limits); failed codes are logged only.
+--
+-- add_student_portal_sessions.sql replaces verify_student_login() so a
+-- successful login also returns a portal token, and drops the *_read_anon
+-- policies, so the check can't be skipped by reading the tables directly.
+--
+-- verify_student_login() also writes each attempt to activity_logs itself.
+-- Earlier versions let the login page insert those rows without an account,
+-- which let anyone forge them; that policy is dropped here. Failed parent
+-- sign-in codes are in Supabase Auth's own audit log.
+
+-- =====================================================
+-- TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS login_throttle (
+    id              TEXT PRIMARY KEY,              -- 'student:<student id>' | 'identifier:<unmatched register no or mobile>' | 'ip:<address>'
+    kind            TEXT NOT NULL CHECK (kind IN ('student', 'identifier', 'ip')),
+    failures        INTEGER NOT NULL DEFAULT 0,
+    first_failed_at TIMESTAMPTZ,
+    last_failed_at  TIMESTAMPTZ,
+    locked_until    TIMESTAMPTZ,
+    lockouts        INTEGER NOT NULL DEFAULT 0,
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_throttle_locked_until ON login_throttle(locked_until);
+
+-- Earlier versions counted per browser-chosen device ID instead of IP address
+DELETE FROM login_throttle WHERE kind NOT IN ('student', 'identifier', 'ip');
+ALTER TABLE login_throttle DROP CONSTRAINT IF EXISTS login_throttle_kind_check;
+ALTER TABLE login_throttle ADD  CONSTRAINT login_throttle_kind_check CHECK (kind IN ('student', 'identifier', 'ip'));
+
+-- =====================================================
+-- FUNCTIONS
+-- =====================================================
+
+-- Counts one failure against p_id and locks it once p_limit is reached
+CREATE OR REPLACE FUNCTION login_throttle_fail(p_id TEXT, p_kind TEXT, p_limit INTEGER)
+RETURNS login_throttle LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_window CONSTANT INTERVAL := INTERVAL '15 minutes';
+    v_row    login_throttle;
+BEGIN
+    INSERT INTO login_throttle (id, kind, failures, first_failed_at, last_failed_at, updated_at)
+    VALUES (p_id, p_kind, 1, NOW(), NOW(), NOW())
+    ON CONFLICT (id) DO UPDATE
+        SET failures        = CASE WHEN login_throttle.first_failed_at < NOW() - v_window
+                                   THEN 1 ELSE login_throttle.failures + 1 END,
+            first_failed_at = CASE WHEN login_throttle.first_failed_at < NOW() - v_window
+                                   THEN NOW() ELSE login_throttle.first_failed_at END,
+            last_failed_at  = NOW(),
+            updated_at      = NOW()
+    RETURNING * INTO v_row;
+
+    IF v_row.failures >= p_limit THEN
+        UPDATE login_throttle
+           SET locked_until = NOW() + LEAST(v_window * POWER(2, lockouts), INTERVAL '24 hours'),
+               lockouts     = lockouts + 1,
+               failures     = 0,
+               updated_at   = NOW()
+         WHERE id = p_id
+        RETURNING * INTO v_row;
+    END IF;
+
+    RETURN v_row;
+END;
+$$;
+
+-- The caller's address as the API gateway reports it: Cloudflare's
+-- CF-Connecting-IP, else the first X-Forwarded-For entry. NULL outside an
+-- HTTP request (e.g. the SQL editor).
+CREATE OR REPLACE FUNCTION login_client_ip()
+RETURNS TEXT LANGUAGE sql STABLE AS $$
+  SELECT NULLIF(TRIM(COALESCE(
+      current_setting('request.headers', true)::json->>'cf-connecting-ip',
+      SPLIT_PART(current_setting('request.headers', true)::json->>'x-forwarded-for', ',', 1)
+  )), '');
+$$;
+
+-- Student login events are written here, not by the login page, so nobody
+-- without an account can add rows to activity_logs
+CREATE OR REPLACE FUNCTION log_student_login_event(p_action TEXT, p_details JSONB)
+RETURNS VOID LANGUAGE sql SECURITY DEFINER AS $$
+  INSERT INTO activity_logs (action, details, user_email) VALUES (p_action, p_details, 'student');
+$$;
+
+DROP FUNCTION IF EXISTS verify_student_login(TEXT, DATE, TEXT);  -- took a client device ID
+
+-- Student login check. Returns JSON:
+--   { status: 'ok', student_id }
+--   { status: 'invalid', attempts_left }     (never says which field was wrong)
+--   { status: 'locked', retry_after_seconds }
+CREATE OR REPLACE FUNCTION verify_student_login(p_identifier TEXT, p_dob DATE)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_identifier TEXT := LOWER(TRIM(COALESCE(p_identifier, '')));
+    v_ip         TEXT := login_client_ip();
+    v_key        TEXT;
+    v_student_id TEXT;
+    v_row        login_throttle;
+    v_ip_row     login_throttle;
+    v_until      TIMESTAMPTZ;
+BEGIN
+    IF v_identifier = '' OR p_dob IS NULL THEN
+        RETURN jsonb_build_object('status', 'invalid', 'attempts_left', NULL);
+    END IF;
+
+    IF v_identifier ~ '^[0-9]{1,9}$' THEN
+        SELECT e.student_id INTO v_student_id
+          FROM enrollments e
+         WHERE e.academic_year_id = get_active_academic_year_id()
+           AND e.register_no = v_identifier::INTEGER
+         LIMIT 1;
+    END IF;
+    IF v_student_id IS NULL THEN
+        SELECT s.student_id INTO v_student_id
+          FROM students s WHERE s.phone = TRIM(p_identifier) LIMIT 1;
+    END IF;
+
+    -- One counter per student, however the register number or mobile is
+    -- written ('0701', '701'); identifiers that match no one get their own
+    v_key := CASE WHEN v_student_id IS NOT NULL THEN 'student:' || v_student_id
+                  ELSE 'identifier:' || v_identifier END;
+
+    -- Either the student's or the network's lock stops the attempt
+    SELECT MAX(locked_until) INTO v_until FROM login_throttle
+     WHERE id IN (v_key, 'ip:' || v_ip) AND locked_until > NOW();
+    IF v_until IS NOT NULL THEN
+        PERFORM log_student_login_event('student_login_locked', jsonb_build_object(
+            'identifier', p_identifier, 'ip', v_ip,
+            'retryAfterSeconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW()))));
+        RETURN jsonb_build_object('status', 'locked',
+            'retry_after_seconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW())));
+    END IF;
+
+    IF v_student_id IS NOT NULL
+       AND EXISTS (SELECT 1 FROM students WHERE student_id = v_student_id AND dob = p_dob) THEN
+        -- The network's counter is left alone, so a working login can't buy more guesses
+        DELETE FROM login_throttle WHERE id = v_key;
+        PERFORM log_student_login_event('student_login', jsonb_build_object('studentId', v_student_id, 'ip', v_ip));
+        RETURN jsonb_build_object('status', 'ok', 'student_id', v_student_id);
+    END IF;
+
+    v_row := login_throttle_fail(v_key, CASE WHEN v_student_id IS NOT NULL THEN 'student' ELSE 'identifier' END, 5);
+    IF v_ip IS NOT NULL THEN
+        v_ip_row := login_throttle_fail('ip:' || v_ip, 'ip', 30);
+    END IF;
+    v_until := GREATEST(v_row.locked_until, v_ip_row.locked_until);
+    IF v_until > NOW() THEN
+        PERFORM log_student_login_event('student_login_locked', jsonb_build_object(
+            'identifier', p_identifier, 'ip', v_ip,
+            'retryAfterSeconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW()))));
+        RETURN jsonb_build_object('status', 'locked',
+            'retry_after_seconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW())));
+    END IF;
+    PERFORM log_student_login_event('student_login_failed', jsonb_build_object(
+        'identifier', p_identifier, 'ip', v_ip, 'attemptsLeft', 5 - v_row.failures));
+    RETURN jsonb_build_object('status', 'invalid', 'attempts_left', 5 - v_row.failures);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION login_throttle_fail(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION log_student_login_event(TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION verify_student_login(TEXT, DATE) TO anon, authenticated;
+
+-- =====================================================
+-- POLICIES
+-- =====================================================
+
+ALTER TABLE login_throttle ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "login_throttle_admin"            ON login_throttle;
+DROP POLICY IF EXISTS "activity_logs_anon_login_events" ON activity_logs;
+
+CREATE POLICY "login_throttle_admin"
+  ON login_throttle FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
@@ -0,0 +1,139 @@
+-- Migration: parent accounts (one-time-code sign-in) linked to students
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses IF NOT EXISTS, CREATE OR REPLACE and DROP POLICY IF EXISTS.
+--
+-- Parents used to "sign in" with a student ID and date of birth, which only
+-- checked two values anyone with the anon key could read. Parents now sign in
+-- through Supabase Auth with an email or SMS one-time code (enable the Email
+-- and Phone providers under Authentication → Providers). An admin links each
+-- child to the guardian's email and/or phone in guardian_links; a signed-in
+-- account can read a student's records only when one of its *confirmed*
+-- contacts matches a link for that student.
+--
+-- Any email or phone can now get a (parent) account, so "any signed-in
+-- account" no longer means staff: user_roles and class_year_counters reads
+-- are narrowed to staff (and a user's own role row).
+--
+-- The student portal's *_read_anon policies are dropped by
+-- add_student_portal_sessions.sql, which moves its reads to a function scoped
+-- to the signed-in student.
+
+-- =====================================================
+-- TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS guardian_links (
+    id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id   TEXT NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    email        TEXT,
+    phone        TEXT,
+    relationship TEXT,
+    created_by   UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT guardian_links_contact CHECK (email IS NOT NULL OR phone IS NOT NULL)
+);
+
+-- Phone numbers are compared as digits only, with a leading 0 dropped and
+-- 91 (India) assumed for bare 10-digit numbers — the same form Supabase Auth
+-- stores for a verified phone ("919876543210").
+CREATE OR REPLACE FUNCTION normalize_phone(p_phone TEXT)
+RETURNS TEXT LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE
+           WHEN d = ''          THEN NULL
+           WHEN LENGTH(d) = 10  THEN '91' || d
+           ELSE d
+         END
+  FROM (SELECT LTRIM(REGEXP_REPLACE(COALESCE(p_phone, ''), '\D', '', 'g'), '0') AS d) s;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_guardian_links_student ON guardian_links(student_id);
+CREATE INDEX IF NOT EXISTS idx_guardian_links_email   ON guardian_links(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_guardian_links_phone   ON guardian_links(normalize_phone(phone));
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- Links whose email or phone matches a confirmed contact of the signed-in account
+CREATE OR REPLACE FUNCTION my_guardian_links()
+RETURNS SETOF guardian_links LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT gl.*
+  FROM guardian_links gl
+  JOIN auth.users u ON u.id = auth.uid()
+  WHERE (u.email_confirmed_at IS NOT NULL AND gl.email IS NOT NULL
+         AND LOWER(gl.email) = LOWER(u.email))
+     OR (u.phone_confirmed_at IS NOT NULL AND gl.phone IS NOT NULL
+         AND normalize_phone(gl.phone) = normalize_phone(u.phone));
+$$;
+
+CREATE OR REPLACE FUNCTION is_guardian_of(p_student_id TEXT)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT EXISTS (SELECT 1 FROM my_guardian_links() WHERE student_id = p_student_id);
+$$;
+
+-- A linked child is enrolled in this academic year (and class, when given)
+CREATE OR REPLACE FUNCTION is_guardian_in(p_academic_year_id TEXT, p_class_id TEXT DEFAULT NULL)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM enrollments e
+    WHERE e.student_id IN (SELECT student_id FROM my_guardian_links())
+      AND e.academic_year_id = p_academic_year_id
+      AND (p_class_id IS NULL OR e.class_id = p_class_id)
+  );
+$$;
+
+-- =====================================================
+-- POLICIES
+-- =====================================================
+
+ALTER TABLE guardian_links ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "guardian_links_read_staff"        ON guardian_links;
+DROP POLICY IF EXISTS "guardian_links_read_own"          ON guardian_links;
+DROP POLICY IF EXISTS "guardian_links_admin_write"       ON guardian_links;
+DROP POLICY IF EXISTS "students_read_guardian"           ON students;
+DROP POLICY IF EXISTS "enrollments_read_guardian"        ON enrollments;
+DROP POLICY IF EXISTS "sessions_read_guardian"           ON sessions;
+DROP POLICY IF EXISTS "assessments_read_guardian"        ON assessments;
+DROP POLICY IF EXISTS "attendance_read_guardian"         ON attendance;
+DROP POLICY IF EXISTS "scores_read_guardian"             ON scores;
+
+DROP POLICY IF EXISTS "user_roles_read"                  ON user_roles;
+DROP POLICY IF EXISTS "counters_read"                    ON class_year_counters;
+
+CREATE POLICY "user_roles_read"
+  ON user_roles FOR SELECT
+  USING (auth.uid() = id OR is_admin() OR is_faculty());
+
+CREATE POLICY "counters_read"
+  ON class_year_counters FOR SELECT
+  USING (is_admin() OR is_faculty());
+
+CREATE POLICY "guardian_links_read_staff"
+  ON guardian_links FOR SELECT USING (is_admin() OR is_faculty());
+
+CREATE POLICY "guardian_links_read_own"
+  ON guardian_links FOR SELECT
+  USING (id IN (SELECT id FROM my_guardian_links()));
+
+CREATE POLICY "guardian_links_admin_write"
+  ON guardian_links FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE POLICY "students_read_guardian"
+  ON students FOR SELECT USING (is_guardian_of(student_id));
+
+CREATE POLICY "enrollments_read_guardian"
+  ON enrollments FOR SELECT USING (is_guardian_of(student_id));
+
+CREATE POLICY "sessions_read_guardian"
+  ON sessions FOR SELECT USING (is_guardian_in(academic_year_id));
+
+CREATE POLICY "assessments_read_guardian"
+  ON assessments FOR SELECT USING (is_guardian_in(academic_year_id, class_id));
+
+CREATE POLICY "attendance_read_guardian"
+  ON attendance FOR SELECT USING (is_guardian_of(student_id));
+
+CREATE POLICY "scores_read_guardian"
+  ON scores FOR SELECT USING (is_guardian_of(student_id));
@@ -0,0 +1,114 @@
+-- Migration: custom roles with a permission matrix
+-- Run this in the Supabase SQL editor (CLI is not linked to this project),
+-- then re-run rls.sql.
+-- Safe to re-run: uses IF NOT EXISTS, ON CONFLICT DO NOTHING and drops
+-- policies/constraints before recreating them.
+--
+-- Partly superseded by rls.sql, which holds the one definition of
+-- has_permission() (with the second-factor check from add_admin_mfa.sql) and
+-- of the permission-matrix policies. This file only creates has_permission()
+-- where it doesn't exist yet, so re-running it can't switch that check off.
+--
+-- user_roles.role used to be 'admin' or 'faculty'. It now names a row in
+-- `roles`, whose permissions list says what the role may do:
+--   manage_all          everything (what 'admin' could do)         → is_admin()
+--   manage_class        faculty access to their assigned class      → is_faculty()
+--   view_all            read every class and record
+--   edit_all            add and edit records for every class (not delete; pair with view_all)
+--   manage_vbs          VBS portal and its tables
+--   manage_early_angel  Early Angel portal and its tables (+ read students)
+-- has_permission() is the one check: is_admin() and is_faculty() are now
+-- wrappers around it, so every existing policy follows the matrix. The portals
+-- use the same list through hasPermission() in js/common.js.
+--
+-- The built-in admin and faculty roles keep their old meaning; coordinator,
+-- VBS volunteer and Early Angel helper roles are added as starting points and
+-- can be changed under Admin Tools → Roles & Permissions.
+
+-- =====================================================
+-- TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS roles (
+    id          TEXT PRIMARY KEY,                  -- 'admin', 'faculty', 'coordinator', …
+    name        TEXT NOT NULL,
+    description TEXT,
+    permissions JSONB NOT NULL DEFAULT '[]'
+                    CHECK (jsonb_typeof(permissions) = 'array'
+                           AND permissions <@ '["manage_all", "view_all", "edit_all", "manage_class", "manage_vbs", "manage_early_angel"]'::jsonb),
+    is_system   BOOLEAN NOT NULL DEFAULT FALSE,    -- built-in roles can't be deleted
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO roles (id, name, description, permissions, is_system) VALUES
+    ('admin',              'Administrator',     'Full access to every portal and setting', '["manage_all"]', TRUE),
+    ('faculty',            'Faculty',           'Teaches one class',                       '["manage_class"]', TRUE),
+    ('coordinator',        'Coordinator',       'Sees and edits everything, cannot delete', '["view_all", "edit_all"]', FALSE),
+    ('vbs_volunteer',      'VBS Volunteer',     'VBS portal only',                         '["manage_vbs"]', FALSE),
+    ('early_angel_helper', 'Early Angel Helper', 'Early Angel desk only',                  '["manage_early_angel"]', FALSE)
+ON CONFLICT (id) DO NOTHING;
+
+-- user_roles.role: fixed list → reference to roles
+ALTER TABLE user_roles DROP CONSTRAINT IF EXISTS user_roles_role_check;
+ALTER TABLE user_roles DROP CONSTRAINT IF EXISTS user_roles_role_fkey;
+ALTER TABLE user_roles ADD CONSTRAINT user_roles_role_fkey
+    FOREIGN KEY (role) REFERENCES roles(id) ON UPDATE CASCADE;
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- Only if missing: rls.sql defines the current version
+DO $$
+BEGIN
+    IF to_regprocedure('has_permission(text)') IS NULL THEN
+        CREATE FUNCTION has_permission(p_permission TEXT)
+        RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $fn$
+          SELECT EXISTS (
+            SELECT 1 FROM user_roles ur
+            JOIN roles r ON r.id = ur.role
+            WHERE ur.id = auth.uid() AND r.permissions ? p_permission
+          );
+        $fn$;
+    END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION is_admin()
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT has_permission('manage_all');
+$$;
+
+CREATE OR REPLACE FUNCTION is_faculty()
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT has_permission('manage_class');
+$$;
+
+CREATE OR REPLACE FUNCTION get_faculty_class_id()
+RETURNS TEXT LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT class_id FROM user_roles
+  WHERE id = auth.uid() AND has_permission('manage_class')
+  LIMIT 1;
+$$;
+
+-- =====================================================
+-- POLICIES
+-- =====================================================
+
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "roles_read"        ON roles;
+DROP POLICY IF EXISTS "roles_admin_write" ON roles;
+
+-- Every signed-in account reads the matrix to find its own permissions
+CREATE POLICY "roles_read"
+  ON roles FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "roles_admin_write"
+  ON roles FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+-- The per-table policies for the new permissions (<table>_read_all,
+-- <table>_insert_all, <table>_vbs_team, …) are created by the
+-- permission-matrix block at the end of rls.sql; re-run it after this file.
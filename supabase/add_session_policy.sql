@@ -0,0 +1,21 @@
+-- Migration: session expiry settings (idle timeout and maximum session age)
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses ADD COLUMN IF NOT EXISTS.
+--
+-- Every portal now signs out after a stretch without activity (warning first)
+-- and once a sign-in reaches its role's maximum age. Admins set both under
+-- Admin Tools → Sign-in Sessions; the page stores them here as JSON:
+--   { "idleMinutes": 30, "warningSeconds": 60,
+--     "maxAgeHours": { "admin": 12, "staff": 24, "student": 4, "parent": 168 } }
+-- Missing keys fall back to those defaults ('staff' covers roles without
+-- their own entry), so an empty object is valid.
+--
+-- The limits are enforced by the portals. Supabase Auth's own refresh-token
+-- settings (Authentication → Sessions) still apply on top of them.
+--
+-- app_config's existing policies already cover the column: anyone reads it
+-- (the student portal needs the limits before sign-in), only admins write.
+
+ALTER TABLE app_config
+    ADD COLUMN IF NOT EXISTS session_policy JSONB NOT NULL DEFAULT '{}'
+        CHECK (jsonb_typeof(session_policy) = 'object');
@@ -0,0 +1,161 @@
+-- Migration: invite catechists by email; set-password and forgot-password links
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses IF NOT EXISTS, CREATE OR REPLACE and DROP POLICY IF EXISTS.
+--
+-- Admins invite staff from Admin Tools → Manage User Roles with the role and
+-- classes already chosen. The invitee gets a sign-in link (Supabase Auth
+-- creates the account) that opens set-password.html?invite=<token>; the page
+-- calls accept_staff_invitation() to create their user_roles row and class
+-- assignments, then asks for a password. onboarding_completed starts FALSE,
+-- so the faculty onboarding runs on their first visit to the portal.
+--
+-- The login page's "Forgot password?" link uses Supabase Auth's recovery email,
+-- which also lands on set-password.html (?mode=reset). Nothing is stored here.
+--
+-- Dashboard setup (once):
+--   Authentication → URL Configuration → Redirect URLs: add <site>/set-password.html
+--   Authentication → SMTP Settings: the built-in sender only allows a few
+--   emails an hour, so configure the parish mail account before inviting.
+--
+-- Staff can no longer create their own user_roles row: the old
+-- user_roles_faculty_self_insert / _self_update policies let any signed-in
+-- account insert itself as faculty. Accounts may now only update their own
+-- row, and never its role or class.
+
+-- =====================================================
+-- TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS staff_invitations (
+    id                UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token             TEXT NOT NULL UNIQUE,
+    email             TEXT NOT NULL,
+    role              TEXT NOT NULL REFERENCES roles(id) ON UPDATE CASCADE,
+    class_assignments JSONB NOT NULL DEFAULT '[]'     -- [{ "classId": "7", "assignmentRole": "primary" }, …]
+                          CHECK (jsonb_typeof(class_assignments) = 'array'),
+    academic_year_id  TEXT REFERENCES academic_years(id) ON DELETE SET NULL,
+    status            TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+    invited_by        UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    expires_at        TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '7 days',
+    accepted_uid      UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    accepted_at       TIMESTAMPTZ,
+    created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_invitations_email  ON staff_invitations(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_staff_invitations_status ON staff_invitations(status);
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- Turns a pending invitation into the signed-in account's user_roles row and
+-- class assignments. The token must belong to the account's confirmed email
+-- (following the emailed link confirms it). Returns JSON:
+--   { status: 'ok', role } | { status: 'invalid' } | { status: 'expired' }
+CREATE OR REPLACE FUNCTION accept_staff_invitation(p_token TEXT)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_email   TEXT;
+    v_invite  staff_invitations;
+    v_item    JSONB;
+    v_primary TEXT;
+BEGIN
+    SELECT LOWER(u.email) INTO v_email
+      FROM auth.users u
+     WHERE u.id = auth.uid() AND u.email_confirmed_at IS NOT NULL;
+
+    IF v_email IS NULL OR COALESCE(p_token, '') = '' THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+
+    SELECT * INTO v_invite
+      FROM staff_invitations
+     WHERE token = p_token AND LOWER(email) = v_email AND status <> 'revoked'
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+    IF v_invite.status = 'accepted' THEN
+        -- The same person opening their link again (e.g. reloading the page) is fine
+        IF v_invite.accepted_uid = auth.uid() THEN
+            RETURN jsonb_build_object('status', 'ok', 'role', v_invite.role);
+        END IF;
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+    IF v_invite.expires_at < NOW() THEN
+        RETURN jsonb_build_object('status', 'expired');
+    END IF;
+
+    SELECT item ->> 'classId' INTO v_primary
+      FROM jsonb_array_elements(v_invite.class_assignments) item
+     WHERE COALESCE(item ->> 'assignmentRole', 'primary') = 'primary'
+     LIMIT 1;
+
+    INSERT INTO user_roles (id, role, class_id, email, onboarding_completed)
+    VALUES (auth.uid(), v_invite.role, v_primary, v_email, FALSE)
+    ON CONFLICT (id) DO UPDATE
+        SET role       = EXCLUDED.role,
+            class_id   = COALESCE(EXCLUDED.class_id, user_roles.class_id),
+            email      = EXCLUDED.email,
+            updated_at = NOW();
+
+    IF v_invite.academic_year_id IS NOT NULL THEN
+        FOR v_item IN SELECT * FROM jsonb_array_elements(v_invite.class_assignments) LOOP
+            INSERT INTO faculty_class_assignments (id, academic_year_id, uid, class_id, assignment_role, email)
+            VALUES (v_invite.academic_year_id || '_' || auth.uid() || '_' || (v_item ->> 'classId'),
+                    v_invite.academic_year_id, auth.uid(), v_item ->> 'classId',
+                    COALESCE(v_item ->> 'assignmentRole', 'primary'), v_email)
+            ON CONFLICT (academic_year_id, uid, class_id) DO UPDATE
+                SET assignment_role = EXCLUDED.assignment_role,
+                    updated_at      = NOW();
+        END LOOP;
+    END IF;
+
+    UPDATE staff_invitations
+       SET status = 'accepted', accepted_uid = auth.uid(), accepted_at = NOW(), updated_at = NOW()
+     WHERE id = v_invite.id;
+
+    RETURN jsonb_build_object('status', 'ok', 'role', v_invite.role);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION accept_staff_invitation(TEXT) FROM PUBLIC, anon;
+GRANT  EXECUTE ON FUNCTION accept_staff_invitation(TEXT) TO authenticated;
+
+-- Does the signed-in account's user_roles row still have this role and class?
+-- Used by user_roles_self_update so a self-edit can't change either.
+CREATE OR REPLACE FUNCTION keeps_own_role(p_role TEXT, p_class_id TEXT)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM user_roles
+    WHERE id = auth.uid()
+      AND role = p_role
+      AND class_id IS NOT DISTINCT FROM p_class_id
+  );
+$$;
+
+-- =====================================================
+-- POLICIES
+-- =====================================================
+
+ALTER TABLE staff_invitations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "staff_invitations_admin" ON staff_invitations;
+
+-- Invitees never read the table; accept_staff_invitation() does it for them
+CREATE POLICY "staff_invitations_admin"
+  ON staff_invitations FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+DROP POLICY IF EXISTS "user_roles_faculty_self_update" ON user_roles;
+DROP POLICY IF EXISTS "user_roles_faculty_self_insert" ON user_roles;
+DROP POLICY IF EXISTS "user_roles_self_update"         ON user_roles;
+
+-- Profile and onboarding fields only; role and class stay as the admin set them
+CREATE POLICY "user_roles_self_update"
+  ON user_roles FOR UPDATE
+  USING  (auth.uid() = id)
+  WITH CHECK (auth.uid() = id AND keeps_own_role(role, class_id));
@@ -0,0 +1,207 @@
+-- Migration: student portal sessions instead of anonymous table reads
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses IF NOT EXISTS, CREATE OR REPLACE and DROP POLICY IF EXISTS.
+-- Run after add_login_throttling.sql; it replaces verify_student_login().
+--
+-- Students sign in without a Supabase account, so the student portal used to
+-- read students, enrollments, sessions, assessments, attendance, scores and
+-- early_angel_entries through *_read_anon policies, and
+-- early_angel_daily_summary and early_angel_leaderboard had the same kind.
+-- Those let anyone holding the public anon key read every child's record
+-- (or name), which made the guardian policies pointless; they are dropped
+-- here. The portal never showed the Early Angel summary or leaderboard.
+--
+-- Instead a successful verify_student_login() also returns a random portal
+-- token. Only its SHA-256 is stored, and it expires with the student's
+-- maximum sign-in age (Admin Tools → Sign-in Sessions, default 4 hours).
+-- The portal loads the signed-in student's own records with
+-- student_portal_data(token) and ends the session with
+-- end_student_portal_session(token). Admins viewing the portal as a student
+-- pass the student ID instead.
+
+-- =====================================================
+-- TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS student_portal_sessions (
+    token_hash TEXT PRIMARY KEY,                   -- hex SHA-256 of the token
+    student_id TEXT NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_portal_sessions_expires ON student_portal_sessions(expires_at);
+
+-- No policies: only the functions below read or write it
+ALTER TABLE student_portal_sessions ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- FUNCTIONS
+-- =====================================================
+
+DROP FUNCTION IF EXISTS verify_student_login(TEXT, DATE, TEXT);  -- took a client device ID
+
+-- Student login check. Returns JSON:
+--   { status: 'ok', student_id, token }
+--   { status: 'invalid', attempts_left }     (never says which field was wrong)
+--   { status: 'locked', retry_after_seconds }
+CREATE OR REPLACE FUNCTION verify_student_login(p_identifier TEXT, p_dob DATE)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_identifier TEXT := LOWER(TRIM(COALESCE(p_identifier, '')));
+    v_ip         TEXT := login_client_ip();
+    v_key        TEXT;
+    v_student_id TEXT;
+    v_row        login_throttle;
+    v_ip_row     login_throttle;
+    v_until      TIMESTAMPTZ;
+BEGIN
+    IF v_identifier = '' OR p_dob IS NULL THEN
+        RETURN jsonb_build_object('status', 'invalid', 'attempts_left', NULL);
+    END IF;
+
+    IF v_identifier ~ '^[0-9]{1,9}$' THEN
+        SELECT e.student_id INTO v_student_id
+          FROM enrollments e
+         WHERE e.academic_year_id = get_active_academic_year_id()
+           AND e.register_no = v_identifier::INTEGER
+         LIMIT 1;
+    END IF;
+    IF v_student_id IS NULL THEN
+        SELECT s.student_id INTO v_student_id
+          FROM students s WHERE s.phone = TRIM(p_identifier) LIMIT 1;
+    END IF;
+
+    -- One counter per student, however the register number or mobile is
+    -- written ('0701', '701'); identifiers that match no one get their own
+    v_key := CASE WHEN v_student_id IS NOT NULL THEN 'student:' || v_student_id
+                  ELSE 'identifier:' || v_identifier END;
+
+    -- Either the student's or the network's lock stops the attempt
+    SELECT MAX(locked_until) INTO v_until FROM login_throttle
+     WHERE id IN (v_key, 'ip:' || v_ip) AND locked_until > NOW();
+    IF v_until IS NOT NULL THEN
+        PERFORM log_student_login_event('student_login_locked', jsonb_build_object(
+            'identifier', p_identifier, 'ip', v_ip,
+            'retryAfterSeconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW()))));
+        RETURN jsonb_build_object('status', 'locked',
+            'retry_after_seconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW())));
+    END IF;
+
+    IF v_student_id IS NOT NULL
+       AND EXISTS (SELECT 1 FROM students WHERE student_id = v_student_id AND dob = p_dob) THEN
+        -- The network's counter is left alone, so a working login can't buy more guesses
+        DELETE FROM login_throttle WHERE id = v_key;
+        PERFORM log_student_login_event('student_login', jsonb_build_object('studentId', v_student_id, 'ip', v_ip));
+        RETURN jsonb_build_object('status', 'ok', 'student_id', v_student_id,
+            'token', start_student_portal_session(v_student_id));
+    END IF;
+
+    v_row := login_throttle_fail(v_key, CASE WHEN v_student_id IS NOT NULL THEN 'student' ELSE 'identifier' END, 5);
+    IF v_ip IS NOT NULL THEN
+        v_ip_row := login_throttle_fail('ip:' || v_ip, 'ip', 30);
+    END IF;
+    v_until := GREATEST(v_row.locked_until, v_ip_row.locked_until);
+    IF v_until > NOW() THEN
+        PERFORM log_student_login_event('student_login_locked', jsonb_build_object(
+            'identifier', p_identifier, 'ip', v_ip,
+            'retryAfterSeconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW()))));
+        RETURN jsonb_build_object('status', 'locked',
+            'retry_after_seconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW())));
+    END IF;
+    PERFORM log_student_login_event('student_login_failed', jsonb_build_object(
+        'identifier', p_identifier, 'ip', v_ip, 'attemptsLeft', 5 - v_row.failures));
+    RETURN jsonb_build_object('status', 'invalid', 'attempts_left', 5 - v_row.failures);
+END;
+$$;
+
+-- Issues a portal token for a verified student and clears expired ones
+CREATE OR REPLACE FUNCTION start_student_portal_session(p_student_id TEXT)
+RETURNS TEXT LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_token TEXT := encode(extensions.gen_random_bytes(32), 'hex');
+    v_hours NUMERIC;
+BEGIN
+    SELECT NULLIF(session_policy #>> '{maxAgeHours,student}', '')::NUMERIC INTO v_hours
+      FROM app_config WHERE id = 'global';
+
+    DELETE FROM student_portal_sessions WHERE expires_at < NOW();
+    INSERT INTO student_portal_sessions (token_hash, student_id, expires_at)
+    VALUES (encode(extensions.digest(v_token, 'sha256'), 'hex'), p_student_id,
+            NOW() + COALESCE(NULLIF(v_hours, 0), 4) * INTERVAL '1 hour');
+    RETURN v_token;
+END;
+$$;
+
+-- The student a live portal token belongs to, or NULL
+CREATE OR REPLACE FUNCTION student_portal_student_id(p_token TEXT)
+RETURNS TEXT LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT student_id FROM student_portal_sessions
+  WHERE token_hash = encode(extensions.digest(COALESCE(p_token, ''), 'sha256'), 'hex')
+    AND expires_at > NOW();
+$$;
+
+-- Everything the student portal shows, for the token's student only (or, for
+-- an admin viewing as the student, p_student_id). Returns JSON:
+--   { status: 'ok', student, enrollment, academic_year, sessions, attendance,
+--     assessments, scores, early_angel_entries }   -- rows as the tables store them
+--   { status: 'expired' }                           -- unknown or expired token
+CREATE OR REPLACE FUNCTION student_portal_data(p_token TEXT, p_student_id TEXT DEFAULT NULL)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER STABLE AS $$
+DECLARE
+    v_year       TEXT := get_active_academic_year_id();
+    v_student_id TEXT := COALESCE(student_portal_student_id(p_token),
+                                  CASE WHEN p_token IS NULL AND is_admin() THEN p_student_id END);
+    v_class_id   TEXT;
+BEGIN
+    IF v_student_id IS NULL OR NOT EXISTS (SELECT 1 FROM students WHERE student_id = v_student_id) THEN
+        RETURN jsonb_build_object('status', 'expired');
+    END IF;
+    v_class_id := current_class_of(v_student_id);
+
+    RETURN jsonb_build_object(
+        'status',        'ok',
+        'student',       (SELECT to_jsonb(s) FROM students s WHERE s.student_id = v_student_id),
+        'enrollment',    (SELECT to_jsonb(e) FROM enrollments e
+                           WHERE e.student_id = v_student_id AND e.academic_year_id = v_year LIMIT 1),
+        'academic_year', (SELECT to_jsonb(y) FROM academic_years y WHERE y.id = v_year),
+        'sessions',      (SELECT COALESCE(jsonb_agg(to_jsonb(x)), '[]') FROM sessions x
+                           WHERE x.academic_year_id = v_year),
+        'attendance',    (SELECT COALESCE(jsonb_agg(to_jsonb(a)), '[]') FROM attendance a
+                           WHERE a.student_id = v_student_id AND a.academic_year_id = v_year),
+        'assessments',   (SELECT COALESCE(jsonb_agg(to_jsonb(x)), '[]') FROM assessments x
+                           WHERE x.academic_year_id = v_year AND x.class_id = v_class_id),
+        'scores',        (SELECT COALESCE(jsonb_agg(to_jsonb(x)), '[]') FROM scores x
+                           WHERE x.student_id = v_student_id AND x.academic_year_id = v_year),
+        'early_angel_entries', (SELECT COALESCE(jsonb_agg(to_jsonb(x)), '[]') FROM early_angel_entries x
+                                 WHERE x.student_id = v_student_id AND x.academic_year_id = v_year)
+    );
+END;
+$$;
+
+-- Student logout
+CREATE OR REPLACE FUNCTION end_student_portal_session(p_token TEXT)
+RETURNS VOID LANGUAGE sql SECURITY DEFINER AS $$
+  DELETE FROM student_portal_sessions
+  WHERE token_hash = encode(extensions.digest(COALESCE(p_token, ''), 'sha256'), 'hex');
+$$;
+
+REVOKE EXECUTE ON FUNCTION start_student_portal_session(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION student_portal_student_id(TEXT)    FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION verify_student_login(TEXT, DATE)        TO anon, authenticated;
+GRANT  EXECUTE ON FUNCTION student_portal_data(TEXT, TEXT)         TO anon, authenticated;
+GRANT  EXECUTE ON FUNCTION end_student_portal_session(TEXT)        TO anon, authenticated;
+
+-- =====================================================
+-- POLICIES
+-- =====================================================
+
+DROP POLICY IF EXISTS "students_read_anon"    ON students;
+DROP POLICY IF EXISTS "enrollments_read_anon" ON enrollments;
+DROP POLICY IF EXISTS "sessions_read_anon"    ON sessions;
+DROP POLICY IF EXISTS "assessments_read_anon" ON assessments;
+DROP POLICY IF EXISTS "attendance_read_anon"  ON attendance;
+DROP POLICY IF EXISTS "scores_read_anon"      ON scores;
+DROP POLICY IF EXISTS "ea_entries_read_anon"  ON early_angel_entries;
+DROP POLICY IF EXISTS "ea_daily_read_anon"    ON early_angel_daily_summary;
+DROP POLICY IF EXISTS "ea_lb_read_anon"       ON early_angel_leaderboard;
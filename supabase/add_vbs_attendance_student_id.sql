@@ -0,0 +1,11 @@
+-- Migration: add student_id to vbs_attendance
+-- Run this in the Supabase SQL editor (CLI is not linked to this project).
+-- Safe to re-run: uses IF NOT EXISTS.
+--
+-- The VBS page writes and filters attendance by the roster's studentId;
+-- until now the column didn't exist, so those writes were rejected.
+
+ALTER TABLE vbs_attendance
+    ADD COLUMN IF NOT EXISTS student_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_vbs_att_student_id ON vbs_attendance(student_id);
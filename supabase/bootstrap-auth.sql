@@ -2,6 +2,8 @@
 -- BOOTSTRAP AUTHENTICATION SETUP
 -- Run this AFTER schema.sql and rls.sql
 -- =====================================================
+-- Only the first admin is set up here. Everyone after that is invited from
+-- Admin Tools → Manage User Roles → Invite by Email (add_staff_invitations.sql).
 -- HOW TO USE:
 --   1. Replace YOUR_USER_UUID with the UUID shown in
 --      Supabase Dashboard → Authentication → Users
@@ -33,7 +33,10 @@ DECLARE
         'homework',
         'homework_submissions',
         'activity_logs',
-        'faculty_class_assignments'
+        'faculty_class_assignments',
+        'absence_cases',
+        'attendance_corrections',
+        'absence_excuses'
     ];
 BEGIN
     FOREACH t IN ARRAY tbls LOOP
@@ -11,26 +11,43 @@
 -- look up roles without infinite recursion.
 -- =====================================================
 
-CREATE OR REPLACE FUNCTION is_admin()
+-- Has this session passed the account's second factor, if it has one?
+-- See add_admin_mfa.sql.
+CREATE OR REPLACE FUNCTION mfa_satisfied()
 RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
-  SELECT EXISTS (
-    SELECT 1 FROM user_roles
-    WHERE id = auth.uid() AND role = 'admin'
+  SELECT COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2'
+      OR NOT EXISTS (
+        SELECT 1 FROM auth.mfa_factors f
+        WHERE f.user_id = auth.uid() AND f.status = 'verified'
+      );
+$$;
+
+-- The one permission check: does the signed-in account's role (user_roles →
+-- roles.permissions) include p_permission? See add_roles_permissions.sql.
+-- Accounts with an authenticator app must also have verified it this session.
+CREATE OR REPLACE FUNCTION has_permission(p_permission TEXT)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT mfa_satisfied() AND EXISTS (
+    SELECT 1 FROM user_roles ur
+    JOIN roles r ON r.id = ur.role
+    WHERE ur.id = auth.uid() AND r.permissions ? p_permission
   );
 $$;
 
+CREATE OR REPLACE FUNCTION is_admin()
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT has_permission('manage_all');
+$$;
+
 CREATE OR REPLACE FUNCTION is_faculty()
 RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
-  SELECT EXISTS (
-    SELECT 1 FROM user_roles
-    WHERE id = auth.uid() AND role = 'faculty'
-  );
+  SELECT has_permission('manage_class');
 $$;
 
 CREATE OR REPLACE FUNCTION get_faculty_class_id()
 RETURNS TEXT LANGUAGE sql SECURITY DEFINER STABLE AS $$
   SELECT class_id FROM user_roles
-  WHERE id = auth.uid() AND role = 'faculty'
+  WHERE id = auth.uid() AND has_permission('manage_class')
   LIMIT 1;
 $$;
 
@@ -39,6 +56,57 @@ RETURNS TEXT LANGUAGE sql SECURITY DEFINER STABLE AS $$
   SELECT active_academic_year_id FROM app_config WHERE id = 'global' LIMIT 1;
 $$;
 
+-- Faculty may teach several classes: their user_roles class plus any
+-- faculty_class_assignments row for the active year. See
+-- add_faculty_class_assignments.sql.
+CREATE OR REPLACE FUNCTION is_faculty_of_class(p_class_id TEXT)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT is_faculty() AND (
+    p_class_id = get_faculty_class_id()
+    OR EXISTS (
+      SELECT 1 FROM faculty_class_assignments fca
+      WHERE fca.uid = auth.uid()
+        AND fca.class_id = p_class_id
+        AND fca.academic_year_id = get_active_academic_year_id()
+    )
+  );
+$$;
+
+-- Did this session sign in or pass a code check in the last p_seconds?
+-- (the JWT's amr claim lists each method with its Unix timestamp)
+CREATE OR REPLACE FUNCTION auth_is_recent(p_seconds INTEGER)
+RETURNS BOOLEAN LANGUAGE sql STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM jsonb_array_elements(COALESCE(auth.jwt() -> 'amr', '[]'::jsonb)) m
+    WHERE (m ->> 'timestamp')::BIGINT > EXTRACT(EPOCH FROM NOW()) - p_seconds
+  );
+$$;
+
+-- Does the signed-in account's user_roles row still have this role and class?
+-- Used by user_roles_self_update (add_staff_invitations.sql) so a self-edit can't change either.
+CREATE OR REPLACE FUNCTION keeps_own_role(p_role TEXT, p_class_id TEXT)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM user_roles
+    WHERE id = auth.uid()
+      AND role = p_role
+      AND class_id IS NOT DISTINCT FROM p_class_id
+  );
+$$;
+
+-- Has the session's attendance locked for faculty (app_config.attendance_lock_days
+-- after its date)? See add_attendance_lock.sql.
+CREATE OR REPLACE FUNCTION is_session_locked(p_session_id TEXT)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM sessions s, app_config c
+    WHERE s.id = p_session_id
+      AND c.id = 'global'
+      AND c.attendance_lock_days IS NOT NULL
+      AND CURRENT_DATE > s.session_date + c.attendance_lock_days
+  );
+$$;
+
 CREATE OR REPLACE FUNCTION get_previous_year_id()
 RETURNS TEXT LANGUAGE sql SECURITY DEFINER STABLE AS $$
   SELECT ay.previous_year_id
@@ -55,6 +123,35 @@ RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
   LIMIT 1;
 $$;
 
+-- Parent accounts: guardian_links whose email or phone matches a confirmed
+-- contact of the signed-in account (see add_parent_accounts.sql)
+CREATE OR REPLACE FUNCTION my_guardian_links()
+RETURNS SETOF guardian_links LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT gl.*
+  FROM guardian_links gl
+  JOIN auth.users u ON u.id = auth.uid()
+  WHERE (u.email_confirmed_at IS NOT NULL AND gl.email IS NOT NULL
+         AND LOWER(gl.email) = LOWER(u.email))
+     OR (u.phone_confirmed_at IS NOT NULL AND gl.phone IS NOT NULL
+         AND normalize_phone(gl.phone) = normalize_phone(u.phone));
+$$;
+
+CREATE OR REPLACE FUNCTION is_guardian_of(p_student_id TEXT)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT EXISTS (SELECT 1 FROM my_guardian_links() WHERE student_id = p_student_id);
+$$;
+
+-- A linked child is enrolled in this academic year (and class, when given)
+CREATE OR REPLACE FUNCTION is_guardian_in(p_academic_year_id TEXT, p_class_id TEXT DEFAULT NULL)
+RETURNS BOOLEAN LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM enrollments e
+    WHERE e.student_id IN (SELECT student_id FROM my_guardian_links())
+      AND e.academic_year_id = p_academic_year_id
+      AND (p_class_id IS NULL OR e.class_id = p_class_id)
+  );
+$$;
+
 -- =====================================================
 -- ENABLE RLS ON ALL TABLES
 -- =====================================================
@@ -62,7 +159,9 @@ $$;
 ALTER TABLE app_config                ENABLE ROW LEVEL SECURITY;
 ALTER TABLE academic_years            ENABLE ROW LEVEL SECURITY;
 ALTER TABLE classes                   ENABLE ROW LEVEL SECURITY;
+ALTER TABLE roles                     ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_roles                ENABLE ROW LEVEL SECURITY;
+ALTER TABLE faculty_class_assignments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE students                  ENABLE ROW LEVEL SECURITY;
 ALTER TABLE class_year_counters       ENABLE ROW LEVEL SECURITY;
 ALTER TABLE enrollments               ENABLE ROW LEVEL SECURITY;
@@ -81,6 +180,15 @@ ALTER TABLE announcements             ENABLE ROW LEVEL SECURITY;
 ALTER TABLE homework                  ENABLE ROW LEVEL SECURITY;
 ALTER TABLE homework_submissions      ENABLE ROW LEVEL SECURITY;
 ALTER TABLE activity_logs             ENABLE ROW LEVEL SECURITY;
+ALTER TABLE guardian_links            ENABLE ROW LEVEL SECURITY;
+ALTER TABLE login_throttle            ENABLE ROW LEVEL SECURITY;
+ALTER TABLE staff_invitations         ENABLE ROW LEVEL SECURITY;
+ALTER TABLE absence_cases             ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attendance_corrections    ENABLE ROW LEVEL SECURITY;
+ALTER TABLE absence_excuses           ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mfa_recovery_codes        ENABLE ROW LEVEL SECURITY;  -- no policies: functions only
+ALTER TABLE check_in_secret           ENABLE ROW LEVEL SECURITY;  -- no policies: functions only
+ALTER TABLE student_portal_sessions   ENABLE ROW LEVEL SECURITY;  -- no policies: functions only
 
 -- =====================================================
 -- DROP ALL EXISTING POLICIES (idempotent cleanup)
@@ -95,13 +203,22 @@ DROP POLICY IF EXISTS "academic_years_write"              ON academic_years;
 DROP POLICY IF EXISTS "classes_read"                      ON classes;
 DROP POLICY IF EXISTS "classes_write"                     ON classes;
 
+DROP POLICY IF EXISTS "roles_read"                        ON roles;
+DROP POLICY IF EXISTS "roles_admin_write"                 ON roles;
+
 DROP POLICY IF EXISTS "user_roles_read"                   ON user_roles;
 DROP POLICY IF EXISTS "user_roles_admin_write"            ON user_roles;
 DROP POLICY IF EXISTS "user_roles_faculty_self_update"    ON user_roles;
 DROP POLICY IF EXISTS "user_roles_faculty_self_insert"    ON user_roles;
+DROP POLICY IF EXISTS "user_roles_self_update"            ON user_roles;
+DROP POLICY IF EXISTS "user_roles_delete_recent_auth"     ON user_roles;
+
+DROP POLICY IF EXISTS "faculty_assignments_read"          ON faculty_class_assignments;
+DROP POLICY IF EXISTS "faculty_assignments_admin_write"   ON faculty_class_assignments;
 
 DROP POLICY IF EXISTS "students_read_staff"               ON students;
 DROP POLICY IF EXISTS "students_read_anon"                ON students;
+DROP POLICY IF EXISTS "students_read_guardian"            ON students;
 DROP POLICY IF EXISTS "students_admin_write"              ON students;
 DROP POLICY IF EXISTS "students_faculty_write"            ON students;
 DROP POLICY IF EXISTS "students_faculty_update"           ON students;
@@ -112,11 +229,13 @@ DROP POLICY IF EXISTS "counters_write"                    ON class_year_counters
 DROP POLICY IF EXISTS "enrollments_read_admin"            ON enrollments;
 DROP POLICY IF EXISTS "enrollments_read_faculty"          ON enrollments;
 DROP POLICY IF EXISTS "enrollments_read_anon"             ON enrollments;
+DROP POLICY IF EXISTS "enrollments_read_guardian"         ON enrollments;
 DROP POLICY IF EXISTS "enrollments_admin_write"           ON enrollments;
 
 DROP POLICY IF EXISTS "sessions_read_admin"               ON sessions;
 DROP POLICY IF EXISTS "sessions_read_faculty"             ON sessions;
 DROP POLICY IF EXISTS "sessions_read_anon"                ON sessions;
+DROP POLICY IF EXISTS "sessions_read_guardian"            ON sessions;
 DROP POLICY IF EXISTS "sessions_admin_write"              ON sessions;
 DROP POLICY IF EXISTS "sessions_faculty_write"            ON sessions;
 DROP POLICY IF EXISTS "sessions_faculty_update"           ON sessions;
@@ -124,6 +243,7 @@ DROP POLICY IF EXISTS "sessions_faculty_update"           ON sessions;
 DROP POLICY IF EXISTS "assessments_read_admin"            ON assessments;
 DROP POLICY IF EXISTS "assessments_read_faculty"          ON assessments;
 DROP POLICY IF EXISTS "assessments_read_anon"             ON assessments;
+DROP POLICY IF EXISTS "assessments_read_guardian"         ON assessments;
 DROP POLICY IF EXISTS "assessments_admin_write"           ON assessments;
 DROP POLICY IF EXISTS "assessments_faculty_write"         ON assessments;
 DROP POLICY IF EXISTS "assessments_faculty_update"        ON assessments;
@@ -132,6 +252,7 @@ DROP POLICY IF EXISTS "assessments_faculty_delete"        ON assessments;
 DROP POLICY IF EXISTS "attendance_read_admin"             ON attendance;
 DROP POLICY IF EXISTS "attendance_read_faculty"           ON attendance;
 DROP POLICY IF EXISTS "attendance_read_anon"              ON attendance;
+DROP POLICY IF EXISTS "attendance_read_guardian"          ON attendance;
 DROP POLICY IF EXISTS "attendance_admin_write"            ON attendance;
 DROP POLICY IF EXISTS "attendance_faculty_insert"         ON attendance;
 DROP POLICY IF EXISTS "attendance_faculty_update"         ON attendance;
@@ -140,6 +261,7 @@ DROP POLICY IF EXISTS "attendance_faculty_delete"         ON attendance;
 DROP POLICY IF EXISTS "scores_read_admin"                 ON scores;
 DROP POLICY IF EXISTS "scores_read_faculty"               ON scores;
 DROP POLICY IF EXISTS "scores_read_anon"                  ON scores;
+DROP POLICY IF EXISTS "scores_read_guardian"              ON scores;
 DROP POLICY IF EXISTS "scores_admin_write"                ON scores;
 DROP POLICY IF EXISTS "scores_faculty_insert"             ON scores;
 DROP POLICY IF EXISTS "scores_faculty_update"             ON scores;
@@ -199,6 +321,30 @@ DROP POLICY IF EXISTS "hw_subs_write"                     ON homework_submission
 
 DROP POLICY IF EXISTS "activity_logs_admin_read"          ON activity_logs;
 DROP POLICY IF EXISTS "activity_logs_authenticated_insert" ON activity_logs;
+DROP POLICY IF EXISTS "activity_logs_anon_login_events"   ON activity_logs;
+
+DROP POLICY IF EXISTS "guardian_links_read_staff"         ON guardian_links;
+DROP POLICY IF EXISTS "guardian_links_read_own"           ON guardian_links;
+DROP POLICY IF EXISTS "guardian_links_admin_write"        ON guardian_links;
+
+DROP POLICY IF EXISTS "login_throttle_admin"              ON login_throttle;
+
+DROP POLICY IF EXISTS "staff_invitations_admin"           ON staff_invitations;
+
+DROP POLICY IF EXISTS "absence_cases_admin"               ON absence_cases;
+DROP POLICY IF EXISTS "absence_cases_read_faculty"        ON absence_cases;
+DROP POLICY IF EXISTS "absence_cases_faculty_insert"      ON absence_cases;
+DROP POLICY IF EXISTS "absence_cases_faculty_update"      ON absence_cases;
+
+DROP POLICY IF EXISTS "attendance_corrections_admin"           ON attendance_corrections;
+DROP POLICY IF EXISTS "attendance_corrections_read_faculty"    ON attendance_corrections;
+DROP POLICY IF EXISTS "attendance_corrections_faculty_request" ON attendance_corrections;
+
+DROP POLICY IF EXISTS "absence_excuses_admin"             ON absence_excuses;
+DROP POLICY IF EXISTS "absence_excuses_read_faculty"      ON absence_excuses;
+DROP POLICY IF EXISTS "absence_excuses_faculty_review"    ON absence_excuses;
+DROP POLICY IF EXISTS "absence_excuses_read_guardian"     ON absence_excuses;
+DROP POLICY IF EXISTS "absence_excuses_guardian_submit"   ON absence_excuses;
 
 -- =====================================================
 -- app_config
@@ -234,38 +380,66 @@ CREATE POLICY "classes_write"
   ON classes FOR ALL
   USING (is_admin()) WITH CHECK (is_admin());
 
+-- =====================================================
+-- roles  (the permission matrix — every signed-in account
+-- reads it to find its own permissions)
+-- =====================================================
+
+CREATE POLICY "roles_read"
+  ON roles FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "roles_admin_write"
+  ON roles FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
 -- =====================================================
 -- user_roles
 -- =====================================================
 
 CREATE POLICY "user_roles_read"
   ON user_roles FOR SELECT
-  USING (auth.uid() IS NOT NULL);
+  USING (auth.uid() = id OR is_admin() OR is_faculty());
 
 CREATE POLICY "user_roles_admin_write"
   ON user_roles FOR ALL
   USING (is_admin()) WITH CHECK (is_admin());
 
-CREATE POLICY "user_roles_faculty_self_update"
+-- Rows are created by admins or accept_staff_invitation(); an account may
+-- edit its own profile and onboarding fields but not its role or class
+CREATE POLICY "user_roles_self_update"
   ON user_roles FOR UPDATE
-  USING  (auth.uid() = id AND role = 'faculty')
-  WITH CHECK (auth.uid() = id AND role = 'faculty');
+  USING  (auth.uid() = id)
+  WITH CHECK (auth.uid() = id AND keeps_own_role(role, class_id));
 
-CREATE POLICY "user_roles_faculty_self_insert"
-  ON user_roles FOR INSERT
-  WITH CHECK (auth.uid() = id AND role = 'faculty');
+-- Revoking someone's access needs a step-up check in the last 10 minutes
+CREATE POLICY "user_roles_delete_recent_auth"
+  ON user_roles AS RESTRICTIVE FOR DELETE
+  USING (auth_is_recent(600));
+
+-- =====================================================
+-- faculty_class_assignments
+-- =====================================================
+
+CREATE POLICY "faculty_assignments_read"
+  ON faculty_class_assignments FOR SELECT
+  USING (auth.uid() = uid OR is_admin() OR is_faculty());
+
+CREATE POLICY "faculty_assignments_admin_write"
+  ON faculty_class_assignments FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
 
 -- =====================================================
 -- students
+-- The student portal has no table access of its own: it reads through
+-- student_portal_data() (see add_student_portal_sessions.sql).
 -- =====================================================
 
 CREATE POLICY "students_read_staff"
   ON students FOR SELECT
   USING (is_admin() OR is_faculty());
 
-CREATE POLICY "students_read_anon"
-  ON students FOR SELECT
-  USING (auth.role() = 'anon');
+CREATE POLICY "students_read_guardian"
+  ON students FOR SELECT USING (is_guardian_of(student_id));
 
 CREATE POLICY "students_admin_write"
   ON students FOR ALL
@@ -273,12 +447,12 @@ CREATE POLICY "students_admin_write"
 
 CREATE POLICY "students_faculty_write"
   ON students FOR INSERT
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id());
+  WITH CHECK (is_faculty_of_class(class_id));
 
 CREATE POLICY "students_faculty_update"
   ON students FOR UPDATE
-  USING  (is_faculty() AND class_id = get_faculty_class_id())
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id());
+  USING  (is_faculty_of_class(class_id))
+  WITH CHECK (is_faculty_of_class(class_id));
 
 -- =====================================================
 -- class_year_counters
@@ -286,7 +460,7 @@ CREATE POLICY "students_faculty_update"
 
 CREATE POLICY "counters_read"
   ON class_year_counters FOR SELECT
-  USING (auth.uid() IS NOT NULL);
+  USING (is_admin() OR is_faculty());
 
 CREATE POLICY "counters_write"
   ON class_year_counters FOR ALL
@@ -302,10 +476,10 @@ CREATE POLICY "enrollments_read_admin"
 
 CREATE POLICY "enrollments_read_faculty"
   ON enrollments FOR SELECT
-  USING (is_faculty() AND class_id = get_faculty_class_id());
+  USING (is_faculty_of_class(class_id));
 
-CREATE POLICY "enrollments_read_anon"
-  ON enrollments FOR SELECT USING (auth.role() = 'anon');
+CREATE POLICY "enrollments_read_guardian"
+  ON enrollments FOR SELECT USING (is_guardian_of(student_id));
 
 CREATE POLICY "enrollments_admin_write"
   ON enrollments FOR ALL
@@ -328,8 +502,8 @@ CREATE POLICY "sessions_read_faculty"
     )
   );
 
-CREATE POLICY "sessions_read_anon"
-  ON sessions FOR SELECT USING (auth.role() = 'anon');
+CREATE POLICY "sessions_read_guardian"
+  ON sessions FOR SELECT USING (is_guardian_in(academic_year_id));
 
 CREATE POLICY "sessions_admin_write"
   ON sessions FOR ALL
@@ -353,10 +527,10 @@ CREATE POLICY "assessments_read_admin"
 
 CREATE POLICY "assessments_read_faculty"
   ON assessments FOR SELECT
-  USING (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 
-CREATE POLICY "assessments_read_anon"
-  ON assessments FOR SELECT USING (auth.role() = 'anon');
+CREATE POLICY "assessments_read_guardian"
+  ON assessments FOR SELECT USING (is_guardian_in(academic_year_id, class_id));
 
 CREATE POLICY "assessments_admin_write"
   ON assessments FOR ALL
@@ -364,16 +538,16 @@ CREATE POLICY "assessments_admin_write"
 
 CREATE POLICY "assessments_faculty_write"
   ON assessments FOR INSERT
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 
 CREATE POLICY "assessments_faculty_update"
   ON assessments FOR UPDATE
-  USING  (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id())
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 
 CREATE POLICY "assessments_faculty_delete"
   ON assessments FOR DELETE
-  USING (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 
 -- =====================================================
 -- attendance
@@ -384,27 +558,32 @@ CREATE POLICY "attendance_read_admin"
 
 CREATE POLICY "attendance_read_faculty"
   ON attendance FOR SELECT
-  USING (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 
-CREATE POLICY "attendance_read_anon"
-  ON attendance FOR SELECT USING (auth.role() = 'anon');
+CREATE POLICY "attendance_read_guardian"
+  ON attendance FOR SELECT USING (is_guardian_of(student_id));
 
 CREATE POLICY "attendance_admin_write"
   ON attendance FOR ALL
   USING (is_admin()) WITH CHECK (is_admin());
 
+-- Faculty writes stop once the session locks; see attendance_corrections
 CREATE POLICY "attendance_faculty_insert"
   ON attendance FOR INSERT
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+              AND NOT is_session_locked(session_id));
 
 CREATE POLICY "attendance_faculty_update"
   ON attendance FOR UPDATE
-  USING  (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id())
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+          AND NOT is_session_locked(session_id))
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+              AND NOT is_session_locked(session_id));
 
 CREATE POLICY "attendance_faculty_delete"
   ON attendance FOR DELETE
-  USING (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+         AND NOT is_session_locked(session_id));
 
 -- =====================================================
 -- scores
@@ -415,10 +594,10 @@ CREATE POLICY "scores_read_admin"
 
 CREATE POLICY "scores_read_faculty"
   ON scores FOR SELECT
-  USING (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 
-CREATE POLICY "scores_read_anon"
-  ON scores FOR SELECT USING (auth.role() = 'anon');
+CREATE POLICY "scores_read_guardian"
+  ON scores FOR SELECT USING (is_guardian_of(student_id));
 
 CREATE POLICY "scores_admin_write"
   ON scores FOR ALL
@@ -426,12 +605,12 @@ CREATE POLICY "scores_admin_write"
 
 CREATE POLICY "scores_faculty_insert"
   ON scores FOR INSERT
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 
 CREATE POLICY "scores_faculty_update"
   ON scores FOR UPDATE
-  USING  (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id())
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 
 -- =====================================================
 -- early_angel_entries
@@ -440,7 +619,6 @@ CREATE POLICY "scores_faculty_update"
 CREATE POLICY "ea_entries_read_admin"     ON early_angel_entries FOR SELECT USING (is_admin());
 CREATE POLICY "ea_entries_read_faculty"   ON early_angel_entries FOR SELECT
   USING (is_faculty() AND academic_year_id = get_active_academic_year_id());
-CREATE POLICY "ea_entries_read_anon"      ON early_angel_entries FOR SELECT USING (auth.role() = 'anon');
 CREATE POLICY "ea_entries_admin_write"    ON early_angel_entries FOR ALL
   USING (is_admin()) WITH CHECK (is_admin());
 CREATE POLICY "ea_entries_faculty_insert" ON early_angel_entries FOR INSERT
@@ -458,7 +636,6 @@ CREATE POLICY "ea_entries_faculty_delete" ON early_angel_entries FOR DELETE
 CREATE POLICY "ea_daily_read_admin"      ON early_angel_daily_summary FOR SELECT USING (is_admin());
 CREATE POLICY "ea_daily_read_faculty"    ON early_angel_daily_summary FOR SELECT
   USING (is_faculty() AND academic_year_id = get_active_academic_year_id());
-CREATE POLICY "ea_daily_read_anon"       ON early_angel_daily_summary FOR SELECT USING (auth.role() = 'anon');
 CREATE POLICY "ea_daily_admin_write"     ON early_angel_daily_summary FOR ALL
   USING (is_admin()) WITH CHECK (is_admin());
 CREATE POLICY "ea_daily_faculty_upsert"  ON early_angel_daily_summary FOR INSERT
@@ -476,7 +653,6 @@ CREATE POLICY "ea_daily_faculty_delete"  ON early_angel_daily_summary FOR DELETE
 CREATE POLICY "ea_lb_read_admin"      ON early_angel_leaderboard FOR SELECT USING (is_admin());
 CREATE POLICY "ea_lb_read_faculty"    ON early_angel_leaderboard FOR SELECT
   USING (is_faculty() AND academic_year_id = get_active_academic_year_id());
-CREATE POLICY "ea_lb_read_anon"       ON early_angel_leaderboard FOR SELECT USING (auth.role() = 'anon');
 CREATE POLICY "ea_lb_admin_write"     ON early_angel_leaderboard FOR ALL
   USING (is_admin()) WITH CHECK (is_admin());
 CREATE POLICY "ea_lb_faculty_upsert"  ON early_angel_leaderboard FOR INSERT
@@ -502,16 +678,16 @@ CREATE POLICY "vbs_portals_write" ON vbs_portals FOR ALL
 
 CREATE POLICY "vbs_students_read_admin"     ON vbs_students FOR SELECT USING (is_admin());
 CREATE POLICY "vbs_students_read_faculty"   ON vbs_students FOR SELECT
-  USING (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 CREATE POLICY "vbs_students_admin_write"    ON vbs_students FOR ALL
   USING (is_admin()) WITH CHECK (is_admin());
 CREATE POLICY "vbs_students_faculty_write"  ON vbs_students FOR INSERT
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 CREATE POLICY "vbs_students_faculty_update" ON vbs_students FOR UPDATE
-  USING  (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id())
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 CREATE POLICY "vbs_students_faculty_delete" ON vbs_students FOR DELETE
-  USING (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 
 -- =====================================================
 -- vbs_attendance
@@ -519,16 +695,16 @@ CREATE POLICY "vbs_students_faculty_delete" ON vbs_students FOR DELETE
 
 CREATE POLICY "vbs_att_read_admin"     ON vbs_attendance FOR SELECT USING (is_admin());
 CREATE POLICY "vbs_att_read_faculty"   ON vbs_attendance FOR SELECT
-  USING (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 CREATE POLICY "vbs_att_admin_write"    ON vbs_attendance FOR ALL
   USING (is_admin()) WITH CHECK (is_admin());
 CREATE POLICY "vbs_att_faculty_write"  ON vbs_attendance FOR INSERT
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 CREATE POLICY "vbs_att_faculty_update" ON vbs_attendance FOR UPDATE
-  USING  (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id())
-  WITH CHECK (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 CREATE POLICY "vbs_att_faculty_delete" ON vbs_attendance FOR DELETE
-  USING (is_faculty() AND class_id = get_faculty_class_id() AND academic_year_id = get_active_academic_year_id());
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
 
 -- =====================================================
 -- vbs_reports
@@ -580,3 +756,181 @@ CREATE POLICY "activity_logs_admin_read"
 CREATE POLICY "activity_logs_authenticated_insert"
   ON activity_logs FOR INSERT
   WITH CHECK (auth.uid() IS NOT NULL);
+
+-- No anonymous inserts: student login attempts are logged by
+-- verify_student_login() (see add_login_throttling.sql)
+
+-- =====================================================
+-- guardian_links
+-- Staff see every link; a parent sees the links that match their own
+-- confirmed email or phone. Only admins add or remove links.
+-- =====================================================
+
+CREATE POLICY "guardian_links_read_staff"
+  ON guardian_links FOR SELECT USING (is_admin() OR is_faculty());
+
+CREATE POLICY "guardian_links_read_own"
+  ON guardian_links FOR SELECT
+  USING (id IN (SELECT id FROM my_guardian_links()));
+
+CREATE POLICY "guardian_links_admin_write"
+  ON guardian_links FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+-- =====================================================
+-- login_throttle
+-- Written only by verify_student_login() (SECURITY DEFINER);
+-- admins review and clear lockouts.
+-- =====================================================
+
+CREATE POLICY "login_throttle_admin"
+  ON login_throttle FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+-- =====================================================
+-- staff_invitations
+-- Admin only; invitees go through accept_staff_invitation().
+-- =====================================================
+
+CREATE POLICY "staff_invitations_admin"
+  ON staff_invitations FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+-- =====================================================
+-- absence_cases
+-- Follow-up on flagged students: admins everywhere, faculty for their
+-- class in the active year. Cases are closed, not deleted.
+-- =====================================================
+
+CREATE POLICY "absence_cases_admin"
+  ON absence_cases FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE POLICY "absence_cases_read_faculty"
+  ON absence_cases FOR SELECT
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "absence_cases_faculty_insert"
+  ON absence_cases FOR INSERT
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "absence_cases_faculty_update"
+  ON absence_cases FOR UPDATE
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+-- =====================================================
+-- attendance_corrections
+-- Faculty request changes to locked sessions for their class; only
+-- admins approve or reject them.
+-- =====================================================
+
+CREATE POLICY "attendance_corrections_admin"
+  ON attendance_corrections FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE POLICY "attendance_corrections_read_faculty"
+  ON attendance_corrections FOR SELECT
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "attendance_corrections_faculty_request"
+  ON attendance_corrections FOR INSERT
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+              AND status = 'pending' AND requested_by = auth.uid()
+              AND reviewed_by IS NULL AND reviewed_at IS NULL);
+
+-- =====================================================
+-- absence_excuses
+-- Parents report absences for a linked child; the child's catechist
+-- (or an admin) approves or rejects them.
+-- =====================================================
+
+CREATE POLICY "absence_excuses_admin"
+  ON absence_excuses FOR ALL
+  USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE POLICY "absence_excuses_read_faculty"
+  ON absence_excuses FOR SELECT
+  USING (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id());
+
+CREATE POLICY "absence_excuses_faculty_review"
+  ON absence_excuses FOR UPDATE
+  USING  (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id())
+  WITH CHECK (is_faculty_of_class(class_id) AND academic_year_id = get_active_academic_year_id()
+              AND status IN ('approved', 'rejected') AND reviewed_by = auth.uid());
+
+CREATE POLICY "absence_excuses_read_guardian"
+  ON absence_excuses FOR SELECT USING (is_guardian_of(student_id));
+
+CREATE POLICY "absence_excuses_guardian_submit"
+  ON absence_excuses FOR INSERT
+  WITH CHECK (is_guardian_of(student_id) AND academic_year_id = get_active_academic_year_id()
+              AND class_id = current_class_of(student_id)
+              AND status = 'pending' AND submitted_by = auth.uid()
+              AND session_id IS NULL AND reviewed_by IS NULL AND reviewed_at IS NULL);
+
+-- =====================================================
+-- Permission-matrix policies (view_all, edit_all, manage_vbs,
+-- manage_early_angel), generated per table:
+--   <table>_read_all     view_all            SELECT
+--   <table>_insert_all   edit_all            INSERT
+--   <table>_update_all   edit_all            UPDATE
+--                                            (attendance: only while the session is unlocked)
+--   <table>_vbs_team     manage_vbs          ALL (VBS tables)
+--   <table>_ea_desk      manage_early_angel  ALL (Early Angel tables, active year)
+--   <table>_read_ea_desk manage_early_angel  SELECT (students, enrollments)
+-- manage_all and manage_class work through is_admin()/is_faculty() above.
+-- =====================================================
+
+DO $$
+DECLARE
+    t            TEXT;
+    locked_check TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY[
+        'user_roles', 'faculty_class_assignments', 'students', 'class_year_counters',
+        'enrollments', 'sessions', 'assessments', 'attendance', 'scores', 'early_angel_entries',
+        'early_angel_daily_summary', 'early_angel_leaderboard', 'vbs_portals',
+        'vbs_students', 'vbs_attendance', 'vbs_reports', 'activity_logs', 'guardian_links',
+        'absence_cases', 'attendance_corrections', 'absence_excuses'
+    ] LOOP
+        EXECUTE format('DROP POLICY IF EXISTS %I ON %I', t || '_read_all', t);
+        EXECUTE format('CREATE POLICY %I ON %I FOR SELECT USING (has_permission(''view_all''))',
+                       t || '_read_all', t);
+    END LOOP;
+
+    FOREACH t IN ARRAY ARRAY[
+        'students', 'class_year_counters', 'enrollments', 'sessions', 'assessments',
+        'attendance', 'scores', 'announcements', 'homework', 'homework_submissions'
+    ] LOOP
+        -- Locked sessions take corrections like faculty; attendance_admin_write still lets admins in
+        locked_check := CASE WHEN t = 'attendance' THEN ' AND NOT is_session_locked(session_id)' ELSE '' END;
+        EXECUTE format('DROP POLICY IF EXISTS %I ON %I', t || '_insert_all', t);
+        EXECUTE format('CREATE POLICY %I ON %I FOR INSERT WITH CHECK (has_permission(''edit_all'')%s)',
+                       t || '_insert_all', t, locked_check);
+        EXECUTE format('DROP POLICY IF EXISTS %I ON %I', t || '_update_all', t);
+        EXECUTE format('CREATE POLICY %I ON %I FOR UPDATE USING (has_permission(''edit_all'')%s) WITH CHECK (has_permission(''edit_all'')%s)',
+                       t || '_update_all', t, locked_check, locked_check);
+    END LOOP;
+
+    FOREACH t IN ARRAY ARRAY['vbs_portals', 'vbs_students', 'vbs_attendance', 'vbs_reports'] LOOP
+        EXECUTE format('DROP POLICY IF EXISTS %I ON %I', t || '_vbs_team', t);
+        EXECUTE format('CREATE POLICY %I ON %I FOR ALL USING (has_permission(''manage_vbs'')) WITH CHECK (has_permission(''manage_vbs''))',
+                       t || '_vbs_team', t);
+    END LOOP;
+
+    FOREACH t IN ARRAY ARRAY['early_angel_entries', 'early_angel_daily_summary', 'early_angel_leaderboard'] LOOP
+        EXECUTE format('DROP POLICY IF EXISTS %I ON %I', t || '_ea_desk', t);
+        EXECUTE format('CREATE POLICY %I ON %I FOR ALL '
+                       'USING (has_permission(''manage_early_angel'') AND academic_year_id = get_active_academic_year_id()) '
+                       'WITH CHECK (has_permission(''manage_early_angel'') AND academic_year_id = get_active_academic_year_id())',
+                       t || '_ea_desk', t);
+    END LOOP;
+
+    FOREACH t IN ARRAY ARRAY['students', 'enrollments'] LOOP
+        EXECUTE format('DROP POLICY IF EXISTS %I ON %I', t || '_read_ea_desk', t);
+        EXECUTE format('CREATE POLICY %I ON %I FOR SELECT USING (has_permission(''manage_early_angel''))',
+                       t || '_read_ea_desk', t);
+    END LOOP;
+END;
+$$;
@@ -5,6 +5,7 @@
 -- =====================================================
 
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;  -- hmac() for badge tokens
 
 -- =====================================================
 -- CORE CONFIGURATION
@@ -15,6 +16,12 @@ CREATE TABLE IF NOT EXISTS app_config (
     active_academic_year_id TEXT,
     early_angel_enabled     BOOLEAN NOT NULL DEFAULT FALSE,
     vbs_enabled             BOOLEAN NOT NULL DEFAULT FALSE,
+    session_policy          JSONB NOT NULL DEFAULT '{}'   -- idle / max-age limits, see add_session_policy.sql
+                                CHECK (jsonb_typeof(session_policy) = 'object'),
+    check_in_late_after     TEXT NOT NULL DEFAULT '09:30'  -- badge scans after this are Late, see add_badge_check_in.sql
+                                CHECK (check_in_late_after ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'),
+    attendance_lock_days    INTEGER DEFAULT 7              -- faculty edits lock this long after a session (NULL: never), see add_attendance_lock.sql
+                                CHECK (attendance_lock_days IS NULL OR attendance_lock_days BETWEEN 0 AND 365),
     created_at              TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at              TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     CONSTRAINT app_config_singleton CHECK (id = 'global')
@@ -56,11 +63,25 @@ CREATE TABLE IF NOT EXISTS classes (
 
 -- =====================================================
 -- USERS & ROLES
+-- roles.permissions is the role → capability matrix read by
+-- has_permission() (rls.sql) and hasPermission() (js/common.js).
 -- =====================================================
 
+CREATE TABLE IF NOT EXISTS roles (
+    id          TEXT PRIMARY KEY,                  -- 'admin', 'faculty', 'coordinator', …
+    name        TEXT NOT NULL,
+    description TEXT,
+    permissions JSONB NOT NULL DEFAULT '[]'
+                    CHECK (jsonb_typeof(permissions) = 'array'
+                           AND permissions <@ '["manage_all", "view_all", "edit_all", "manage_class", "manage_vbs", "manage_early_angel"]'::jsonb),
+    is_system   BOOLEAN NOT NULL DEFAULT FALSE,    -- built-in roles can't be deleted
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
 CREATE TABLE IF NOT EXISTS user_roles (
     id                      UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
-    role                    TEXT NOT NULL CHECK (role IN ('admin', 'faculty')),
+    role                    TEXT NOT NULL REFERENCES roles(id) ON UPDATE CASCADE,
     class_id                TEXT REFERENCES classes(id) ON DELETE SET NULL,
     email                   TEXT,
     display_name            TEXT,
@@ -73,6 +94,19 @@ CREATE TABLE IF NOT EXISTS user_roles (
     updated_at              TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Faculty ↔ class per academic year; user_roles.class_id stays the primary class
+CREATE TABLE IF NOT EXISTS faculty_class_assignments (
+    id               TEXT PRIMARY KEY,              -- '{academicYearId}_{uid}_{classId}'
+    academic_year_id TEXT NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+    uid              UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    class_id         TEXT NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    assignment_role  TEXT NOT NULL DEFAULT 'primary' CHECK (assignment_role IN ('primary', 'assistant')),
+    email            TEXT,
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (academic_year_id, uid, class_id)
+);
+
 -- =====================================================
 -- STUDENTS & ENROLLMENT
 -- =====================================================
@@ -263,6 +297,7 @@ CREATE TABLE IF NOT EXISTS vbs_attendance (
     portal_id        TEXT NOT NULL REFERENCES vbs_portals(id) ON DELETE CASCADE,
     vbs_student_id   TEXT NOT NULL REFERENCES vbs_students(id) ON DELETE CASCADE,
     class_id         TEXT NOT NULL,
+    student_id       TEXT,
     student_name     TEXT NOT NULL,
     status           TEXT NOT NULL CHECK (status IN ('Present', 'Absent')),
     vbs_date         DATE NOT NULL,
@@ -342,10 +377,191 @@ CREATE TABLE IF NOT EXISTS activity_logs (
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- =====================================================
+-- PARENT ACCOUNTS
+-- A parent signs in with an email/SMS one-time code and sees the students
+-- whose guardian_links match one of their confirmed contacts (see rls.sql).
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS guardian_links (
+    id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id   TEXT NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    email        TEXT,
+    phone        TEXT,
+    relationship TEXT,
+    created_by   UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT guardian_links_contact CHECK (email IS NOT NULL OR phone IS NOT NULL)
+);
+
+-- =====================================================
+-- LOGIN THROTTLING
+-- Failed student logins per student (or unmatched identifier) and per client
+-- IP address; see verify_student_login() below and add_login_throttling.sql.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS login_throttle (
+    id              TEXT PRIMARY KEY,              -- 'student:<student id>' | 'identifier:<unmatched register no or mobile>' | 'ip:<address>'
+    kind            TEXT NOT NULL CHECK (kind IN ('student', 'identifier', 'ip')),
+    failures        INTEGER NOT NULL DEFAULT 0,
+    first_failed_at TIMESTAMPTZ,
+    last_failed_at  TIMESTAMPTZ,
+    locked_until    TIMESTAMPTZ,
+    lockouts        INTEGER NOT NULL DEFAULT 0,
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- =====================================================
+-- STUDENT PORTAL SESSIONS
+-- Hashed tokens issued by verify_student_login(); the student portal reads
+-- through student_portal_data() below. See add_student_portal_sessions.sql.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS student_portal_sessions (
+    token_hash TEXT PRIMARY KEY,                   -- hex SHA-256 of the token
+    student_id TEXT NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- =====================================================
+-- MFA RECOVERY CODES
+-- Single-use codes for an account that lost its authenticator app; see
+-- generate_mfa_recovery_codes() below and add_admin_mfa.sql.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id         UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    uid        UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    code_hash  TEXT NOT NULL,                       -- hex SHA-256 of the code as shown, lower case
+    used_at    TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- =====================================================
+-- BADGE CHECK-IN SECRET
+-- Signs the tokens on students' QR badges; see check_in_badge() below and
+-- add_badge_check_in.sql.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS check_in_secret (
+    id         BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    secret     TEXT NOT NULL DEFAULT encode(extensions.gen_random_bytes(32), 'hex'),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO check_in_secret (id) VALUES (TRUE) ON CONFLICT (id) DO NOTHING;
+
+-- =====================================================
+-- ABSENCE FOLLOW-UP
+-- Contact attempts and outcomes for students flagged by the portals'
+-- absence rules; see add_absence_follow_up.sql.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS absence_cases (
+    id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id       TEXT NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    class_id         TEXT NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    academic_year_id TEXT NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+    status           TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    reasons          JSONB NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(reasons) = 'array'),
+    contacts         JSONB NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(contacts) = 'array'),
+    outcome          TEXT,
+    opened_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    opened_by        UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    closed_at        TIMESTAMPTZ,
+    closed_by        UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT absence_cases_closed CHECK (status = 'open' OR (closed_at IS NOT NULL AND outcome IS NOT NULL))
+);
+
+-- =====================================================
+-- ATTENDANCE CORRECTIONS
+-- Faculty changes to a locked session's attendance, waiting for (or
+-- reviewed by) an admin; see add_attendance_lock.sql.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS attendance_corrections (
+    id                 UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id         TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    student_id         TEXT NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    class_id           TEXT NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    academic_year_id   TEXT NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+    from_status        TEXT CHECK (from_status IN ('Present', 'Absent', 'Late', 'Excused')),  -- NULL: not recorded
+    to_status          TEXT NOT NULL CHECK (to_status IN ('Present', 'Absent', 'Late', 'Excused')),
+    reason             TEXT NOT NULL CHECK (btrim(reason) <> ''),
+    status             TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    requested_by       UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    requested_by_email TEXT,
+    requested_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    reviewed_by        UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewed_at        TIMESTAMPTZ,
+    review_note        TEXT
+);
+
+-- =====================================================
+-- ABSENCE EXCUSES
+-- Absences reported by parents, approved or rejected by the child's
+-- catechist; see add_absence_excuses.sql.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS absence_excuses (
+    id                   UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id           TEXT NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    class_id             TEXT NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    academic_year_id     TEXT NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+    absence_date         DATE NOT NULL,
+    reason               TEXT NOT NULL CHECK (btrim(reason) <> ''),
+    status               TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    submitted_by         UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    submitted_by_contact TEXT,
+    submitted_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    session_id           TEXT REFERENCES sessions(id) ON DELETE SET NULL,  -- set on approval when the session exists
+    reviewed_by          UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewed_at          TIMESTAMPTZ,
+    review_note          TEXT
+);
+
+-- =====================================================
+-- STAFF INVITATIONS
+-- Admins invite staff by email with the role and classes chosen up front;
+-- accept_staff_invitation() below applies them on first sign-in.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS staff_invitations (
+    id                UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token             TEXT NOT NULL UNIQUE,
+    email             TEXT NOT NULL,
+    role              TEXT NOT NULL REFERENCES roles(id) ON UPDATE CASCADE,
+    class_assignments JSONB NOT NULL DEFAULT '[]'     -- [{ "classId": "7", "assignmentRole": "primary" }, …]
+                          CHECK (jsonb_typeof(class_assignments) = 'array'),
+    academic_year_id  TEXT REFERENCES academic_years(id) ON DELETE SET NULL,
+    status            TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+    invited_by        UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    expires_at        TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '7 days',
+    accepted_uid      UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    accepted_at       TIMESTAMPTZ,
+    created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
 -- =====================================================
 -- UTILITY FUNCTIONS (CREATE OR REPLACE — always safe)
 -- =====================================================
 
+-- Phone numbers are compared as digits only, with a leading 0 dropped and
+-- 91 (India) assumed for bare 10-digit numbers — the same form Supabase Auth
+-- stores for a verified phone ("919876543210").
+CREATE OR REPLACE FUNCTION normalize_phone(p_phone TEXT)
+RETURNS TEXT LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE
+           WHEN d = ''          THEN NULL
+           WHEN LENGTH(d) = 10  THEN '91' || d
+           ELSE d
+         END
+  FROM (SELECT LTRIM(REGEXP_REPLACE(COALESCE(p_phone, ''), '\D', '', 'g'), '0') AS d) s;
+$$;
+
 CREATE OR REPLACE FUNCTION increment_field(
     p_table  TEXT,
     p_pk_col TEXT,
@@ -384,6 +600,611 @@ BEGIN
 END;
 $$;
 
+-- Applies a WriteBatch from js/supabase.js as a single transaction.
+-- p_ops is a JSON array of { type, table, pk_col, pk_val, data, increments }.
+-- Every op runs inside its own savepoint so all failures are collected; if any
+-- op fails the whole batch is rolled back and the per-op errors are returned
+-- in the exception DETAIL as a JSON array of { index, type, table, id, code, message }.
+-- SECURITY INVOKER so RLS policies still apply to every row the batch touches.
+CREATE OR REPLACE FUNCTION commit_write_batch(p_ops JSONB) RETURNS JSONB
+LANGUAGE plpgsql SECURITY INVOKER AS $$
+DECLARE
+    v_op     JSONB;
+    v_idx    INTEGER := 0;
+    v_type   TEXT;
+    v_table  TEXT;
+    v_pk_col TEXT;
+    v_key    JSONB;
+    v_data   JSONB;
+    v_cols   TEXT;
+    v_sets   TEXT;
+    v_inc    RECORD;
+    v_found  BOOLEAN;
+    v_errors JSONB := '[]'::JSONB;
+BEGIN
+    IF p_ops IS NULL OR jsonb_typeof(p_ops) <> 'array' THEN
+        RAISE EXCEPTION 'commit_write_batch expects a JSON array of operations';
+    END IF;
+
+    FOR v_op IN SELECT value FROM jsonb_array_elements(p_ops) LOOP
+        v_type   := v_op->>'type';
+        v_table  := v_op->>'table';
+        v_pk_col := v_op->>'pk_col';
+        v_key    := jsonb_build_object(v_pk_col, v_op->'pk_val');
+        v_data   := COALESCE(v_op->'data', '{}'::JSONB);
+
+        BEGIN
+            IF v_type = 'set' THEN
+                SELECT string_agg(format('%I', k), ', '),
+                       string_agg(format('%I = EXCLUDED.%I', k, k), ', ') FILTER (WHERE k <> v_pk_col)
+                  INTO v_cols, v_sets
+                  FROM jsonb_object_keys(v_data || v_key) AS k;
+                EXECUTE format(
+                    'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) ON CONFLICT (%I) DO %s',
+                    v_table, v_cols, v_cols, v_table, v_pk_col,
+                    CASE WHEN v_sets IS NULL THEN 'NOTHING' ELSE 'UPDATE SET ' || v_sets END
+                ) USING v_data || v_key;
+            ELSIF v_type = 'update' THEN
+                -- Like Firestore, updating a document that isn't there is an error
+                EXECUTE format(
+                    'SELECT EXISTS (SELECT 1 FROM %I WHERE %I = (jsonb_populate_record(NULL::%I, $1)).%I)',
+                    v_table, v_pk_col, v_table, v_pk_col
+                ) INTO v_found USING v_key;
+                IF NOT v_found THEN
+                    RAISE EXCEPTION 'No % row to update with % = %', v_table, v_pk_col, v_op->>'pk_val'
+                        USING ERRCODE = 'P0002';
+                END IF;
+                SELECT string_agg(format('%I = r.%I', k, k), ', ')
+                  INTO v_sets
+                  FROM jsonb_object_keys(v_data) AS k;
+                IF v_sets IS NOT NULL THEN
+                    EXECUTE format(
+                        'UPDATE %I SET %s FROM jsonb_populate_record(NULL::%I, $1) AS r WHERE %I.%I = (jsonb_populate_record(NULL::%I, $2)).%I',
+                        v_table, v_sets, v_table, v_table, v_pk_col, v_table, v_pk_col
+                    ) USING v_data, v_key;
+                END IF;
+            ELSIF v_type <> 'delete' THEN
+                RAISE EXCEPTION 'Unknown batch operation type: %', v_type;
+            END IF;
+
+            IF v_type IN ('set', 'update') THEN
+                FOR v_inc IN SELECT key, value FROM jsonb_each(COALESCE(v_op->'increments', '{}'::JSONB)) LOOP
+                    EXECUTE format(
+                        'UPDATE %I SET %I = COALESCE(%I, 0) + $1 WHERE %I = (jsonb_populate_record(NULL::%I, $2)).%I',
+                        v_table, v_inc.key, v_inc.key, v_pk_col, v_table, v_pk_col
+                    ) USING (v_inc.value #>> '{}')::NUMERIC, v_key;
+                END LOOP;
+            ELSE
+                EXECUTE format(
+                    'DELETE FROM %I WHERE %I = (jsonb_populate_record(NULL::%I, $1)).%I',
+                    v_table, v_pk_col, v_table, v_pk_col
+                ) USING v_key;
+            END IF;
+        EXCEPTION WHEN OTHERS THEN
+            v_errors := v_errors || jsonb_build_object(
+                'index',   v_idx,
+                'type',    v_type,
+                'table',   v_table,
+                'id',      v_op->>'pk_val',
+                'code',    SQLSTATE,
+                'message', SQLERRM
+            );
+        END;
+
+        v_idx := v_idx + 1;
+    END LOOP;
+
+    IF jsonb_array_length(v_errors) > 0 THEN
+        RAISE EXCEPTION USING
+            ERRCODE = v_errors->0->>'code',
+            MESSAGE = format('Batch rolled back: %s of %s operations failed (first: %s)',
+                             jsonb_array_length(v_errors), v_idx, v_errors->0->>'message'),
+            DETAIL  = v_errors::TEXT;
+    END IF;
+
+    RETURN jsonb_build_object('committed', v_idx);
+END;
+$$;
+
+-- Commits a runTransaction() from js/supabase.js with optimistic concurrency.
+-- p_reads lists every doc the transaction read as { table, pk_col, pk_val, exists, version, row }.
+-- Each read is locked (advisory lock, so not-yet-existing rows are covered too) and
+-- re-checked: existence must match and updated_at must equal `version` (tables
+-- without updated_at compare the whole `row`). A mismatch raises SQLSTATE 40001 so
+-- the client retries. Otherwise the writes in p_ops are applied via commit_write_batch,
+-- with updated_at stamped server-side so the next reader sees a fresh version.
+CREATE OR REPLACE FUNCTION commit_transaction(p_reads JSONB, p_ops JSONB) RETURNS JSONB
+LANGUAGE plpgsql SECURITY INVOKER AS $$
+DECLARE
+    v_read    JSONB;
+    v_op      JSONB;
+    v_current JSONB;
+    v_changed BOOLEAN;
+    v_ops     JSONB := '[]'::JSONB;
+BEGIN
+    FOR v_read IN SELECT value FROM jsonb_array_elements(COALESCE(p_reads, '[]'::JSONB)) LOOP
+        PERFORM pg_advisory_xact_lock(hashtext((v_read->>'table') || ':' || (v_read->>'pk_val')));
+
+        EXECUTE format(
+            'SELECT to_jsonb(t) FROM %I t WHERE %I = (jsonb_populate_record(NULL::%I, $1)).%I FOR UPDATE',
+            v_read->>'table', v_read->>'pk_col', v_read->>'table', v_read->>'pk_col'
+        ) INTO v_current USING jsonb_build_object(v_read->>'pk_col', v_read->'pk_val');
+
+        IF (v_current IS NOT NULL) <> (v_read->>'exists')::BOOLEAN THEN
+            v_changed := TRUE;
+        ELSIF v_current IS NULL THEN
+            v_changed := FALSE;
+        ELSIF v_current ? 'updated_at' THEN
+            v_changed := (v_current->>'updated_at')::TIMESTAMPTZ
+                         IS DISTINCT FROM (v_read->>'version')::TIMESTAMPTZ;
+        ELSE
+            v_changed := v_current IS DISTINCT FROM v_read->'row';
+        END IF;
+
+        IF v_changed THEN
+            RAISE EXCEPTION USING
+                ERRCODE = '40001',
+                MESSAGE = format('Transaction conflict: %s/%s changed after it was read',
+                                 v_read->>'table', v_read->>'pk_val');
+        END IF;
+    END LOOP;
+
+    FOR v_op IN SELECT value FROM jsonb_array_elements(COALESCE(p_ops, '[]'::JSONB)) LOOP
+        IF v_op->>'type' IN ('set', 'update') AND EXISTS (
+            SELECT 1 FROM information_schema.columns
+             WHERE table_schema = current_schema()
+               AND table_name   = v_op->>'table'
+               AND column_name  = 'updated_at'
+        ) THEN
+            v_op := jsonb_set(v_op, '{data,updated_at}', to_jsonb(clock_timestamp()));
+        END IF;
+        v_ops := v_ops || jsonb_build_array(v_op);
+    END LOOP;
+
+    RETURN commit_write_batch(v_ops);
+END;
+$$;
+
+-- Counts one failure against p_id and locks it once p_limit is reached
+CREATE OR REPLACE FUNCTION login_throttle_fail(p_id TEXT, p_kind TEXT, p_limit INTEGER)
+RETURNS login_throttle LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_window CONSTANT INTERVAL := INTERVAL '15 minutes';
+    v_row    login_throttle;
+BEGIN
+    INSERT INTO login_throttle (id, kind, failures, first_failed_at, last_failed_at, updated_at)
+    VALUES (p_id, p_kind, 1, NOW(), NOW(), NOW())
+    ON CONFLICT (id) DO UPDATE
+        SET failures        = CASE WHEN login_throttle.first_failed_at < NOW() - v_window
+                                   THEN 1 ELSE login_throttle.failures + 1 END,
+            first_failed_at = CASE WHEN login_throttle.first_failed_at < NOW() - v_window
+                                   THEN NOW() ELSE login_throttle.first_failed_at END,
+            last_failed_at  = NOW(),
+            updated_at      = NOW()
+    RETURNING * INTO v_row;
+
+    IF v_row.failures >= p_limit THEN
+        UPDATE login_throttle
+           SET locked_until = NOW() + LEAST(v_window * POWER(2, lockouts), INTERVAL '24 hours'),
+               lockouts     = lockouts + 1,
+               failures     = 0,
+               updated_at   = NOW()
+         WHERE id = p_id
+        RETURNING * INTO v_row;
+    END IF;
+
+    RETURN v_row;
+END;
+$$;
+
+-- The caller's address as the API gateway reports it: Cloudflare's
+-- CF-Connecting-IP, else the first X-Forwarded-For entry. NULL outside an
+-- HTTP request (e.g. the SQL editor).
+CREATE OR REPLACE FUNCTION login_client_ip()
+RETURNS TEXT LANGUAGE sql STABLE AS $$
+  SELECT NULLIF(TRIM(COALESCE(
+      current_setting('request.headers', true)::json->>'cf-connecting-ip',
+      SPLIT_PART(current_setting('request.headers', true)::json->>'x-forwarded-for', ',', 1)
+  )), '');
+$$;
+
+-- Student login events are written here, not by the login page, so nobody
+-- without an account can add rows to activity_logs
+CREATE OR REPLACE FUNCTION log_student_login_event(p_action TEXT, p_details JSONB)
+RETURNS VOID LANGUAGE sql SECURITY DEFINER AS $$
+  INSERT INTO activity_logs (action, details, user_email) VALUES (p_action, p_details, 'student');
+$$;
+
+DROP FUNCTION IF EXISTS verify_student_login(TEXT, DATE, TEXT);  -- took a client device ID
+
+-- Student login check. Returns JSON:
+--   { status: 'ok', student_id, token }
+--   { status: 'invalid', attempts_left }     (never says which field was wrong)
+--   { status: 'locked', retry_after_seconds }
+CREATE OR REPLACE FUNCTION verify_student_login(p_identifier TEXT, p_dob DATE)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_identifier TEXT := LOWER(TRIM(COALESCE(p_identifier, '')));
+    v_ip         TEXT := login_client_ip();
+    v_key        TEXT;
+    v_student_id TEXT;
+    v_row        login_throttle;
+    v_ip_row     login_throttle;
+    v_until      TIMESTAMPTZ;
+BEGIN
+    IF v_identifier = '' OR p_dob IS NULL THEN
+        RETURN jsonb_build_object('status', 'invalid', 'attempts_left', NULL);
+    END IF;
+
+    IF v_identifier ~ '^[0-9]{1,9}$' THEN
+        SELECT e.student_id INTO v_student_id
+          FROM enrollments e
+         WHERE e.academic_year_id = get_active_academic_year_id()
+           AND e.register_no = v_identifier::INTEGER
+         LIMIT 1;
+    END IF;
+    IF v_student_id IS NULL THEN
+        SELECT s.student_id INTO v_student_id
+          FROM students s WHERE s.phone = TRIM(p_identifier) LIMIT 1;
+    END IF;
+
+    -- One counter per student, however the register number or mobile is
+    -- written ('0701', '701'); identifiers that match no one get their own
+    v_key := CASE WHEN v_student_id IS NOT NULL THEN 'student:' || v_student_id
+                  ELSE 'identifier:' || v_identifier END;
+
+    -- Either the student's or the network's lock stops the attempt
+    SELECT MAX(locked_until) INTO v_until FROM login_throttle
+     WHERE id IN (v_key, 'ip:' || v_ip) AND locked_until > NOW();
+    IF v_until IS NOT NULL THEN
+        PERFORM log_student_login_event('student_login_locked', jsonb_build_object(
+            'identifier', p_identifier, 'ip', v_ip,
+            'retryAfterSeconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW()))));
+        RETURN jsonb_build_object('status', 'locked',
+            'retry_after_seconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW())));
+    END IF;
+
+    IF v_student_id IS NOT NULL
+       AND EXISTS (SELECT 1 FROM students WHERE student_id = v_student_id AND dob = p_dob) THEN
+        -- The network's counter is left alone, so a working login can't buy more guesses
+        DELETE FROM login_throttle WHERE id = v_key;
+        PERFORM log_student_login_event('student_login', jsonb_build_object('studentId', v_student_id, 'ip', v_ip));
+        RETURN jsonb_build_object('status', 'ok', 'student_id', v_student_id,
+            'token', start_student_portal_session(v_student_id));
+    END IF;
+
+    v_row := login_throttle_fail(v_key, CASE WHEN v_student_id IS NOT NULL THEN 'student' ELSE 'identifier' END, 5);
+    IF v_ip IS NOT NULL THEN
+        v_ip_row := login_throttle_fail('ip:' || v_ip, 'ip', 30);
+    END IF;
+    v_until := GREATEST(v_row.locked_until, v_ip_row.locked_until);
+    IF v_until > NOW() THEN
+        PERFORM log_student_login_event('student_login_locked', jsonb_build_object(
+            'identifier', p_identifier, 'ip', v_ip,
+            'retryAfterSeconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW()))));
+        RETURN jsonb_build_object('status', 'locked',
+            'retry_after_seconds', CEIL(EXTRACT(EPOCH FROM v_until - NOW())));
+    END IF;
+    PERFORM log_student_login_event('student_login_failed', jsonb_build_object(
+        'identifier', p_identifier, 'ip', v_ip, 'attemptsLeft', 5 - v_row.failures));
+    RETURN jsonb_build_object('status', 'invalid', 'attempts_left', 5 - v_row.failures);
+END;
+$$;
+
+-- Issues a portal token for a verified student and clears expired ones
+CREATE OR REPLACE FUNCTION start_student_portal_session(p_student_id TEXT)
+RETURNS TEXT LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_token TEXT := encode(extensions.gen_random_bytes(32), 'hex');
+    v_hours NUMERIC;
+BEGIN
+    SELECT NULLIF(session_policy #>> '{maxAgeHours,student}', '')::NUMERIC INTO v_hours
+      FROM app_config WHERE id = 'global';
+
+    DELETE FROM student_portal_sessions WHERE expires_at < NOW();
+    INSERT INTO student_portal_sessions (token_hash, student_id, expires_at)
+    VALUES (encode(extensions.digest(v_token, 'sha256'), 'hex'), p_student_id,
+            NOW() + COALESCE(NULLIF(v_hours, 0), 4) * INTERVAL '1 hour');
+    RETURN v_token;
+END;
+$$;
+
+-- The student a live portal token belongs to, or NULL
+CREATE OR REPLACE FUNCTION student_portal_student_id(p_token TEXT)
+RETURNS TEXT LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT student_id FROM student_portal_sessions
+  WHERE token_hash = encode(extensions.digest(COALESCE(p_token, ''), 'sha256'), 'hex')
+    AND expires_at > NOW();
+$$;
+
+-- Everything the student portal shows, for the token's student only (or, for
+-- an admin viewing as the student, p_student_id). Returns JSON:
+--   { status: 'ok', student, enrollment, academic_year, sessions, attendance,
+--     assessments, scores, early_angel_entries }   -- rows as the tables store them
+--   { status: 'expired' }                           -- unknown or expired token
+CREATE OR REPLACE FUNCTION student_portal_data(p_token TEXT, p_student_id TEXT DEFAULT NULL)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER STABLE AS $$
+DECLARE
+    v_year       TEXT := get_active_academic_year_id();
+    v_student_id TEXT := COALESCE(student_portal_student_id(p_token),
+                                  CASE WHEN p_token IS NULL AND is_admin() THEN p_student_id END);
+    v_class_id   TEXT;
+BEGIN
+    IF v_student_id IS NULL OR NOT EXISTS (SELECT 1 FROM students WHERE student_id = v_student_id) THEN
+        RETURN jsonb_build_object('status', 'expired');
+    END IF;
+    v_class_id := current_class_of(v_student_id);
+
+    RETURN jsonb_build_object(
+        'status',        'ok',
+        'student',       (SELECT to_jsonb(s) FROM students s WHERE s.student_id = v_student_id),
+        'enrollment',    (SELECT to_jsonb(e) FROM enrollments e
+                           WHERE e.student_id = v_student_id AND e.academic_year_id = v_year LIMIT 1),
+        'academic_year', (SELECT to_jsonb(y) FROM academic_years y WHERE y.id = v_year),
+        'sessions',      (SELECT COALESCE(jsonb_agg(to_jsonb(x)), '[]') FROM sessions x
+                           WHERE x.academic_year_id = v_year),
+        'attendance',    (SELECT COALESCE(jsonb_agg(to_jsonb(a)), '[]') FROM attendance a
+                           WHERE a.student_id = v_student_id AND a.academic_year_id = v_year),
+        'assessments',   (SELECT COALESCE(jsonb_agg(to_jsonb(x)), '[]') FROM assessments x
+                           WHERE x.academic_year_id = v_year AND x.class_id = v_class_id),
+        'scores',        (SELECT COALESCE(jsonb_agg(to_jsonb(x)), '[]') FROM scores x
+                           WHERE x.student_id = v_student_id AND x.academic_year_id = v_year),
+        'early_angel_entries', (SELECT COALESCE(jsonb_agg(to_jsonb(x)), '[]') FROM early_angel_entries x
+                                 WHERE x.student_id = v_student_id AND x.academic_year_id = v_year)
+    );
+END;
+$$;
+
+-- Student logout
+CREATE OR REPLACE FUNCTION end_student_portal_session(p_token TEXT)
+RETURNS VOID LANGUAGE sql SECURITY DEFINER AS $$
+  DELETE FROM student_portal_sessions
+  WHERE token_hash = encode(extensions.digest(COALESCE(p_token, ''), 'sha256'), 'hex');
+$$;
+
+REVOKE EXECUTE ON FUNCTION login_throttle_fail(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION log_student_login_event(TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION start_student_portal_session(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION student_portal_student_id(TEXT)    FROM PUBLIC, anon, authenticated;
+GRANT  EXECUTE ON FUNCTION verify_student_login(TEXT, DATE)        TO anon, authenticated;
+GRANT  EXECUTE ON FUNCTION student_portal_data(TEXT, TEXT)         TO anon, authenticated;
+GRANT  EXECUTE ON FUNCTION end_student_portal_session(TEXT)        TO anon, authenticated;
+
+-- Turns a pending invitation into the signed-in account's user_roles row and
+-- class assignments. The token must belong to the account's confirmed email
+-- (following the emailed link confirms it). Returns JSON:
+--   { status: 'ok', role } | { status: 'invalid' } | { status: 'expired' }
+CREATE OR REPLACE FUNCTION accept_staff_invitation(p_token TEXT)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_email   TEXT;
+    v_invite  staff_invitations;
+    v_item    JSONB;
+    v_primary TEXT;
+BEGIN
+    SELECT LOWER(u.email) INTO v_email
+      FROM auth.users u
+     WHERE u.id = auth.uid() AND u.email_confirmed_at IS NOT NULL;
+
+    IF v_email IS NULL OR COALESCE(p_token, '') = '' THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+
+    SELECT * INTO v_invite
+      FROM staff_invitations
+     WHERE token = p_token AND LOWER(email) = v_email AND status <> 'revoked'
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+    IF v_invite.status = 'accepted' THEN
+        -- The same person opening their link again (e.g. reloading the page) is fine
+        IF v_invite.accepted_uid = auth.uid() THEN
+            RETURN jsonb_build_object('status', 'ok', 'role', v_invite.role);
+        END IF;
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+    IF v_invite.expires_at < NOW() THEN
+        RETURN jsonb_build_object('status', 'expired');
+    END IF;
+
+    SELECT item ->> 'classId' INTO v_primary
+      FROM jsonb_array_elements(v_invite.class_assignments) item
+     WHERE COALESCE(item ->> 'assignmentRole', 'primary') = 'primary'
+     LIMIT 1;
+
+    INSERT INTO user_roles (id, role, class_id, email, onboarding_completed)
+    VALUES (auth.uid(), v_invite.role, v_primary, v_email, FALSE)
+    ON CONFLICT (id) DO UPDATE
+        SET role       = EXCLUDED.role,
+            class_id   = COALESCE(EXCLUDED.class_id, user_roles.class_id),
+            email      = EXCLUDED.email,
+            updated_at = NOW();
+
+    IF v_invite.academic_year_id IS NOT NULL THEN
+        FOR v_item IN SELECT * FROM jsonb_array_elements(v_invite.class_assignments) LOOP
+            INSERT INTO faculty_class_assignments (id, academic_year_id, uid, class_id, assignment_role, email)
+            VALUES (v_invite.academic_year_id || '_' || auth.uid() || '_' || (v_item ->> 'classId'),
+                    v_invite.academic_year_id, auth.uid(), v_item ->> 'classId',
+                    COALESCE(v_item ->> 'assignmentRole', 'primary'), v_email)
+            ON CONFLICT (academic_year_id, uid, class_id) DO UPDATE
+                SET assignment_role = EXCLUDED.assignment_role,
+                    updated_at      = NOW();
+        END LOOP;
+    END IF;
+
+    UPDATE staff_invitations
+       SET status = 'accepted', accepted_uid = auth.uid(), accepted_at = NOW(), updated_at = NOW()
+     WHERE id = v_invite.id;
+
+    RETURN jsonb_build_object('status', 'ok', 'role', v_invite.role);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION accept_staff_invitation(TEXT) FROM PUBLIC, anon;
+GRANT  EXECUTE ON FUNCTION accept_staff_invitation(TEXT) TO authenticated;
+
+-- Replaces the account's recovery codes with ten new ones and returns them
+-- (the only time they are readable). Needs a session verified with the factor.
+CREATE OR REPLACE FUNCTION generate_mfa_recovery_codes()
+RETURNS TEXT[] LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_codes TEXT[] := '{}';
+    v_hex   TEXT;
+    v_code  TEXT;
+BEGIN
+    IF auth.uid() IS NULL OR COALESCE(auth.jwt() ->> 'aal', 'aal1') <> 'aal2' THEN
+        RAISE EXCEPTION 'Verify your authenticator code first.' USING ERRCODE = '42501';
+    END IF;
+
+    DELETE FROM mfa_recovery_codes WHERE uid = auth.uid();
+    FOR i IN 1..10 LOOP
+        -- The first 12 hex digits of a v4 UUID are random
+        v_hex  := replace(gen_random_uuid()::TEXT, '-', '');
+        v_code := substr(v_hex, 1, 4) || '-' || substr(v_hex, 5, 4) || '-' || substr(v_hex, 9, 4);
+        INSERT INTO mfa_recovery_codes (uid, code_hash)
+        VALUES (auth.uid(), encode(sha256(convert_to(v_code, 'UTF8')), 'hex'));
+        v_codes := v_codes || v_code;
+    END LOOP;
+    RETURN v_codes;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION generate_mfa_recovery_codes() FROM PUBLIC, anon;
+GRANT  EXECUTE ON FUNCTION generate_mfa_recovery_codes() TO authenticated;
+
+-- Uses up one recovery code and removes the account's factors, so the
+-- password session is enough until a new authenticator is added. Returns JSON:
+--   { status: 'ok', remaining } | { status: 'invalid' }
+CREATE OR REPLACE FUNCTION redeem_mfa_recovery_code(p_code TEXT)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_id UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+
+    SELECT id INTO v_id
+      FROM mfa_recovery_codes
+     WHERE uid = auth.uid()
+       AND used_at IS NULL
+       AND code_hash = encode(sha256(convert_to(LOWER(REGEXP_REPLACE(COALESCE(p_code, ''), '\s', '', 'g')), 'UTF8')), 'hex')
+     FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+
+    UPDATE mfa_recovery_codes SET used_at = NOW() WHERE id = v_id;
+    DELETE FROM auth.mfa_factors WHERE user_id = auth.uid();
+
+    RETURN jsonb_build_object('status', 'ok', 'remaining',
+        (SELECT COUNT(*) FROM mfa_recovery_codes WHERE uid = auth.uid() AND used_at IS NULL));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION redeem_mfa_recovery_code(TEXT) FROM PUBLIC, anon;
+GRANT  EXECUTE ON FUNCTION redeem_mfa_recovery_code(TEXT) TO authenticated;
+
+-- The token printed on a student's badge (first 96 bits of the HMAC)
+CREATE OR REPLACE FUNCTION badge_token(p_student_id TEXT)
+RETURNS TEXT LANGUAGE sql SECURITY DEFINER STABLE AS $$
+  SELECT substr(encode(extensions.hmac(p_student_id, secret, 'sha256'), 'hex'), 1, 24)
+  FROM check_in_secret WHERE id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION badge_token(TEXT) FROM PUBLIC, anon, authenticated;
+
+-- The student's class this year: their enrollment, else students.class_id
+-- (plpgsql so schema.sql can create it before rls.sql adds the helpers it calls)
+CREATE OR REPLACE FUNCTION current_class_of(p_student_id TEXT)
+RETURNS TEXT LANGUAGE plpgsql SECURITY DEFINER STABLE AS $$
+BEGIN
+    RETURN COALESCE(
+        (SELECT e.class_id FROM enrollments e
+          WHERE e.student_id = p_student_id
+            AND e.academic_year_id = get_active_academic_year_id()
+            AND e.status = 'active'
+          LIMIT 1),
+        (SELECT s.class_id FROM students s WHERE s.student_id = p_student_id)
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION current_class_of(TEXT) FROM PUBLIC, anon;
+
+-- Badge tokens for printing, as { student_id: token }. Students outside the
+-- caller's classes are left out.
+CREATE OR REPLACE FUNCTION check_in_badge_tokens(p_student_ids TEXT[])
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER STABLE AS $$
+BEGIN
+    RETURN (
+        SELECT COALESCE(jsonb_object_agg(s.student_id, badge_token(s.student_id)), '{}'::jsonb)
+        FROM students s
+        WHERE s.student_id = ANY(p_student_ids)
+          AND (is_admin() OR is_faculty_of_class(current_class_of(s.student_id)))
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_in_badge_tokens(TEXT[]) FROM PUBLIC, anon;
+GRANT  EXECUTE ON FUNCTION check_in_badge_tokens(TEXT[]) TO authenticated;
+
+-- Marks a scanned student Present or Late for a session. Returns JSON:
+--   { status: 'ok', attendance }
+--   { status: 'duplicate', attendance, updatedAt }   -- already marked for this session
+--   { status: 'invalid' }                            -- not a badge this parish issued
+--   { status: 'other-class' }                        -- not one of the caller's classes
+--   { status: 'no-session' }                         -- missing, No Class, or not this year
+CREATE OR REPLACE FUNCTION check_in_badge(p_session_id TEXT, p_student_id TEXT, p_token TEXT, p_status TEXT)
+RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+    v_year     TEXT := get_active_academic_year_id();
+    v_class_id TEXT;
+    v_existing attendance%ROWTYPE;
+BEGIN
+    IF p_status NOT IN ('Present', 'Late') THEN
+        RAISE EXCEPTION 'Check-in status must be Present or Late.' USING ERRCODE = '22023';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM students WHERE student_id = p_student_id)
+       OR p_token IS DISTINCT FROM badge_token(p_student_id) THEN
+        RETURN jsonb_build_object('status', 'invalid');
+    END IF;
+
+    v_class_id := current_class_of(p_student_id);
+    IF v_class_id IS NULL OR NOT (is_admin() OR is_faculty_of_class(v_class_id)) THEN
+        RETURN jsonb_build_object('status', 'other-class');
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM sessions
+        WHERE id = p_session_id AND status = 'Available' AND academic_year_id = v_year
+          AND (is_admin() OR NOT is_session_locked(id))
+    ) THEN
+        RETURN jsonb_build_object('status', 'no-session');
+    END IF;
+
+    INSERT INTO attendance (id, session_id, student_id, status, class_id, academic_year_id)
+    VALUES (p_session_id || '_' || p_student_id, p_session_id, p_student_id, p_status, v_class_id, v_year)
+    ON CONFLICT DO NOTHING;
+
+    IF FOUND THEN
+        RETURN jsonb_build_object('status', 'ok', 'attendance', p_status);
+    END IF;
+
+    SELECT * INTO v_existing FROM attendance
+     WHERE session_id = p_session_id AND student_id = p_student_id;
+    RETURN jsonb_build_object('status', 'duplicate',
+        'attendance', v_existing.status, 'updatedAt', v_existing.updated_at);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_in_badge(TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon;
+GRANT  EXECUTE ON FUNCTION check_in_badge(TEXT, TEXT, TEXT, TEXT) TO authenticated;
+
 -- =====================================================
 -- INDEXES (IF NOT EXISTS — safe to re-run)
 -- =====================================================
@@ -393,6 +1214,13 @@ CREATE INDEX IF NOT EXISTS idx_user_roles_role     ON user_roles(role);
 CREATE INDEX IF NOT EXISTS idx_user_roles_class_id ON user_roles(class_id);
 CREATE INDEX IF NOT EXISTS idx_user_roles_email    ON user_roles(email);
 
+-- mfa_recovery_codes
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_uid ON mfa_recovery_codes(uid);
+
+-- faculty_class_assignments
+CREATE INDEX IF NOT EXISTS idx_faculty_assignments_year_uid   ON faculty_class_assignments(academic_year_id, uid);
+CREATE INDEX IF NOT EXISTS idx_faculty_assignments_year_class ON faculty_class_assignments(academic_year_id, class_id);
+
 -- students
 CREATE INDEX IF NOT EXISTS idx_students_class_id ON students(class_id);
 CREATE INDEX IF NOT EXISTS idx_students_phone    ON students(phone);
@@ -439,6 +1267,24 @@ CREATE INDEX IF NOT EXISTS idx_scores_class       ON scores(class_id);
 CREATE INDEX IF NOT EXISTS idx_scores_year        ON scores(academic_year_id);
 CREATE INDEX IF NOT EXISTS idx_scores_year_class  ON scores(academic_year_id, class_id);
 
+-- absence_cases
+CREATE INDEX IF NOT EXISTS idx_absence_cases_year_class ON absence_cases(academic_year_id, class_id);
+CREATE INDEX IF NOT EXISTS idx_absence_cases_student    ON absence_cases(student_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_absence_cases_one_open
+    ON absence_cases(academic_year_id, student_id) WHERE status = 'open';
+
+-- attendance_corrections
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_year_class ON attendance_corrections(academic_year_id, class_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_status     ON attendance_corrections(status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_corrections_one_pending
+    ON attendance_corrections(session_id, student_id) WHERE status = 'pending';
+
+-- absence_excuses
+CREATE INDEX IF NOT EXISTS idx_absence_excuses_year_class ON absence_excuses(academic_year_id, class_id);
+CREATE INDEX IF NOT EXISTS idx_absence_excuses_student    ON absence_excuses(student_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_absence_excuses_one_per_day
+    ON absence_excuses(student_id, absence_date) WHERE status <> 'rejected';
+
 -- early_angel_entries
 CREATE INDEX IF NOT EXISTS idx_ea_entries_class      ON early_angel_entries(class_id);
 CREATE INDEX IF NOT EXISTS idx_ea_entries_student    ON early_angel_entries(student_id);
@@ -465,6 +1311,7 @@ CREATE INDEX IF NOT EXISTS idx_vbs_students_student_id ON vbs_students(student_i
 -- vbs_attendance
 CREATE INDEX IF NOT EXISTS idx_vbs_att_portal  ON vbs_attendance(portal_id);
 CREATE INDEX IF NOT EXISTS idx_vbs_att_student ON vbs_attendance(vbs_student_id);
+CREATE INDEX IF NOT EXISTS idx_vbs_att_student_id ON vbs_attendance(student_id);
 CREATE INDEX IF NOT EXISTS idx_vbs_att_date    ON vbs_attendance(vbs_date);
 CREATE INDEX IF NOT EXISTS idx_vbs_att_class   ON vbs_attendance(class_id);
 CREATE INDEX IF NOT EXISTS idx_vbs_att_year    ON vbs_attendance(academic_year_id);
@@ -491,6 +1338,21 @@ CREATE INDEX IF NOT EXISTS idx_hw_subs_status   ON homework_submissions(status);
 CREATE INDEX IF NOT EXISTS idx_activity_logs_uid        ON activity_logs(uid);
 CREATE INDEX IF NOT EXISTS idx_activity_logs_created_at ON activity_logs(created_at DESC);
 
+-- guardian_links
+CREATE INDEX IF NOT EXISTS idx_guardian_links_student ON guardian_links(student_id);
+CREATE INDEX IF NOT EXISTS idx_guardian_links_email   ON guardian_links(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_guardian_links_phone   ON guardian_links(normalize_phone(phone));
+
+-- login_throttle
+CREATE INDEX IF NOT EXISTS idx_login_throttle_locked_until ON login_throttle(locked_until);
+
+-- student_portal_sessions
+CREATE INDEX IF NOT EXISTS idx_student_portal_sessions_expires ON student_portal_sessions(expires_at);
+
+-- staff_invitations
+CREATE INDEX IF NOT EXISTS idx_staff_invitations_email  ON staff_invitations(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_staff_invitations_status ON staff_invitations(status);
+
 -- =====================================================
 -- SEED: App config singleton row
 -- =====================================================
@@ -498,3 +1360,15 @@ CREATE INDEX IF NOT EXISTS idx_activity_logs_created_at ON activity_logs(created
 INSERT INTO app_config (id, early_angel_enabled, vbs_enabled)
 VALUES ('global', FALSE, FALSE)
 ON CONFLICT (id) DO NOTHING;
+
+-- =====================================================
+-- SEED: Built-in and starter roles (editable in Admin Tools)
+-- =====================================================
+
+INSERT INTO roles (id, name, description, permissions, is_system) VALUES
+    ('admin',              'Administrator',     'Full access to every portal and setting', '["manage_all"]', TRUE),
+    ('faculty',            'Faculty',           'Teaches one class',                       '["manage_class"]', TRUE),
+    ('coordinator',        'Coordinator',       'Sees and edits everything, cannot delete', '["view_all", "edit_all"]', FALSE),
+    ('vbs_volunteer',      'VBS Volunteer',     'VBS portal only',                         '["manage_vbs"]', FALSE),
+    ('early_angel_helper', 'Early Angel Helper', 'Early Angel desk only',                  '["manage_early_angel"]', FALSE)
+ON CONFLICT (id) DO NOTHING;
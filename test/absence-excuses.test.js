@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+const PARENT_UID = '2f0c6a54-9a8e-4c4e-9d0a-6c2f6f1d8e11';
+const FACULTY_UID = '3e4f5a6b-7c8d-4e9f-8a0b-1c2d3e4f5a6b';
+const SESSION = { id: '2025-06-08', date: '2025-06-08', sessionDate: '2025-06-08', status: 'Available', academicYearId: 'ay-2025' };
+
+function fixtures(extra = {}) {
+    return {
+        ...academicYearFixtures(),
+        guardianLinks: [{ id: 'gl-1', studentId: 'S001', email: 'mary@example.com' }],
+        sessions: [SESSION],
+        ...extra,
+    };
+}
+
+function excuse(overrides = {}) {
+    return {
+        id: '6f1c2d3e-4a5b-4c6d-8e7f-9a0b1c2d3e4f', studentId: 'S001', classId: 'class-7', academicYearId: 'ay-2025',
+        absenceDate: '2025-06-08', reason: 'Family wedding in Kochi', status: 'pending',
+        submittedBy: PARENT_UID, submittedByContact: 'mary@example.com', submittedAt: '2025-06-01T09:00:00.000Z',
+        ...overrides,
+    };
+}
+
+async function openParent(extra) {
+    const win = loadApp({ fixtures: fixtures(extra), scripts: ['js/parent.js'] });
+    const parent = await win.loadParentSession({ uid: PARENT_UID, email: 'mary@example.com' });
+    const [child] = parent.children;
+    return { win, parent, child, data: await win.loadChildRecords(child) };
+}
+
+function loadFaculty(extra) {
+    const win = loadApp({ fixtures: fixtures(extra), activeAcademicYearId: 'ay-2025', scripts: ['js/faculty.js'] });
+    win.localStorage.setItem('currentUser', JSON.stringify({ uid: FACULTY_UID, email: 'teacher@example.com' }));
+    win.DATA_MODELS.sessions = [SESSION];
+    return win;
+}
+
+describe('absence excuses', () => {
+    it('lets a parent send one note per day with a reason, for a linked child', async () => {
+        const { win, parent, child, data } = await openParent();
+        const send = input => win.submitAbsenceExcuse(parent, child, data, input);
+
+        await assert.rejects(send({ absenceDate: '', reason: 'Sick' }), /day of the absence/);
+        await assert.rejects(send({ absenceDate: '2025-06-08', reason: '  ' }), /why Anna is absent/);
+        await send({ absenceDate: '2025-06-08', reason: ' Family wedding in Kochi ' });
+        await assert.rejects(send({ absenceDate: '2025-06-08', reason: 'Again' }), /already sent a note/);
+        await assert.rejects(win.submitAbsenceExcuse({ ...parent, uid: null }, child, data, { absenceDate: '2025-06-15', reason: 'Sick' }),
+            /only be sent by the parent/, 'admins viewing as the parent');
+
+        const [row] = win.shimBackend.rows('absenceExcuses');
+        assert.equal(row.student_id, 'S001');
+        assert.equal(row.class_id, 'class-7');
+        assert.equal(row.academic_year_id, 'ay-2025');
+        assert.equal(row.reason, 'Family wedding in Kochi');
+        assert.equal(row.status, 'pending');
+        assert.equal(row.submitted_by, PARENT_UID);
+        const [log] = win.shimBackend.rows('activityLogs');
+        assert.deepEqual(plain([log.action, log.details]), ['absence_excuse_submitted', { studentId: 'S001', absenceDate: '2025-06-08' }]);
+    });
+
+    it('marks the session Excused when the catechist approves', async () => {
+        const win = loadFaculty({
+            attendance: [{ id: '2025-06-08_S001', sessionId: '2025-06-08', studentId: 'S001', status: 'Absent', classId: 'class-7', academicYearId: 'ay-2025' }],
+            absenceExcuses: [excuse()],
+        });
+        win.DATA_MODELS.attendance = [{ id: '2025-06-08_S001', sessionId: '2025-06-08', studentId: 'S001', status: 'Absent' }];
+
+        const result = await win.reviewAbsenceExcuse(excuse(), 'approved');
+        assert.equal(result.outcome, 'marked');
+        assert.equal(win.shimBackend.rows('attendance')[0].status, 'Excused');
+        const [row] = win.shimBackend.rows('absenceExcuses');
+        assert.deepEqual(plain([row.status, row.session_id, row.reviewed_by]), ['approved', '2025-06-08', FACULTY_UID]);
+
+        const [log] = win.shimBackend.rows('activityLogs');
+        assert.equal(log.action, 'absence_excuse_approved');
+        assert.equal(log.details.before, 'Absent');
+        await assert.rejects(win.reviewAbsenceExcuse(result.excuse, 'rejected', 'No'), /already been reviewed/);
+    });
+
+    it('sends a locked session to an admin as a correction, and waits for a session not yet created', async () => {
+        const win = loadFaculty({ absenceExcuses: [excuse(), excuse({ id: '7a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d', absenceDate: '2025-06-15' })] });
+        win.APP_CONTEXT.attendanceLockDays = 7;
+
+        const locked = await win.reviewAbsenceExcuse(excuse(), 'approved');
+        assert.equal(locked.outcome, 'correction');
+        assert.deepEqual(plain(win.shimBackend.rows('attendance')), []);
+        const [correction] = win.shimBackend.rows('attendanceCorrections');
+        assert.deepEqual(plain([correction.from_status, correction.to_status, correction.reason]),
+            [null, 'Excused', 'Absence reported by parent: Family wedding in Kochi']);
+
+        const later = await win.reviewAbsenceExcuse(excuse({ id: '7a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d', absenceDate: '2025-06-15' }), 'approved');
+        assert.equal(later.outcome, 'no-session');
+        assert.equal(later.excuse.sessionId, null);
+    });
+
+    it('needs a note to reject, and the parent sees the decision', async () => {
+        const faculty = loadFaculty({ absenceExcuses: [excuse()] });
+        await assert.rejects(faculty.reviewAbsenceExcuse(excuse(), 'rejected', ''), /reason for rejecting/);
+        const { outcome } = await faculty.reviewAbsenceExcuse(excuse(), 'rejected', 'Please bring a note from the parish priest');
+        assert.equal(outcome, 'rejected');
+        assert.deepEqual(plain(faculty.shimBackend.rows('attendance')), []);
+
+        const [reviewed] = faculty.shimBackend.rows('absenceExcuses');
+        const { data } = await openParent({ absenceExcuses: [{ ...excuse(), status: reviewed.status, reviewNote: reviewed.review_note }] });
+        assert.deepEqual(plain(data.excuses.map(e => [e.absenceDate, e.status, e.reviewNote])), [
+            ['2025-06-08', 'rejected', 'Please bring a note from the parish priest'],
+        ]);
+    });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+const FACULTY_UID = '3e4f5a6b-7c8d-4e9f-8a0b-1c2d3e4f5a6b';
+const SUNDAYS = [
+    '2025-06-01', '2025-06-08', '2025-06-15', '2025-06-22', '2025-06-29', '2025-07-06',
+    '2025-07-13', '2025-07-20', '2025-07-27', '2025-08-03', '2025-08-10', '2025-08-17',
+];
+const PRESENT = Array(9).fill('Present');
+const ABSENT = Array(3).fill('Absent');
+
+function sessions(dates = SUNDAYS) {
+    return dates.map(date => ({ id: date, date, sessionDate: date, status: 'Available', academicYearId: 'ay-2025' }));
+}
+
+// One row per session for S001 (statuses in order) and a Present row for S003
+// so each session counts as taken for class-7
+function attendance(statuses, dates = SUNDAYS) {
+    return dates.flatMap((date, i) => [
+        ...(statuses[i] ? [{ sessionId: date, studentId: 'S001', classId: 'class-7', status: statuses[i] }] : []),
+        { sessionId: date, studentId: 'S003', classId: 'class-7', status: 'Present' },
+    ]);
+}
+
+function loadFaculty() {
+    const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025', scripts: ['js/faculty.js'] });
+    win.localStorage.setItem('currentUser', JSON.stringify({ uid: FACULTY_UID, email: 'teacher@example.com' }));
+    return win;
+}
+
+describe('absence follow-up', () => {
+    it('counts only past sessions taken for the class, with no row as Absent and Excused left out', () => {
+        const win = loadFaculty();
+        const rows = attendance(['Present', 'Excused', null, 'Absent', 'Late']).slice(0, 9);
+        // Not taken for class-7, and one still to come
+        const extra = sessions(['2025-05-25', '2025-08-24']);
+
+        const history = win.getAttendanceHistory('S001', 'class-7', [...sessions(), ...extra], rows, '2025-08-01');
+        assert.deepEqual(plain(history), [
+            { sessionId: '2025-06-01', date: '2025-06-01', status: 'Present' },
+            { sessionId: '2025-06-15', date: '2025-06-15', status: 'Absent' },
+            { sessionId: '2025-06-22', date: '2025-06-22', status: 'Absent' },
+            { sessionId: '2025-06-29', date: '2025-06-29', status: 'Late' },
+        ]);
+        assert.deepEqual(plain(win.evaluateAbsenceRules(history)), [
+            { rule: 'certificate', detail: 'Attendance is 50%, below the 75% needed for a certificate' },
+        ]);
+    });
+
+    it('flags three absences in a row, a falling rate, and a drop below the certificate threshold', () => {
+        const win = loadFaculty();
+        const rules = (statuses, dates = SUNDAYS) => {
+            const history = win.getAttendanceHistory('S001', 'class-7', sessions(dates), attendance(statuses, dates), '2025-08-31');
+            return plain(win.evaluateAbsenceRules(history)).map(r => r.rule);
+        };
+
+        assert.deepEqual(rules([...PRESENT, ...ABSENT]), ['consecutive', 'trend']);
+        assert.deepEqual(rules([...PRESENT.slice(1), 'Absent', 'Present', 'Absent', 'Present']), ['trend']);
+        assert.deepEqual(rules(Array(6).fill(['Absent', 'Present']).flat()), ['certificate']);
+        assert.deepEqual(rules(['Absent', 'Absent'], SUNDAYS.slice(0, 2)), [], 'too few sessions for a rate');
+    });
+
+    it('keeps a student on the queue while the case is open, and quiets them once it is closed', () => {
+        const win = loadFaculty();
+        const students = academicYearFixtures().students.filter(s => s.classId === 'class-7');
+        const queue = (cases, statuses = [...PRESENT, ...ABSENT], dates = SUNDAYS) => plain(win.buildFollowUpQueue({
+            students, sessions: sessions(dates), attendance: attendance(statuses, dates), cases, today: '2025-09-30',
+        }));
+
+        const [flagged, ...others] = queue([]);
+        assert.equal(others.length, 0);
+        assert.equal(flagged.studentName, 'Anna Joseph');
+        assert.equal(flagged.case, null);
+        assert.equal(flagged.reasons[0].detail, 'Absent the last 3 sessions');
+
+        const open = { id: 'case-1', studentId: 'S001', classId: 'class-7', status: 'open', reasons: flagged.reasons, contacts: [] };
+        assert.equal(queue([open])[0].case.id, 'case-1');
+
+        const closed = { ...open, status: 'closed', closedAt: '2025-08-18T10:00:00' };
+        assert.deepEqual(queue([closed]), []);
+
+        // Three more absences after the case was closed
+        const [again] = queue([closed], [...PRESENT, ...ABSENT, ...ABSENT], [...SUNDAYS, '2025-08-24', '2025-08-31', '2025-09-07']);
+        assert.deepEqual(again.reasons.map(r => r.rule), ['consecutive', 'certificate']);
+        assert.equal(again.reasons[0].detail, 'Absent the last 3 sessions');
+        assert.equal(again.case, null);
+    });
+
+    it('opens the case on the first contact attempt and closes it with an outcome', async () => {
+        const win = loadFaculty();
+        const item = {
+            studentId: 'S001', studentName: 'Anna Joseph', classId: 'class-7', case: null,
+            reasons: [{ rule: 'consecutive', detail: 'Absent the last 3 sessions' }],
+        };
+
+        await assert.rejects(win.logAbsenceContact(item, { method: 'email', outcome: 'reached' }), /how the family was contacted/);
+        const opened = await win.logAbsenceContact(item, { method: 'call', outcome: 'no-answer' });
+        const visited = await win.logAbsenceContact({ ...item, case: opened }, { method: 'visit', outcome: 'reached', note: ' Flu, back next week ' });
+        await assert.rejects(win.closeAbsenceCase({ ...item, case: visited }, '  '), /before closing/);
+        await win.closeAbsenceCase({ ...item, case: visited }, 'Back in class after the flu');
+
+        const [row] = win.shimBackend.rows('absenceCases');
+        assert.equal(row.student_id, 'S001');
+        assert.equal(row.academic_year_id, 'ay-2025');
+        assert.equal(row.status, 'closed');
+        assert.equal(row.outcome, 'Back in class after the flu');
+        assert.equal(row.closed_by, FACULTY_UID);
+        assert.deepEqual(plain(row.reasons), item.reasons);
+        assert.deepEqual(plain(row.contacts.map(c => [c.method, c.outcome, c.note, c.by])), [
+            ['call', 'no-answer', '', FACULTY_UID],
+            ['visit', 'reached', 'Flu, back next week', FACULTY_UID],
+        ]);
+
+        const actions = win.shimBackend.rows('activityLogs').map(log => log.action);
+        assert.deepEqual(plain(actions), ['absence_contact_logged', 'absence_contact_logged', 'absence_case_closed']);
+        assert.deepEqual(plain(await win.loadAbsenceCases({ academicYearId: 'ay-2025', classId: 'class-7' })).map(c => c.status), ['closed']);
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+function attendance(id, studentId, status, academicYearId = 'ay-2025') {
+    return { id, sessionId: id.split('_')[0], studentId, status, classId: 'class-7', academicYearId };
+}
+
+describe('admin dashboard counts', () => {
+    it('counts the active roster and its Present/Late records on the server', async () => {
+        const win = loadApp({
+            fixtures: {
+                ...academicYearFixtures(),
+                attendance: [
+                    attendance('2025-06-01_S001', 'S001', 'Present'),
+                    attendance('2025-06-08_S001', 'S001', 'Late'),
+                    attendance('2025-06-15_S001', 'S001', 'Absent'),
+                    attendance('2024-06-02_S001', 'S001', 'Present', 'ay-2024'),
+                ],
+            },
+            activeAcademicYearId: 'ay-2025',
+            scripts: ['js/admin.js'],
+        });
+
+        // S002 transferred out of ay-2025, so only S001 is on the roster
+        assert.deepEqual(plain(await win.loadAdminSummaryCounts()), { students: 1, attended: 2 });
+        assert.deepEqual(plain(win.DATA_MODELS.summaryCounts), { students: 1, attended: 2 });
+        assert.deepEqual(plain(win.DATA_MODELS.attendance), [], 'no attendance rows are loaded');
+    });
+
+    it('starts its listeners without reading whole student, attendance or score tables', async () => {
+        const win = loadApp({
+            fixtures: {
+                ...academicYearFixtures(),
+                attendance: [attendance('2025-06-01_S001', 'S001', 'Present')],
+            },
+            activeAcademicYearId: 'ay-2025',
+            scripts: ['js/admin.js'],
+        });
+        const reads = [];
+        const record = ref => reads.push({
+            collection: ref._collection,
+            filters: (ref._constraints || []).filter(c => c._type === 'where').map(c => c.field),
+        });
+        const { onSnapshot, getDocs } = win;
+        win.onSnapshot = (ref, ...rest) => { record(ref); return onSnapshot(ref, ...rest); };
+        win.getDocs = ref => { record(ref); return getDocs(ref); };
+
+        win.startRealtimeListeners();
+        await new Promise(resolve => setTimeout(resolve, 300));
+        win.stopRealtimeListeners();
+
+        assert.ok(reads.some(r => r.collection === 'enrollments'), 'the listeners started');
+        const bulk = reads.filter(r => ['students', 'attendance', 'scores'].includes(r.collection)
+            && !r.filters.some(field => ['student_id', 'session_id', 'assessment_id'].includes(field)));
+        assert.deepEqual(plain(bulk), []);
+        assert.deepEqual(plain(win.DATA_MODELS.students), []);
+        assert.deepEqual(plain(win.DATA_MODELS.attendance), []);
+        assert.deepEqual(plain(win.DATA_MODELS.scores), []);
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+const FACULTY_UID = '3e4f5a6b-7c8d-4e9f-8a0b-1c2d3e4f5a6b';
+const ADMIN_UID = '1c2d3e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+const SESSION = { id: '2025-06-01', date: '2025-06-01', sessionDate: '2025-06-01', status: 'Available', academicYearId: 'ay-2025' };
+
+function load(script, uid, email, fixtures = {}) {
+    const win = loadApp({
+        fixtures: { ...academicYearFixtures(), sessions: [SESSION], ...fixtures },
+        activeAcademicYearId: 'ay-2025',
+        scripts: [script],
+    });
+    win.localStorage.setItem('currentUser', JSON.stringify({ uid, email }));
+    return win;
+}
+
+function request(overrides = {}) {
+    return {
+        id: 'req-1', sessionId: '2025-06-01', studentId: 'S001', classId: 'class-7', academicYearId: 'ay-2025',
+        fromStatus: 'Absent', toStatus: 'Present', reason: 'Marked absent by mistake', status: 'pending',
+        requestedBy: FACULTY_UID, requestedByEmail: 'teacher@example.com', requestedAt: '2025-06-20T10:00:00.000Z',
+        ...overrides,
+    };
+}
+
+describe('attendance lock', () => {
+    it('locks a session the day after its lock period ends, and never when no period is set', async () => {
+        const win = load('js/faculty.js', FACULTY_UID, 'teacher@example.com', {
+            appConfig: [{ id: 'global', activeAcademicYearId: 'ay-2025', attendanceLockDays: 7 }],
+        });
+        await win.loadAcademicYearContext(true);
+        assert.equal(win.APP_CONTEXT.attendanceLockDays, 7);
+
+        assert.equal(win.getSessionLockDate(SESSION), '2025-06-09');
+        assert.equal(win.isSessionLocked(SESSION, '2025-06-08'), false);
+        assert.equal(win.isSessionLocked(SESSION, '2025-06-09'), true);
+        assert.equal(win.isSessionLocked({ sessionDate: '2025-06-29' }, '2025-06-30', 0), true);
+        assert.equal(win.isSessionLocked(SESSION, '2030-01-01', null), false);
+    });
+
+    it('files a locked session\'s changes as pending requests with the reason', async () => {
+        const win = load('js/faculty.js', FACULTY_UID, 'teacher@example.com');
+        const changes = [{ studentId: 'S001', from: 'Absent', to: 'Present' }, { studentId: 'S003', from: null, to: 'Late' }];
+
+        await assert.rejects(win.requestAttendanceCorrections({ sessionId: '2025-06-01', classId: 'class-7', changes, reason: ' ' }), /Give a reason/);
+        await win.requestAttendanceCorrections({ sessionId: '2025-06-01', classId: 'class-7', changes, reason: ' Marked before the bus arrived ' });
+
+        const rows = win.shimBackend.rows('attendanceCorrections');
+        assert.deepEqual(plain(rows.map(r => [r.student_id, r.from_status, r.to_status, r.status, r.requested_by])), [
+            ['S001', 'Absent', 'Present', 'pending', FACULTY_UID],
+            ['S003', null, 'Late', 'pending', FACULTY_UID],
+        ]);
+        assert.equal(rows[0].reason, 'Marked before the bus arrived');
+        assert.deepEqual(plain(win.shimBackend.rows('attendance')), []);
+
+        const [log] = win.shimBackend.rows('activityLogs');
+        assert.equal(log.action, 'attendance_correction_requested');
+        assert.deepEqual(plain(log.details.changes), changes);
+    });
+
+    it('writes the attendance row on approval and keeps the before and after in the audit trail', async () => {
+        const win = load('js/admin.js', ADMIN_UID, 'admin@example.com', {
+            attendance: [{ id: '2025-06-01_S001', sessionId: '2025-06-01', studentId: 'S001', status: 'Absent', classId: 'class-7', academicYearId: 'ay-2025' }],
+            attendanceCorrections: [request()],
+        });
+        win.DATA_MODELS.attendance = [{ id: '2025-06-01_S001', sessionId: '2025-06-01', studentId: 'S001', status: 'Absent' }];
+        const pending = request();
+
+        await win.reviewAttendanceCorrection(pending, 'approved');
+        assert.equal(win.shimBackend.rows('attendance')[0].status, 'Present');
+        const [row] = win.shimBackend.rows('attendanceCorrections');
+        assert.equal(row.status, 'approved');
+        assert.equal(row.reviewed_by, ADMIN_UID);
+        await assert.rejects(win.reviewAttendanceCorrection(pending, 'rejected', 'Too late'), /already been reviewed/);
+
+        const [log] = win.shimBackend.rows('activityLogs');
+        assert.equal(log.action, 'attendance_correction_approved');
+        assert.deepEqual(plain(log.details), {
+            requestId: 'req-1', sessionId: '2025-06-01', studentId: 'S001', classId: 'class-7',
+            before: 'Absent', after: 'Present', reason: 'Marked absent by mistake',
+            requestedBy: 'teacher@example.com', note: null,
+        });
+    });
+
+    it('needs a note to reject, leaves attendance alone, and validates the lock period', async () => {
+        const win = load('js/admin.js', ADMIN_UID, 'admin@example.com', { attendanceCorrections: [request()] });
+
+        await assert.rejects(win.reviewAttendanceCorrection(request(), 'rejected', ''), /reason for rejecting/);
+        await win.reviewAttendanceCorrection(request(), 'rejected', 'The register shows absent');
+        assert.equal(win.shimBackend.rows('attendanceCorrections')[0].review_note, 'The register shows absent');
+        assert.deepEqual(plain(win.shimBackend.rows('attendance')), []);
+
+        await assert.rejects(win.saveAttendanceLockDays('2.5'), /whole days/);
+        assert.equal(await win.saveAttendanceLockDays('14'), 14);
+        assert.equal(win.shimBackend.rows('appConfig')[0].attendance_lock_days, 14);
+        assert.equal(await win.saveAttendanceLockDays(''), null);
+        assert.equal(win.APP_CONTEXT.attendanceLockDays, null);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+const ADMIN_UID = '1c2d3e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+const TOKENS = { S001: 'a1b2c3d4e5f60718293a4b5c', S003: '0f1e2d3c4b5a69788796a5b4' };
+
+// What check_in_badge() does in the database, minus the class check
+function checkInBadgeRpc({ p_session_id, p_student_id, p_token, p_status }, backend) {
+    if (TOKENS[p_student_id] !== p_token) return { status: 'invalid' };
+    const existing = backend.rows('attendance').find(row => row.session_id === p_session_id && row.student_id === p_student_id);
+    if (existing) return { status: 'duplicate', attendance: existing.status, updatedAt: existing.updated_at };
+    backend.seed('attendance', [{
+        id: `${p_session_id}_${p_student_id}`, sessionId: p_session_id, studentId: p_student_id,
+        status: p_status, classId: 'class-7', academicYearId: 'ay-2025',
+    }]);
+    return { status: 'ok', attendance: p_status };
+}
+
+function loadFaculty(fixtures = {}) {
+    const win = loadApp({
+        fixtures: {
+            ...academicYearFixtures(),
+            sessions: [{ id: '2025-06-01', sessionDate: '2025-06-01', status: 'Available', academicYearId: 'ay-2025' }],
+            ...fixtures,
+        },
+        activeAcademicYearId: 'ay-2025',
+        scripts: ['js/faculty.js'],
+    });
+    win.DATA_MODELS.students = academicYearFixtures().students;
+    win.DATA_MODELS.sessions = [{ id: '2025-06-01', date: '2025-06-01', status: 'Available' }];
+    win.localStorage.setItem('currentUser', JSON.stringify({ uid: ADMIN_UID, email: 'teacher@example.com' }));
+    win.shimBackend.registerRpc('check_in_badge', checkInBadgeRpc);
+    return win;
+}
+
+describe('badge check-in', () => {
+    it('reads only this app\'s badges and marks scans after the cutoff Late', () => {
+        const win = loadFaculty();
+        const payload = win.formatBadgePayload('S001', TOKENS.S001);
+
+        assert.equal(payload, 'CSM1:S001:a1b2c3d4e5f60718293a4b5c');
+        assert.deepEqual(plain(win.parseBadgePayload(` ${payload}\n`)), { studentId: 'S001', token: TOKENS.S001 });
+        assert.equal(win.parseBadgePayload('https://example.com/S001'), null);
+        assert.equal(win.parseBadgePayload('CSM1:S001:not-a-token'), null);
+
+        assert.equal(win.getCheckInStatus('09:30', new Date(2025, 5, 1, 9, 30, 59)), 'Present');
+        assert.equal(win.getCheckInStatus('09:30', new Date(2025, 5, 1, 9, 31)), 'Late');
+        assert.equal(win.getCheckInStatus(null, new Date(2025, 5, 1, 8, 0)), 'Present');
+    });
+
+    it('checks a student in once and refuses the next scan for the same session', async () => {
+        const win = loadFaculty();
+        const payload = win.formatBadgePayload('S001', TOKENS.S001);
+        win.beginCheckInRun({ sessionId: '2025-06-01', lateAfter: '09:30' });
+
+        const first = await win.handleBadgeScan(payload, new Date(2025, 5, 1, 9, 10));
+        assert.equal(first.outcome, 'ok');
+        assert.equal(first.status, 'Present');
+        assert.equal(win.DATA_MODELS.attendance.find(a => a.studentId === 'S001').status, 'Present');
+
+        // Still in front of the camera a moment later: not sent again
+        assert.equal(await win.handleBadgeScan(payload, new Date(2025, 5, 1, 9, 10, 2)), null);
+
+        const again = await win.handleBadgeScan(payload, new Date(2025, 5, 1, 9, 40));
+        assert.equal(again.outcome, 'duplicate');
+        assert.match(again.message, /Anna Joseph is already marked Present/);
+        assert.equal(win.shimBackend.rows('attendance').length, 1);
+
+        const late = await win.handleBadgeScan(win.formatBadgePayload('S003', TOKENS.S003), new Date(2025, 5, 1, 9, 45));
+        assert.equal(late.status, 'Late');
+
+        assert.deepEqual(plain(win.endCheckInRun()), { Present: 1, Late: 1, rejected: 1 });
+        const [log] = win.shimBackend.rows('activityLogs').filter(row => row.action === 'badge_check_in');
+        assert.deepEqual(plain(log.details), { sessionId: '2025-06-01', present: 1, late: 1, rejected: 1 });
+    });
+
+    it('turns away a badge whose token does not match', async () => {
+        const win = loadFaculty();
+        const result = await win.checkInWithBadge(win.formatBadgePayload('S001', TOKENS.S003), { sessionId: '2025-06-01', lateAfter: '09:30' });
+
+        assert.equal(result.outcome, 'invalid');
+        assert.match(result.message, /not valid/);
+        assert.deepEqual(plain(win.shimBackend.rows('attendance')), []);
+    });
+
+    it('finds today\'s session and the cutoff an admin saved', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025', scripts: ['js/admin.js'] });
+        win.localStorage.setItem('currentUser', JSON.stringify({ uid: ADMIN_UID, email: 'admin@example.com' }));
+        await assert.rejects(win.saveCheckInLateAfter('9.30am'), /as a time/);
+        await win.saveCheckInLateAfter('09:15');
+        assert.equal(win.shimBackend.rows('appConfig')[0].check_in_late_after, '09:15');
+
+        const faculty = loadFaculty({ appConfig: [{ id: 'global', activeAcademicYearId: 'ay-2025', checkInLateAfter: '09:15' }] });
+        assert.equal(await faculty.loadCheckInLateAfter(), '09:15');
+        assert.equal(faculty.getTodaySessionId(new Date(2025, 5, 1, 8, 55)), '2025-06-01');
+        assert.equal(faculty.getTodaySessionId(new Date(2025, 5, 2, 8, 55)), '');
+    });
+});
@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+describe('isInActiveAcademicYear', () => {
+    it('treats everything as current when no year is active', () => {
+        const win = loadApp({ activeAcademicYearId: null });
+        assert.equal(win.isInActiveAcademicYear({ academicYearId: 'ay-2019' }), true);
+        assert.equal(win.isInActiveAcademicYear(null), false);
+    });
+
+    it('keeps legacy records without academicYearId visible', () => {
+        const win = loadApp({ activeAcademicYearId: 'ay-2025' });
+        assert.equal(win.isInActiveAcademicYear({ id: 'legacy-session' }), true);
+        assert.equal(win.isInActiveAcademicYear({ academicYearId: '' }), true);
+    });
+
+    it('accepts the active and previous year only', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        await win.loadAcademicYearContext();
+        assert.equal(win.isInActiveAcademicYear({ academicYearId: 'ay-2025' }), true);
+        assert.equal(win.isInActiveAcademicYear({ academicYearId: 'ay-2024' }), true);
+        assert.equal(win.isInActiveAcademicYear({ academicYearId: 'ay-2023' }), false);
+    });
+
+    it('drops the previous year once the context has no link to it', () => {
+        const win = loadApp({ activeAcademicYearId: 'ay-2025' });
+        assert.ok(!win.isInActiveAcademicYear({ academicYearId: 'ay-2024' }));
+    });
+});
+
+describe('getCurrentAcademicYearRoster', () => {
+    const fixtures = academicYearFixtures();
+
+    it('returns the master list untouched when no year is active', () => {
+        const win = loadApp({ activeAcademicYearId: null });
+        const roster = win.getCurrentAcademicYearRoster(fixtures.students, fixtures.enrollments);
+        assert.deepEqual(plain(roster), fixtures.students);
+    });
+
+    it('builds the roster from current-year enrollments merged over profiles', () => {
+        const win = loadApp({ activeAcademicYearId: 'ay-2025' });
+        const roster = plain(win.getCurrentAcademicYearRoster(fixtures.students, fixtures.enrollments));
+        assert.deepEqual(roster.map(s => s.studentId), ['S001']);
+        assert.equal(roster[0].classId, 'class-7');
+        assert.equal(roster[0].registerNo, 701);
+        assert.equal(roster[0].firstName, 'Anna');
+    });
+
+    it('leaves out transferred enrollments and students not enrolled this year', () => {
+        const win = loadApp({ activeAcademicYearId: 'ay-2025' });
+        const ids = win.getCurrentAcademicYearRoster(fixtures.students, fixtures.enrollments).map(s => s.studentId);
+        assert.ok(!ids.includes('S002'), 'transferred student should not be on the roster');
+        assert.ok(!ids.includes('S003'), 'student without a 2025 enrollment should not be on the roster');
+    });
+
+    it('ignores legacy enrollments without academicYearId', () => {
+        const win = loadApp({ activeAcademicYearId: 'ay-2025' });
+        const legacy = { id: 'class-7_S003', classId: 'class-7', studentId: 'S003', registerNo: 703 };
+        const roster = win.getCurrentAcademicYearRoster(fixtures.students, [legacy]);
+        assert.equal(roster.length, 0);
+    });
+
+    it('falls back to the profile name and class when the enrollment lacks them', () => {
+        const win = loadApp({ activeAcademicYearId: 'ay-2025' });
+        const enrollment = { academicYearId: 'ay-2025', studentId: 'S003', registerNo: 702 };
+        const [row] = plain(win.getCurrentAcademicYearRoster(fixtures.students, [enrollment]));
+        assert.equal(row.fullName, 'Clara Paul');
+        assert.equal(row.classId, 'class-7');
+    });
+
+    it('keeps enrollments with no matching profile and drops ones with no studentId', () => {
+        const win = loadApp({ activeAcademicYearId: 'ay-2025' });
+        const roster = plain(win.getCurrentAcademicYearRoster([], [
+            { academicYearId: 'ay-2025', studentId: 'S999', classId: 'class-6', fullName: 'New Kid' },
+            { academicYearId: 'ay-2025', classId: 'class-6' },
+        ]));
+        assert.deepEqual(roster.map(s => s.studentId), ['S999']);
+    });
+
+    it('tolerates non-array input', () => {
+        const win = loadApp({ activeAcademicYearId: 'ay-2025' });
+        assert.deepEqual(plain(win.getCurrentAcademicYearRoster(null, undefined)), []);
+    });
+});
+
+describe('academic year switching', () => {
+    it('loads the active year and its previous-year link from appConfig', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        assert.equal(await win.loadAcademicYearContext(), 'ay-2025');
+        assert.equal(win.APP_CONTEXT.previousAcademicYearId, 'ay-2024');
+        assert.equal(win.APP_CONTEXT.migrationEnabled, true);
+    });
+
+    it('keeps the cached year until a forced refresh', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        await win.loadAcademicYearContext();
+        await win.setDoc(win.doc(win.db, 'appConfig', 'global'), { activeAcademicYearId: 'ay-2024' });
+
+        assert.equal(await win.loadAcademicYearContext(), 'ay-2025');
+        assert.equal(await win.loadAcademicYearContext(true), 'ay-2024');
+        assert.equal(win.APP_CONTEXT.previousAcademicYearId, null);
+        assert.ok(!win.isInActiveAcademicYear({ academicYearId: 'ay-2025' }));
+    });
+
+    it('moves the roster to the new year after a switch', async () => {
+        const fixtures = academicYearFixtures();
+        const win = loadApp({ fixtures });
+        await win.loadAcademicYearContext();
+        win.setActiveAcademicYearContext('ay-2024');
+
+        const ids = win.getCurrentAcademicYearRoster(fixtures.students, fixtures.enrollments).map(s => s.studentId);
+        assert.deepEqual(plain(ids).sort(), ['S001', 'S002']);
+    });
+
+    it('notifies watchers only when the active year actually changes', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        await win.loadAcademicYearContext();
+
+        const changes = [];
+        const unsub = await win.watchAcademicYearContext((next, prev) => changes.push([next, prev]));
+        const configRef = win.doc(win.db, 'appConfig', 'global');
+        await settle();
+
+        await win.updateDoc(configRef, { vbsEnabled: true });
+        await settle();
+        await win.updateDoc(configRef, { activeAcademicYearId: 'ay-2026' });
+        await settle();
+        unsub();
+
+        assert.deepEqual(changes, [['ay-2026', 'ay-2025']]);
+        assert.equal(win.getActiveAcademicYearId(), 'ay-2026');
+    });
+});
+
+// Lets queued snapshot deliveries and their async handlers run
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 10));
+}
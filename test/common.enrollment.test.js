@@ -0,0 +1,236 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+function enrollment(win, id) {
+    return win.shimBackend.rows('enrollments').find(row => row.id === id);
+}
+
+function counter(win, id) {
+    return win.shimBackend.rows('classYearCounters').find(row => row.id === id);
+}
+
+describe('upsertEnrollmentForStudent', () => {
+    it('does nothing without an active year, a student id or a class', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: null });
+        assert.equal(await win.upsertEnrollmentForStudent({ studentId: 'S003', classId: 'class-7' }), null);
+
+        win.setActiveAcademicYearContext('ay-2025');
+        assert.equal(await win.upsertEnrollmentForStudent({ studentId: 'S003' }), null);
+        assert.equal(await win.upsertEnrollmentForStudent({ studentId: '  ', classId: 'class-7' }), null);
+        assert.equal(win.shimBackend.rows('enrollments').length, academicYearFixtures().enrollments.length);
+    });
+
+    it('assigns the next register number after the class counter', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        const result = await win.upsertEnrollmentForStudent({
+            studentId: 'S003', classId: 'class-7', firstName: 'Clara', lastName: 'Paul',
+        });
+
+        assert.equal(result.registerNo, 702);
+        assert.equal(result.fullName, 'Clara Paul');
+        assert.equal(enrollment(win, 'ay-2025_class-7_S003').register_no, 702);
+        assert.equal(counter(win, 'ay-2025_class-7').count, 2);
+    });
+
+    it('keeps the register number of an existing enrollment', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        const result = await win.upsertEnrollmentForStudent({
+            studentId: 'S001', classId: 'class-7', firstName: 'Anna', lastName: 'Joseph-Mathew',
+        });
+
+        assert.equal(result.registerNo, 701);
+        assert.equal(enrollment(win, 'ay-2025_class-7_S001').full_name, 'Anna Joseph-Mathew');
+        assert.equal(counter(win, 'ay-2025_class-7').count, 1);
+    });
+
+    it('starts a class counter at 01 for the first student', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        const result = await win.upsertEnrollmentForStudent({ studentId: 'S010', classId: 'class-12', name: 'Dev' });
+
+        assert.equal(result.registerNo, 1201);
+        assert.equal(result.fullName, 'Dev');
+        assert.equal(counter(win, 'ay-2025_class-12').count, 1);
+    });
+
+    it('uses a plain sequence when the class has no number', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        const result = await win.upsertEnrollmentForStudent({ studentId: 'S011', classId: 'class-nursery' });
+
+        assert.equal(result.registerNo, 1);
+        assert.equal(result.fullName, 'S011');
+    });
+
+    it('takes the prefix from the class name when it disagrees with the id', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        win.DATA_MODELS = { classes: [{ id: 'class-6b', name: 'Class 8' }] };
+        const result = await win.upsertEnrollmentForStudent({ studentId: 'S012', classId: 'class-6b' });
+
+        assert.equal(result.registerNo, 801);
+    });
+
+    it('honours a pre-filled register number and advances the counter past it', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        const hinted = await win.upsertEnrollmentForStudent({ studentId: 'S013', classId: 'class-7', _hintRegisterNo: '705' });
+        assert.equal(hinted.registerNo, 705);
+        assert.equal(counter(win, 'ay-2025_class-7').count, 5);
+
+        const next = await win.upsertEnrollmentForStudent({ studentId: 'S014', classId: 'class-7' });
+        assert.equal(next.registerNo, 706);
+    });
+
+    it('never moves the counter backwards for a lower pre-filled number', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        await win.upsertEnrollmentForStudent({ studentId: 'S015', classId: 'class-7', _hintRegisterNo: 709 });
+        const low = await win.upsertEnrollmentForStudent({ studentId: 'S016', classId: 'class-7', _hintRegisterNo: 703 });
+
+        assert.equal(low.registerNo, 703);
+        assert.equal(counter(win, 'ay-2025_class-7').count, 9);
+    });
+
+    it('ignores a non-numeric pre-filled register number', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        const result = await win.upsertEnrollmentForStudent({ studentId: 'S017', classId: 'class-7', _hintRegisterNo: 'abc' });
+        assert.equal(result.registerNo, 702);
+    });
+
+    it('re-numbers an existing enrollment whose register number is unusable', async () => {
+        const fixtures = academicYearFixtures();
+        fixtures.enrollments.push({
+            id: 'ay-2025_class-7_S003', academicYearId: 'ay-2025', classId: 'class-7', studentId: 'S003',
+            registerNo: 'n/a', status: 'active',
+        });
+        const win = loadApp({ fixtures, activeAcademicYearId: 'ay-2025' });
+        const result = await win.upsertEnrollmentForStudent({ studentId: 'S003', classId: 'class-7' });
+        assert.equal(result.registerNo, 702);
+    });
+
+    it('hands out distinct numbers to concurrent saves in the same class', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        const results = await Promise.all(['S020', 'S021', 'S022'].map(studentId =>
+            win.upsertEnrollmentForStudent({ studentId, classId: 'class-7' })));
+
+        assert.deepEqual(results.map(r => r.registerNo).sort(), [702, 703, 704]);
+        assert.equal(counter(win, 'ay-2025_class-7').count, 4);
+    });
+
+    it('enrolls a transferred-out student again under a new class in the same year', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        const result = await win.upsertEnrollmentForStudent({ studentId: 'S002', classId: 'class-7' });
+
+        assert.equal(result.registerNo, 702);
+        assert.equal(result.status, 'active');
+        assert.equal(enrollment(win, 'ay-2025_class-6_S002').status, 'transferred');
+    });
+});
+
+describe('createOrUpdateEnrollment', () => {
+    it('creates an enrollment for the given year with the next register number', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const result = await win.createOrUpdateEnrollment('ay-2025', 'class-7', 'S003', { fullName: 'Clara Paul' });
+
+        assert.equal(result.id, 'ay-2025_class-7_S003');
+        assert.equal(result.registerNo, 702);
+        assert.equal(enrollment(win, 'ay-2025_class-7_S003').full_name, 'Clara Paul');
+        assert.equal(counter(win, 'ay-2025_class-7').count, 2);
+    });
+
+    it('works for a year other than the active one', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        const result = await win.createOrUpdateEnrollment('ay-2026', 'class-7', 'S001', {
+            promotedFromClass: 'class-7', promotedFromYear: 'ay-2025', migratedFromYearId: 'ay-2025',
+        });
+
+        assert.equal(result.registerNo, 701);
+        const row = enrollment(win, 'ay-2026_class-7_S001');
+        assert.equal(row.academic_year_id, 'ay-2026');
+        assert.equal(row.promoted_from_year, 'ay-2025');
+        assert.equal(counter(win, 'ay-2026_class-7').count, 1);
+    });
+
+    it('preserves the register number and only patches provided fields on re-run', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const result = await win.createOrUpdateEnrollment('ay-2025', 'class-7', 'S001', { status: 'active' });
+
+        assert.equal(result.registerNo, 701);
+        const row = enrollment(win, 'ay-2025_class-7_S001');
+        assert.equal(row.full_name, 'Anna Joseph');
+        assert.equal(row.promoted_from_class, 'class-6');
+        assert.equal(counter(win, 'ay-2025_class-7').count, 1);
+    });
+
+    it('can reactivate a transferred enrollment without renumbering it', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const result = await win.createOrUpdateEnrollment('ay-2025', 'class-6', 'S002', { status: 'active' });
+
+        assert.equal(result.registerNo, 601);
+        assert.equal(enrollment(win, 'ay-2025_class-6_S002').status, 'active');
+    });
+
+    it('numbers promoted students in order when run one after another', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const numbers = [];
+        for (const studentId of ['S002', 'S003']) {
+            numbers.push((await win.createOrUpdateEnrollment('ay-2025', 'class-7', studentId)).registerNo);
+        }
+        assert.deepEqual(numbers, [702, 703]);
+    });
+
+    it('returns null instead of throwing when the write fails', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        win.shimBackend.commitTransaction = async () => {
+            throw Object.assign(new Error('permission denied for table enrollments'), { code: '42501' });
+        };
+
+        assert.equal(await win.createOrUpdateEnrollment('ay-2025', 'class-7', 'S003'), null);
+        assert.ok(win.__logs.some(entry => entry.level === 'error'));
+    });
+
+    it('returns null without a database', async () => {
+        const win = loadApp();
+        win.db = null;
+        assert.equal(await win.createOrUpdateEnrollment('ay-2025', 'class-7', 'S003'), null);
+    });
+});
+
+describe('register-number results are plain data', () => {
+    it('returns the enrollment payload fields', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+        const result = plain(await win.upsertEnrollmentForStudent({ studentId: 'S003', classId: 'class-7' }));
+        assert.deepEqual(Object.keys(result).sort(), [
+            'academicYearId', 'classId', 'createdAt', 'fullName', 'id', 'registerNo', 'status', 'studentId', 'updatedAt',
+        ]);
+    });
+});
+
+describe('promoteStudents', () => {
+    const PROMOTION = { fromYear: 'ay-2024', fromClass: 'class-6', toYear: 'ay-2025', toClass: 'class-7' };
+
+    it('enrolls every student, continues the counter and moves the profiles', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const enrollments = await win.promoteStudents({
+            ...PROMOTION,
+            students: [{ studentId: 'S001', fullName: 'Anna Joseph' }, { studentId: 'S002', fullName: 'Ben Thomas' }],
+        });
+
+        assert.deepEqual(plain(enrollments.map(e => [e.studentId, e.registerNo])), [['S001', 701], ['S002', 702]]);
+        assert.equal(enrollment(win, 'ay-2025_class-7_S002').promoted_from_class, 'class-6');
+        assert.equal(counter(win, 'ay-2025_class-7').count, 2);
+        assert.equal(win.shimBackend.rows('students').find(row => row.student_id === 'S002').class_id, 'class-7');
+    });
+
+    it('writes nothing when one student cannot be promoted', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const before = plain({ enrollments: win.shimBackend.rows('enrollments'), counters: win.shimBackend.rows('classYearCounters') });
+
+        await assert.rejects(win.promoteStudents({
+            ...PROMOTION,
+            students: [{ studentId: 'S002', fullName: 'Ben Thomas' }, { studentId: 'S404', fullName: 'No Profile' }],
+        }), /no longer exists in students/);
+
+        assert.deepEqual(plain({ enrollments: win.shimBackend.rows('enrollments'), counters: win.shimBackend.rows('classYearCounters') }), before);
+        assert.equal(win.shimBackend.rows('students').find(row => row.student_id === 'S002').class_id, 'class-6');
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+
+const sessions = [
+    { id: 'sess-1', status: 'Available' },
+    { id: 'sess-2', status: 'Available' },
+    { id: 'sess-3', status: 'Available' },
+    { id: 'sess-4', status: 'Available' },
+    { id: 'sess-5', status: 'Not Available', noClassReason: 'Parish feast' },
+];
+
+describe('calcStudentAttendancePct', () => {
+    const win = loadApp();
+
+    it('returns null when no sessions were held', () => {
+        assert.equal(win.calcStudentAttendancePct('S001', [], []), null);
+        assert.equal(win.calcStudentAttendancePct('S001', [{ status: 'Not Available' }], []), null);
+        assert.equal(win.calcStudentAttendancePct('S001', null, null), null);
+    });
+
+    it('counts Present and Late against held sessions only', () => {
+        const attendance = [
+            { studentId: 'S001', sessionId: 'sess-1', status: 'Present' },
+            { studentId: 'S001', sessionId: 'sess-2', status: 'Late' },
+            { studentId: 'S001', sessionId: 'sess-3', status: 'Absent' },
+            { studentId: 'S001', sessionId: 'sess-4', status: 'Excused' },
+        ];
+        assert.equal(win.calcStudentAttendancePct('S001', sessions, attendance), 50);
+    });
+
+    it('only counts the requested student and matches numeric ids to strings', () => {
+        const attendance = [
+            { studentId: 1001, status: 'Present' },
+            { studentId: '1002', status: 'Present' },
+            { studentId: '1002', status: 'Present' },
+        ];
+        assert.equal(win.calcStudentAttendancePct('1001', sessions, attendance), 25);
+        assert.equal(win.calcStudentAttendancePct(1002, sessions, attendance), 50);
+    });
+
+    it('rounds to the nearest whole percent', () => {
+        const held = sessions.slice(0, 3);
+        assert.equal(win.calcStudentAttendancePct('S001', held, [{ studentId: 'S001', status: 'Present' }]), 33);
+        assert.equal(win.calcStudentAttendancePct('S001', held, [
+            { studentId: 'S001', status: 'Present' }, { studentId: 'S001', status: 'Present' },
+        ]), 67);
+    });
+});
+
+describe('getLetterGrade', () => {
+    const win = loadApp();
+
+    it('maps percentages onto grade bands at their lower bounds', () => {
+        const grades = [100, 90, 89.9, 75, 74, 60, 59, 45, 44.5, 0].map(p => win.getLetterGrade(p).grade);
+        assert.deepEqual(plain(grades), ['A', 'A', 'B', 'B', 'C', 'C', 'D', 'D', 'F', 'F']);
+    });
+
+    it('returns the label and css class with the grade', () => {
+        assert.deepEqual(plain(win.getLetterGrade(80)), { grade: 'B', label: 'Good', css: 'grade-B' });
+    });
+
+    it('returns null for missing or non-numeric input', () => {
+        assert.equal(win.getLetterGrade(null), null);
+        assert.equal(win.getLetterGrade(undefined), null);
+        assert.equal(win.getLetterGrade('abc'), null);
+    });
+
+    it('accepts numeric strings', () => {
+        assert.equal(win.getLetterGrade('92').grade, 'A');
+    });
+});
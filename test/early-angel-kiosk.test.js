@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+const STAFF_UID = '9a8b7c6d-5e4f-4a3b-9c2d-1e0f9a8b7c6d';
+
+function entry(studentId, entryDate, classId = 'class-7') {
+    return { id: `${entryDate}_${studentId}`, studentId, classId, entryDate, points: 1, studentName: studentId };
+}
+
+async function openKiosk(entries = []) {
+    const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025', scripts: ['js/early-angel.js'] });
+    win.localStorage.setItem('currentUser', JSON.stringify({ uid: STAFF_UID, email: 'desk@example.com' }));
+    win.EA_STATE.activeAcademicYearId = 'ay-2025';
+    win.EA_STATE.students = academicYearFixtures().students;
+    win.EA_STATE.entries = entries;
+    await win.startKiosk({ pinSalt: 'a1b2', pinHash: await win.hashKioskPin('2468', 'a1b2'), startedAt: Date.now() });
+    return win;
+}
+
+describe('early angel kiosk', () => {
+    it('counts a streak over the days the program ran, and the year\'s points', async () => {
+        const win = await openKiosk();
+        const entries = [
+            entry('S001', '2025-06-01'), entry('S001', '2025-06-08'), entry('S001', '2025-06-15'),
+            entry('S001', '2025-06-29'), entry('S003', '2025-06-22'), entry('S003', '2025-06-29'),
+        ];
+
+        assert.deepEqual(plain(win.getEarlyAngelStats('S001', entries)), { streak: 1, points: 4 });
+        assert.deepEqual(plain(win.getEarlyAngelStats('S003', entries)), { streak: 2, points: 2 });
+        assert.deepEqual(plain(win.getEarlyAngelStats('S002', entries)), { streak: 0, points: 0 });
+    });
+
+    it('finds the child by this year\'s register number or a badge', async () => {
+        const win = await openKiosk();
+
+        assert.deepEqual(plain(win.findKioskStudent(' 701 ')), {
+            studentId: 'S001', studentName: 'Anna Joseph', firstName: 'Anna', classId: 'class-7',
+        });
+        assert.equal(win.findKioskStudent(win.formatBadgePayload('S003', 'a1b2c3d4e5f60718293a4b5c')).studentName, 'Clara Paul');
+        assert.equal(win.findKioskStudent('601'), null, 'last year\'s register number');
+        assert.equal(win.findKioskStudent('Anna'), null);
+    });
+
+    it('creates one entry a day through the shared save path and shows the streak', async () => {
+        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const win = await openKiosk([entry('S001', yesterday)]);
+
+        const first = await win.kioskCheckIn('701');
+        assert.equal(first.outcome, 'ok');
+        assert.equal(first.streak, 2);
+        assert.equal(first.points, 2);
+
+        const [saved] = win.shimBackend.rows('earlyAngelEntries');
+        assert.equal(saved.student_id, 'S001');
+        assert.equal(saved.class_id, 'class-7');
+        assert.match(saved.entry_time, /^\d{2}:\d{2}:\d{2}$/);
+        const [log] = win.shimBackend.rows('activityLogs').filter(row => row.action === 'early_angel_entry_saved');
+        assert.equal(log.details.source, 'kiosk');
+
+        assert.equal((await win.kioskCheckIn('701')).outcome, 'duplicate');
+        assert.equal((await win.kioskCheckIn('999')).outcome, 'not-found');
+        assert.equal(win.shimBackend.rows('earlyAngelEntries').length, 1);
+    });
+
+    it('only leaves kiosk mode with the PIN, and locks after repeated wrong tries', async () => {
+        const win = await openKiosk();
+        const now = Date.now();
+        assert.match(win.sessionStorage.getItem('earlyAngelKiosk'), /pinHash/);
+        assert.notEqual(await win.hashKioskPin('2468', 'c3d4'), win.EA_STATE.kiosk.pinHash, 'salted');
+
+        assert.equal(await win.verifyKioskPin('1111', now), 'wrong');
+        for (let i = 0; i < 3; i++) await win.verifyKioskPin('1111', now);
+        assert.equal(await win.verifyKioskPin('1111', now), 'locked');
+
+        // A reload keeps the lock
+        assert.equal(await win.restoreKioskMode(), true);
+        assert.equal(await win.verifyKioskPin('2468', now + 30 * 1000), 'locked');
+        assert.equal(await win.verifyKioskPin('2468', now + 61 * 1000), 'ok');
+
+        await win.exitKioskMode();
+        assert.equal(win.sessionStorage.getItem('earlyAngelKiosk'), null);
+        assert.equal(win.EA_STATE.kiosk, null);
+        assert.deepEqual(plain(win.shimBackend.rows('activityLogs').map(row => row.action).sort()),
+            ['early_angel_kiosk_exited', 'early_angel_kiosk_pin_locked']);
+    });
+
+    it('asks for a new PIN instead of restoring an entry saved without a salt', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025', scripts: ['js/early-angel.js'] });
+        const prompts = [];
+        win.Swal = { fire: async options => { prompts.push(options.html); return { isConfirmed: false }; } };
+        win.sessionStorage.setItem('earlyAngelKiosk', JSON.stringify({ pinHash: 'ab12', startedAt: Date.now() }));
+
+        assert.equal(await win.restoreKioskMode(), false);
+        assert.equal(win.EA_STATE.kiosk, null);
+        assert.equal(win.sessionStorage.getItem('earlyAngelKiosk'), null);
+        assert.equal(prompts.length, 1);
+        assert.match(prompts[0], /Choose a new PIN/);
+    });
+});
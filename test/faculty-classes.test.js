@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+const FACULTY_UID = '9a8b7c6d-5e4f-4a3b-9c2d-1e0f9a8b7c6d';
+
+function assignmentFixtures(assignments) {
+    return {
+        ...academicYearFixtures(),
+        facultyClassAssignments: assignments.map(([classId, assignmentRole, academicYearId = 'ay-2025']) => ({
+            id: `${academicYearId}_${FACULTY_UID}_${classId}`,
+            academicYearId,
+            uid: FACULTY_UID,
+            classId,
+            assignmentRole,
+        })),
+    };
+}
+
+function loadFaculty(assignments) {
+    return loadApp({
+        fixtures: assignmentFixtures(assignments),
+        activeAcademicYearId: 'ay-2025',
+        scripts: ['js/faculty.js'],
+    });
+}
+
+describe('faculty class assignments', () => {
+    it('list every class for the active year, primary first, and open the primary one', async () => {
+        const win = loadFaculty([['class-7', 'assistant'], ['class-6', 'primary'], ['class-5', 'primary', 'ay-2024']]);
+        const classId = await win.loadFacultyClasses(FACULTY_UID, { classId: null });
+
+        assert.equal(classId, 'class-6');
+        assert.deepEqual(plain(win.DATA_MODELS.facultyClassAssignments), [
+            { classId: 'class-6', assignmentRole: 'primary' },
+            { classId: 'class-7', assignmentRole: 'assistant' },
+        ]);
+    });
+
+    it('keep the user_roles class as a primary assignment', async () => {
+        const win = loadFaculty([['class-6', 'assistant']]);
+        const classId = await win.loadFacultyClasses(FACULTY_UID, { classId: 'class-7' });
+
+        assert.equal(classId, 'class-7');
+        assert.deepEqual(plain(win.DATA_MODELS.facultyClassAssignments.map(item => item.classId)), ['class-7', 'class-6']);
+    });
+
+    it('reopen the class last picked on this device while it is still assigned', async () => {
+        const win = loadFaculty([['class-6', 'primary'], ['class-7', 'assistant']]);
+        win.localStorage.setItem('facultySelectedClassId', 'class-7');
+        assert.equal(await win.loadFacultyClasses(FACULTY_UID, { classId: 'class-6' }), 'class-7');
+
+        win.localStorage.setItem('facultySelectedClassId', 'class-9');
+        assert.equal(await win.loadFacultyClasses(FACULTY_UID, { classId: 'class-6' }), 'class-6');
+    });
+
+    it('only store primary or assistant assignments', async () => {
+        const win = loadApp();
+        const ref = win.doc(win.db, 'facultyClassAssignments', `ay-2025_${FACULTY_UID}_class-7`);
+        await assert.rejects(
+            win.setDoc(ref, { academicYearId: 'ay-2025', uid: FACULTY_UID, classId: 'class-7', assignmentRole: 'helper' }),
+            err => err instanceof win.SchemaValidationError
+        );
+    });
+});
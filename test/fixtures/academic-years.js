@@ -0,0 +1,57 @@
+/**
+ * Two academic years (2024-25 → 2025-26) with students promoted between
+ * them, one transfer out, and a counter already in use for Class 7.
+ * Returns fresh objects on every call so tests can't leak into each other.
+ */
+
+function academicYearFixtures() {
+    return {
+        appConfig: [
+            { id: 'global', activeAcademicYearId: 'ay-2025' },
+        ],
+        academicYears: [
+            { id: 'ay-2024', yearLabel: '2024-25', startDate: '2024-06-01', endDate: '2025-03-31' },
+            {
+                id: 'ay-2025', yearLabel: '2025-26', startDate: '2025-06-01', endDate: '2026-03-31',
+                previousYearId: 'ay-2024', migrationEnabled: true,
+            },
+        ],
+        classes: [
+            { id: 'class-6', name: 'Class 6' },
+            { id: 'class-7', name: 'Class 7' },
+            { id: 'class-nursery', name: 'Nursery' },
+        ],
+        students: [
+            { studentId: 'S001', firstName: 'Anna', lastName: 'Joseph', classId: 'class-7' },
+            { studentId: 'S002', firstName: 'Ben', lastName: 'Thomas', classId: 'class-6' },
+            { studentId: 'S003', firstName: 'Clara', lastName: 'Paul', classId: 'class-7' },
+        ],
+        enrollments: [
+            {
+                id: 'ay-2024_class-6_S001', academicYearId: 'ay-2024', classId: 'class-6',
+                studentId: 'S001', registerNo: 601, status: 'active', fullName: 'Anna Joseph',
+            },
+            {
+                id: 'ay-2025_class-7_S001', academicYearId: 'ay-2025', classId: 'class-7',
+                studentId: 'S001', registerNo: 701, status: 'active', fullName: 'Anna Joseph',
+                promotedFromClass: 'class-6', promotedFromYear: 'ay-2024',
+                updatedAt: '2025-06-02T09:00:00.000Z',
+            },
+            {
+                id: 'ay-2024_class-6_S002', academicYearId: 'ay-2024', classId: 'class-6',
+                studentId: 'S002', registerNo: 602, status: 'active', fullName: 'Ben Thomas',
+            },
+            {
+                id: 'ay-2025_class-6_S002', academicYearId: 'ay-2025', classId: 'class-6',
+                studentId: 'S002', registerNo: 601, status: 'transferred', fullName: 'Ben Thomas',
+                updatedAt: '2025-07-15T09:00:00.000Z',
+            },
+        ],
+        classYearCounters: [
+            { id: 'ay-2025_class-7', academicYearId: 'ay-2025', classId: 'class-7', count: 1, updatedAt: '2025-06-02T09:00:00.000Z' },
+            { id: 'ay-2025_class-6', academicYearId: 'ay-2025', classId: 'class-6', count: 1, updatedAt: '2025-07-15T09:00:00.000Z' },
+        ],
+    };
+}
+
+module.exports = { academicYearFixtures };
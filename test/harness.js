@@ -0,0 +1,155 @@
+/**
+ * test/harness.js
+ * Loads the browser scripts into an isolated Node VM context with a stub
+ * window and the in-memory shim backend, so helpers run without a network.
+ *
+ *   const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025' });
+ *   await win.upsertEnrollmentForStudent({ … });
+ *   win.shimBackend.rows('enrollments');
+ */
+
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const vm     = require('node:vm');
+const crypto = require('node:crypto');
+
+const ROOT = path.join(__dirname, '..');
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem:    key => (items.has(key) ? items.get(key) : null),
+        setItem:    (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear:      () => items.clear(),
+    };
+}
+
+// An in-memory IndexedDB with the few calls the offline write queue makes
+// (open, add, getAll, delete, count). Pass the same instance to several
+// loadApp() calls to model reopening the app on one device.
+function createIndexedDb() {
+    const databases = new Map();   // name → Map(storeName → { keyPath, nextKey, records })
+    const later = fn => setTimeout(fn, 0);
+
+    function objectStore(store) {
+        const request = fn => {
+            const req = { result: undefined };
+            req.result = fn();
+            return req;
+        };
+        return {
+            add: value => request(() => {
+                const record = structuredClone(value);
+                const key = store.nextKey++;
+                record[store.keyPath] = key;
+                store.records.set(key, record);
+                return key;
+            }),
+            getAll: () => request(() => [...store.records.values()].map(r => structuredClone(r))),
+            delete: key => request(() => { store.records.delete(key); }),
+            count:  () => request(() => store.records.size),
+        };
+    }
+
+    return {
+        open(name) {
+            const req = {};
+            later(() => {
+                const isNew = !databases.has(name);
+                if (isNew) databases.set(name, new Map());
+                const stores = databases.get(name);
+                req.result = {
+                    createObjectStore: (storeName, { keyPath }) => {
+                        stores.set(storeName, { keyPath, nextKey: 1, records: new Map() });
+                    },
+                    transaction: storeName => {
+                        const tx = { objectStore: () => objectStore(stores.get(storeName)) };
+                        later(() => tx.oncomplete && tx.oncomplete());
+                        return tx;
+                    },
+                };
+                if (isNew && req.onupgradeneeded) req.onupgradeneeded();
+                req.onsuccess();
+            });
+            return req;
+        },
+    };
+}
+
+// Just enough of a browser window for the shared scripts to load. Console
+// output is captured in win.__logs instead of cluttering the test report.
+function createWindow({ indexedDB } = {}) {
+    const logs = [];
+    const capture = level => (...args) => logs.push({ level, args });
+    const win = {
+        console:        { log: capture('log'), info: capture('info'), warn: capture('warn'), error: capture('error') },
+        setTimeout, clearTimeout, clearInterval, queueMicrotask,
+        // Background polling must not keep the test process alive
+        setInterval:    (...args) => setInterval(...args).unref(),
+        crypto:         crypto.webcrypto,
+        URL, URLSearchParams, TextEncoder, CustomEvent,
+        navigator:      { onLine: true },
+        indexedDB,
+        history:        { pushState: () => {} },
+        localStorage:   createStorage(),
+        sessionStorage: createStorage(),
+        location:       { pathname: '/test.html', href: '' },
+        document: {
+            addEventListener: () => {},
+            getElementById:   () => null,
+            querySelector:    () => null,
+            querySelectorAll: () => [],
+        },
+        addEventListener: () => {},
+        dispatchEvent:    () => {},
+        __SUPABASE_CONFIG__: { backend: 'memory' },
+        __logs: logs,
+    };
+    win.window = win;
+    return vm.createContext(win);
+}
+
+function loadScripts(win, files) {
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, win, { filename: file });
+    }
+}
+
+/**
+ * Boots js/supabase.js (memory backend) + js/common.js in a fresh context.
+ * fixtures: { collectionName: [docs] } seeded before any helper runs.
+ * activeAcademicYearId: sets the academic-year context directly (skip to use loadAcademicYearContext).
+ * indexedDB: a createIndexedDb() instance; without one the offline write queue is disabled.
+ */
+function loadApp({ fixtures = {}, activeAcademicYearId, scripts = [], indexedDB } = {}) {
+    const win = createWindow({ indexedDB });
+    loadScripts(win, ['js/supabase.js', 'js/common.js', ...scripts]);
+    for (const [name, docs] of Object.entries(fixtures)) {
+        win.shimBackend.seed(name, docs);
+    }
+    if (activeAcademicYearId !== undefined) {
+        win.setActiveAcademicYearContext(activeAcademicYearId);
+    }
+    return win;
+}
+
+// Values created inside the VM have that realm's prototypes; copy them out
+// so assert.deepStrictEqual compares plain data.
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// The error a promise rejects with; fails the test if it resolves.
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (err) {
+        return err;
+    }
+    assert.fail('expected the call to be rejected');
+}
+
+module.exports = { loadApp, createIndexedDb, plain, rejection };
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, rejection } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+// Stands in for verify_student_login(): answers with `result` and records each call
+function withVerifyRpc(win, result) {
+    const calls = [];
+    win.shimBackend.registerRpc('verify_student_login', params => {
+        calls.push(plain(params));
+        return result;
+    });
+    return calls;
+}
+
+describe('callable functions', () => {
+    it('pass their params to the RPC and resolve to { data }', async () => {
+        const win = loadApp();
+        win.shimBackend.registerRpc('echo', params => ({ got: params.value }));
+        const { data } = await win.httpsCallable(win.getFunctions(), 'echo')({ value: 7 });
+        assert.deepEqual(plain(data), { got: 7 });
+    });
+
+    it('report a missing database function as not-found', async () => {
+        const win = loadApp();
+        const err = await rejection(win.httpsCallable(win.getFunctions(), 'verify_student_login')({}));
+        assert.ok(err instanceof win.DataError);
+        assert.equal(err.kind, 'not-found');
+        assert.match(err.message, /Apply the latest migration/);
+    });
+});
+
+describe('student login verification', () => {
+    it('returns the student ID and portal token and sends nothing the browser chose', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), scripts: ['js/auth.js'] });
+        const calls = withVerifyRpc(win, { status: 'ok', student_id: 'S001', token: 'f00d' });
+
+        assert.deepEqual(plain(await win.verifyStudentLogin('701', '2013-05-02')), { studentId: 'S001', token: 'f00d' });
+        assert.deepEqual(calls, [{ p_identifier: '701', p_dob: '2013-05-02' }]);
+    });
+
+    it('does not say which field was wrong, and warns near the limit', async () => {
+        const win = loadApp({ scripts: ['js/auth.js'] });
+        withVerifyRpc(win, { status: 'invalid', attempts_left: 1 });
+
+        const err = await rejection(win.verifyStudentLogin('701', '2013-01-01'));
+        assert.equal(err.message,
+            'Register number / mobile number or date of birth is incorrect. 1 attempt left before login is locked for a while.');
+        assert.deepEqual(plain(win.shimBackend.rows('activityLogs')), [], 'the RPC logs attempts, not the browser');
+    });
+
+    it('reports a lockout with the time left', async () => {
+        const win = loadApp({ scripts: ['js/auth.js'] });
+        withVerifyRpc(win, { status: 'locked', retry_after_seconds: 125 });
+
+        const err = await rejection(win.verifyStudentLogin('9876543210', '2013-01-01'));
+        assert.equal(err.message, 'Too many failed attempts. Please try again in 3 minutes.');
+        assert.deepEqual(plain(win.shimBackend.rows('activityLogs')), []);
+    });
+});
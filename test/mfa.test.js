@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+
+const ADMIN_UID = '1c2d3e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+const RECOVERY_CODES = Array.from({ length: 10 }, (_, i) => `abcd-ef01-000${i}`);
+
+async function signedInAdmin() {
+    const win = loadApp();
+    win.shimBackend.addUser({ id: ADMIN_UID, email: 'admin@example.com', password: 'correct horse' });
+    win.localStorage.setItem('currentUser', JSON.stringify({ uid: ADMIN_UID, email: 'admin@example.com' }));
+    win.shimBackend.registerRpc('generate_mfa_recovery_codes', () => RECOVERY_CODES);
+    await win.signInWithEmailAndPassword(win.auth, 'admin@example.com', 'correct horse');
+    return win;
+}
+
+// Answers each Swal.fire() in turn; `dialogs` records what was asked
+function answerDialogs(win, answers) {
+    const dialogs = [];
+    win.Swal = {
+        fire: async opts => {
+            dialogs.push(opts);
+            const answer = answers.shift();
+            assert.ok(answer, `unexpected dialog: ${opts.title}`);
+            return answer(opts);
+        },
+        showValidationMessage: () => {},
+    };
+    return dialogs;
+}
+
+async function currentCode(win) {
+    const [factor] = await win.listMfaFactors(win.auth);
+    return win.shimBackend.totpCode(factor.id);
+}
+
+async function enrol(win) {
+    answerDialogs(win, [
+        async opts => ({ isConfirmed: await opts.preConfirm(await currentCode(win)) }),
+        async () => ({ isConfirmed: true }),
+    ]);
+    await win.ensureSecondFactor({ required: true });
+}
+
+function logged(win, action) {
+    return win.shimBackend.rows('activityLogs').filter(row => row.action === action);
+}
+
+describe('two-factor sign-in', () => {
+    it('makes an admin without an authenticator set one up and shows the recovery codes', async () => {
+        const win = await signedInAdmin();
+        const dialogs = answerDialogs(win, [
+            async opts => ({ isConfirmed: await opts.preConfirm('000000') || await opts.preConfirm(await currentCode(win)) }),
+            async () => ({ isConfirmed: true }),
+        ]);
+        await win.ensureSecondFactor({ required: true });
+
+        const [factor] = await win.listMfaFactors(win.auth);
+        assert.equal(factor.status, 'verified');
+        assert.equal((await win.getAuthAssurance(win.auth)).currentLevel, 'aal2');
+        assert.match(dialogs[1].html, /abcd-ef01-0009/);
+        assert.equal(logged(win, 'mfa_enrolled').length, 1);
+    });
+
+    it('does not ask accounts without an authenticator unless it is required', async () => {
+        const win = await signedInAdmin();
+        answerDialogs(win, []);
+        await win.ensureSecondFactor();
+        assert.deepEqual(plain(await win.listMfaFactors(win.auth)), []);
+    });
+
+    it('asks for a code at the next sign-in and allows a retry', async () => {
+        const win = await signedInAdmin();
+        await enrol(win);
+        await win.signOut(win.auth);
+        await win.signInWithEmailAndPassword(win.auth, 'admin@example.com', 'correct horse');
+        assert.equal((await win.getAuthAssurance(win.auth)).nextLevel, 'aal2');
+
+        answerDialogs(win, [
+            async () => ({ isConfirmed: true, value: '000000' }),
+            async () => ({ isConfirmed: true, value: await currentCode(win) }),
+        ]);
+        await win.ensureSecondFactor({ required: true });
+
+        assert.equal((await win.getAuthAssurance(win.auth)).currentLevel, 'aal2');
+        assert.equal(logged(win, 'mfa_failed').length, 1);
+    });
+
+    it('lets a recovery code stand in for a lost authenticator', async () => {
+        const win = await signedInAdmin();
+        await enrol(win);
+        await win.signOut(win.auth);
+        await win.signInWithEmailAndPassword(win.auth, 'admin@example.com', 'correct horse');
+        win.shimBackend.registerRpc('redeem_mfa_recovery_code', ({ p_code }, backend) => {
+            if (!RECOVERY_CODES.includes(p_code)) return { status: 'invalid' };
+            backend.removeFactors(ADMIN_UID);
+            return { status: 'ok', remaining: 9 };
+        });
+
+        answerDialogs(win, [
+            async () => ({ isDenied: true }),
+            async () => ({ isConfirmed: true, value: ' abcd-ef01-0003 ' }),
+        ]);
+        await win.ensureSecondFactor();
+
+        assert.deepEqual(plain(await win.listMfaFactors(win.auth)), []);
+        assert.equal(logged(win, 'mfa_recovery_code_used')[0].details.remaining, 9);
+    });
+
+    it('skips the step-up prompt only right after a check', async () => {
+        const win = await signedInAdmin();
+        answerDialogs(win, []);
+        assert.equal(await win.requireStepUp('restore a backup'), true);
+
+        const now = Date.now();
+        assert.equal(win.isRecentlyVerified({ lastVerifiedAt: now - 60 * 1000 }, now), true);
+        assert.equal(win.isRecentlyVerified({ lastVerifiedAt: now - 6 * 60 * 1000 }, now), false);
+        assert.equal(win.isRecentlyVerified({ lastVerifiedAt: null }, now), false);
+    });
+});
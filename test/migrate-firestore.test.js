@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    loadShimMapping, convertDoc, toUuid, diffRow, parseArgs, collectionsToMigrate,
+} = require('../scripts/migrate-firestore');
+
+const mapping = loadShimMapping();
+
+// What firebase-admin hands back for a Timestamp field
+function timestamp(iso) {
+    return { toDate: () => new Date(iso) };
+}
+
+describe('convertDoc', () => {
+    it('maps a student document onto the students table', () => {
+        const { table, row, dropped, error } = convertDoc(mapping, 'students', 'S001', {
+            firstName: 'Anna', lastName: 'Joseph', registerNo: '701', receivedFirstCommunion: true,
+            createdAt: timestamp('2024-06-01T04:30:00.000Z'), fullName: 'Anna Joseph',
+        });
+        assert.equal(table, 'students');
+        assert.equal(error, null);
+        assert.deepEqual(dropped, []);
+        assert.equal(row.student_id, 'S001');
+        assert.equal(row.register_no, 701);
+        assert.equal(row.created_at, '2024-06-01T04:30:00.000Z');
+        assert.ok(!('full_name' in row), 'generated column is not written');
+    });
+
+    it('drops fields that have no column and reports them', () => {
+        const { row, dropped } = convertDoc(mapping, 'students', 'S002', {
+            firstName: 'Ben', fatherMobile: '98450 00000', registeredVia: 'quick_onboarding',
+        });
+        assert.deepEqual(dropped.sort(), ['fatherMobile', 'registeredVia']);
+        assert.equal(row.first_name, 'Ben');
+    });
+
+    it('moves the legacy session date onto session_date', () => {
+        const { row, error } = convertDoc(mapping, 'sessions', 'sess-1', {
+            date: '2024-06-02', status: 'Available', academicYearId: 'ay-2024',
+        });
+        assert.equal(error, null);
+        assert.equal(row.session_date, '2024-06-02');
+        assert.ok(!('date' in row));
+    });
+
+    it('turns Firestore auto-ids into stable UUIDs, including references to them', () => {
+        const assessment = convertDoc(mapping, 'assessments', 'Xy12AbCdEf34', {
+            name: 'Term 1', date: '2024-09-01', totalMarks: 50, classId: 'class-7', academicYearId: 'ay-2024',
+        });
+        const score = convertDoc(mapping, 'scores', 'Xy12AbCdEf34_S001', {
+            assessmentId: 'Xy12AbCdEf34', studentId: 'S001', marks: 42, classId: 'class-7', academicYearId: 'ay-2024',
+        });
+        assert.equal(assessment.row.id, toUuid('assessments', 'Xy12AbCdEf34'));
+        assert.equal(score.row.assessment_id, assessment.row.id);
+        assert.equal(toUuid('assessments', 'Xy12AbCdEf34'), assessment.row.id, 'same id on every run');
+    });
+
+    it('maps Firebase user ids through the uid map and nulls unknown ones', () => {
+        const uidMap = { fbUid123: '2f0c6a54-9a8e-4c4e-9d0a-6c2f6f1d8e11' };
+        const entry = {
+            classId: 'class-7', studentId: 'S001', studentName: 'Anna', category: 'Early',
+            entryDate: '2024-06-02', academicYearId: 'ay-2024',
+        };
+        const known = convertDoc(mapping, 'earlyAngelEntries', 'e1', { ...entry, createdBy: 'fbUid123' }, uidMap);
+        const unknown = convertDoc(mapping, 'earlyAngelEntries', 'e2', { ...entry, createdBy: 'someoneElse' }, uidMap);
+
+        assert.equal(known.row.created_by, uidMap.fbUid123);
+        assert.equal(unknown.row.created_by, null);
+        assert.deepEqual(unknown.nulled, ['created_by']);
+    });
+
+    it('skips documents that would violate the schema and says why', () => {
+        const { row, error } = convertDoc(mapping, 'attendance', 'a1', {
+            sessionId: 'sess-1', studentId: 'S001', status: 'Maybe', classId: 'class-7',
+        });
+        assert.equal(row, null);
+        assert.match(error, /status: must be one of Present, Absent, Late, Excused/);
+        assert.match(error, /academicYearId: is required/);
+    });
+
+    it('skips user roles whose Firebase uid has no Supabase account', () => {
+        const { row, error } = convertDoc(mapping, 'userRoles', 'fbUid999', { role: 'faculty' });
+        assert.equal(row, null);
+        assert.match(error, /id: must be a UUID/);
+    });
+});
+
+describe('diffRow', () => {
+    it('lists only the columns that would change', () => {
+        const changes = diffRow(
+            { student_id: 'S001', first_name: 'Anna', register_no: 701, updated_at: '2024-06-01T04:30:00.000Z' },
+            { student_id: 'S001', first_name: 'Ana', register_no: '701', updated_at: '2024-06-01T04:30:00+00:00' }
+        );
+        assert.deepEqual(changes, { first_name: { from: 'Ana', to: 'Anna' } });
+    });
+});
+
+describe('command line', () => {
+    it('parses options', () => {
+        const opts = parseArgs(['--dry-run', '--only', 'students, enrollments', '--chunk', '50']);
+        assert.equal(opts.dryRun, true);
+        assert.deepEqual(opts.only, ['students', 'enrollments']);
+        assert.equal(opts.chunk, 50);
+        assert.throws(() => parseArgs(['--chunk', '0']), /--chunk/);
+        assert.throws(() => parseArgs(['--bogus']), /Unknown option/);
+    });
+
+    it('orders collections parents-first and rejects unmapped names', () => {
+        const order = collectionsToMigrate(mapping, null);
+        assert.ok(order.indexOf('students') < order.indexOf('enrollments'));
+        assert.ok(order.indexOf('assessments') < order.indexOf('scores'));
+        assert.deepEqual(collectionsToMigrate(mapping, ['scores', 'classes']), ['classes', 'scores']);
+        assert.throws(() => collectionsToMigrate(mapping, ['pupils']), /Not a mapped collection: pupils/);
+    });
+});
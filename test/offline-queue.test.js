@@ -0,0 +1,156 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, createIndexedDb, plain } = require('./harness');
+
+const TEACHER = { id: 'a1a1a1a1-0000-4000-8000-000000000001', email: 'teacher@example.com', password: 'teacher pass' };
+const OTHER   = { id: 'b2b2b2b2-0000-4000-8000-000000000002', email: 'other@example.com', password: 'other pass' };
+
+const READ_AT   = '2026-09-06T09:00:00.000Z';
+const EDITED_AT = '2026-09-06T09:30:00.000Z';
+
+function attendanceRow(overrides = {}) {
+    return {
+        id: 'sess-1_S001', sessionId: 'sess-1', studentId: 'S001', status: 'Present',
+        classId: 'class-7', academicYearId: 'ay-2025', updatedAt: READ_AT, ...overrides,
+    };
+}
+
+// A signed-in teacher with the offline queue enabled; `events` collects what it reports
+async function offlineReadyApp({ fixtures } = {}) {
+    const win = loadApp({ fixtures, indexedDB: createIndexedDb() });
+    const events = [];
+    win.dispatchEvent = event => events.push({ type: event.type, detail: event.detail });
+    win.shimBackend.addUser(TEACHER);
+    win.shimBackend.addUser(OTHER);
+    await signIn(win, TEACHER);
+    return { win, events };
+}
+
+async function signIn(win, user) {
+    await win.signInWithEmailAndPassword(win.auth, user.email, user.password);
+    await win.syncPendingWrites();
+}
+
+function attendanceRef(win, id = 'sess-1_S001') {
+    return win.doc(win.db, 'attendance', id);
+}
+
+describe('offline write queue', () => {
+    it('queues writes made offline and replays them in order on reconnect', async () => {
+        const { win } = await offlineReadyApp();
+        win.navigator.onLine = false;
+
+        const result = await win.setDoc(attendanceRef(win), { ...attendanceRow(), updatedAt: win.serverTimestamp() });
+        await win.updateDoc(attendanceRef(win), { status: 'Late' });
+
+        assert.deepEqual(plain(result), { pending: true });
+        assert.equal(win.getPendingWriteCount(), 2);
+        assert.equal(win.shimBackend.rows('attendance').length, 0);
+
+        win.navigator.onLine = true;
+        await win.syncPendingWrites();
+
+        const [row] = win.shimBackend.rows('attendance');
+        assert.equal(row.status, 'Late');
+        assert.equal(win.getPendingWriteCount(), 0);
+    });
+
+    it('drops a queued write when someone changed the row after it was read', async () => {
+        const { win, events } = await offlineReadyApp({ fixtures: { attendance: [attendanceRow()] } });
+        await win.getDoc(attendanceRef(win));
+        win.navigator.onLine = false;
+
+        await win.updateDoc(attendanceRef(win), { status: 'Absent', updatedAt: win.serverTimestamp() });
+        // Another device's edit lands first, even with a clock behind this device's
+        await win.shimBackend.update('attendance', 'id', 'sess-1_S001', { status: 'Excused', updated_at: '2026-09-06T08:00:00.000Z' });
+
+        win.navigator.onLine = true;
+        await win.syncPendingWrites();
+
+        assert.equal(win.shimBackend.rows('attendance')[0].status, 'Excused');
+        assert.deepEqual(events.filter(e => e.type === 'offlinequeue:conflict').map(e => e.detail.entry.id), ['sess-1_S001']);
+        assert.equal(win.getPendingWriteCount(), 0);
+    });
+
+    it('does not treat its own earlier queued write of a row as a conflict', async () => {
+        const { win, events } = await offlineReadyApp({ fixtures: { attendance: [attendanceRow()] } });
+        await win.getDoc(attendanceRef(win));
+        win.navigator.onLine = false;
+
+        await win.updateDoc(attendanceRef(win), { status: 'Absent', updatedAt: EDITED_AT });
+        await win.updateDoc(attendanceRef(win), { status: 'Late', updatedAt: win.serverTimestamp() });
+
+        win.navigator.onLine = true;
+        await win.syncPendingWrites();
+
+        assert.equal(win.shimBackend.rows('attendance')[0].status, 'Late');
+        assert.equal(events.filter(e => e.type === 'offlinequeue:conflict').length, 0);
+    });
+
+    it('reports and drops a queued write the server rejects, then carries on', async () => {
+        const { win, events } = await offlineReadyApp();
+        win.navigator.onLine = false;
+        await win.setDoc(attendanceRef(win), attendanceRow());
+        await win.setDoc(attendanceRef(win, 'sess-1_S003'), attendanceRow({ id: 'sess-1_S003', studentId: 'S003' }));
+
+        // Permission revoked while the teacher was offline
+        const upsert = win.shimBackend.upsert;
+        win.shimBackend.upsert = async (table, pkCol, row) => {
+            if (row.id === 'sess-1_S001') {
+                throw Object.assign(new Error('new row violates row-level security policy for table "attendance"'), { code: '42501' });
+            }
+            return upsert.call(win.shimBackend, table, pkCol, row);
+        };
+        win.navigator.onLine = true;
+        await win.syncPendingWrites();
+
+        const failed = events.filter(e => e.type === 'offlinequeue:failed');
+        assert.deepEqual(failed.map(e => e.detail.entry.id), ['sess-1_S001']);
+        assert.equal(failed[0].detail.error.kind, 'permission-denied');
+        assert.deepEqual(plain(win.shimBackend.rows('attendance').map(row => row.id)), ['sess-1_S003']);
+        assert.equal(win.getPendingWriteCount(), 0);
+    });
+
+    it('replays a write only for the user who queued it', async () => {
+        const { win } = await offlineReadyApp();
+        win.navigator.onLine = false;
+        await win.setDoc(attendanceRef(win), attendanceRow());
+
+        await win.signOut(win.auth);
+        win.navigator.onLine = true;
+        await signIn(win, OTHER);
+
+        assert.equal(win.shimBackend.rows('attendance').length, 0);
+        assert.equal(win.getPendingWriteCount(), 0);
+
+        await win.signOut(win.auth);
+        await signIn(win, TEACHER);
+
+        assert.equal(win.shimBackend.rows('attendance').length, 1);
+        assert.equal(win.getPendingWriteCount(), 0);
+    });
+
+    it('keeps the queue for its owner when they log out before it is sent', async () => {
+        const { win } = await offlineReadyApp();
+        win.navigator.onLine = false;
+        await win.setDoc(attendanceRef(win), attendanceRow());
+
+        await win.logout();
+
+        assert.equal(await win.auth.getSession(), null);
+        assert.equal(win.shimBackend.rows('attendance').length, 0);
+
+        win.navigator.onLine = true;
+        await signIn(win, TEACHER);
+        assert.equal(win.shimBackend.rows('attendance').length, 1);
+    });
+
+    it('refuses to queue a write when nobody is signed in', async () => {
+        const { win } = await offlineReadyApp();
+        await win.signOut(win.auth);
+        win.navigator.onLine = false;
+
+        await assert.rejects(win.setDoc(attendanceRef(win), attendanceRow()), { kind: 'auth-expired' });
+    });
+});
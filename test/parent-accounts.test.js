@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, rejection } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+function withGuardianLinks(links) {
+    return { ...academicYearFixtures(), guardianLinks: links };
+}
+
+describe('one-time code sign-in', () => {
+    it('signs in with the code sent to an email and creates the account', async () => {
+        const win = loadApp();
+        const contact = { email: 'mary@example.com' };
+        await win.sendSignInCode(win.auth, contact);
+        const code = win.shimBackend.sentOtp(contact);
+        assert.match(code, /^\d{6}$/);
+
+        const { user } = await win.verifySignInCode(win.auth, contact, code);
+        assert.equal(user.email, 'mary@example.com');
+        assert.ok(user.uid);
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.equal(win.auth.currentUser.uid, user.uid);
+    });
+
+    it('rejects a wrong code and does not accept a code twice', async () => {
+        const win = loadApp();
+        const contact = { phone: '+919876543210' };
+        await win.sendSignInCode(win.auth, contact);
+        const code = win.shimBackend.sentOtp(contact);
+
+        await rejection(win.verifySignInCode(win.auth, contact, code === '111111' ? '222222' : '111111'));
+        const { user } = await win.verifySignInCode(win.auth, contact, code);
+        assert.equal(user.phoneNumber, '+919876543210');
+        await rejection(win.verifySignInCode(win.auth, contact, code));
+    });
+});
+
+describe('parent login form', () => {
+    const win = loadApp({ scripts: ['js/auth.js'] });
+
+    it('turns the typed email or mobile number into a sign-in contact', () => {
+        assert.deepEqual(plain(win.parseParentContact(' Mary@Example.com ')), { email: 'mary@example.com' });
+        assert.deepEqual(plain(win.parseParentContact('098765 43210')), { phone: '+919876543210' });
+        assert.deepEqual(plain(win.parseParentContact('+44 7700 900123')), { phone: '+447700900123' });
+        assert.equal(win.parseParentContact('12345'), null);
+        assert.equal(win.parseParentContact('mary@'), null);
+    });
+
+    it('sends a signed-in account with guardian links to the parent portal', async () => {
+        const app = loadApp({
+            fixtures: withGuardianLinks([{ id: 'gl-1', studentId: 'S001', email: 'mary@example.com' }]),
+            scripts: ['js/auth.js'],
+        });
+        await app.handleUserRole({ uid: '2f0c6a54-9a8e-4c4e-9d0a-6c2f6f1d8e11', email: 'mary@example.com' });
+
+        assert.equal(app.location.href, 'parent.html');
+        const log = app.shimBackend.rows('activityLogs').find(row => row.action === 'parent_login');
+        assert.deepEqual(plain(log.details), { studentIds: ['S001'] });
+    });
+});
+
+describe('parent portal session', () => {
+    it('loads every linked child with their active-year enrollment', async () => {
+        const win = loadApp({
+            fixtures: withGuardianLinks([
+                { id: 'gl-2', studentId: 'S003', phone: '9876543210', relationship: 'Mother' },
+                { id: 'gl-1', studentId: 'S001', phone: '9876543210', relationship: 'Mother' },
+            ]),
+            scripts: ['js/parent.js'],
+        });
+        const session = await win.loadParentSession({ uid: 'u-1', email: '', phoneNumber: '+919876543210' });
+
+        assert.deepEqual(plain(session.children.map(c => c.studentId)), ['S001', 'S003']);
+        const [anna, clara] = session.children;
+        assert.equal(anna.studentName, 'Anna Joseph');
+        assert.equal(anna.classId, 'class-7');
+        assert.equal(anna.academicYearId, 'ay-2025');
+        assert.equal(anna.registerNo, 701);
+        assert.equal(clara.classId, 'class-7', 'falls back to the student class without an enrollment');
+        assert.equal(session.phone, '+919876543210');
+    });
+
+    it('returns null when the account is not linked to any student', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures(), scripts: ['js/parent.js'] });
+        assert.equal(await win.loadParentSession({ uid: 'u-1', email: 'someone@example.com' }), null);
+    });
+});
+
+describe('household overview', () => {
+    // Anna (Class 7) and Ben (Class 6) share a parent; each class has its own sessions and homework
+    function household() {
+        const fixtures = withGuardianLinks([
+            { id: 'gl-1', studentId: 'S001', email: 'mary@example.com' },
+            { id: 'gl-2', studentId: 'S002', email: 'mary@example.com' },
+        ]);
+        fixtures.enrollments.find(e => e.id === 'ay-2025_class-6_S002').status = 'active';
+        fixtures.sessions = [
+            { id: 'sess-7a', sessionDate: '2025-06-08', status: 'Available', classId: 'class-7', academicYearId: 'ay-2025' },
+            { id: 'sess-6a', sessionDate: '2025-06-08', status: 'Available', classId: 'class-6', academicYearId: 'ay-2025' },
+            { id: 'sess-all', sessionDate: '2025-06-15', status: 'Available', academicYearId: 'ay-2025' },
+        ];
+        fixtures.attendance = [
+            { id: 'sess-7a_S001', sessionId: 'sess-7a', studentId: 'S001', status: 'Present', classId: 'class-7', academicYearId: 'ay-2025' },
+            { id: 'sess-all_S001', sessionId: 'sess-all', studentId: 'S001', status: 'Late', classId: 'class-7', academicYearId: 'ay-2025' },
+            { id: 'sess-6a_S002', sessionId: 'sess-6a', studentId: 'S002', status: 'Absent', classId: 'class-6', academicYearId: 'ay-2025' },
+        ];
+        fixtures.homework = [
+            { id: '7c9e6679-7425-40de-944b-e07fc1f90ae7', title: 'Psalm 23', classId: 'class-6', academicYearId: 'ay-2025', dueDate: '2025-06-20' },
+        ];
+        return fixtures;
+    }
+
+    it('keeps each sibling\'s records separate, built from the per-child loaders', async () => {
+        const win = loadApp({ fixtures: household(), scripts: ['js/parent.js'] });
+        const session = await win.loadParentSession({ uid: 'u-1', email: 'mary@example.com' });
+        const [anna, ben] = await Promise.all(session.children.map(win.loadChildRecords));
+
+        const annaSummary = win.summarizeChild(anna);
+        assert.equal(annaSummary.attendancePct, 100);
+        assert.equal(annaSummary.available, 2, 'own class sessions plus whole-school ones');
+        assert.equal(annaSummary.pendingHomework, 0);
+
+        const benSummary = win.summarizeChild(ben);
+        assert.equal(ben.className, 'Class 6');
+        assert.equal(benSummary.attendancePct, 0);
+        assert.equal(benSummary.pendingHomework, 1);
+    });
+});
+
+describe('guardian links', () => {
+    it('need a student and only accept known fields', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const err = await rejection(win.addDoc(win.collection(win.db, 'guardianLinks'), { email: 'a@b.co', dob: '2015-04-09' }));
+        assert.ok(err instanceof win.SchemaValidationError);
+        assert.deepEqual(plain(err.fieldErrors.map(e => e.field)).sort(), ['dob', 'studentId']);
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, rejection } = require('./harness');
+
+const COORDINATOR_UID = '0b7f6d1e-3c1a-4f7e-9a53-2d1c6f0e8a41';
+const VOLUNTEER_UID   = '5d2e9c4a-8b7f-4e61-a0d3-7f1b2c3d4e5f';
+const FACULTY_UID     = '9a8b7c6d-5e4f-4a3b-9c2d-1e0f9a8b7c6d';
+
+function roleFixtures() {
+    return {
+        roles: [
+            { id: 'admin', name: 'Administrator', permissions: ['manage_all'], isSystem: true },
+            { id: 'faculty', name: 'Faculty', permissions: ['manage_class'], isSystem: true },
+            { id: 'coordinator', name: 'Coordinator', permissions: ['view_all', 'edit_all'], isSystem: false },
+            { id: 'vbs_volunteer', name: 'VBS Volunteer', permissions: ['manage_vbs'], isSystem: false },
+        ],
+        userRoles: [
+            { id: COORDINATOR_UID, role: 'coordinator', email: 'coord@example.com' },
+            { id: VOLUNTEER_UID, role: 'vbs_volunteer', email: 'vbs@example.com' },
+            { id: FACULTY_UID, role: 'faculty', classId: 'class-7', email: 'teacher@example.com' },
+        ],
+    };
+}
+
+describe('role permissions', () => {
+    it('let a coordinator into the admin portal with view and edit but not full access', async () => {
+        const win = loadApp({ fixtures: roleFixtures() });
+        const userData = await win.verifyRoleFromServer(COORDINATOR_UID, 'admin');
+
+        assert.equal(userData.roleName, 'Coordinator');
+        assert.deepEqual(plain(userData.permissions), ['view_all', 'edit_all']);
+        assert.equal(win.hasPermission('view_all'), true);
+        assert.equal(win.hasPermission('manage_all'), false);
+    });
+
+    it('keep a role out of portals its permissions do not open', async () => {
+        const win = loadApp({ fixtures: roleFixtures() });
+        const err = await rejection(win.verifyRoleFromServer(COORDINATOR_UID, 'faculty'));
+        assert.match(err.message, /does not have access to the faculty portal/);
+        assert.equal(win.hasPermission('view_all'), false, 'nothing is granted after a failed check');
+    });
+
+    it('fall back to the built-in admin and faculty roles when the matrix is missing', async () => {
+        const fixtures = roleFixtures();
+        delete fixtures.roles;
+        const win = loadApp({ fixtures });
+        const userData = await win.verifyRoleFromServer(FACULTY_UID, 'faculty');
+        assert.deepEqual(plain(userData.permissions), ['manage_class']);
+    });
+
+    it('pick the first portal a role can open', () => {
+        const win = loadApp();
+        assert.equal(win.getPortalPage(['manage_all']), 'admin.html');
+        assert.equal(win.getPortalPage(['manage_class']), 'faculty.html');
+        assert.equal(win.getPortalPage(['manage_early_angel']), 'early-angel.html');
+        assert.equal(win.getPortalPage([]), null);
+        assert.equal(win.canAccessPortal('vbs', ['manage_class']), true);
+    });
+
+    it('send a VBS volunteer straight to the VBS portal after sign-in', async () => {
+        const win = loadApp({ fixtures: roleFixtures(), scripts: ['js/auth.js'] });
+        await win.handleUserRole({ uid: VOLUNTEER_UID, email: 'vbs@example.com' });
+
+        assert.equal(win.location.href, 'vbs.html');
+        const stored = JSON.parse(win.localStorage.getItem('currentUser'));
+        assert.deepEqual(stored.permissions, ['manage_vbs']);
+    });
+
+    it('only store known role fields', async () => {
+        const win = loadApp();
+        const err = await rejection(win.setDoc(win.doc(win.db, 'roles', 'helper'), { name: 'Helper', canDelete: true }));
+        assert.ok(err instanceof win.SchemaValidationError);
+        assert.deepEqual(plain(err.fieldErrors.map(e => e.field)), ['canDelete']);
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+
+const ADMIN_UID = '1c2d3e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+const HOUR = 60 * 60 * 1000;
+
+function signedInAdmin(fixtures = {}) {
+    const win = loadApp({ fixtures });
+    win.localStorage.setItem('currentUser', JSON.stringify({ uid: ADMIN_UID, email: 'admin@example.com', role: 'admin' }));
+    return win;
+}
+
+// Node's BroadcastChannel keeps the process alive until closed
+function trackChannels(wins) {
+    const opened = [];
+    class TrackedChannel extends BroadcastChannel {
+        constructor(name) {
+            super(name);
+            opened.push(this);
+        }
+    }
+    wins.forEach(win => { win.BroadcastChannel = TrackedChannel; });
+    return () => opened.forEach(channel => channel.close());
+}
+
+describe('session expiry', () => {
+    it('ends a session at its maximum age, or after the idle limit', () => {
+        const win = loadApp();
+        const now = Date.parse('2026-03-01T12:00:00Z');
+        const limits = { maxAgeHours: 12, idleMinutes: 30, now };
+
+        assert.equal(win.getSessionExpiry({ ...limits, startedAt: now - 12 * HOUR, lastActivityAt: now }).reason, 'max-age');
+        assert.equal(win.getSessionExpiry({ ...limits, startedAt: now - HOUR, lastActivityAt: now - 31 * 60 * 1000 }).reason, 'idle');
+
+        const active = win.getSessionExpiry({ ...limits, startedAt: now - HOUR, lastActivityAt: now - 10 * 60 * 1000 });
+        assert.equal(active.reason, null);
+        assert.equal(active.idleLeftMs, 20 * 60 * 1000);
+    });
+
+    it('fills the saved policy over the defaults, with other roles counted as staff', () => {
+        const win = loadApp();
+        const policy = win.normalizeSessionPolicy({ idleMinutes: 15, warningSeconds: 0, maxAgeHours: { staff: 8, parent: '' } });
+
+        assert.deepEqual(plain(policy), {
+            idleMinutes: 15,
+            warningSeconds: 60,
+            maxAgeHours: { admin: 12, staff: 8, student: 4, parent: 168 },
+        });
+        assert.equal(win.getSessionMaxAgeHours(policy, 'admin'), 12);
+        assert.equal(win.getSessionMaxAgeHours(policy, 'vbs-volunteer'), 8);
+    });
+
+    it('signs out an expired session through the portal logout and explains why on the login page', async () => {
+        const win = signedInAdmin({
+            appConfig: [{ id: 'global', sessionPolicy: { maxAgeHours: { admin: 2 } } }],
+        });
+        win.localStorage.setItem('sessionStartedAt', String(Date.now() - 3 * HOUR));
+        win.localStorage.setItem('lastActivityAt', String(Date.now()));
+
+        let signedOut = 0;
+        await win.startSessionMonitor({ roleKey: 'admin', uid: ADMIN_UID, signOut: async () => { signedOut++; } });
+        win.stopSessionMonitor();
+
+        assert.equal(signedOut, 1);
+        const [entry] = win.shimBackend.rows('activityLogs').filter(row => row.action === 'session_expired');
+        assert.equal(entry.details.reason, 'max-age');
+        assert.match(win.takeSessionEndedMessage(), /time limit/);
+        assert.equal(win.takeSessionEndedMessage(), null);
+    });
+
+    it('keeps a student tab from counting as staff activity', async () => {
+        const win = loadApp();
+        win.markSessionStarted(Date.now() - HOUR);
+        win.sessionStorage.setItem('currentStudent', JSON.stringify({ studentId: 'S001' }));
+        win.recordSessionActivity(Date.now(), 'student');
+
+        assert.equal(Number(win.localStorage.getItem('lastActivityAt')), Number(win.localStorage.getItem('sessionStartedAt')));
+        const monitor = await win.startSessionMonitor({ roleKey: 'student', signOut: async () => {} });
+        win.stopSessionMonitor();
+        assert.equal(monitor.scope, 'student');
+        assert.ok(JSON.parse(win.sessionStorage.getItem('currentStudent')).signedInAt > 0);
+    });
+
+    it('leaves the portal when another tab signs out', async () => {
+        const portal = signedInAdmin();
+        const otherTab = signedInAdmin();
+        const closeChannels = trackChannels([portal, otherTab]);
+        try {
+            await portal.startSessionMonitor({ roleKey: 'admin', uid: ADMIN_UID, signOut: async () => {} });
+            otherTab.broadcastLogout('student');
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.equal(portal.location.href, '');
+
+            otherTab.broadcastLogout('account');
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.equal(portal.location.href, 'index.html');
+        } finally {
+            portal.stopSessionMonitor();
+            closeChannels();
+        }
+    });
+
+    it('notices when the account\'s role row has been deleted', async () => {
+        const win = signedInAdmin({ userRoles: [{ id: ADMIN_UID, role: 'admin', email: 'admin@example.com' }] });
+        assert.equal(await win.roleRowExists(ADMIN_UID), true);
+        await win.deleteDoc(win.doc(win.db, 'userRoles', ADMIN_UID));
+        assert.equal(await win.roleRowExists(ADMIN_UID), false);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, rejection } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+const ADMIN_UID = '1c2d3e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+
+function loadAdmin() {
+    const win = loadApp({ fixtures: academicYearFixtures(), activeAcademicYearId: 'ay-2025', scripts: ['js/admin.js'] });
+    win.location.href = 'https://parish.example/admin.html';
+    win.DATA_MODELS.userRoles = [{ uid: ADMIN_UID, role: 'admin', email: 'admin@example.com' }];
+    return win;
+}
+
+describe('staff invitations', () => {
+    it('save the role and classes, primary first, and email a set-password link', async () => {
+        const win = loadAdmin();
+        const id = await win.inviteStaffMember({
+            email: ' New.Teacher@Example.com ',
+            role: 'faculty',
+            primaryClassId: 'class-7',
+            assistantClassIds: ['class-6', 'class-7', 'class-6'],
+        });
+
+        const [invite] = win.shimBackend.rows('staffInvitations');
+        assert.equal(invite.id, id);
+        assert.equal(invite.email, 'new.teacher@example.com');
+        assert.equal(invite.status, 'pending');
+        assert.equal(invite.academic_year_id, 'ay-2025');
+        assert.deepEqual(plain(invite.class_assignments), [
+            { classId: 'class-7', assignmentRole: 'primary' },
+            { classId: 'class-6', assignmentRole: 'assistant' },
+        ]);
+        assert.ok(new Date(invite.expires_at) > new Date(Date.now() + 6 * 24 * 60 * 60 * 1000));
+
+        const [link] = win.shimBackend.sentLinks();
+        assert.equal(link.type, 'signin');
+        assert.equal(link.email, 'new.teacher@example.com');
+        assert.equal(link.redirectTo, `https://parish.example/set-password.html?invite=${invite.token}`);
+        assert.ok(invite.token.length >= 64);
+    });
+
+    it('refuse an address that already has an account, and a teaching role without a class', async () => {
+        const win = loadAdmin();
+        const taken = await rejection(win.inviteStaffMember({ email: 'ADMIN@example.com', role: 'faculty', primaryClassId: 'class-7' }));
+        assert.match(taken.message, /already has an account/);
+
+        const noClass = await rejection(win.inviteStaffMember({ email: 'new@example.com', role: 'faculty' }));
+        assert.match(noClass.message, /Choose the class/);
+
+        await win.inviteStaffMember({ email: 'office@example.com', role: 'admin', primaryClassId: 'class-7' });
+        assert.deepEqual(plain(win.shimBackend.rows('staffInvitations')[0].class_assignments), []);
+        assert.equal(win.shimBackend.sentLinks().length, 1);
+    });
+
+    it('let the invitee set a password from the link and sign in with it', async () => {
+        const win = loadApp({ scripts: ['js/set-password.js'] });
+        win.shimBackend.openLink({ email: 'new.teacher@example.com' });
+        const user = await win.waitForLinkSession(1000);
+        assert.equal(user.email, 'new.teacher@example.com');
+
+        assert.match(win.validateNewPassword('short', 'short'), /at least 8/);
+        assert.match(win.validateNewPassword('long enough', 'long enougH'), /don't match/);
+        assert.equal(win.validateNewPassword('long enough', 'long enough'), null);
+
+        await win.updatePassword(win.auth.currentUser, 'long enough');
+        await win.signOut(win.auth);
+        const { user: signedIn } = await win.signInWithEmailAndPassword(win.auth, 'new.teacher@example.com', 'long enough');
+        assert.equal(signedIn.uid, user.uid);
+    });
+
+    it('turn the invitation result into a message for the invitee', async () => {
+        const win = loadApp({ scripts: ['js/set-password.js'] });
+        const statuses = { 'good-token': 'ok', 'old-token': 'expired' };
+        win.shimBackend.registerRpc('accept_staff_invitation', ({ p_token }) => ({ status: statuses[p_token] || 'invalid', role: 'faculty' }));
+
+        assert.equal((await win.acceptStaffInvitation('good-token')).role, 'faculty');
+        assert.match((await rejection(win.acceptStaffInvitation('old-token'))).message, /expired/);
+        assert.match((await rejection(win.acceptStaffInvitation('other'))).message, /no longer valid/);
+    });
+});
+
+describe('forgot password', () => {
+    it('only emails a reset link to existing accounts, without saying which', async () => {
+        const win = loadApp({ scripts: ['js/auth.js'] });
+        win.location.href = 'https://parish.example/index.html';
+        win.shimBackend.addUser({ email: 'teacher@example.com', password: 'old password' });
+
+        await win.requestPasswordReset(' Teacher@Example.com ');
+        await win.requestPasswordReset('nobody@example.com');
+
+        assert.deepEqual(plain(win.shimBackend.sentLinks()), [{
+            type: 'recovery',
+            email: 'teacher@example.com',
+            redirectTo: 'https://parish.example/set-password.html?mode=reset',
+        }]);
+    });
+});
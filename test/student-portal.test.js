@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+// Stands in for student_portal_data(): answers with `result` and records each call
+function withPortalRpc(win, result) {
+    const calls = [];
+    win.shimBackend.registerRpc('student_portal_data', params => {
+        calls.push(plain(params));
+        return result;
+    });
+    return calls;
+}
+
+const PORTAL_ROWS = {
+    status: 'ok',
+    student: { student_id: 'S001', first_name: 'Anna', class_id: 'class-7' },
+    enrollment: { id: 'ay-2025_class-7_S001', academic_year_id: 'ay-2025', class_id: 'class-7', register_no: 701 },
+    academic_year: { id: 'ay-2025', year_label: '2025-26' },
+    sessions: [{ id: '2025-06-01', session_date: '2025-06-01', academic_year_id: 'ay-2025' }],
+    attendance: [{ id: '2025-06-01_S001', session_id: '2025-06-01', student_id: 'S001', status: 'Present' }],
+    assessments: [],
+    scores: [],
+    early_angel_entries: [{ id: 'ea-1', student_id: 'S001', entry_date: '2025-06-01' }],
+};
+
+describe('student portal data', () => {
+    it('sends the portal token and returns the rows as getDoc() data', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const calls = withPortalRpc(win, PORTAL_ROWS);
+
+        const portal = await win.loadStudentPortalData({ studentId: 'S001', portalToken: 'f00d' });
+        assert.deepEqual(calls, [{ p_token: 'f00d', p_student_id: null }]);
+        assert.equal(portal.student.id, 'S001');
+        assert.equal(portal.student.firstName, 'Anna');
+        assert.equal(portal.enrollment.registerNo, 701);
+        assert.equal(portal.academicYear.yearLabel, '2025-26');
+        assert.equal(portal.sessions[0].date, '2025-06-01');
+        assert.equal(portal.attendance[0].sessionId, '2025-06-01');
+        assert.equal(portal.earlyAngelEntries[0].entryDate, '2025-06-01');
+        assert.deepEqual(plain(portal.scores), []);
+    });
+
+    it('looks an admin viewing as the student up by ID, read-only', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const calls = withPortalRpc(win, PORTAL_ROWS);
+        win.setReadOnlyMode("You're viewing as Anna Joseph");
+
+        assert.ok(await win.loadStudentPortalData({ studentId: 'S001' }));
+        assert.deepEqual(calls, [{ p_token: null, p_student_id: 'S001' }]);
+    });
+
+    it('returns null once the sign-in has expired, and logout ends the token', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        withPortalRpc(win, { status: 'expired' });
+        const ended = [];
+        win.shimBackend.registerRpc('end_student_portal_session', params => { ended.push(params.p_token); });
+
+        assert.equal(await win.loadStudentPortalData({ studentId: 'S001', portalToken: 'old' }), null);
+        await win.endStudentPortalSession({ studentId: 'S001', portalToken: 'old' });
+        await win.endStudentPortalSession({ studentId: 'S001' });
+        assert.deepEqual(plain(ended), ['old']);
+    });
+});
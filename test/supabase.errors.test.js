@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, rejection } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+function pgError(code, message, extra = {}) {
+    return Object.assign(new Error(message), { code, details: null, hint: null }, extra);
+}
+
+// Makes backend[method] fail `times` times with `error`, then behave normally
+function failTimes(win, method, times, error) {
+    const original = win.shimBackend[method];
+    const calls = { count: 0 };
+    win.shimBackend[method] = async (...args) => {
+        calls.count++;
+        if (calls.count <= times) throw error;
+        return original.apply(win.shimBackend, args);
+    };
+    return calls;
+}
+
+describe('classifyDataError', () => {
+    const win = loadApp();
+
+    it('sorts backend failures into kinds', () => {
+        const kinds = [
+            new Error('TypeError: Failed to fetch'),
+            pgError('PGRST002', 'Could not query the database for the schema cache'),
+            pgError('', 'Service Unavailable', { status: 503 }),
+            pgError('PGRST301', 'JWT expired'),
+            pgError('42501', 'new row violates row-level security policy for table "attendance"'),
+            pgError('23505', 'duplicate key value violates unique constraint "classes_pkey"'),
+            pgError('22P02', 'invalid input syntax for type uuid: "abc"'),
+            pgError('PGRST116', 'JSON object requested, multiple (or no) rows returned'),
+            pgError('P0001', 'Something custom'),
+        ].map(err => win.classifyDataError(err, 'write', 'attendance').kind);
+
+        assert.deepEqual(kinds, [
+            'network', 'network', 'network', 'auth-expired', 'permission-denied',
+            'constraint', 'constraint', 'not-found', 'unknown',
+        ]);
+    });
+
+    it('names the permissions the account has when an RLS policy says no', () => {
+        const denied = pgError('42501', 'new row violates row-level security policy');
+        assert.equal(win.classifyDataError(denied, 'read', 'activity_logs').message,
+            "You don't have permission to view activity logs. Ask an admin to check your role.");
+
+        win.setCurrentPermissions(['edit_all', 'view_all']);
+        assert.equal(win.classifyDataError(denied, 'write', 'enrollments').message,
+            "You don't have permission to save enrollments. Your role has view_all and edit_all; ask an admin if it should allow this.");
+        win.setCurrentPermissions(['manage_class']);
+        assert.match(win.classifyDataError(denied, 'delete', 'students').message,
+            /permission to delete students\. Your role has manage_class;/);
+        win.setCurrentPermissions([]);
+    });
+
+    it('explains constraint violations using the failing key or column', () => {
+        const duplicate = pgError('23505', 'duplicate key value', { details: 'Key (class_id, student_id)=(class-7, S001) already exists.' });
+        assert.equal(win.classifyDataError(duplicate, 'write', 'enrollments').message,
+            'There is already a record in enrollments with classId, studentId = class-7, S001.');
+
+        const missing = pgError('23502', 'null value in column "academic_year_id" of relation "sessions" violates not-null constraint');
+        assert.equal(win.classifyDataError(missing, 'write', 'sessions').message, 'academicYearId is required for sessions.');
+
+        const inUse = pgError('23503', 'update or delete on table "classes" violates foreign key constraint');
+        assert.match(win.classifyDataError(inUse, 'delete', 'classes').message, /still used elsewhere, so it can.t be deleted from classes/);
+    });
+
+    it('keeps the raw error and passes classified errors through unchanged', () => {
+        const raw = pgError('42501', 'permission denied for table scores');
+        const err = win.classifyDataError(raw, 'read', 'scores');
+        assert.ok(err instanceof win.DataError);
+        assert.equal(err.cause, raw);
+        assert.equal(err.code, '42501');
+        assert.equal(win.classifyDataError(err), err);
+    });
+});
+
+describe('retries', () => {
+    it('retries reads that hit a network error', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const calls = failTimes(win, 'select', 2, new Error('TypeError: Failed to fetch'));
+
+        const snap = await win.getDocs(win.collection(win.db, 'classes'));
+        assert.equal(snap.size, 3);
+        assert.equal(calls.count, 3);
+    });
+
+    it('retries upserts but not inserts', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const upserts = failTimes(win, 'upsert', 1, pgError('', 'Bad Gateway', { status: 502 }));
+        await win.setDoc(win.doc(win.db, 'classes', 'class-8'), { name: 'Class 8' });
+        assert.equal(upserts.count, 2);
+
+        const inserts = failTimes(win, 'insert', 1, pgError('', 'Bad Gateway', { status: 502 }));
+        const err = await rejection(win.addDoc(win.collection(win.db, 'activityLogs'), { action: 'test' }));
+        assert.equal(err.kind, 'network');
+        assert.equal(inserts.count, 1);
+    });
+
+    it('does not retry errors that would fail again', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const calls = failTimes(win, 'getRow', 5, pgError('42501', 'permission denied for table students'));
+
+        const err = await rejection(win.getDoc(win.doc(win.db, 'students', 'S001')));
+        assert.equal(err.kind, 'permission-denied');
+        assert.equal(calls.count, 1);
+    });
+
+    it('gives up after a bounded number of attempts', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const calls = failTimes(win, 'count', 10, new Error('TypeError: Failed to fetch'));
+
+        const err = await rejection(win.getCountFromServer(win.collection(win.db, 'students')));
+        assert.equal(err.kind, 'network');
+        assert.equal(calls.count, 4);
+    });
+});
+
+describe('batch errors', () => {
+    it('are classified by the first failing operation', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        win.shimBackend.commitBatch = async () => {
+            throw pgError('42501', 'Batch rolled back: 1 of 1 operations failed', {
+                details: JSON.stringify([{ index: 0, type: 'set', table: 'enrollments', id: 'x', code: '42501', message: 'denied' }]),
+            });
+        };
+        const batch = win.writeBatch(win.db);
+        batch.set(win.doc(win.db, 'enrollments', 'x'), { status: 'active' }, { merge: true });
+
+        const err = await rejection(batch.commit());
+        assert.equal(err.kind, 'permission-denied');
+        assert.match(err.message, /permission to save enrollments\./);
+        assert.equal(err.operations[0].ref._id, 'x');
+    });
+
+    it('apply every operation or none', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const batch = win.writeBatch(win.db);
+        batch.set(win.doc(win.db, 'classes', 'class-8'), { name: 'Class 8' });
+        batch.update(win.doc(win.db, 'students', 'S001'), { lastName: 'Mathew' });
+        batch.update(win.doc(win.db, 'students', 'S404'), { lastName: 'Nobody' });
+
+        const err = await rejection(batch.commit());
+        assert.equal(err.kind, 'not-found', 'updating a missing row fails, as in Firestore');
+        assert.deepEqual(plain(err.operations.map(op => [op.index, op.id])), [[2, 'S404']]);
+        assert.equal(win.shimBackend.rows('classes').some(row => row.id === 'class-8'), false);
+        assert.equal(win.shimBackend.rows('students').find(row => row.student_id === 'S001').last_name, 'Joseph');
+
+        const retry = win.writeBatch(win.db);
+        retry.set(win.doc(win.db, 'classes', 'class-8'), { name: 'Class 8' });
+        retry.update(win.doc(win.db, 'students', 'S001'), { lastName: 'Mathew' });
+        await retry.commit();
+        assert.equal(win.shimBackend.rows('students').find(row => row.student_id === 'S001').last_name, 'Mathew');
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, rejection } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+function student(win, id) {
+    return win.shimBackend.rows('students').find(row => row.student_id === id);
+}
+
+describe('schema validation on writes', () => {
+    it('rejects unknown fields and suggests the closest column', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const err = await rejection(win.updateDoc(win.doc(win.db, 'students', 'S001'), { registerNO: 701, nickname: 'Annie' }));
+
+        assert.ok(err instanceof win.SchemaValidationError);
+        assert.equal(err.code, 'SCHEMA_VALIDATION');
+        assert.equal(err.table, 'students');
+        assert.deepEqual(plain(err.fieldErrors.map(e => e.field)), ['registerNO', 'nickname']);
+        assert.match(err.message, /registerNO: is not a known field \(did you mean registerNo\?\)/);
+        assert.equal(student(win, 'S001').register_no, undefined, 'nothing should be written');
+    });
+
+    it('coerces numbers, booleans, dates and timestamps to their column types', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        await win.setDoc(win.doc(win.db, 'students', 'S001'), {
+            registerNo: '701',
+            receivedConfirmation: 'true',
+            dob: new Date(2015, 3, 9),
+            updatedAt: Date.UTC(2025, 5, 1),
+            phone: 9876543210,
+            notes: '',
+        }, { merge: true });
+
+        const row = student(win, 'S001');
+        assert.equal(row.register_no, 701);
+        assert.equal(row.received_confirmation, true);
+        assert.equal(row.dob, '2015-04-09');
+        assert.equal(row.updated_at, '2025-06-01T00:00:00.000Z');
+        assert.equal(row.phone, '9876543210');
+        assert.equal(row.notes, '');
+    });
+
+    it('turns empty strings into null for non-text columns', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        await win.updateDoc(win.doc(win.db, 'students', 'S001'), { dob: '', registerNo: '' });
+        assert.equal(student(win, 'S001').dob, null);
+        assert.equal(student(win, 'S001').register_no, null);
+    });
+
+    it('reports every bad value with a readable reason', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const err = await rejection(win.updateDoc(win.doc(win.db, 'students', 'S001'), {
+            dob: '09/04/2015', registerNo: '70a', firstName: null,
+        }));
+        assert.deepEqual(plain(err.fieldErrors.map(e => [e.field, e.message])), [
+            ['dob', 'must be a date like 2025-06-01'],
+            ['registerNo', 'must be a number'],
+            ['firstName', 'is required'],
+        ]);
+    });
+
+    it('checks values against the column CHECK list', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const ref = win.doc(win.db, 'enrollments', 'ay-2025_class-7_S001');
+        const err = await rejection(win.updateDoc(ref, { status: 'graduated' }));
+        assert.equal(err.fieldErrors[0].message, 'must be one of active, transferred');
+
+        await win.updateDoc(ref, { status: 'transferred' });
+        assert.equal(win.shimBackend.rows('enrollments').find(r => r.id === ref._id).status, 'transferred');
+    });
+
+    it('requires NOT NULL columns without a default on addDoc', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const err = await rejection(win.addDoc(win.collection(win.db, 'announcements'), { title: 'Picnic' }));
+        assert.deepEqual(plain(err.fieldErrors.map(e => e.field)).sort(), ['academicYearId', 'body']);
+
+        const { id } = await win.addDoc(win.collection(win.db, 'announcements'), {
+            title: 'Picnic', body: 'Sunday after Mass', academicYearId: 'ay-2025',
+        });
+        assert.ok(win.shimBackend.rows('announcements').some(row => row.id === id));
+    });
+
+    it('quietly drops generated columns and fields added on read', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const snap = await win.getDoc(win.doc(win.db, 'students', 'S001'));
+        await win.setDoc(snap.ref, { ...snap.data(), fullName: 'Ignored', lastName: 'Joseph-Mathew' }, { merge: true });
+
+        const row = student(win, 'S001');
+        assert.equal(row.last_name, 'Joseph-Mathew');
+        assert.ok(!('id' in row));
+        assert.ok(!('full_name' in row));
+    });
+
+    it('only allows increment() on number columns and applies it on setDoc', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const ref = win.doc(win.db, 'classYearCounters', 'ay-2025_class-7');
+        await win.setDoc(ref, { count: win.increment(2) }, { merge: true });
+        assert.equal(win.shimBackend.rows('classYearCounters').find(r => r.id === ref._id).count, 3);
+
+        const err = await rejection(win.updateDoc(ref, { classId: win.increment(1) }));
+        assert.equal(err.fieldErrors[0].message, 'cannot be incremented (not a number field)');
+    });
+
+    it('rejects a batch before any of its operations are sent', async () => {
+        const win = loadApp({ fixtures: academicYearFixtures() });
+        const batch = win.writeBatch(win.db);
+        batch.update(win.doc(win.db, 'students', 'S001'), { notes: 'ok' });
+        batch.update(win.doc(win.db, 'students', 'S002'), { classID: 'class-7' });
+
+        const err = await rejection(batch.commit());
+        assert.ok(err instanceof win.SchemaValidationError);
+        assert.equal(err.fieldErrors[0].field, 'classID');
+        assert.equal(student(win, 'S001').notes, undefined);
+    });
+
+    it('passes tables without a registry entry through unchecked', async () => {
+        const win = loadApp();
+        await win.setDoc(win.doc(win.db, 'someNewTable', 'x1'), { anything: 'goes' });
+        assert.equal(win.shimBackend.rows('someNewTable')[0].anything, 'goes');
+    });
+});
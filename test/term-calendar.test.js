@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+const ADMIN_UID = '1c2d3e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+
+function loadAdmin(sessions = []) {
+    const win = loadApp({
+        fixtures: { ...academicYearFixtures(), sessions },
+        activeAcademicYearId: 'ay-2025',
+        scripts: ['js/admin.js'],
+    });
+    win.localStorage.setItem('currentUser', JSON.stringify({ uid: ADMIN_UID, email: 'admin@example.com' }));
+    return win;
+}
+
+describe('term calendar', () => {
+    it('lists each chosen weekday in the range, with exclusions as No Class', () => {
+        const win = loadAdmin();
+        const plan = win.planTermSessions({
+            startDate: '2025-06-01',   // a Sunday
+            endDate: '2025-06-30',
+            weekdays: ['0', '3'],
+            classIds: ['class-7'],
+            exclusions: [{ date: '2025-06-15', reason: 'Parish feast' }, { date: '2025-06-16', reason: 'not a class day' }],
+            existingSessions: [{ date: '2025-06-08', classId: 'class-7' }],
+        });
+
+        assert.deepEqual(plain(plan.map(item => item.date)), [
+            '2025-06-01', '2025-06-04', '2025-06-08', '2025-06-11', '2025-06-15',
+            '2025-06-18', '2025-06-22', '2025-06-25', '2025-06-29',
+        ]);
+        assert.deepEqual(plain(plan[4]), { date: '2025-06-15', classId: 'class-7', status: 'NoClass', noClassReason: 'Parish feast', exists: false });
+        assert.equal(plan[2].exists, true);
+
+        const withoutExcluded = win.planTermSessions({
+            startDate: '2025-06-01', endDate: '2025-06-30', weekdays: [0], classIds: ['class-7'],
+            exclusions: [{ date: '2025-06-15', reason: 'Parish feast' }], excludedAsNoClass: false,
+        });
+        assert.deepEqual(plain(withoutExcluded.map(item => item.date)), ['2025-06-01', '2025-06-08', '2025-06-22', '2025-06-29']);
+    });
+
+    it('reads excluded dates with optional reasons and reports bad lines', () => {
+        const win = loadAdmin();
+        const { exclusions, invalid } = win.parseTermExclusions('2025-12-28 Christmas holidays\n\n2026-02-15 - exams\n2026-02-30\n15/03/2026 retreat');
+
+        assert.deepEqual(plain(exclusions), [
+            { date: '2025-12-28', reason: 'Christmas holidays' },
+            { date: '2026-02-15', reason: 'exams' },
+        ]);
+        assert.deepEqual(plain(invalid), ['2026-02-30', '15/03/2026 retreat']);
+    });
+
+    it('refuses an empty or back-to-front range', () => {
+        const win = loadAdmin();
+        const classIds = ['class-7'];
+        assert.throws(() => win.planTermSessions({ startDate: '2025-07-01', endDate: '2025-06-01', weekdays: [0], classIds }), /before the start/);
+        assert.throws(() => win.planTermSessions({ startDate: '2025-06-01', endDate: '2025-07-01', weekdays: [], classIds }), /at least one class day/);
+        assert.throws(() => win.planTermSessions({ startDate: '2025-06-01', endDate: '2027-06-01', weekdays: [0], classIds }), /at most 400 days/);
+        assert.throws(() => win.planTermSessions({ startDate: '2025-06-01', endDate: '2025-07-01', weekdays: [0], classIds: [] }), /at least one class\./);
+    });
+
+    it('creates a session per chosen class and skips dates a class already has', async () => {
+        const win = loadAdmin([
+            { id: '2025-06-08', sessionDate: '2025-06-08', status: 'NoClass', noClassReason: 'first-week', academicYearId: 'ay-2025' },
+            { id: '2025-06-22_class-6', sessionDate: '2025-06-22', classId: 'class-6', status: 'Available', academicYearId: 'ay-2025' },
+        ]);
+        const existingSessions = await win.loadSessionsBetween('2025-06-01', '2025-06-22');
+        const plan = win.planTermSessions({
+            startDate: '2025-06-01', endDate: '2025-06-22', weekdays: [0],
+            classIds: ['class-6', 'class-7'],
+            exclusions: [{ date: '2025-06-15', reason: 'Parish feast' }],
+            existingSessions,
+        });
+
+        const summary = await win.createTermSessions(plan);
+        assert.deepEqual(plain(summary), { created: 5, noClass: 2, skipped: 3 });
+
+        const sessions = win.shimBackend.rows('sessions').sort((a, b) => a.id.localeCompare(b.id));
+        assert.deepEqual(plain(sessions.map(s => [s.id, s.class_id ?? null, s.status, s.no_class_reason ?? null, s.academic_year_id])), [
+            ['2025-06-01_class-6', 'class-6', 'Available', null, 'ay-2025'],
+            ['2025-06-01_class-7', 'class-7', 'Available', null, 'ay-2025'],
+            ['2025-06-08', null, 'NoClass', 'first-week', 'ay-2025'],
+            ['2025-06-15_class-6', 'class-6', 'NoClass', 'Parish feast', 'ay-2025'],
+            ['2025-06-15_class-7', 'class-7', 'NoClass', 'Parish feast', 'ay-2025'],
+            ['2025-06-22_class-6', 'class-6', 'Available', null, 'ay-2025'],
+            ['2025-06-22_class-7', 'class-7', 'Available', null, 'ay-2025'],
+        ]);
+        const [log] = win.shimBackend.rows('activityLogs').filter(row => row.action === 'sessions_generated');
+        assert.deepEqual(plain(log.details), {
+            from: '2025-06-01', to: '2025-06-22', classIds: ['class-6', 'class-7'], created: 5, noClass: 2, skipped: 3,
+        });
+    });
+});
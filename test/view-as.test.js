@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, rejection } = require('./harness');
+const { academicYearFixtures } = require('./fixtures/academic-years');
+
+const FACULTY_UID = '9a8b7c6d-5e4f-4a3b-9c2d-1e0f9a8b7c6d';
+const ADMIN_UID   = '1c2d3e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+
+// An admin signed in to the admin portal (createAuditLog reads currentUser)
+function asAdmin(win) {
+    win.localStorage.setItem('currentUser', JSON.stringify({ uid: ADMIN_UID, email: 'admin@example.com' }));
+    win.setCurrentPermissions(['manage_all']);
+    return win;
+}
+
+function logged(win, action) {
+    return win.shimBackend.rows('activityLogs').filter(row => row.action === action);
+}
+
+describe('view as', () => {
+    it('is refused without full admin access', async () => {
+        const win = loadApp();
+        win.setCurrentPermissions(['view_all']);
+        const err = await rejection(win.startViewAs('faculty', { id: FACULTY_UID, label: 'teacher@example.com' }));
+        assert.match(err.message, /Only admins/);
+        assert.equal(win.getViewAs(), null);
+    });
+
+    it('logs the start and opens the portal with the student session', async () => {
+        const win = asAdmin(loadApp());
+        await win.startViewAs('student', { id: 'S001', label: 'Anna Joseph', student: { studentId: 'S001', classId: 'class-7' } });
+
+        assert.equal(win.location.href, 'student.html');
+        assert.equal(win.getViewAs('student').targetId, 'S001');
+        assert.equal(win.getViewAs('faculty'), null);
+        assert.equal(JSON.parse(win.sessionStorage.getItem('currentStudent')).studentId, 'S001');
+        assert.deepEqual(plain(logged(win, 'view_as_started')[0].details),
+            { portal: 'student', targetId: 'S001', label: 'Anna Joseph' });
+    });
+
+    it('refuses writes while viewing but still records the stop', async () => {
+        const win = asAdmin(loadApp({ fixtures: academicYearFixtures() }));
+        await win.startViewAs('student', { id: 'S001', label: 'Anna Joseph', student: { studentId: 'S001' } });
+        win.enterViewAsMode('student');
+
+        const err = await rejection(win.updateDoc(win.doc(win.db, 'students', 'S001'), { notes: 'changed' }));
+        assert.ok(err instanceof win.DataError);
+        assert.equal(err.kind, 'read-only');
+        assert.match(err.message, /viewing as Anna Joseph/);
+        await rejection(win.writeBatch(win.db).delete(win.doc(win.db, 'students', 'S002')).commit());
+        assert.equal(win.shimBackend.rows('students').length, 3);
+
+        win.shimBackend.registerRpc('check_in_badge_tokens', () => ({ S001: 'token' }));
+        win.shimBackend.registerRpc('check_in_badge', () => ({ status: 'ok' }));
+        const { data } = await win.httpsCallable(win.getFunctions(), 'check_in_badge_tokens')({ p_student_ids: ['S001'] });
+        assert.deepEqual(plain(data), { S001: 'token' });
+        const rpcErr = await rejection(win.httpsCallable(win.getFunctions(), 'check_in_badge')({}));
+        assert.equal(rpcErr.kind, 'read-only');
+
+        await win.stopViewAs();
+        assert.equal(win.location.href, 'admin.html');
+        assert.equal(win.getViewAs(), null);
+        assert.equal(win.sessionStorage.getItem('currentStudent'), null);
+        const [stop] = logged(win, 'view_as_stopped');
+        assert.equal(stop.details.targetId, 'S001');
+        assert.equal(typeof stop.details.durationSeconds, 'number');
+
+        await win.updateDoc(win.doc(win.db, 'students', 'S001'), { notes: 'changed' });
+    });
+
+    it('shows a parent only the children linked to them', async () => {
+        const fixtures = {
+            ...academicYearFixtures(),
+            guardianLinks: [
+                { id: '0f4c1a2e-1111-4a3b-9c2d-1e0f9a8b7c01', studentId: 'S001', email: 'mary@example.com' },
+                { id: '0f4c1a2e-2222-4a3b-9c2d-1e0f9a8b7c02', studentId: 'S002', phone: '+919876543210' },
+                { id: '0f4c1a2e-3333-4a3b-9c2d-1e0f9a8b7c03', studentId: 'S003', email: 'mary@example.com' },
+            ],
+        };
+        const win = loadApp({ fixtures, scripts: ['js/parent.js'] });
+        const session = await win.loadParentSession(
+            { uid: ADMIN_UID, email: 'admin@example.com' },
+            { portal: 'parent', email: 'mary@example.com', phone: null }
+        );
+
+        assert.deepEqual(plain(session.children.map(child => child.studentId)), ['S001', 'S003']);
+        assert.equal(session.email, 'mary@example.com');
+        assert.equal(session.uid, null);
+    });
+});